@@ -0,0 +1,65 @@
+import { getDb, getVaults, getVault } from '../lib/db.js';
+import { isVaultAddress } from '../lib/hyperliquid.js';
+import { backfillVault } from '../lib/backfill.js';
+
+// POST /api/backfill?vault=0x…&from=…&to=…&dry_run=1
+// Fills missing hours and NULL-score rows for one vault (or every active
+// vault) and rescores the rows after them. from/to default to all history.
+export default async function handler(req, res) {
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  // Same auth as /api/collect: this endpoint writes to the database
+  const authHeader = req.headers['authorization'];
+  const cronSecret = process.env.CRON_SECRET;
+
+  if (cronSecret && authHeader !== `Bearer ${cronSecret}`) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    const db = getDb();
+
+    const from = req.query.from ? new Date(req.query.from) : null;
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    if ((from && Number.isNaN(from.getTime())) || Number.isNaN(to.getTime()) || (from && from >= to)) {
+      return res.status(400).json({ error: 'Invalid from/to. Use ISO-8601 timestamps with from earlier than to' });
+    }
+    const dryRun = ['1', 'true'].includes(String(req.query.dry_run));
+
+    let vaults;
+    if (req.query.vault) {
+      const vault = String(req.query.vault).toLowerCase();
+      if (!isVaultAddress(vault)) {
+        return res.status(400).json({ error: 'Invalid vault. Use a 0x-prefixed 40-hex-character address.' });
+      }
+      if (!(await getVault(db, vault))) {
+        return res.status(404).json({ error: `Vault ${vault} is not registered` });
+      }
+      vaults = [vault];
+    } else {
+      vaults = (await getVaults(db)).map(v => v.address);
+    }
+
+    const results = [];
+    for (const vault of vaults) {
+      try {
+        results.push({ success: true, ...await backfillVault(db, vault, { from, to, dryRun }) });
+      } catch (vaultErr) {
+        console.error(`Backfill error for ${vault}:`, vaultErr);
+        results.push({ vault, success: false, error: vaultErr.message });
+      }
+    }
+
+    const failed = results.filter(r => !r.success).length;
+    return res.status(failed > 0 && failed === results.length ? 500 : 200).json({
+      success: failed === 0,
+      dry_run: dryRun,
+      results
+    });
+  } catch (err) {
+    console.error('Backfill error:', err);
+    return res.status(500).json({ error: err.message });
+  }
+}
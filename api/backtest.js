@@ -0,0 +1,77 @@
+import { getDb, getSnapshots, getVault, getEvents } from '../lib/db.js';
+import { HLP_VAULT, isVaultAddress } from '../lib/hyperliquid.js';
+import { DEFAULT_HORIZONS, runBacktest } from '../lib/backtest.js';
+
+const MAX_HORIZON_HOURS = 24 * 90;
+
+export default async function handler(req, res) {
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  try {
+    const db = getDb();
+
+    const range = req.query.range || 'all';
+    const mode = req.query.mode || 'static';
+    const vault = String(req.query.vault || HLP_VAULT).toLowerCase();
+
+    const validRanges = ['30d', '90d', '1y', 'all'];
+    if (!validRanges.includes(range)) {
+      return res.status(400).json({ error: `Invalid range. Use: ${validRanges.join(', ')}` });
+    }
+
+    const validModes = ['static', 'walk-forward'];
+    if (!validModes.includes(mode)) {
+      return res.status(400).json({ error: `Invalid mode. Use: ${validModes.join(', ')}` });
+    }
+
+    // Horizons are in hours, e.g. ?horizons=24,72,168
+    const horizons = req.query.horizons
+      ? String(req.query.horizons).split(',').map(Number)
+      : DEFAULT_HORIZONS;
+    if (horizons.length === 0 || horizons.some(h => !Number.isInteger(h) || h < 1 || h > MAX_HORIZON_HOURS)) {
+      return res.status(400).json({ error: `Invalid horizons. Use comma-separated whole hours between 1 and ${MAX_HORIZON_HOURS}` });
+    }
+    horizons.sort((a, b) => a - b);
+
+    const folds = req.query.folds ? Number(req.query.folds) : 5;
+    if (!Number.isInteger(folds) || folds < 1 || folds > 20) {
+      return res.status(400).json({ error: 'Invalid folds. Use a whole number between 1 and 20' });
+    }
+
+    const calibrationHorizon = req.query.calibrate ? Number(req.query.calibrate) : undefined;
+    if (calibrationHorizon !== undefined && !horizons.includes(calibrationHorizon)) {
+      return res.status(400).json({ error: 'Invalid calibrate. Must be one of the requested horizons' });
+    }
+
+    if (!isVaultAddress(vault)) {
+      return res.status(400).json({ error: 'Invalid vault. Use a 0x-prefixed 40-hex-character address.' });
+    }
+    if (!(await getVault(db, vault))) {
+      return res.status(404).json({ error: `Vault ${vault} is not registered` });
+    }
+
+    // Raw hourly rows — daily averages would smear forward returns
+    const snapshots = await getSnapshots(db, { vault, range, resolution: 'raw' });
+    const events = snapshots.length > 0
+      ? await getEvents(db, { vault, from: new Date(snapshots[0].collected_at), to: new Date() })
+      : [];
+    const backtest = runBacktest(snapshots, { horizons, mode, folds, calibrationHorizon, events });
+
+    return res.status(200).json({
+      ...backtest,
+      meta: {
+        vault,
+        range,
+        mode,
+        count: snapshots.length,
+        oldest: snapshots[0]?.collected_at || null,
+        newest: snapshots[snapshots.length - 1]?.collected_at || null
+      }
+    });
+  } catch (err) {
+    console.error('Backtest error:', err);
+    return res.status(500).json({ error: err.message });
+  }
+}
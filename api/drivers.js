@@ -0,0 +1,60 @@
+import { getDb, getVault, getChildVaultSnapshots, getLatestChildPositions, rangeCutoff } from '../lib/db.js';
+import { HLP_VAULT, isVaultAddress } from '../lib/hyperliquid.js';
+import { computeAttribution, downsampleDaily, netExposure } from '../lib/drivers.js';
+
+export default async function handler(req, res) {
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  try {
+    const db = getDb();
+
+    const range = req.query.range || '30d';
+    const vault = String(req.query.vault || HLP_VAULT).toLowerCase();
+
+    const validRanges = ['24h', '7d', '30d', '90d', '1y', 'all'];
+    if (!validRanges.includes(range)) {
+      return res.status(400).json({ error: `Invalid range. Use: ${validRanges.join(', ')}` });
+    }
+
+    if (!isVaultAddress(vault)) {
+      return res.status(400).json({ error: 'Invalid vault. Use a 0x-prefixed 40-hex-character address.' });
+    }
+    if (!(await getVault(db, vault))) {
+      return res.status(404).json({ error: `Vault ${vault} is not registered` });
+    }
+
+    const since = (rangeCutoff(range) || new Date(0)).toISOString();
+    const [rows, positions] = await Promise.all([
+      getChildVaultSnapshots(db, vault, since),
+      getLatestChildPositions(db, vault)
+    ]);
+
+    // Same resolution rule as /api/snapshots: hourly up to 7d, daily beyond
+    const resolution = (range === '24h' || range === '7d') ? 'hourly' : 'daily';
+    const series = resolution === 'daily' ? downsampleDaily(rows) : rows;
+
+    return res.status(200).json({
+      ...computeAttribution(rows),
+      series: series.map(r => ({
+        collected_at: r.collected_at,
+        child_address: r.child_address,
+        account_value: r.account_value,
+        pnl: r.pnl
+      })),
+      positions: netExposure(positions),
+      meta: {
+        vault,
+        range,
+        resolution,
+        count: series.length,
+        oldest: rows[0]?.collected_at || null,
+        newest: rows[rows.length - 1]?.collected_at || null
+      }
+    });
+  } catch (err) {
+    console.error('Drivers error:', err);
+    return res.status(500).json({ error: err.message });
+  }
+}
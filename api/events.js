@@ -0,0 +1,72 @@
+import { getDb, getEvents, getVault, resolveWindow } from '../lib/db.js';
+import { HLP_VAULT, isVaultAddress } from '../lib/hyperliquid.js';
+import { EVENT_THRESHOLDS, EVENT_TYPES, SEVERITIES } from '../lib/events.js';
+
+// GET /api/events?range=30d&type=oi_collapse,nav_drop&severity=medium
+// Market-wide stress events plus the vault's own NAV drops, oldest first.
+// `severity` is a minimum.
+export default async function handler(req, res) {
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  try {
+    const db = getDb();
+
+    const range = req.query.range || '30d';
+    const vault = String(req.query.vault || HLP_VAULT).toLowerCase();
+
+    const validRanges = ['24h', '7d', '30d', '90d', '1y', 'all'];
+    if (!validRanges.includes(range)) {
+      return res.status(400).json({ error: `Invalid range. Use: ${validRanges.join(', ')}` });
+    }
+
+    const types = req.query.type ? String(req.query.type).split(',') : Object.keys(EVENT_TYPES);
+    if (types.some(t => !(t in EVENT_TYPES))) {
+      return res.status(400).json({ error: `Invalid type. Use comma-separated: ${Object.keys(EVENT_TYPES).join(', ')}` });
+    }
+
+    const severity = req.query.severity || 'low';
+    if (!SEVERITIES.includes(severity)) {
+      return res.status(400).json({ error: `Invalid severity. Use: ${SEVERITIES.join(', ')}` });
+    }
+
+    const { from, to } = resolveWindow({ range, from: req.query.from, to: req.query.to });
+    if ((from && Number.isNaN(from.getTime())) || Number.isNaN(to.getTime()) || (from && from >= to)) {
+      return res.status(400).json({ error: 'Invalid from/to. Use ISO-8601 timestamps with from earlier than to' });
+    }
+
+    if (!isVaultAddress(vault)) {
+      return res.status(400).json({ error: 'Invalid vault. Use a 0x-prefixed 40-hex-character address.' });
+    }
+    if (!(await getVault(db, vault))) {
+      return res.status(404).json({ error: `Vault ${vault} is not registered` });
+    }
+
+    const minSeverity = SEVERITIES.indexOf(severity);
+    const events = (await getEvents(db, { vault, from, to }))
+      .filter(e => types.includes(e.type) && SEVERITIES.indexOf(e.severity) >= minSeverity);
+
+    const counts = Object.fromEntries(types.map(type => [type, Object.fromEntries(
+      SEVERITIES.map(s => [s, events.filter(e => e.type === type && e.severity === s).length])
+    )]));
+
+    return res.status(200).json({
+      events,
+      counts,
+      types: EVENT_TYPES,
+      thresholds: EVENT_THRESHOLDS,
+      meta: {
+        vault,
+        range: req.query.from || req.query.to ? null : range,
+        from: from ? from.toISOString() : null,
+        to: to.toISOString(),
+        severity,
+        count: events.length
+      }
+    });
+  } catch (err) {
+    console.error('Events error:', err);
+    return res.status(500).json({ error: err.message });
+  }
+}
@@ -0,0 +1,84 @@
+import { once } from 'node:events';
+import { getDb, getVault, iterateSnapshots } from '../lib/db.js';
+import { HLP_VAULT, isVaultAddress } from '../lib/hyperliquid.js';
+import { EXPORT_COLUMNS, EXPORT_FORMATS, createSerializer, normalizeRow } from '../lib/export.js';
+
+// GET /api/export?format=csv&from=2025-01-01T00:00:00Z&to=…&columns=collected_at,nav
+// Streams raw hourly snapshots; from/to default to all history up to now.
+export default async function handler(req, res) {
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  let streaming = false;
+
+  try {
+    const db = getDb();
+
+    const format = req.query.format || 'csv';
+    const vault = String(req.query.vault || HLP_VAULT).toLowerCase();
+
+    if (!EXPORT_FORMATS[format]) {
+      return res.status(400).json({ error: `Invalid format. Use: ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+    }
+
+    const columns = req.query.columns
+      ? String(req.query.columns).split(',').map(c => c.trim()).filter(Boolean)
+      : EXPORT_COLUMNS;
+    const unknown = columns.filter(c => !EXPORT_COLUMNS.includes(c));
+    if (columns.length === 0 || unknown.length > 0) {
+      return res.status(400).json({ error: `Invalid columns. Use any of: ${EXPORT_COLUMNS.join(', ')}` });
+    }
+
+    const from = req.query.from ? new Date(req.query.from) : new Date(0);
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()) || from >= to) {
+      return res.status(400).json({ error: 'Invalid from/to. Use ISO-8601 timestamps with from earlier than to' });
+    }
+
+    if (!isVaultAddress(vault)) {
+      return res.status(400).json({ error: 'Invalid vault. Use a 0x-prefixed 40-hex-character address.' });
+    }
+    if (!(await getVault(db, vault))) {
+      return res.status(404).json({ error: `Vault ${vault} is not registered` });
+    }
+
+    const { contentType, extension } = EXPORT_FORMATS[format];
+    const serializer = createSerializer(format, columns);
+
+    res.statusCode = 200;
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="snapshots-${vault.slice(0, 10)}.${extension}"`);
+    streaming = true;
+
+    // Respect backpressure so slow clients don't buffer the whole history.
+    // A client that leaves never drains, so its 'close' ends the export and
+    // returning out of the loop releases the snapshot cursor.
+    const gone = new AbortController();
+    res.once('close', () => gone.abort());
+    const write = async chunk => {
+      if (res.destroyed || gone.signal.aborted) return false;
+      if (chunk && !res.write(chunk)) {
+        try {
+          await once(res, 'drain', { signal: gone.signal });
+        } catch {
+          return false;
+        }
+      }
+      return true;
+    };
+
+    if (!(await write(serializer.header()))) return;
+    let i = 0;
+    for await (const row of iterateSnapshots(db, { vault, from: from.toISOString(), to: to.toISOString() })) {
+      if (!(await write(serializer.row(normalizeRow(row, columns), i++)))) return;
+    }
+    if (!(await write(serializer.footer()))) return;
+    res.end();
+  } catch (err) {
+    console.error('Export error:', err);
+    // Headers already sent: cut the stream so the client sees a failure
+    if (streaming) return res.destroy(err);
+    return res.status(500).json({ error: err.message });
+  }
+}
@@ -0,0 +1,52 @@
+import { getCollectionRuns, getDb, getLastCollectedAt } from '../lib/db.js';
+import { summarizeRuns } from '../lib/collector.js';
+import { getActiveScheduler } from '../lib/scheduler.js';
+
+// A snapshot older than this means collection has stalled
+const STALE_MS = 2 * 3600 * 1000;
+const FAILURE_LIMIT = 3;
+
+// GET /api/health
+// For uptime monitors: 503 when the database is unreachable, otherwise 200
+// with status 'ok' or 'degraded' (no recent snapshot, or repeated failed
+// runs). Run figures come from collection_runs, so they cover every
+// process that collects; the scheduler block is only present under the
+// self-hosted daemon.
+export default async function handler(req, res) {
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  let lastCollectedAt;
+  let runs;
+  try {
+    const db = getDb();
+    [lastCollectedAt, runs] = await Promise.all([getLastCollectedAt(db), getCollectionRuns(db, { limit: 50 })]);
+  } catch (err) {
+    console.error('Health error:', err);
+    return res.status(503).json({ status: 'down', database: { ok: false, error: err.message } });
+  }
+
+  const summary = summarizeRuns(runs);
+  const scheduler = getActiveScheduler()?.state() ?? null;
+  const age = lastCollectedAt ? Date.now() - lastCollectedAt.getTime() : null;
+
+  const problems = [];
+  if (age == null || age > STALE_MS) {
+    problems.push(lastCollectedAt ? `No snapshot since ${lastCollectedAt.toISOString()}` : 'No snapshots collected yet');
+  }
+  if (summary.consecutive_failures >= FAILURE_LIMIT) {
+    problems.push(`${summary.consecutive_failures} consecutive failed runs: ${summary.last_error?.message}`);
+  }
+
+  return res.status(200).json({
+    status: problems.length > 0 ? 'degraded' : 'ok',
+    problems,
+    database: { ok: true },
+    last_collected_at: lastCollectedAt ? lastCollectedAt.toISOString() : null,
+    last_success_at: summary.last_success_at,
+    consecutive_failures: summary.consecutive_failures,
+    last_run: summary.last_run,
+    scheduler
+  });
+}
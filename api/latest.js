@@ -1,23 +1,52 @@
-import { getDb, getLatestSnapshot } from '../lib/db.js';
-import { fetchVaultDetails, parseVaultData } from '../lib/hyperliquid.js';
+import { getDb, getLatestSnapshot, getVault } from '../lib/db.js';
+import { HLP_VAULT, fetchVaultDetails, isVaultAddress, parseVaultData } from '../lib/hyperliquid.js';
 
+// Live vault details are shared by every caller for this long, so traffic to
+// this endpoint never turns into one Hyperliquid request per call
+const LIVE_TTL_MS = 60 * 1000;
+const liveCache = new Map(); // vault → { at, details: Promise }
+
+function liveDetails(vault, now = Date.now()) {
+  const cached = liveCache.get(vault);
+  if (cached && now - cached.at < LIVE_TTL_MS) return cached.details;
+
+  const entry = { at: now, details: fetchVaultDetails(vault) };
+  liveCache.set(vault, entry);
+  entry.details.catch(() => {
+    if (liveCache.get(vault) === entry) liveCache.delete(vault);
+  });
+  return entry.details;
+}
+
+// GET /api/latest?vault=0x…
+// The dashboard's newest snapshot plus live values, at most a minute old.
+// Same-origin only (vercel.json); external consumers use /api/v1/latest.
 export default async function handler(req, res) {
   if (req.method === 'OPTIONS') {
     return res.status(200).end();
   }
 
   try {
-    const sql = getDb();
+    const db = getDb();
+
+    const vault = String(req.query.vault || HLP_VAULT).toLowerCase();
+    if (!isVaultAddress(vault)) {
+      return res.status(400).json({ error: 'Invalid vault. Use a 0x-prefixed 40-hex-character address.' });
+    }
+    if (!(await getVault(db, vault))) {
+      return res.status(404).json({ error: `Vault ${vault} is not registered` });
+    }
 
-    // Fetch DB snapshot and live data in parallel
+    // Fetch DB snapshot and (cached) live data in parallel
     const [snapshot, raw] = await Promise.all([
-      getLatestSnapshot(sql),
-      fetchVaultDetails()
+      getLatestSnapshot(db, vault),
+      liveDetails(vault)
     ]);
 
     const live = parseVaultData(raw);
 
     return res.status(200).json({
+      vault,
       snapshot,
       live: {
         nav: live.currentNav,
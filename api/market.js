@@ -0,0 +1,60 @@
+import { getDb, getLatestMarketSnapshots, getMarketSnapshots, rangeCutoff } from '../lib/db.js';
+import { computeMarketConcentration } from '../lib/hyperliquid.js';
+
+const MAX_COINS = 10;
+const COIN_PATTERN = /^[\w@:-]{1,32}$/;
+
+// GET /api/market                          latest per-asset cross-section
+// GET /api/market?coin=BTC,ETH&range=7d    hourly history for those assets
+export default async function handler(req, res) {
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  try {
+    const db = getDb();
+
+    if (!req.query.coin) {
+      const assets = await getLatestMarketSnapshots(db);
+      const { oiTop5Share, fundingDispersion } = computeMarketConcentration(assets);
+
+      return res.status(200).json({
+        assets,
+        concentration: { oi_top5_share: oiTop5Share, funding_dispersion: fundingDispersion },
+        meta: {
+          count: assets.length,
+          collected_at: assets[0]?.collected_at || null
+        }
+      });
+    }
+
+    const range = req.query.range || '7d';
+    const validRanges = ['24h', '7d', '30d', '90d'];
+    if (!validRanges.includes(range)) {
+      return res.status(400).json({ error: `Invalid range. Use: ${validRanges.join(', ')}` });
+    }
+
+    const coins = [...new Set(String(req.query.coin).split(',').map(c => c.trim()))];
+    if (coins.length > MAX_COINS || coins.some(c => !COIN_PATTERN.test(c))) {
+      return res.status(400).json({ error: `Invalid coin. Use up to ${MAX_COINS} comma-separated asset names, e.g. BTC,ETH` });
+    }
+
+    const since = rangeCutoff(range).toISOString();
+    const series = {};
+    for (const coin of coins) {
+      series[coin] = await getMarketSnapshots(db, coin, since);
+    }
+
+    return res.status(200).json({
+      series,
+      meta: {
+        coins,
+        range,
+        count: Object.values(series).reduce((n, rows) => n + rows.length, 0)
+      }
+    });
+  } catch (err) {
+    console.error('Market error:', err);
+    return res.status(500).json({ error: err.message });
+  }
+}
@@ -0,0 +1,135 @@
+import { getDb, getSnapshots, getVault, getPositionFlows, insertPositionFlows, deletePositionFlow } from '../lib/db.js';
+import { HLP_VAULT, isVaultAddress, fetchLedgerUpdates, fetchUserVaultEquities } from '../lib/hyperliquid.js';
+import { parseLedgerFlows, summarizePosition } from '../lib/positions.js';
+
+// Same generated per-browser id as /api/profiles
+const OWNER = /^[A-Za-z0-9_-]{8,64}$/;
+// A wallet address (for imports) or any short label (manual entries only)
+const ACCOUNT = /^[A-Za-z0-9_.-]{1,64}$/;
+const MAX_NOTE_LENGTH = 200;
+
+// GET    /api/positions?owner=…&account=…&vault=…   lots, PnL, MWR, DCA comparison
+// POST   /api/positions  { owner, account, kind, amount, occurred_at, fee?, note? }
+// POST   /api/positions?action=import  { owner, account }  read the wallet's ledger
+// DELETE /api/positions?owner=…&account=…&id=…
+// Personal deposit tracking against stored snapshots. Flows are stored per
+// owner, the unguessable id the dashboard generates for /api/profiles: the
+// account alone is often a public wallet address, so anyone could write to it.
+export default async function handler(req, res) {
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  res.setHeader('Cache-Control', 'no-store');
+
+  try {
+    const db = getDb();
+
+    let body = req.body || {};
+    if (typeof body === 'string') {
+      try {
+        body = JSON.parse(body);
+      } catch {
+        return res.status(400).json({ error: 'Invalid body. Send a JSON object' });
+      }
+    }
+    const params = req.method === 'POST' ? body : req.query;
+
+    const owner = String(params.owner || '');
+    if (!OWNER.test(owner)) {
+      return res.status(400).json({ error: 'Invalid owner. Use 8-64 letters, digits, "-" or "_"' });
+    }
+
+    let account = String(params.account || '');
+    if (!ACCOUNT.test(account)) {
+      return res.status(400).json({ error: 'Invalid account. Use a wallet address or a label of up to 64 letters, digits, ".", "-" or "_"' });
+    }
+    if (isVaultAddress(account)) account = account.toLowerCase();
+
+    const vault = String(params.vault || HLP_VAULT).toLowerCase();
+    if (!isVaultAddress(vault)) {
+      return res.status(400).json({ error: 'Invalid vault. Use a 0x-prefixed 40-hex-character address.' });
+    }
+    if (!(await getVault(db, vault))) {
+      return res.status(404).json({ error: `Vault ${vault} is not registered` });
+    }
+
+    switch (req.method) {
+      case 'GET': {
+        const flows = await getPositionFlows(db, owner, account, vault);
+        const rows = flows.length > 0 ? await getSnapshots(db, { vault, resolution: 'raw' }) : [];
+
+        // Live equity from Hyperliquid to reconcile against, for wallets only
+        let reported = null;
+        if (isVaultAddress(account)) {
+          try {
+            const equity = (await fetchUserVaultEquities(account, { retries: 0 }))
+              .find(e => e.vaultAddress.toLowerCase() === vault);
+            reported = equity
+              ? { equity: parseFloat(equity.equity), locked_until: equity.lockedUntilTimestamp ? new Date(equity.lockedUntilTimestamp).toISOString() : null }
+              : { equity: 0, locked_until: null };
+          } catch (err) {
+            console.warn('Vault equity unavailable:', err.message);
+          }
+        }
+
+        return res.status(200).json({
+          position: summarizePosition(flows, rows),
+          flows: flows.map(f => ({ ...f, amount: parseFloat(f.amount), fee: parseFloat(f.fee) })),
+          reported,
+          meta: { account, vault, count: flows.length }
+        });
+      }
+
+      case 'POST': {
+        if (req.query.action === 'import') {
+          if (!isVaultAddress(account)) {
+            return res.status(400).json({ error: 'Invalid account. Imports need a 0x-prefixed wallet address' });
+          }
+          const flows = parseLedgerFlows(await fetchLedgerUpdates(account), vault);
+          const inserted = await insertPositionFlows(db, owner, account, vault, flows);
+          return res.status(200).json({ found: flows.length, imported: inserted.length, skipped: flows.length - inserted.length });
+        }
+        if (req.query.action) {
+          return res.status(400).json({ error: 'Invalid action. Use: import' });
+        }
+
+        const validKinds = ['deposit', 'withdrawal'];
+        if (!validKinds.includes(body.kind)) {
+          return res.status(400).json({ error: `Invalid kind. Use: ${validKinds.join(', ')}` });
+        }
+        const amount = Number(body.amount);
+        const fee = Number(body.fee ?? 0);
+        if (!Number.isFinite(amount) || amount <= 0 || !Number.isFinite(fee) || fee < 0 || fee > amount) {
+          return res.status(400).json({ error: 'Invalid amount/fee. Use a positive USD amount and a fee between 0 and the amount' });
+        }
+        const occurredAt = new Date(body.occurred_at);
+        if (Number.isNaN(occurredAt.getTime()) || occurredAt > new Date()) {
+          return res.status(400).json({ error: 'Invalid occurred_at. Use an ISO-8601 timestamp that is not in the future' });
+        }
+        if (body.note != null && (typeof body.note !== 'string' || body.note.length > MAX_NOTE_LENGTH)) {
+          return res.status(400).json({ error: `Invalid note. Use text of up to ${MAX_NOTE_LENGTH} characters` });
+        }
+
+        const [flow] = await insertPositionFlows(db, owner, account, vault, [{
+          kind: body.kind, amount, fee, occurred_at: occurredAt, source: 'manual', note: body.note ?? null
+        }]);
+        return res.status(200).json({ flow });
+      }
+
+      case 'DELETE': {
+        const id = Number(req.query.id);
+        if (!Number.isInteger(id) || !(await deletePositionFlow(db, owner, account, id))) {
+          return res.status(404).json({ error: `Flow ${req.query.id} not found` });
+        }
+        return res.status(200).json({ deleted: id });
+      }
+
+      default:
+        return res.status(405).json({ error: 'Method not allowed. Use: GET, POST, DELETE' });
+    }
+  } catch (err) {
+    console.error('Positions error:', err);
+    return res.status(500).json({ error: err.message });
+  }
+}
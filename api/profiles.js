@@ -0,0 +1,87 @@
+import { getDb, getProfiles, upsertProfile, deleteProfile } from '../lib/db.js';
+import { validateProfile } from '../lib/signals.js';
+
+const MAX_PROFILES = 20;
+const OWNER = /^[A-Za-z0-9_-]{8,64}$/;
+const NAME = /^[\w .-]{1,64}$/;
+
+// GET    /api/profiles?owner=…                list an owner's profiles
+// POST   /api/profiles  { owner, name, weights, thresholds, auto_calibrate }
+// DELETE /api/profiles?owner=…&name=…
+// Dashboard scoring profiles (weight and threshold overrides). The owner id
+// is generated and kept by the browser; profiles only change how the
+// dashboard scores, so writes need no secret.
+export default async function handler(req, res) {
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  // Profiles change on every save; never serve them from the edge cache
+  res.setHeader('Cache-Control', 'no-store');
+
+  try {
+    const db = getDb();
+
+    let body = req.body || {};
+    if (typeof body === 'string') {
+      try {
+        body = JSON.parse(body);
+      } catch {
+        return res.status(400).json({ error: 'Invalid body. Send a JSON object' });
+      }
+    }
+
+    const owner = String((req.method === 'POST' ? body.owner : req.query.owner) || '');
+    if (!OWNER.test(owner)) {
+      return res.status(400).json({ error: 'Invalid owner. Use 8-64 letters, digits, "-" or "_"' });
+    }
+
+    switch (req.method) {
+      case 'GET': {
+        const profiles = await getProfiles(db, owner);
+        return res.status(200).json({ profiles, meta: { count: profiles.length, max: MAX_PROFILES } });
+      }
+
+      case 'POST': {
+        const name = typeof body.name === 'string' ? body.name.trim() : '';
+        if (!NAME.test(name)) {
+          return res.status(400).json({ error: 'Invalid name. Use 1-64 letters, digits, spaces, ".", "-" or "_"' });
+        }
+        const problem = validateProfile(body);
+        if (problem) {
+          return res.status(400).json({ error: `Invalid profile. ${problem}` });
+        }
+        if (body.auto_calibrate != null && typeof body.auto_calibrate !== 'boolean') {
+          return res.status(400).json({ error: 'Invalid auto_calibrate. Use true or false' });
+        }
+
+        const existing = await getProfiles(db, owner);
+        if (!existing.some(p => p.name === name) && existing.length >= MAX_PROFILES) {
+          return res.status(400).json({ error: `Too many profiles. Delete one first (max ${MAX_PROFILES})` });
+        }
+
+        const profile = await upsertProfile(db, owner, {
+          name,
+          weights: body.weights,
+          thresholds: body.thresholds,
+          auto_calibrate: body.auto_calibrate ?? false
+        });
+        return res.status(200).json({ profile });
+      }
+
+      case 'DELETE': {
+        const name = String(req.query.name || '');
+        if (!(await deleteProfile(db, owner, name))) {
+          return res.status(404).json({ error: `Profile "${name}" not found` });
+        }
+        return res.status(200).json({ deleted: name });
+      }
+
+      default:
+        return res.status(405).json({ error: 'Method not allowed. Use: GET, POST, DELETE' });
+    }
+  } catch (err) {
+    console.error('Profiles error:', err);
+    return res.status(500).json({ error: err.message });
+  }
+}
@@ -0,0 +1,74 @@
+import { getDb, getSnapshots, getVault, resolveWindow } from '../lib/db.js';
+import { HLP_VAULT, isVaultAddress } from '../lib/hyperliquid.js';
+import { REGIMES, REGIME_THRESHOLDS, regimeDistribution, regimeFeatures, regimePeriods } from '../lib/regimes.js';
+
+const TRAILING_MS = 30 * 24 * 3600 * 1000;
+
+// GET /api/regimes?range=90d  (or &from=…&to=…)
+// Stored regime labels as contiguous periods, the share of time in each,
+// and the latest label with the features behind it.
+export default async function handler(req, res) {
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  try {
+    const db = getDb();
+
+    const range = req.query.range || '90d';
+    const vault = String(req.query.vault || HLP_VAULT).toLowerCase();
+
+    const validRanges = ['7d', '30d', '90d', '1y', 'all'];
+    if (!validRanges.includes(range)) {
+      return res.status(400).json({ error: `Invalid range. Use: ${validRanges.join(', ')}` });
+    }
+
+    const { from, to } = resolveWindow({ range, from: req.query.from, to: req.query.to });
+    if ((from && Number.isNaN(from.getTime())) || Number.isNaN(to.getTime()) || (from && from >= to)) {
+      return res.status(400).json({ error: 'Invalid from/to. Use ISO-8601 timestamps with from earlier than to' });
+    }
+
+    if (!isVaultAddress(vault)) {
+      return res.status(400).json({ error: 'Invalid vault. Use a 0x-prefixed 40-hex-character address.' });
+    }
+    if (!(await getVault(db, vault))) {
+      return res.status(404).json({ error: `Vault ${vault} is not registered` });
+    }
+
+    const rows = await getSnapshots(db, { vault, from, to, resolution: 'raw' });
+    const periods = regimePeriods(rows);
+
+    // Features are not stored; rebuild them for the latest row
+    let current = null;
+    const last = rows[rows.length - 1];
+    if (last) {
+      const lastTime = new Date(last.collected_at).getTime();
+      const history = await getSnapshots(db, { vault, from: new Date(lastTime - TRAILING_MS), to: new Date(lastTime), resolution: 'raw' });
+      current = {
+        regime: last.regime ?? null,
+        since: periods[periods.length - 1].from,
+        collected_at: new Date(last.collected_at).toISOString(),
+        features: regimeFeatures(history, last)
+      };
+    }
+
+    return res.status(200).json({
+      current,
+      periods,
+      distribution: regimeDistribution(rows),
+      regimes: REGIMES,
+      thresholds: REGIME_THRESHOLDS,
+      meta: {
+        vault,
+        range: req.query.from || req.query.to ? null : range,
+        from: from ? from.toISOString() : null,
+        to: to.toISOString(),
+        count: rows.length,
+        unlabeled: rows.filter(r => r.regime == null).length
+      }
+    });
+  } catch (err) {
+    console.error('Regimes error:', err);
+    return res.status(500).json({ error: err.message });
+  }
+}
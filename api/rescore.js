@@ -0,0 +1,117 @@
+import { getDb, getSnapshots, getSignalScores, getSignalScoreVersions, getVault, resolveWindow } from '../lib/db.js';
+import { HLP_VAULT, isVaultAddress } from '../lib/hyperliquid.js';
+import { SIGNAL_DEFINITIONS } from '../lib/signals.js';
+import { COLLECTOR_CONFIG_VERSION, SCORING_CONFIGS, configWeights, getScoringConfig } from '../lib/scoring-configs.js';
+import { lastPerBucket, replayScores, summarizeScores, toSignalScoreRows } from '../lib/rescore.js';
+import { isValidResolution, resolveResolution } from '../lib/timeseries.js';
+
+const MAX_CONFIGS = 4;
+const SCORE_FIELDS = ['collected_at', 'composite_score', ...Object.values(SIGNAL_DEFINITIONS).map(d => d.column), 'unscored_signals'];
+
+function pick(row) {
+  return Object.fromEntries(SCORE_FIELDS.map(f => [f, row[f] ?? null]));
+}
+
+// GET /api/rescore?config=v2,v2-equal&range=30d&source=replay
+// Side-by-side scores for one or more configurations next to the scores
+// stored in snapshots. source=replay (default) recomputes on the fly and
+// writes nothing; source=stored reads results saved by `npm run rescore`.
+export default async function handler(req, res) {
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  try {
+    const db = getDb();
+
+    const range = req.query.range || '30d';
+    const source = req.query.source || 'replay';
+    const resolution = req.query.resolution || 'auto';
+    const vault = String(req.query.vault || HLP_VAULT).toLowerCase();
+    const versions = String(req.query.config || COLLECTOR_CONFIG_VERSION).split(',').map(v => v.trim()).filter(Boolean);
+
+    const validRanges = ['24h', '7d', '30d', '90d', '1y', 'all'];
+    if (!validRanges.includes(range)) {
+      return res.status(400).json({ error: `Invalid range. Use: ${validRanges.join(', ')}` });
+    }
+
+    const validSources = ['replay', 'stored'];
+    if (!validSources.includes(source)) {
+      return res.status(400).json({ error: `Invalid source. Use: ${validSources.join(', ')}` });
+    }
+
+    if (!isValidResolution(resolution)) {
+      return res.status(400).json({ error: 'Invalid resolution. Use: auto, raw, 1h, 4h, 1d, 1w' });
+    }
+
+    const configs = versions.map(getScoringConfig);
+    if (versions.length === 0 || versions.length > MAX_CONFIGS || configs.some(c => !c)) {
+      return res.status(400).json({ error: `Invalid config. Use up to ${MAX_CONFIGS} of: ${Object.keys(SCORING_CONFIGS).join(', ')}` });
+    }
+
+    const { from, to } = resolveWindow({ range, from: req.query.from, to: req.query.to });
+    if ((from && Number.isNaN(from.getTime())) || Number.isNaN(to.getTime()) || (from && from >= to)) {
+      return res.status(400).json({ error: 'Invalid from/to. Use ISO-8601 timestamps with from earlier than to' });
+    }
+
+    if (!isVaultAddress(vault)) {
+      return res.status(400).json({ error: 'Invalid vault. Use a 0x-prefixed 40-hex-character address.' });
+    }
+    if (!(await getVault(db, vault))) {
+      return res.status(404).json({ error: `Vault ${vault} is not registered` });
+    }
+
+    // Replays need all history before the window for ATH and trailing metrics
+    const rows = await getSnapshots(db, { vault, to, resolution: 'raw' });
+    const fromTime = from ? from.getTime() : -Infinity;
+    const stored = rows.filter(r => new Date(r.collected_at).getTime() >= fromTime).map(pick);
+
+    const first = from || (stored[0] ? new Date(stored[0].collected_at) : to);
+    const effectiveResolution = resolveResolution(resolution, to - first);
+
+    const results = {};
+    for (const config of configs) {
+      const scores = source === 'stored'
+        ? (await getSignalScores(db, config.version, {
+            vault,
+            from: (from || new Date(0)).toISOString(),
+            to: to.toISOString()
+          })).map(pick)
+        : toSignalScoreRows(replayScores(rows, { definitions: config.definitions, fromTime }), config.definitions).map(pick);
+
+      results[config.version] = {
+        description: config.description,
+        weights: configWeights(config.definitions),
+        summary: summarizeScores(scores, stored),
+        scores: lastPerBucket(scores, effectiveResolution)
+      };
+    }
+
+    return res.status(200).json({
+      stored: {
+        summary: summarizeScores(stored),
+        scores: lastPerBucket(stored, effectiveResolution)
+      },
+      configs: results,
+      meta: {
+        vault,
+        source,
+        range: req.query.from || req.query.to ? null : range,
+        from: from ? from.toISOString() : null,
+        to: to.toISOString(),
+        resolution: effectiveResolution,
+        collector_version: COLLECTOR_CONFIG_VERSION,
+        saved_versions: (await getSignalScoreVersions(db, vault)).map(v => ({
+          config_version: v.config_version,
+          count: Number(v.count),
+          oldest: v.oldest,
+          newest: v.newest,
+          computed_at: v.computed_at
+        }))
+      }
+    });
+  } catch (err) {
+    console.error('Rescore error:', err);
+    return res.status(500).json({ error: err.message });
+  }
+}
@@ -0,0 +1,79 @@
+import { getDb, getSnapshots, getVault } from '../lib/db.js';
+import { HLP_VAULT, isVaultAddress } from '../lib/hyperliquid.js';
+import { CADENCES, DEFAULT_POLICY, parseRules, simulate } from '../lib/simulator.js';
+
+const MAX_BUDGET = 1e9;
+
+// GET /api/simulate?budget=10000&amount=500&cadence=weekly&rules=70:2,85:3
+//     &pause=true&lockup_days=4&exit_below=20&exit_fraction=0.5&range=1y
+// Replays a deposit policy over stored snapshots against lump-sum and plain DCA.
+export default async function handler(req, res) {
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  try {
+    const db = getDb();
+
+    const range = req.query.range || 'all';
+    const vault = String(req.query.vault || HLP_VAULT).toLowerCase();
+
+    const validRanges = ['30d', '90d', '1y', 'all'];
+    if (!validRanges.includes(range)) {
+      return res.status(400).json({ error: `Invalid range. Use: ${validRanges.join(', ')}` });
+    }
+
+    const budget = req.query.budget != null ? Number(req.query.budget) : DEFAULT_POLICY.budget;
+    const amount = req.query.amount != null ? Number(req.query.amount) : DEFAULT_POLICY.amount;
+    if (!(budget > 0 && budget <= MAX_BUDGET) || !(amount > 0 && amount <= budget)) {
+      return res.status(400).json({ error: 'Invalid budget/amount. Use positive USD amounts with amount no larger than budget' });
+    }
+
+    const cadence = req.query.cadence || DEFAULT_POLICY.cadence;
+    if (!CADENCES[cadence]) {
+      return res.status(400).json({ error: `Invalid cadence. Use: ${Object.keys(CADENCES).join(', ')}` });
+    }
+
+    const rules = parseRules(req.query.rules);
+    if (!rules) {
+      return res.status(400).json({ error: 'Invalid rules. Use comma-separated score:multiplier pairs, e.g. 70:2,85:3 (scores 0-100, multipliers 0-10)' });
+    }
+
+    const pause = req.query.pause ?? 'true';
+    if (!['true', 'false'].includes(pause)) {
+      return res.status(400).json({ error: 'Invalid pause. Use true or false' });
+    }
+
+    const lockupDays = req.query.lockup_days != null ? Number(req.query.lockup_days) : DEFAULT_POLICY.lockupDays;
+    if (!Number.isFinite(lockupDays) || lockupDays < 0 || lockupDays > 365) {
+      return res.status(400).json({ error: 'Invalid lockup_days. Use a number of days between 0 and 365' });
+    }
+
+    let exit = null;
+    if (req.query.exit_below != null) {
+      exit = { below: Number(req.query.exit_below), fraction: req.query.exit_fraction != null ? Number(req.query.exit_fraction) : 1 };
+      if (!(exit.below > 0 && exit.below <= 100) || !(exit.fraction > 0 && exit.fraction <= 1)) {
+        return res.status(400).json({ error: 'Invalid exit_below/exit_fraction. Use a score between 0 and 100 and a fraction between 0 and 1' });
+      }
+    }
+
+    if (!isVaultAddress(vault)) {
+      return res.status(400).json({ error: 'Invalid vault. Use a 0x-prefixed 40-hex-character address.' });
+    }
+    if (!(await getVault(db, vault))) {
+      return res.status(404).json({ error: `Vault ${vault} is not registered` });
+    }
+
+    const policy = { budget, amount, cadence, rules, pauseWhenClosed: pause === 'true', lockupDays, exit };
+    const snapshots = await getSnapshots(db, { vault, range, resolution: 'raw' });
+    const result = simulate(snapshots, policy);
+
+    return res.status(200).json({
+      ...(result || { strategy: null, lump_sum: null, dca: null, edge: null }),
+      meta: { vault, range, policy, count: snapshots.length }
+    });
+  } catch (err) {
+    console.error('Simulate error:', err);
+    return res.status(500).json({ error: err.message });
+  }
+}
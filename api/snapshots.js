@@ -1,32 +1,59 @@
-import { getDb, getSnapshots } from '../lib/db.js';
+import { getDb, getSnapshots, getVault, resolveWindow } from '../lib/db.js';
+import { HLP_VAULT, isVaultAddress } from '../lib/hyperliquid.js';
+import { findGaps, isValidResolution, resampleSnapshots, resolveResolution } from '../lib/timeseries.js';
 
+// GET /api/snapshots?range=…&resolution=…&from=…&to=…&vault=…
+// The dashboard's history. Same-origin only (vercel.json); external
+// consumers use the keyed, paginated /api/v1/snapshots.
 export default async function handler(req, res) {
   if (req.method === 'OPTIONS') {
     return res.status(200).end();
   }
 
   try {
-    const sql = getDb();
+    const db = getDb();
 
     const range = req.query.range || 'all';
     const resolution = req.query.resolution || 'auto';
+    const vault = String(req.query.vault || HLP_VAULT).toLowerCase();
 
     const validRanges = ['24h', '7d', '30d', '90d', '1y', 'all'];
     if (!validRanges.includes(range)) {
       return res.status(400).json({ error: `Invalid range. Use: ${validRanges.join(', ')}` });
     }
 
-    const snapshots = await getSnapshots(sql, range, resolution);
+    if (!isValidResolution(resolution)) {
+      return res.status(400).json({ error: 'Invalid resolution. Use: auto, raw, 1h, 4h, 1d, 1w' });
+    }
+
+    // from/to (ISO-8601) override range; either may be given alone
+    const { from, to } = resolveWindow({ range, from: req.query.from, to: req.query.to });
+    if ((from && Number.isNaN(from.getTime())) || Number.isNaN(to.getTime()) || (from && from >= to)) {
+      return res.status(400).json({ error: 'Invalid from/to. Use ISO-8601 timestamps with from earlier than to' });
+    }
+
+    if (!isVaultAddress(vault)) {
+      return res.status(400).json({ error: 'Invalid vault. Use a 0x-prefixed 40-hex-character address.' });
+    }
+    if (!(await getVault(db, vault))) {
+      return res.status(404).json({ error: `Vault ${vault} is not registered` });
+    }
 
-    const effectiveResolution = resolution === 'auto'
-      ? ((range === '24h' || range === '7d') ? 'hourly' : 'daily')
-      : resolution;
+    // Raw rows once: resampled for the response, scanned as-is for gaps
+    const rows = await getSnapshots(db, { vault, from, to, resolution: 'raw' });
+    const first = from || (rows[0] ? new Date(rows[0].collected_at) : to);
+    const effectiveResolution = resolveResolution(resolution, to - first);
+    const snapshots = resampleSnapshots(rows, effectiveResolution);
 
     return res.status(200).json({
       snapshots,
+      gaps: findGaps(rows, { from, to }),
       meta: {
+        vault,
         count: snapshots.length,
-        range,
+        range: req.query.from || req.query.to ? null : range,
+        from: from ? from.toISOString() : null,
+        to: to.toISOString(),
         resolution: effectiveResolution,
         oldest: snapshots[0]?.collected_at || null,
         newest: snapshots[snapshots.length - 1]?.collected_at || null
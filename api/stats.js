@@ -0,0 +1,82 @@
+import { getDb, getSnapshots, getVault, resolveWindow } from '../lib/db.js';
+import { HLP_VAULT, isVaultAddress } from '../lib/hyperliquid.js';
+import { STAT_INTERVALS, STAT_WINDOWS, computeStats, navSeries, rollingStats } from '../lib/stats.js';
+
+// GET /api/stats?range=1y&window=30d&interval=1d&confidence=0.95&rf=0.04
+// Performance statistics over the range plus a rolling series over `window`,
+// one point per day even at interval=1h.
+// Ratios are annualized; drawdowns, VaR and CVaR are fractions of NAV.
+export default async function handler(req, res) {
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  try {
+    const db = getDb();
+
+    const range = req.query.range || 'all';
+    const window = req.query.window || '30d';
+    const interval = req.query.interval || '1d';
+    const vault = String(req.query.vault || HLP_VAULT).toLowerCase();
+
+    const validRanges = ['7d', '30d', '90d', '1y', 'all'];
+    if (!validRanges.includes(range)) {
+      return res.status(400).json({ error: `Invalid range. Use: ${validRanges.join(', ')}` });
+    }
+
+    if (!(window in STAT_WINDOWS)) {
+      return res.status(400).json({ error: `Invalid window. Use: ${Object.keys(STAT_WINDOWS).join(', ')}` });
+    }
+
+    if (!STAT_INTERVALS.includes(interval)) {
+      return res.status(400).json({ error: `Invalid interval. Use: ${STAT_INTERVALS.join(', ')}` });
+    }
+
+    const confidence = req.query.confidence ? Number(req.query.confidence) : 0.95;
+    if (!(confidence >= 0.5 && confidence < 1)) {
+      return res.status(400).json({ error: 'Invalid confidence. Use a number between 0.5 and 1, e.g. 0.95' });
+    }
+
+    // Annual risk-free rate as a fraction, e.g. 0.04
+    const riskFree = req.query.rf ? Number(req.query.rf) : 0;
+    if (!Number.isFinite(riskFree) || Math.abs(riskFree) > 1) {
+      return res.status(400).json({ error: 'Invalid rf. Use an annual rate as a fraction, e.g. 0.04' });
+    }
+
+    const { from, to } = resolveWindow({ range, from: req.query.from, to: req.query.to });
+    if ((from && Number.isNaN(from.getTime())) || Number.isNaN(to.getTime()) || (from && from >= to)) {
+      return res.status(400).json({ error: 'Invalid from/to. Use ISO-8601 timestamps with from earlier than to' });
+    }
+
+    if (!isVaultAddress(vault)) {
+      return res.status(400).json({ error: 'Invalid vault. Use a 0x-prefixed 40-hex-character address.' });
+    }
+    if (!(await getVault(db, vault))) {
+      return res.status(404).json({ error: `Vault ${vault} is not registered` });
+    }
+
+    const rows = await getSnapshots(db, { vault, from, to, resolution: 'raw' });
+    const series = navSeries(rows, interval);
+
+    return res.status(200).json({
+      stats: computeStats(series, { interval, confidence, riskFree }),
+      rolling: rollingStats(series, STAT_WINDOWS[window], { interval, riskFree }),
+      meta: {
+        vault,
+        range: req.query.from || req.query.to ? null : range,
+        from: from ? from.toISOString() : null,
+        to: to.toISOString(),
+        window,
+        interval,
+        confidence,
+        risk_free: riskFree,
+        count: series.length,
+        oldest: series[0] ? new Date(series[0].time).toISOString() : null,
+        newest: series.length > 0 ? new Date(series[series.length - 1].time).toISOString() : null
+      }
+    });
+  } catch (err) {
+    console.error('Stats error:', err);
+    return res.status(500).json({ error: err.message });
+  }
+}
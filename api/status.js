@@ -0,0 +1,58 @@
+import { getCollectionRuns, getDb, getLatestMarketSnapshots, getLatestSnapshot, getVaults } from '../lib/db.js';
+import { summarizeRuns } from '../lib/collector.js';
+
+// Data is stale once it has missed more than one hourly run
+const STALE_MINUTES = 90;
+// Enough history for the 24h summary and the consecutive-failure count
+const SUMMARY_RUNS = 200;
+
+// GET /api/status?limit=24
+// Operational view for the dashboard: how fresh each vault's snapshots and
+// the market cross-section are, a summary of recent collection runs and the
+// newest `limit` runs with their latencies, errors and fallbacks.
+export default async function handler(req, res) {
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  try {
+    const db = getDb();
+
+    const limit = req.query.limit === undefined ? 24 : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > SUMMARY_RUNS) {
+      return res.status(400).json({ error: `Invalid limit. Use an integer from 1 to ${SUMMARY_RUNS}` });
+    }
+
+    const now = new Date();
+    const freshness = at => {
+      if (!at) return { last_collected_at: null, age_minutes: null, stale: true };
+      const ageMinutes = Math.round((now - new Date(at)) / 60000);
+      return { last_collected_at: new Date(at).toISOString(), age_minutes: ageMinutes, stale: ageMinutes > STALE_MINUTES };
+    };
+
+    const [vaults, market, runs] = await Promise.all([
+      getVaults(db),
+      getLatestMarketSnapshots(db),
+      getCollectionRuns(db, { limit: SUMMARY_RUNS })
+    ]);
+    const latest = await Promise.all(vaults.map(v => getLatestSnapshot(db, v.address)));
+
+    return res.status(200).json({
+      freshness: {
+        vaults: vaults.map((v, i) => ({ vault: v.address, name: v.name, ...freshness(latest[i]?.collected_at) })),
+        market: freshness(market[0]?.collected_at)
+      },
+      summary: summarizeRuns(runs, now),
+      runs: runs.slice(0, limit),
+      meta: {
+        limit,
+        count: Math.min(limit, runs.length),
+        stale_after_minutes: STALE_MINUTES,
+        generated_at: now.toISOString()
+      }
+    });
+  } catch (err) {
+    console.error('Status error:', err);
+    return res.status(500).json({ error: err.message });
+  }
+}
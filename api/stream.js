@@ -0,0 +1,70 @@
+import { getDb, getVault } from '../lib/db.js';
+import { HLP_VAULT, isVaultAddress } from '../lib/hyperliquid.js';
+import { subscribeStream } from '../lib/stream.js';
+
+// Comment lines keep proxies from closing an idle stream
+const HEARTBEAT_MS = 15000;
+
+// GET /api/stream?vault=0x…
+// Server-sent events with the vault's intraday view (lib/stream.js):
+//   snapshot  on connect: current values, the intraday series and recent events
+//   update    current values and the latest minute's point, at most every 2s
+//   event     a liquidation on one of the vault's accounts
+//   status    the upstream WebSocket connecting, reconnecting or failing
+// Needs a long-lived process (npm start): serverless functions are cut off
+// at their time limit, and the dashboard then stays on hourly data.
+export default async function handler(req, res) {
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  // Registered before the await below: a client gone by the time the
+  // subscription resolves must still release it
+  let subscription;
+  let heartbeat;
+  let closed = false;
+  function release() {
+    clearInterval(heartbeat);
+    subscription?.unsubscribe().catch(err => console.error('Stream close error:', err));
+  }
+  res.on('close', () => {
+    closed = true;
+    release();
+  });
+
+  try {
+    const db = getDb();
+
+    const vault = String(req.query.vault || HLP_VAULT).toLowerCase();
+    if (!isVaultAddress(vault)) {
+      return res.status(400).json({ error: 'Invalid vault. Use a 0x-prefixed 40-hex-character address.' });
+    }
+    if (!(await getVault(db, vault))) {
+      return res.status(404).json({ error: `Vault ${vault} is not registered` });
+    }
+
+    subscription = await subscribeStream(db, vault, (name, payload) => send(name, payload));
+  } catch (err) {
+    console.error('Stream error:', err);
+    return res.status(500).json({ error: err.message });
+  }
+  if (closed || res.destroyed || req.socket?.destroyed) {
+    return release();
+  }
+
+  function send(name, payload) {
+    if (!res.writableEnded && !res.destroyed) res.write(`event: ${name}\ndata: ${JSON.stringify(payload)}\n\n`);
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  send('snapshot', subscription.snapshot());
+
+  heartbeat = setInterval(() => {
+    if (!res.writableEnded && !res.destroyed) res.write(': heartbeat\n\n');
+  }, HEARTBEAT_MS);
+}
@@ -0,0 +1,28 @@
+import { getEvents } from '../../lib/db.js';
+import { EVENT_TYPES, SEVERITIES } from '../../lib/events.js';
+import {
+  ApiError, EVENT_FIELDS, afterCursor, pageOf, parsePage, parseWindow, requireVault, v1Handler
+} from '../../lib/api-v1.js';
+
+// GET /api/v1/events?vault=0x…&type=oi_collapse,nav_drop&severity=medium&limit=100&cursor=…
+// Market-wide stress events plus the vault's NAV drops, oldest first.
+// `severity` is a minimum. Events are few, so filtering happens in memory.
+export default v1Handler('V1 events', async ({ db, query }) => {
+  const vault = await requireVault(db, query);
+  const { from, to } = parseWindow(query);
+  const { limit, after } = parsePage(query);
+
+  const types = query.type ? String(query.type).split(',') : Object.keys(EVENT_TYPES);
+  if (types.some(t => !(t in EVENT_TYPES))) {
+    throw new ApiError(400, `Invalid type. Use comma-separated: ${Object.keys(EVENT_TYPES).join(', ')}`);
+  }
+  const severity = query.severity || 'low';
+  if (!SEVERITIES.includes(severity)) {
+    throw new ApiError(400, `Invalid severity. Use: ${SEVERITIES.join(', ')}`);
+  }
+
+  const minSeverity = SEVERITIES.indexOf(severity);
+  const events = (await getEvents(db, { vault, from, to }))
+    .filter(e => types.includes(e.type) && SEVERITIES.indexOf(e.severity) >= minSeverity);
+  return pageOf(afterCursor(events, after, 'occurred_at').slice(0, limit + 1), limit, 'occurred_at', EVENT_FIELDS);
+});
@@ -0,0 +1,12 @@
+import { getLatestSnapshot } from '../../lib/db.js';
+import { ApiError, SNAPSHOT_FIELDS, requireVault, serialize, v1Handler } from '../../lib/api-v1.js';
+
+// GET /api/v1/latest?vault=0x…
+// The newest stored snapshot. Unlike /api/latest it never calls Hyperliquid,
+// so it is as fresh as the last hourly collection.
+export default v1Handler('V1 latest', async ({ db, query }) => {
+  const vault = await requireVault(db, query);
+  const snapshot = await getLatestSnapshot(db, vault);
+  if (!snapshot) throw new ApiError(404, `No snapshots collected for vault ${vault} yet`);
+  return { data: serialize(SNAPSHOT_FIELDS, snapshot) };
+});
@@ -0,0 +1,6 @@
+import { v1Handler } from '../../lib/api-v1.js';
+import { buildOpenApi } from '../../lib/openapi.js';
+
+// GET /api/v1/openapi
+// The OpenAPI document for /api/v1; no key needed.
+export default v1Handler('V1 openapi', async () => buildOpenApi(), { auth: false });
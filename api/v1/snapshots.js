@@ -0,0 +1,13 @@
+import { getSnapshotPage } from '../../lib/db.js';
+import { SNAPSHOT_FIELDS, pageOf, parsePage, parseWindow, requireVault, v1Handler } from '../../lib/api-v1.js';
+
+// GET /api/v1/snapshots?vault=0x…&from=…&to=…&limit=100&cursor=…
+// Stored hourly snapshots, oldest first, one page at a time.
+export default v1Handler('V1 snapshots', async ({ db, query }) => {
+  const vault = await requireVault(db, query);
+  const { from, to } = parseWindow(query);
+  const { limit, after } = parsePage(query);
+
+  const rows = await getSnapshotPage(db, { vault, from, to, after, limit: limit + 1 });
+  return pageOf(rows, limit, 'collected_at', SNAPSHOT_FIELDS);
+});
@@ -0,0 +1,28 @@
+import { getApiKeyUsage } from '../../lib/db.js';
+import { dailyUsage } from '../../lib/api-keys.js';
+import { API_KEY_FIELDS, ApiError, serialize, v1Handler } from '../../lib/api-v1.js';
+
+const MAX_DAYS = 90;
+
+// GET /api/v1/usage?days=30
+// The calling key: its limits, lifetime request count, the current
+// rate-limit window and requests per UTC day.
+export default v1Handler('V1 usage', async ({ db, query, key }) => {
+  const days = query.days === undefined ? 30 : Number(query.days);
+  if (!Number.isInteger(days) || days < 1 || days > MAX_DAYS) {
+    throw new ApiError(400, `Invalid days. Use an integer from 1 to ${MAX_DAYS}`);
+  }
+
+  const from = new Date();
+  from.setUTCHours(0, 0, 0, 0);
+  from.setUTCDate(from.getUTCDate() - (days - 1));
+  const rows = await getApiKeyUsage(db, key.id, { from });
+
+  return {
+    data: {
+      key: serialize(API_KEY_FIELDS, key),
+      rate_limit: key.rate,
+      daily: dailyUsage(rows)
+    }
+  };
+});
@@ -0,0 +1,9 @@
+import { getVaults } from '../../lib/db.js';
+import { VAULT_FIELDS, serialize, v1Handler } from '../../lib/api-v1.js';
+
+// GET /api/v1/vaults
+// Vaults with collected data; a short list, so not paginated.
+export default v1Handler('V1 vaults', async ({ db }) => {
+  const vaults = await getVaults(db);
+  return { data: vaults.map(v => serialize(VAULT_FIELDS, v)) };
+});
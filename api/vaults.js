@@ -0,0 +1,20 @@
+import { getDb, getVaults } from '../lib/db.js';
+
+export default async function handler(req, res) {
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  try {
+    const db = getDb();
+    const vaults = await getVaults(db);
+
+    return res.status(200).json({
+      vaults: vaults.map(v => ({ address: v.address, name: v.name, created_at: v.created_at })),
+      meta: { count: vaults.length }
+    });
+  } catch (err) {
+    console.error('Vaults error:', err);
+    return res.status(500).json({ error: err.message });
+  }
+}
@@ -0,0 +1,60 @@
+import { appendFile, mkdir } from 'node:fs/promises';
+import { dirname } from 'node:path';
+
+// Each sink takes (target, alert, options) and throws on delivery failure.
+// Add a sink by registering it here and referencing its name in alert_rules.sink.
+
+const DEFAULT_TIMEOUT_MS = 10000;
+
+// POST with a time limit, so a stalled endpoint fails the delivery instead
+// of holding up the collect run
+async function post(name, url, init, { timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+  let resp;
+  try {
+    resp = await fetch(url, { ...init, method: 'POST', signal: AbortSignal.timeout(timeoutMs) });
+  } catch (err) {
+    if (err.name === 'TimeoutError') throw new Error(`${name} timed out after ${timeoutMs}ms`);
+    throw err;
+  }
+  if (!resp.ok) throw new Error(`${name} responded ${resp.status}`);
+}
+
+function postJson(url, payload, options) {
+  return post('Webhook', url, {
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(payload)
+  }, options);
+}
+
+export const SINKS = {
+  // Generic JSON webhook — receives the full alert object
+  webhook: (url, alert, options) => postJson(url, alert, options),
+
+  // Slack incoming webhook
+  slack: (url, alert, options) => postJson(url, { text: alert.message }, options),
+
+  // Discord webhook
+  discord: (url, alert, options) => postJson(url, { content: alert.message }, options),
+
+  // ntfy-style push: plain-text body, metadata in headers
+  ntfy: (url, alert, options) => post('ntfy', url, {
+    headers: {
+      Title: `HLP alert: ${alert.rule.name || alert.rule.expression}`,
+      Tags: 'chart_with_downwards_trend'
+    },
+    body: alert.message
+  }, options),
+
+  // Append one JSON line per alert to a local file (for testing)
+  file: async (path, alert) => {
+    await mkdir(dirname(path), { recursive: true });
+    await appendFile(path, JSON.stringify(alert) + '\n');
+  }
+};
+
+export async function deliverAlert(sink, target, alert, options = {}) {
+  const send = SINKS[sink];
+  if (!send) throw new Error(`Unknown alert sink: ${sink}`);
+  if (!target) throw new Error(`Alert sink ${sink} has no target`);
+  await send(target, alert, options);
+}
@@ -0,0 +1,176 @@
+import { getAlertRules, getAlertState, upsertAlertState, insertAlertEvent } from './db.js';
+import { deliverAlert } from './alert-sinks.js';
+
+// Snapshot columns a rule may reference
+export const NUMERIC_FIELDS = [
+  'nav', 'pnl', 'apr', 'vlm', 'nav_ath', 'drawdown_pct', 'max_drawdown',
+  'composite_score', 'dd_score', 'tvl_score', 'momentum_score', 'vol_score', 'apr_score',
+  'funding_rate', 'open_interest', 'volume_24h', 'funding_score', 'oi_score',
+  'oi_top5_share', 'funding_dispersion', 'net_flow'
+];
+export const BOOLEAN_FIELDS = ['allow_deposits'];
+
+const MAX_WINDOW_HOURS = 24 * 30; // collector only loads 30 days of history
+const DEFAULT_COOLDOWN_MINUTES = 360;
+
+// Values accept a trailing % for fraction-valued columns: "-5%" → -0.05
+function parseNumber(text) {
+  const pct = text.endsWith('%');
+  const n = Number(pct ? text.slice(0, -1) : text);
+  if (!Number.isFinite(n)) throw new Error(`Invalid number: ${text}`);
+  return pct ? n / 100 : n;
+}
+
+// Parse a rule expression. Supported forms:
+//   composite_score >= 70
+//   drawdown_pct <= -5%
+//   allow_deposits flipped to false
+//   funding_score dropped by 30 in 24h   (or "rose by")
+export function parseRule(expression) {
+  const expr = String(expression).trim();
+  let m;
+
+  if ((m = expr.match(/^(\w+)\s*(>=|<=|>|<|==|!=)\s*(-?[\d.]+%?)$/))) {
+    const [, field, op, value] = m;
+    if (!NUMERIC_FIELDS.includes(field)) throw new Error(`Unknown numeric field: ${field}`);
+    return { kind: 'threshold', field, op, value: parseNumber(value) };
+  }
+
+  if ((m = expr.match(/^(\w+)\s+flipped\s+to\s+(true|false)$/i))) {
+    const [, field, to] = m;
+    if (!BOOLEAN_FIELDS.includes(field)) throw new Error(`Unknown boolean field: ${field}`);
+    return { kind: 'flip', field, value: to.toLowerCase() === 'true' };
+  }
+
+  if ((m = expr.match(/^(\w+)\s+(dropped|rose)\s+by\s+([\d.]+%?)\s+in\s+(\d+)h$/i))) {
+    const [, field, direction, amount, hours] = m;
+    if (!NUMERIC_FIELDS.includes(field)) throw new Error(`Unknown numeric field: ${field}`);
+    const windowHours = Number(hours);
+    if (windowHours < 1 || windowHours > MAX_WINDOW_HOURS) {
+      throw new Error(`Window must be between 1h and ${MAX_WINDOW_HOURS}h`);
+    }
+    return { kind: 'delta', field, direction: direction.toLowerCase(), value: parseNumber(amount), windowHours };
+  }
+
+  throw new Error(`Unrecognized rule expression: "${expr}"`);
+}
+
+function compare(a, op, b) {
+  switch (op) {
+    case '>=': return a >= b;
+    case '<=': return a <= b;
+    case '>': return a > b;
+    case '<': return a < b;
+    case '==': return a === b;
+    case '!=': return a !== b;
+    default: return false;
+  }
+}
+
+function num(v) {
+  return v == null ? null : parseFloat(v);
+}
+
+// Evaluate a parsed rule against the current snapshot and the rows that
+// preceded it (ascending). Returns { triggered, value, reference }.
+export function evaluateRule(rule, current, history = []) {
+  const value = current[rule.field];
+
+  if (rule.kind === 'threshold') {
+    const v = num(value);
+    return { triggered: v != null && compare(v, rule.op, rule.value), value: v };
+  }
+
+  const nowTs = new Date(current.collected_at).getTime();
+  const earlier = history.filter(s => new Date(s.collected_at).getTime() < nowTs);
+
+  if (rule.kind === 'flip') {
+    const prev = earlier[earlier.length - 1];
+    const prevValue = prev ? prev[rule.field] : null;
+    const triggered = prevValue != null && prevValue !== rule.value && value === rule.value;
+    return { triggered, value, reference: prevValue };
+  }
+
+  if (rule.kind === 'delta') {
+    const since = nowTs - rule.windowHours * 3600 * 1000;
+    const ref = earlier.find(s => new Date(s.collected_at).getTime() >= since && s[rule.field] != null);
+    const v = num(value);
+    if (!ref || v == null) return { triggered: false, value: v };
+    const change = v - num(ref[rule.field]);
+    const triggered = rule.direction === 'dropped' ? change <= -rule.value : change >= rule.value;
+    return { triggered, value: v, reference: num(ref[rule.field]), change };
+  }
+
+  return { triggered: false, value };
+}
+
+// Edge-triggered with cooldown: fire only when the condition newly holds and
+// the rule has not fired for this vault within its cooldown.
+export function shouldFire(state, triggered, now, cooldownMinutes = DEFAULT_COOLDOWN_MINUTES) {
+  if (!triggered) return false;
+  if (state?.active) return false;
+  if (state?.last_fired_at) {
+    const since = now - new Date(state.last_fired_at).getTime();
+    if (since < cooldownMinutes * 60 * 1000) return false;
+  }
+  return true;
+}
+
+export function formatAlertMessage(rule, vaultAddress, result) {
+  const shortVault = `${vaultAddress.slice(0, 6)}…${vaultAddress.slice(-4)}`;
+  let detail = `now ${result.value}`;
+  if (result.reference != null) detail += `, was ${result.reference}`;
+  return `[${rule.name || `rule #${rule.id}`}] ${rule.expression} — vault ${shortVault} (${detail})`;
+}
+
+// Evaluate all enabled rules for one vault after a collection run.
+// Delivery failures are recorded on the event and never thrown.
+export async function runAlerts(db, vaultAddress, snapshot, history, now = Date.now()) {
+  const rules = await getAlertRules(db, vaultAddress);
+  const fired = [];
+
+  for (const rule of rules) {
+    let parsed;
+    try {
+      parsed = parseRule(rule.expression);
+    } catch (err) {
+      console.warn(`Skipping alert rule ${rule.id}: ${err.message}`);
+      continue;
+    }
+
+    const result = evaluateRule(parsed, snapshot, history);
+    const state = await getAlertState(db, rule.id, vaultAddress);
+    const fire = shouldFire(state, result.triggered, now, rule.cooldown_minutes ?? DEFAULT_COOLDOWN_MINUTES);
+
+    if (fire) {
+      const alert = {
+        rule: { id: rule.id, name: rule.name, expression: rule.expression },
+        vault: vaultAddress,
+        message: formatAlertMessage(rule, vaultAddress, result),
+        value: result.value,
+        reference: result.reference ?? null,
+        collected_at: snapshot.collected_at,
+        fired_at: new Date(now).toISOString()
+      };
+
+      let error = null;
+      try {
+        await deliverAlert(rule.sink, rule.target, alert);
+      } catch (err) {
+        error = err.message;
+        console.warn(`Alert delivery failed for rule ${rule.id}:`, err.message);
+      }
+      await insertAlertEvent(db, { rule_id: rule.id, vault_address: vaultAddress, message: alert.message, delivered: !error, error });
+      fired.push({ rule: rule.id, delivered: !error, error });
+    }
+
+    await upsertAlertState(db, {
+      rule_id: rule.id,
+      vault_address: vaultAddress,
+      active: result.triggered,
+      last_fired_at: fire ? new Date(now).toISOString() : state?.last_fired_at ?? null
+    });
+  }
+
+  return fired;
+}
@@ -0,0 +1,53 @@
+import { createHash, randomBytes } from 'node:crypto';
+import { insertApiKey } from './db.js';
+
+// Keys for the public /api/v1 API. A key is shown once when issued
+// (`npm run api-keys -- create`); the database keeps its SHA-256 hash and
+// the first characters as a label. Each key has a per-minute rate limit.
+
+const KEY_PREFIX = 'hlp_';
+const LABEL_LENGTH = KEY_PREFIX.length + 6;
+export const DEFAULT_RATE_LIMIT = 60;
+export const RATE_WINDOW_MS = 60000;
+
+export function generateApiKey() {
+  return KEY_PREFIX + randomBytes(24).toString('base64url');
+}
+
+export function hashApiKey(key) {
+  return createHash('sha256').update(key).digest('hex');
+}
+
+// Resolves to { key, record }; `key` is not stored anywhere
+export async function issueApiKey(db, { name, rate_limit = DEFAULT_RATE_LIMIT }) {
+  const key = generateApiKey();
+  const record = await insertApiKey(db, {
+    name,
+    key_prefix: key.slice(0, LABEL_LENGTH),
+    key_hash: hashApiKey(key),
+    rate_limit
+  });
+  return { key, record };
+}
+
+// `Authorization: Bearer <key>` or `X-API-Key: <key>` (lower-cased headers)
+export function readApiKey(headers = {}) {
+  const auth = String(headers['authorization'] || '');
+  if (auth.startsWith('Bearer ')) return auth.slice('Bearer '.length).trim() || null;
+  return headers['x-api-key'] ? String(headers['x-api-key']).trim() || null : null;
+}
+
+// Start of the rate-limit window containing `now`
+export function rateWindow(now = new Date()) {
+  return new Date(Math.floor(now.getTime() / RATE_WINDOW_MS) * RATE_WINDOW_MS);
+}
+
+// Per-minute usage rows summed per UTC day, oldest first
+export function dailyUsage(rows) {
+  const days = new Map();
+  for (const r of rows) {
+    const day = new Date(r.window_start).toISOString().slice(0, 10);
+    days.set(day, (days.get(day) || 0) + Number(r.requests));
+  }
+  return [...days].map(([date, requests]) => ({ date, requests }));
+}
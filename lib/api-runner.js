@@ -0,0 +1,104 @@
+import { EventEmitter } from 'node:events';
+import { existsSync } from 'node:fs';
+
+// Runs the api/ handlers in-process, without Vercel or a socket: requests
+// carry method, query, headers and a parsed body like Vercel's, and the
+// response records status, headers and body instead of sending them.
+
+const API_DIR = new URL('../api/', import.meta.url);
+// /api/<name> → api/<name>.js, /api/v1/<name> → api/v1/<name>.js
+export const API_ROUTE = /^\/api\/((?:v\d+\/)?[a-z][a-z0-9-]*)\/?$/;
+
+class RecordedResponse extends EventEmitter {
+  constructor() {
+    super();
+    this.statusCode = 200;
+    this.headers = {};
+    this.chunks = [];
+    this.writableEnded = false;
+    this.error = null;
+  }
+
+  status(code) {
+    this.statusCode = code;
+    return this;
+  }
+
+  setHeader(name, value) {
+    this.headers[name.toLowerCase()] = value;
+    return this;
+  }
+
+  getHeader(name) {
+    return this.headers[name.toLowerCase()];
+  }
+
+  json(payload) {
+    if (!this.getHeader('content-type')) this.setHeader('Content-Type', 'application/json');
+    return this.end(JSON.stringify(payload));
+  }
+
+  write(chunk) {
+    if (chunk != null) this.chunks.push(Buffer.from(chunk));
+    return true;
+  }
+
+  end(chunk) {
+    this.write(chunk);
+    this.writableEnded = true;
+    this.emit('finish');
+    return this;
+  }
+
+  destroy(err) {
+    this.error = err || null;
+    this.writableEnded = true;
+    this.emit('close');
+    return this;
+  }
+
+  // JSON bodies are parsed; anything else is returned as text
+  result() {
+    const text = Buffer.concat(this.chunks).toString('utf8');
+    const isJson = String(this.getHeader('content-type') || '').includes('json');
+    return { status: this.statusCode, headers: this.headers, body: isJson && text ? JSON.parse(text) : text };
+  }
+}
+
+// Default export of api/<name>.js, or null when there is no such file
+export async function loadHandler(name) {
+  const file = new URL(`${name}.js`, API_DIR);
+  if (!existsSync(file)) return null;
+  return (await import(file.href)).default;
+}
+
+export async function invokeHandler(handler, { method = 'GET', url = '/', query = {}, headers = {}, body } = {}) {
+  const req = {
+    method,
+    url,
+    query,
+    headers: Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), v])),
+    body
+  };
+  const res = new RecordedResponse();
+  await handler(req, res);
+  if (res.error) throw res.error;
+  return res.result();
+}
+
+// callApi('/api/snapshots?range=7d') → { status, headers, body }
+export async function callApi(path, { method = 'GET', headers = {}, body } = {}) {
+  const url = new URL(path, 'http://localhost');
+  const match = url.pathname.match(API_ROUTE);
+  if (!match) throw new Error(`Not an API route: ${url.pathname}`);
+
+  const handler = await loadHandler(match[1]);
+  if (!handler) throw new Error(`No handler for ${url.pathname}`);
+  return invokeHandler(handler, {
+    method,
+    url: url.pathname + url.search,
+    query: Object.fromEntries(url.searchParams),
+    headers,
+    body
+  });
+}
@@ -0,0 +1,243 @@
+import { getApiKeyByHash, getDb, getVault, recordApiKeyUsage, resolveWindow } from './db.js';
+import { RATE_WINDOW_MS, hashApiKey, rateWindow, readApiKey } from './api-keys.js';
+import { HLP_VAULT, isVaultAddress } from './hyperliquid.js';
+import { EVENT_TYPES, SEVERITIES } from './events.js';
+import { REGIME_KEYS } from './regimes.js';
+
+// Shared by the versioned public API in api/v1/: API-key auth and rate
+// limits, one error shape, cursor pagination, and serializers that follow
+// the field tables below (lib/openapi.js documents the same tables).
+//   errors   { error: { status, code, message } }
+//   lists    { data: [...], pagination: { limit, has_more, next_cursor } }
+//   single   { data: {...} }
+
+// ── Errors ──────────────────────────────────────────────────
+export const ERROR_CODES = {
+  400: 'invalid_parameter',
+  401: 'unauthorized',
+  404: 'not_found',
+  405: 'method_not_allowed',
+  429: 'rate_limited',
+  500: 'internal_error'
+};
+
+export class ApiError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+    this.code = ERROR_CODES[status];
+  }
+}
+
+// ── Parameters ──────────────────────────────────────────────
+export async function requireVault(db, query) {
+  const vault = String(query.vault || HLP_VAULT).toLowerCase();
+  if (!isVaultAddress(vault)) {
+    throw new ApiError(400, 'Invalid vault. Use a 0x-prefixed 40-hex-character address.');
+  }
+  if (!(await getVault(db, vault))) {
+    throw new ApiError(404, `Vault ${vault} is not registered`);
+  }
+  return vault;
+}
+
+// [from, to) from ISO-8601 from/to; all history up to now by default
+export function parseWindow(query) {
+  const { from, to } = resolveWindow({ from: query.from, to: query.to });
+  if ((from && Number.isNaN(from.getTime())) || Number.isNaN(to.getTime()) || (from && from >= to)) {
+    throw new ApiError(400, 'Invalid from/to. Use ISO-8601 timestamps with from earlier than to');
+  }
+  return { from, to };
+}
+
+// ── Pagination ──────────────────────────────────────────────
+// Lists are ordered by time then id; a cursor is the last row's
+// { at, id }, base64url-encoded, so pages stay stable as rows are added.
+export const DEFAULT_PAGE_SIZE = 100;
+export const MAX_PAGE_SIZE = 1000;
+
+export function encodeCursor(at, id) {
+  return Buffer.from(JSON.stringify({ at: new Date(at).toISOString(), id: Number(id) })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  let after;
+  try {
+    after = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch {
+    after = null;
+  }
+  if (!after || Number.isNaN(new Date(after.at).getTime()) || !Number.isInteger(after.id)) {
+    throw new ApiError(400, 'Invalid cursor. Pass next_cursor from the previous page unchanged');
+  }
+  return after;
+}
+
+export function parsePage(query) {
+  const limit = query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    throw new ApiError(400, `Invalid limit. Use an integer from 1 to ${MAX_PAGE_SIZE}`);
+  }
+  return { limit, after: query.cursor ? decodeCursor(String(query.cursor)) : null };
+}
+
+// Rows after the cursor, for lists filtered in memory
+export function afterCursor(rows, after, timeKey) {
+  if (!after) return rows;
+  const at = new Date(after.at).getTime();
+  return rows.filter(r => {
+    const t = new Date(r[timeKey]).getTime();
+    return t > at || (t === at && Number(r.id) > after.id);
+  });
+}
+
+// `rows` holds up to limit + 1 rows in cursor order; the extra one only
+// tells whether another page follows
+export function pageOf(rows, limit, timeKey, fields) {
+  const data = rows.slice(0, limit);
+  const hasMore = rows.length > limit;
+  const last = data[data.length - 1];
+  return {
+    data: data.map(row => serialize(fields, row)),
+    pagination: { limit, has_more: hasMore, next_cursor: hasMore ? encodeCursor(last[timeKey], last.id) : null }
+  };
+}
+
+// ── Schemas ─────────────────────────────────────────────────
+// Field tables for the response objects: JSON Schema type, format, enum
+// and whether null is allowed. serialize() emits exactly these fields with
+// these types (Postgres returns NUMERIC columns as strings).
+const nullable = (type, description, extra = {}) => ({ type, nullable: true, description, ...extra });
+const score = description => nullable('integer', `${description} score, 0–100; null when the input was unavailable`);
+
+export const SNAPSHOT_FIELDS = {
+  id: { type: 'integer', description: 'Snapshot id' },
+  vault_address: { type: 'string', description: 'Vault address, lower-case' },
+  collected_at: { type: 'string', format: 'date-time', description: 'When the snapshot was taken (one per vault per hour)' },
+  nav: { type: 'number', description: 'Vault NAV (account value) in USD' },
+  pnl: nullable('number', 'All-time PnL in USD'),
+  apr: nullable('number', 'APR as reported by Hyperliquid, as a fraction'),
+  vlm: nullable('number', 'Vault trading volume in USD'),
+  allow_deposits: nullable('boolean', 'Whether the vault accepts deposits'),
+  nav_ath: { type: 'number', description: 'All-time-high NAV in USD' },
+  drawdown_pct: { type: 'number', description: 'Drawdown from the all-time high, as a fraction (≤ 0)' },
+  max_drawdown: { type: 'number', description: 'Deepest drawdown on record, as a fraction (≤ 0)' },
+  composite_score: score('Weighted composite entry'),
+  dd_score: score('Drawdown'),
+  tvl_score: score('Net flow'),
+  momentum_score: score('Momentum'),
+  vol_score: score('Volatility'),
+  apr_score: score('APR'),
+  funding_score: score('Funding'),
+  oi_score: score('Open interest'),
+  funding_rate: nullable('number', 'OI-weighted hourly funding rate across all perps'),
+  open_interest: nullable('number', 'Exchange-wide open interest, in coin units summed across assets'),
+  volume_24h: nullable('number', 'Exchange-wide 24h notional volume in USD'),
+  oi_top5_share: nullable('number', 'Share of notional OI held by the five largest assets'),
+  funding_dispersion: nullable('number', 'Notional-weighted standard deviation of funding rates'),
+  net_flow: nullable('number', 'Deposits minus withdrawals since the previous snapshot, in USD'),
+  unscored_signals: nullable('array', 'Signals left unscored because an input was unavailable', { items: { type: 'string' } }),
+  regime: nullable('string', 'Market regime label', { enum: REGIME_KEYS })
+};
+
+export const EVENT_FIELDS = {
+  id: { type: 'integer', description: 'Event id' },
+  occurred_at: { type: 'string', format: 'date-time', description: 'Hour the event was observed' },
+  type: { type: 'string', enum: Object.keys(EVENT_TYPES), description: 'Event type' },
+  scope: { type: 'string', description: "'market' for exchange-wide events, else the vault address" },
+  severity: { type: 'string', enum: SEVERITIES, description: 'How many times over its threshold the event went' },
+  magnitude: { type: 'number', description: 'Size of the move that triggered the event' },
+  assets: {
+    type: 'array',
+    description: 'Assets involved, largest first',
+    items: {
+      type: 'object',
+      properties: { coin: { type: 'string' }, value: { type: 'number' } }
+    }
+  }
+};
+
+export const VAULT_FIELDS = {
+  address: { type: 'string', description: 'Vault address, lower-case' },
+  name: nullable('string', 'Display name'),
+  created_at: { type: 'string', format: 'date-time', description: 'When the vault was registered' }
+};
+
+export const API_KEY_FIELDS = {
+  id: { type: 'integer', description: 'Key id' },
+  name: { type: 'string', description: 'Who the key was issued to' },
+  key_prefix: { type: 'string', description: 'First characters of the key' },
+  rate_limit: { type: 'integer', description: 'Requests allowed per minute' },
+  request_count: { type: 'integer', description: 'Requests made with the key, including rate-limited ones' },
+  created_at: { type: 'string', format: 'date-time', description: 'When the key was issued' },
+  last_used_at: nullable('string', 'Last request with the key', { format: 'date-time' }),
+  revoked_at: nullable('string', 'When the key was revoked', { format: 'date-time' })
+};
+
+function convert(field, v) {
+  if (v == null) return null;
+  switch (field.type) {
+    case 'integer':
+    case 'number':
+      return Number(v);
+    case 'boolean':
+      return Boolean(v);
+    case 'array':
+      return Array.isArray(v) ? v : String(v).split(',');
+    default:
+      return field.format === 'date-time' ? new Date(v).toISOString() : v;
+  }
+}
+
+export function serialize(fields, row) {
+  return Object.fromEntries(Object.entries(fields).map(([name, field]) => [name, convert(field, row[name])]));
+}
+
+// ── Handlers ────────────────────────────────────────────────
+// Checks the key and counts the request against its per-minute limit.
+// Resolves to the key's record plus its current `rate` window.
+async function authorize(db, req, res, now = new Date()) {
+  const key = readApiKey(req.headers);
+  if (!key) {
+    throw new ApiError(401, 'Missing API key. Send it as Authorization: Bearer <key> or X-API-Key: <key>');
+  }
+  const record = await getApiKeyByHash(db, hashApiKey(key));
+  if (!record || record.revoked_at) throw new ApiError(401, 'Invalid or revoked API key');
+
+  const window = rateWindow(now);
+  const used = await recordApiKeyUsage(db, record.id, window, now);
+  const reset = new Date(window.getTime() + RATE_WINDOW_MS);
+  const rate = { limit: record.rate_limit, remaining: Math.max(0, record.rate_limit - used), reset: reset.toISOString() };
+  res.setHeader('X-RateLimit-Limit', String(rate.limit));
+  res.setHeader('X-RateLimit-Remaining', String(rate.remaining));
+  res.setHeader('X-RateLimit-Reset', String(Math.ceil(reset.getTime() / 1000)));
+
+  if (used > record.rate_limit) {
+    res.setHeader('Retry-After', String(Math.ceil((reset - now) / 1000)));
+    throw new ApiError(429, `Rate limit of ${record.rate_limit} requests per minute exceeded`);
+  }
+  return { ...record, request_count: Number(record.request_count) + 1, last_used_at: now, rate };
+}
+
+// An api/v1 handler: preflight, GET only, the API key unless
+// { auth: false }, and errors in the shared shape. fn({ db, query, key })
+// resolves to the response body. Responses are per-key, so never cached.
+export function v1Handler(label, fn, { auth = true } = {}) {
+  return async function handler(req, res) {
+    if (req.method === 'OPTIONS') {
+      return res.status(200).end();
+    }
+    res.setHeader('Cache-Control', 'private, no-store');
+
+    try {
+      if (req.method !== 'GET') throw new ApiError(405, 'Use GET');
+      const db = getDb();
+      const key = auth ? await authorize(db, req, res) : null;
+      return res.status(200).json(await fn({ db, query: req.query, key }));
+    } catch (err) {
+      if (!(err instanceof ApiError)) console.error(`${label} error:`, err);
+      const { status, code, message } = err instanceof ApiError ? err : new ApiError(500, err.message);
+      return res.status(status).json({ error: { status, code, message } });
+    }
+  };
+}
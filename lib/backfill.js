@@ -0,0 +1,147 @@
+import { fetchVaultDetails, parseAllTimeframes } from './hyperliquid.js';
+import { getSnapshots, insertSnapshot, updateSnapshotDerived } from './db.js';
+import { bucketStart, findGaps } from './timeseries.js';
+import { toScoreColumns } from './signals.js';
+import { replayScores } from './rescore.js';
+import { labelRegimes } from './regimes.js';
+
+// Targeted repair of the hourly snapshots table: find missing hours and rows
+// without scores, fill the hours from Hyperliquid's vaultDetails history,
+// then recompute everything derived from NAV history from the earliest
+// affected row onward.
+
+const HOUR_MS = 3600 * 1000;
+
+// Finest history first. perpAllTime is a perps-only subset of account value
+// and is never used (see scripts/seed.js).
+export const TIMEFRAME_PRIORITY = ['day', 'week', 'month', 'allTime'];
+
+const timeOf = row => new Date(row.collected_at).getTime();
+
+// Missing hours and NULL-score rows within [from, to). rows ascending.
+export function findDataIssues(rows, { from = null, to = new Date() } = {}) {
+  const start = from != null ? new Date(from).getTime() : -Infinity;
+  const end = new Date(to).getTime();
+  const inWindow = rows.filter(r => timeOf(r) >= start && timeOf(r) < end);
+  return {
+    gaps: findGaps(inWindow, { from, to, maxRanges: Infinity }),
+    nullScores: inWindow.filter(r => r.composite_score == null)
+  };
+}
+
+// One point per missing hour from the finest timeframe that has a sample in
+// that hour (the earliest sample, closest to when the collector runs). PnL
+// is only kept from allTime: the shorter timeframes report PnL relative to
+// their own window start, not the cumulative figure the snapshots store.
+export function pointsForGaps(details, ranges) {
+  const timeframes = parseAllTimeframes(details);
+  const byHour = TIMEFRAME_PRIORITY.filter(tf => timeframes[tf]).map(tf => {
+    const pnl = new Map(timeframes[tf].pnlHistory.map(p => [p.time, p.value]));
+    const hours = new Map();
+    for (const point of timeframes[tf].navHistory) {
+      const hour = bucketStart(point.time, '1h');
+      if (!hours.has(hour)) {
+        hours.set(hour, { time: point.time, nav: point.value, pnl: tf === 'allTime' ? pnl.get(point.time) ?? null : null, source: tf });
+      }
+    }
+    return hours;
+  });
+
+  const points = [];
+  for (const range of ranges) {
+    for (let t = new Date(range.from).getTime(); t < new Date(range.to).getTime(); t += HOUR_MS) {
+      const point = byHour.map(hours => hours.get(t)).find(Boolean);
+      if (point) points.push(point);
+    }
+  }
+  return points;
+}
+
+// Recompute net flow, ATH, drawdown, max drawdown, signal scores and regime
+// for every row at or after fromTime with the collector's signal table (see
+// lib/rescore.js). Returns only rows whose values changed. rows ascending,
+// covering all history.
+export function recomputeRows(rows, fromTime) {
+  const regimes = new Map(labelRegimes(rows, { fromTime }).map(l => [l.row, l.regime]));
+  const updates = [];
+  for (const { row, result, ...derived } of replayScores(rows, { fromTime })) {
+    const next = {
+      ...derived,
+      ...toScoreColumns(result),
+      unscored_signals: result.unavailable.join(',') || null,
+      regime: regimes.get(row) ?? null
+    };
+    if (Object.entries(next).some(([column, value]) => !sameValue(row[column], value))) {
+      updates.push({ id: row.id, collected_at: row.collected_at, ...next });
+    }
+  }
+  return updates;
+}
+
+// NUMERIC columns round-trip as strings with limited precision
+function sameValue(stored, value) {
+  if (stored == null || value == null) return stored == null && value == null;
+  if (typeof value === 'string') return stored === value;
+  const a = parseFloat(stored);
+  return Math.abs(a - value) <= 1e-9 * Math.max(1, Math.abs(a), Math.abs(value));
+}
+
+// Detect and repair one vault's history in [from, to). `details` reuses an
+// already-fetched vaultDetails response; it is only fetched when hours are
+// missing. With dryRun nothing is written and the report counts what would
+// be filled.
+export async function backfillVault(db, vault, { from = null, to = new Date(), details = null, dryRun = false } = {}) {
+  const rows = await getSnapshots(db, { vault, resolution: 'raw' });
+  const { gaps, nullScores } = findDataIssues(rows, { from, to });
+
+  const report = {
+    vault,
+    missing_hours: gaps.missing_hours,
+    gap_ranges: gaps.count,
+    null_scores: nullScores.length,
+    fillable: 0,
+    inserted: 0,
+    recomputed: 0,
+    sources: {}
+  };
+  if (gaps.missing_hours === 0 && nullScores.length === 0) return report;
+
+  let points = [];
+  if (gaps.missing_hours > 0) {
+    points = pointsForGaps(details || await fetchVaultDetails(vault), gaps.ranges);
+    report.fillable = points.length;
+  }
+  if (dryRun) return report;
+
+  // Placeholder ATH/drawdown; recomputeRows sets the real values (and the
+  // net flows on both sides of each filled hour) below
+  const inserted = [];
+  for (const p of points) {
+    const row = await insertSnapshot(db, {
+      vault_address: vault,
+      collected_at: new Date(p.time).toISOString(),
+      nav: p.nav,
+      pnl: p.pnl,
+      nav_ath: p.nav,
+      drawdown_pct: 0,
+      max_drawdown: 0
+    });
+    if (row) {
+      inserted.push(p.time);
+      report.sources[p.source] = (report.sources[p.source] || 0) + 1;
+    }
+  }
+  report.inserted = inserted.length;
+
+  const affected = [...inserted, ...nullScores.map(timeOf)];
+  if (affected.length === 0) return report;
+
+  const all = inserted.length > 0 ? await getSnapshots(db, { vault, resolution: 'raw' }) : rows;
+  const updates = recomputeRows(all, affected.reduce((a, b) => Math.min(a, b)));
+  for (const update of updates) {
+    await updateSnapshotDerived(db, update.id, update);
+  }
+  report.recomputed = updates.length;
+
+  return report;
+}
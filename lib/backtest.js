@@ -0,0 +1,278 @@
+import { SIGNAL_DEFINITIONS, flowAdjustedNav } from './signals.js';
+import { REGIME_KEYS } from './regimes.js';
+import { EVENT_TYPES, SEVERITIES, MAX_GAP_MS } from './events.js';
+
+const HOUR_MS = 3600 * 1000;
+const HOURS_PER_YEAR = 24 * 365;
+
+// Score bands mirror the dashboard verdict levels
+export const SCORE_BUCKETS = [
+  { label: '0-29', min: 0, max: 30 },
+  { label: '30-49', min: 30, max: 50 },
+  { label: '50-69', min: 50, max: 70 },
+  { label: '70-84', min: 70, max: 85 },
+  { label: '85-100', min: 85, max: 101 }
+];
+
+export const DEFAULT_HORIZONS = [24, 72, 168];
+
+// Signal key → snapshots column, composite first
+export const SCORE_COLUMNS = {
+  composite: 'composite_score',
+  ...Object.fromEntries(Object.entries(SIGNAL_DEFINITIONS).map(([k, d]) => [k, d.column]))
+};
+
+// Normalize DB rows (ascending) into { time, nav, scores, regime } sorted
+// ascending by time. nav is the flow-adjusted index, so deposits and
+// withdrawals don't register as forward returns.
+export function toBacktestPoints(rows) {
+  return flowAdjustedNav(rows)
+    .map(r => {
+      const scores = {};
+      for (const [key, column] of Object.entries(SCORE_COLUMNS)) {
+        scores[key] = r[column] != null ? Number(r[column]) : null;
+      }
+      return { time: new Date(r.collected_at).getTime(), nav: parseFloat(r.nav), scores, regime: r.regime ?? null };
+    })
+    .filter(p => p.nav > 0)
+    .sort((a, b) => a.time - b.time);
+}
+
+// Attach forward return and max adverse excursion for each horizon (hours).
+// Points whose horizon runs past the end of the data get no outcome.
+export function computeForwardOutcomes(points, horizons) {
+  for (const p of points) p.forward = {};
+
+  for (const h of horizons) {
+    let exit = 0;
+    for (let i = 0; i < points.length; i++) {
+      const target = points[i].time + h * HOUR_MS;
+      if (exit <= i) exit = i + 1;
+      while (exit < points.length && points[exit].time < target) exit++;
+      if (exit >= points.length) break;
+
+      const entryNav = points[i].nav;
+      let worst = 0;
+      for (let k = i + 1; k <= exit; k++) {
+        const excursion = points[k].nav / entryNav - 1;
+        if (excursion < worst) worst = excursion;
+      }
+      points[i].forward[h] = {
+        ret: points[exit].nav / entryNav - 1,
+        mae: worst,
+        exitTime: points[exit].time
+      };
+    }
+  }
+  return points;
+}
+
+export function summarize(outcomes, horizonHours) {
+  const rets = outcomes.map(o => o.ret);
+  const n = rets.length;
+  if (n === 0) return null;
+
+  const mean = rets.reduce((s, v) => s + v, 0) / n;
+  const std = n > 1 ? Math.sqrt(rets.reduce((s, v) => s + Math.pow(v - mean, 2), 0) / (n - 1)) : 0;
+  const maes = outcomes.map(o => o.mae);
+
+  return {
+    n,
+    hitRate: rets.filter(v => v > 0).length / n,
+    mean,
+    median: median(rets),
+    std,
+    sharpe: std > 0 ? (mean / std) * Math.sqrt(HOURS_PER_YEAR / Math.max(1, horizonHours)) : 0,
+    meanAdverseExcursion: maes.reduce((s, v) => s + v, 0) / n,
+    maxAdverseExcursion: Math.min(...maes)
+  };
+}
+
+function bucketFor(score) {
+  return SCORE_BUCKETS.find(b => score >= b.min && score < b.max) || null;
+}
+
+// Per-signal, per-bucket forward return statistics.
+// `scoreOf(point, key)` lets callers substitute recomputed scores.
+export function bucketStats(points, horizons, keys, scoreOf = (p, key) => p.scores[key]) {
+  const result = {};
+  for (const key of keys) {
+    result[key] = SCORE_BUCKETS.map(bucket => {
+      const stats = {};
+      let entries = 0;
+      for (const h of horizons) {
+        const outcomes = [];
+        for (const p of points) {
+          const score = scoreOf(p, key);
+          if (score == null || bucketFor(score) !== bucket || !p.forward[h]) continue;
+          outcomes.push(p.forward[h]);
+        }
+        entries = Math.max(entries, outcomes.length);
+        stats[h] = summarize(outcomes, h);
+      }
+      return { ...bucket, entries, stats };
+    });
+  }
+  return result;
+}
+
+// Weight each signal by its best-minus-worst bucket Sharpe spread
+export function calibrateWeights(signalBuckets, horizon, minBucketSize = 5) {
+  const spreads = {};
+  for (const key of Object.keys(SIGNAL_DEFINITIONS)) {
+    const sharpes = (signalBuckets[key] || [])
+      .map(b => b.stats[horizon])
+      .filter(s => s && s.n >= minBucketSize)
+      .map(s => s.sharpe);
+    spreads[key] = sharpes.length >= 2 ? Math.max(...sharpes) - Math.min(...sharpes) : 0;
+  }
+
+  const total = Object.values(spreads).reduce((s, v) => s + v, 0);
+  if (total === 0) return null;
+
+  return Object.fromEntries(Object.entries(spreads).map(([k, v]) => [k, v / total]));
+}
+
+export function compositeFromWeights(point, weights) {
+  let total = 0;
+  for (const [key, w] of Object.entries(weights)) {
+    const score = point.scores[key];
+    if (score == null) return null;
+    total += score * w;
+  }
+  return Math.round(total);
+}
+
+// Forward returns conditioned on the regime at entry, overall and by
+// composite bucket, for regimes with at least one labeled point
+export function regimeStats(points, horizons) {
+  const result = {};
+  for (const regime of REGIME_KEYS) {
+    const inRegime = points.filter(p => p.regime === regime);
+    if (inRegime.length === 0) continue;
+    const stats = {};
+    for (const h of horizons) {
+      stats[h] = summarize(inRegime.filter(p => p.forward[h]).map(p => p.forward[h]), h);
+    }
+    result[regime] = {
+      entries: inRegime.length,
+      stats,
+      composite: bucketStats(inRegime, horizons, ['composite']).composite
+    };
+  }
+  return result;
+}
+
+// First point at or after `time`, if within MAX_GAP_MS of it
+function pointAfter(points, time) {
+  let lo = 0;
+  let hi = points.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (points[mid].time < time) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo < points.length && points[lo].time - time <= MAX_GAP_MS ? points[lo] : null;
+}
+
+// Forward returns from the first point after each stored event, by type and
+// by type and severity, against every point as a baseline. Events of one
+// type landing on the same point count once.
+export function eventStats(points, events, horizons) {
+  const statsOf = entries => Object.fromEntries(horizons.map(h => [
+    h, summarize(entries.filter(p => p.forward[h]).map(p => p.forward[h]), h)
+  ]));
+  const entriesFor = list => [...new Set(list.map(e => pointAfter(points, new Date(e.occurred_at).getTime())).filter(Boolean))];
+
+  const byType = {};
+  for (const type of Object.keys(EVENT_TYPES)) {
+    const ofType = events.filter(e => e.type === type);
+    if (ofType.length === 0) continue;
+    const entries = entriesFor(ofType);
+    byType[type] = {
+      events: ofType.length,
+      entries: entries.length,
+      stats: statsOf(entries),
+      severities: Object.fromEntries(SEVERITIES.map(severity => {
+        const matched = entriesFor(ofType.filter(e => e.severity === severity));
+        return [severity, { entries: matched.length, stats: statsOf(matched) }];
+      }))
+    };
+  }
+  return { baseline: { entries: points.length, stats: statsOf(points) }, byType };
+}
+
+// Walk-forward: split the timeline into `folds` equal test windows. Weights for
+// each window are calibrated only on entries whose forward outcome was already
+// known when the window opened, then scored out-of-sample inside it.
+export function walkForward(points, horizons, { folds = 5, calibrationHorizon, minBucketSize = 5 } = {}) {
+  const h = calibrationHorizon ?? horizons[horizons.length - 1];
+  if (points.length < 2) return { calibrationHorizon: h, folds: [], outOfSample: null };
+
+  const start = points[0].time;
+  const span = points[points.length - 1].time - start;
+  const signalKeys = Object.keys(SIGNAL_DEFINITIONS);
+  const foldResults = [];
+  const oosScores = new Map();
+
+  // Fold 0 only trains; folds 1..N are tested
+  for (let f = 1; f <= folds; f++) {
+    const testStart = start + (span * f) / (folds + 1);
+    const testEnd = start + (span * (f + 1)) / (folds + 1);
+
+    const train = points.filter(p => p.forward[h] && p.forward[h].exitTime <= testStart);
+    const weights = calibrateWeights(bucketStats(train, [h], signalKeys), h, minBucketSize);
+
+    const test = points.filter(p => p.time >= testStart && (f === folds ? p.time <= testEnd : p.time < testEnd));
+    if (weights) {
+      for (const p of test) oosScores.set(p, compositeFromWeights(p, weights));
+    }
+
+    foldResults.push({
+      trainEnd: new Date(testStart).toISOString(),
+      testStart: new Date(testStart).toISOString(),
+      testEnd: new Date(testEnd).toISOString(),
+      trainPoints: train.length,
+      testPoints: test.length,
+      weights
+    });
+  }
+
+  const tested = points.filter(p => oosScores.has(p));
+  const outOfSample = tested.length > 0
+    ? bucketStats(tested, horizons, ['composite'], p => oosScores.get(p)).composite
+    : null;
+
+  return { calibrationHorizon: h, folds: foldResults, outOfSample };
+}
+
+export function runBacktest(rows, { horizons = DEFAULT_HORIZONS, mode = 'static', folds, calibrationHorizon, minBucketSize, events } = {}) {
+  const points = computeForwardOutcomes(toBacktestPoints(rows), horizons);
+  const signals = bucketStats(points, horizons, Object.keys(SCORE_COLUMNS));
+  const h = calibrationHorizon ?? horizons[horizons.length - 1];
+
+  const result = {
+    horizons,
+    totalPoints: points.length,
+    signals,
+    // In-sample weights — optimistic, see walkForward for an honest estimate
+    calibratedWeights: calibrateWeights(signals, h, minBucketSize),
+    regimes: regimeStats(points, horizons)
+  };
+
+  if (events) {
+    result.events = eventStats(points, events, horizons);
+  }
+
+  if (mode === 'walk-forward') {
+    result.walkForward = walkForward(points, horizons, { folds, calibrationHorizon: h, minBucketSize });
+  }
+
+  return result;
+}
+
+function median(arr) {
+  const sorted = [...arr].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? (sorted[mid - 1] + sorted[mid]) / 2 : sorted[mid];
+}
@@ -0,0 +1,312 @@
+import { hostname } from 'node:os';
+import { randomUUID } from 'node:crypto';
+import {
+  getVaults, insertSnapshot, getSnapshots, insertMarketSnapshots, getLatestMarketSnapshots, insertEvents, rangeCutoff,
+  acquireLock, releaseLock, startCollectionRun, finishCollectionRun
+} from './db.js';
+import { fetchVaultDetails, fetchMarketContext, parseVaultData, unavailableMarketContext } from './hyperliquid.js';
+import { runAlerts } from './alerts.js';
+import { collectDrivers } from './drivers.js';
+import { backfillVault } from './backfill.js';
+import { classifyRegime, regimeFeatures } from './regimes.js';
+import { detectMarketEvents, detectNavDrop, MAX_GAP_MS } from './events.js';
+import { computeSpotMetrics, computeTrailingMetrics, netFlow, scoreSignals, toScoreColumns, UNAVAILABLE } from './signals.js';
+
+// One collection run: market context once, then a snapshot (plus drivers,
+// gap-fill, events and alerts) per active vault. Shared by /api/collect and
+// the self-hosted daemon (scripts/serve.js). Every run is logged to
+// collection_runs with per-source latencies, the errors of steps that
+// failed and the inputs that fell back (unavailable market context,
+// unscored signals, unreachable child vaults).
+
+export const COLLECT_LOCK = 'collect';
+// Longer than any healthy run; a crashed run's lease lapses after this
+const LOCK_TTL_MS = 15 * 60 * 1000;
+// Gap-fill never reaches further back than the trailing signal window
+const MAX_GAP_FILL = '30d';
+
+// Returns { success, market, results, run }, or null when another process
+// holds the collect lock. gapFillFrom (a Date) fills missing hours since
+// then; by default that happens once a day, at hour 0, over the last 30
+// days. `trigger` is recorded with the run (api, daemon:…).
+export async function runCollection(db, { gapFillFrom, trigger = 'api' } = {}) {
+  const log = await startLog(db, trigger);
+  let report;
+  try {
+    report = await collectAll(db, gapFillFrom, log);
+  } catch (err) {
+    log.errors.push({ stage: 'run', vault: null, message: err.message });
+    await finishLog(db, log, null);
+    throw err;
+  }
+  const run = await finishLog(db, log, report);
+  return report && { ...report, run };
+}
+
+async function collectAll(db, gapFillFrom, log) {
+  const vaults = await getVaults(db);
+  if (vaults.length === 0) {
+    throw new Error('No vaults registered. Run npm run migrate -- up.');
+  }
+
+  if (gapFillFrom === undefined) {
+    gapFillFrom = new Date().getUTCHours() === 0 ? rangeCutoff(MAX_GAP_FILL) : null;
+  } else if (gapFillFrom) {
+    gapFillFrom = new Date(Math.max(gapFillFrom, rangeCutoff(MAX_GAP_FILL)));
+  }
+
+  const holder = `${hostname()}:${process.pid}:${randomUUID()}`;
+  if (!(await acquireLock(db, COLLECT_LOCK, holder, LOCK_TTL_MS))) return null;
+
+  try {
+    // Market context is exchange-wide — fetch once and share across vaults.
+    // A failed fetch is recorded as unavailable, never as zeros.
+    const marketCtx = await timed(log, 'market_context', null, () => fetchMarketContext()).catch(err => {
+      console.warn('Market context unavailable:', err.message);
+      log.fallbacks.push({ input: 'market_context', vault: null, detail: err.message });
+      return unavailableMarketContext(err);
+    });
+
+    // Per-asset cross-section for /api/market and concentration history,
+    // compared with the previous run's for market-stress events
+    let marketRows = 0;
+    let marketEvents = 0;
+    if (marketCtx.available) {
+      const collectedAt = new Date().toISOString();
+      try {
+        const previous = await getLatestMarketSnapshots(db);
+        marketRows = await insertMarketSnapshots(db, marketCtx.assets, collectedAt);
+        if (marketRows > 0 && previous.length > 0 && new Date(collectedAt) - new Date(previous[0].collected_at) <= MAX_GAP_MS) {
+          marketEvents = (await insertEvents(db, detectMarketEvents(previous, marketCtx.assets, collectedAt))).length;
+        }
+      } catch (marketErr) {
+        console.warn('Market snapshot insert failed:', marketErr.message);
+        log.errors.push({ stage: 'market_snapshots', vault: null, message: marketErr.message });
+      }
+    }
+
+    const results = [];
+    for (const vault of vaults) {
+      try {
+        results.push(await collectVault(db, vault.address, marketCtx, gapFillFrom, log));
+      } catch (vaultErr) {
+        console.error(`Collect error for ${vault.address}:`, vaultErr);
+        log.errors.push({ stage: 'vault', vault: vault.address, message: vaultErr.message });
+        results.push({ vault: vault.address, success: false, error: vaultErr.message });
+      }
+    }
+
+    const failed = results.filter(r => !r.success).length;
+    return {
+      success: failed === 0,
+      market: marketCtx.available
+        ? { available: true, assets: marketCtx.assets.length, inserted: marketRows, events: marketEvents }
+        : { available: false, error: marketCtx.error },
+      results
+    };
+  } finally {
+    await releaseLock(db, COLLECT_LOCK, holder);
+  }
+}
+
+async function collectVault(db, vaultAddress, marketCtx, gapFillFrom, log) {
+  const raw = await timed(log, 'vault_details', vaultAddress, () => fetchVaultDetails(vaultAddress));
+  const parsed = parseVaultData(raw);
+
+  // Get trailing 30-day snapshots from DB for signal computation
+  const trailing = await getSnapshots(db, { vault: vaultAddress, range: '30d', resolution: 'raw' });
+
+  // Score all 7 signals from live state + trailing DB history. Without market
+  // context the funding and OI signals are left unscored.
+  const metrics = {
+    ...computeSpotMetrics({
+      ...parsed,
+      fundingRate: marketCtx.available ? marketCtx.fundingRate : UNAVAILABLE,
+      oiTop5Share: marketCtx.oiTop5Share,
+      fundingDispersion: marketCtx.fundingDispersion
+    }),
+    ...computeTrailingMetrics(trailing, { nav: parsed.currentNav, pnl: parsed.currentPnl })
+  };
+  if (!marketCtx.available) metrics.oiChangePct = UNAVAILABLE;
+  const scores = scoreSignals(metrics);
+  if (scores.unavailable.length > 0) {
+    log.fallbacks.push({ input: 'signals', vault: vaultAddress, detail: `Unscored: ${scores.unavailable.join(', ')}` });
+  }
+
+  // Build snapshot row
+  const snapshot = {
+    vault_address: vaultAddress,
+    collected_at: new Date().toISOString(),
+    nav: parsed.currentNav,
+    pnl: parsed.currentPnl,
+    apr: parsed.apr,
+    vlm: parsed.vlm,
+    allow_deposits: parsed.allowDeposits !== false,
+    nav_ath: parsed.ath,
+    drawdown_pct: parsed.currentDrawdown,
+    max_drawdown: parsed.maxDD,
+    ...toScoreColumns(scores),
+    unscored_signals: scores.unavailable.length > 0 ? scores.unavailable.join(',') : null,
+    funding_rate: marketCtx.fundingRate,
+    open_interest: marketCtx.openInterest,
+    volume_24h: marketCtx.volume24h,
+    oi_top5_share: marketCtx.oiTop5Share,
+    funding_dispersion: marketCtx.fundingDispersion,
+    // Deposits minus withdrawals since the previous stored row
+    net_flow: trailing.length > 0 ? netFlow(trailing[trailing.length - 1], { nav: parsed.currentNav, pnl: parsed.currentPnl }) : null
+  };
+  snapshot.regime = classifyRegime(regimeFeatures(trailing, snapshot));
+
+  const inserted = await insertSnapshot(db, snapshot);
+
+  // ── Return drivers: child-vault balances, PnL and positions ──
+  let drivers = null;
+  try {
+    drivers = await timed(log, 'drivers', vaultAddress, () => collectDrivers(db, vaultAddress, raw, snapshot.collected_at));
+    if (drivers?.unavailable > 0) {
+      log.fallbacks.push({ input: 'child_vaults', vault: vaultAddress, detail: `${drivers.unavailable} of ${drivers.children} unavailable` });
+    }
+  } catch (driversErr) {
+    console.warn(`Driver collection failed for ${vaultAddress}:`, driversErr.message);
+    log.errors.push({ stage: 'drivers', vault: vaultAddress, message: driversErr.message });
+    drivers = { error: driversErr.message };
+  }
+
+  // ── Gap-fill: fill missing hours since gapFillFrom and rescore what
+  // follows them (see lib/backfill.js) ──
+  let gapFilled = 0;
+  if (gapFillFrom) {
+    try {
+      const report = await backfillVault(db, vaultAddress, { from: gapFillFrom, details: raw });
+      gapFilled = report.inserted;
+    } catch (gapErr) {
+      console.warn(`Gap-fill failed for ${vaultAddress}:`, gapErr.message);
+      log.errors.push({ stage: 'gap_fill', vault: vaultAddress, message: gapErr.message });
+    }
+  }
+
+  // ── Events: sharp NAV drop since the previous row ──
+  let events = 0;
+  if (inserted && trailing.length > 0) {
+    try {
+      const drop = detectNavDrop(trailing[trailing.length - 1], snapshot, vaultAddress);
+      if (drop) events = (await insertEvents(db, [drop])).length;
+    } catch (eventErr) {
+      console.warn(`Event detection failed for ${vaultAddress}:`, eventErr.message);
+      log.errors.push({ stage: 'events', vault: vaultAddress, message: eventErr.message });
+    }
+  }
+
+  // ── Alerts: evaluate rules against this run's snapshot ──
+  let alerts = [];
+  try {
+    alerts = await runAlerts(db, vaultAddress, snapshot, trailing);
+  } catch (alertErr) {
+    console.warn(`Alert evaluation failed for ${vaultAddress}:`, alertErr.message);
+    log.errors.push({ stage: 'alerts', vault: vaultAddress, message: alertErr.message });
+  }
+
+  return {
+    vault: vaultAddress,
+    success: true,
+    snapshot: inserted || snapshot,
+    skipped: !inserted,
+    gapFilled,
+    drivers,
+    events,
+    alerts
+  };
+}
+
+// ── Run log ─────────────────────────────────────────────────
+
+// Milliseconds spent in fn, keyed by source (and vault); recorded even when
+// fn throws
+async function timed(log, source, vault, fn) {
+  const start = Date.now();
+  try {
+    return await fn();
+  } finally {
+    const ms = Date.now() - start;
+    if (vault) (log.latencies[source] ??= {})[vault] = ms;
+    else log.latencies[source] = ms;
+  }
+}
+
+// A run that cannot be logged (e.g. before migrating) still collects
+async function startLog(db, trigger) {
+  const log = { id: null, started: Date.now(), latencies: {}, errors: [], fallbacks: [] };
+  try {
+    log.id = (await startCollectionRun(db, { triggered_by: trigger, started_at: new Date(log.started) })).id;
+  } catch (err) {
+    console.warn('Collection run log unavailable:', err.message);
+  }
+  return log;
+}
+
+// skipped: another process held the lock. failed: the run threw or every
+// vault failed. partial: some step failed but at least one vault was stored.
+function runStatus(report, errors) {
+  if (errors.some(e => e.stage === 'run')) return 'failed';
+  if (!report) return 'skipped';
+  if (report.results.every(r => !r.success)) return 'failed';
+  return errors.length > 0 ? 'partial' : 'success';
+}
+
+async function finishLog(db, log, report) {
+  const results = report?.results || [];
+  const run = {
+    status: runStatus(report, log.errors),
+    finished_at: new Date(),
+    duration_ms: Date.now() - log.started,
+    vaults: results.length,
+    inserted: results.filter(r => r.success && !r.skipped).length,
+    skipped: results.filter(r => r.skipped).length,
+    gap_filled: results.reduce((s, r) => s + (r.gapFilled || 0), 0),
+    market_rows: report?.market.inserted || 0,
+    events: (report?.market.events || 0) + results.reduce((s, r) => s + (r.events || 0), 0),
+    latencies: log.latencies,
+    errors: log.errors,
+    fallbacks: log.fallbacks
+  };
+  if (log.id != null) {
+    try {
+      await finishCollectionRun(db, log.id, run);
+    } catch (err) {
+      console.warn('Collection run log update failed:', err.message);
+    }
+  }
+  return { id: log.id, status: run.status, duration_ms: run.duration_ms };
+}
+
+// Health figures from runs (newest first): the last success, failed runs
+// since it, and success rate and durations over the 24h before `now`.
+// Skipped and still-running runs count neither way.
+export function summarizeRuns(runs, now = new Date()) {
+  const finished = runs.filter(r => r.status !== 'running' && r.status !== 'skipped');
+  const succeeded = r => r.status === 'success' || r.status === 'partial';
+
+  const lastSuccess = finished.find(succeeded);
+  const failuresSince = lastSuccess ? finished.indexOf(lastSuccess) : finished.length;
+  const lastError = runs.find(r => r.errors.length > 0);
+
+  const dayAgo = now.getTime() - 24 * 3600 * 1000;
+  const day = finished.filter(r => new Date(r.started_at).getTime() >= dayAgo);
+  const durations = day.map(r => r.duration_ms).filter(ms => ms != null);
+
+  return {
+    last_run: runs[0] ?? null,
+    last_success_at: lastSuccess ? new Date(lastSuccess.finished_at).toISOString() : null,
+    consecutive_failures: failuresSince,
+    last_error: lastError
+      ? { run_id: lastError.id, at: new Date(lastError.started_at).toISOString(), ...lastError.errors[0] }
+      : null,
+    last_24h: {
+      runs: day.length,
+      success_rate: day.length > 0 ? day.filter(succeeded).length / day.length : null,
+      avg_duration_ms: durations.length > 0 ? Math.round(durations.reduce((s, v) => s + v, 0) / durations.length) : null,
+      max_duration_ms: durations.length > 0 ? Math.max(...durations) : null,
+      gap_filled: day.reduce((s, r) => s + r.gap_filled, 0)
+    }
+  };
+}
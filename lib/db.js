@@ -1,128 +1,609 @@
-import { neon } from '@neondatabase/serverless';
+import { createStorage } from './storage/index.js';
+import { HLP_VAULT } from './hyperliquid.js';
+import { resampleSnapshots, resolveResolution } from './timeseries.js';
+
+// One storage instance per process and URL (reuses pg pools / SQLite handles)
+const instances = new Map();
 
 export function getDb() {
-  if (!process.env.DATABASE_URL) {
+  const url = process.env.DATABASE_URL;
+  if (!url) {
     throw new Error('DATABASE_URL environment variable is not set');
   }
-  return neon(process.env.DATABASE_URL);
-}
-
-export async function insertSnapshot(sql, data) {
-  const result = await sql`
-    INSERT INTO snapshots (
-      collected_at, nav, pnl, apr, vlm, allow_deposits,
-      nav_ath, drawdown_pct, max_drawdown,
-      composite_score, dd_score, tvl_score, momentum_score, vol_score, apr_score,
-      funding_rate, open_interest, volume_24h, funding_score, oi_score
-    ) VALUES (
-      ${data.collected_at || new Date().toISOString()},
-      ${data.nav}, ${data.pnl ?? null}, ${data.apr ?? null}, ${data.vlm || null}, ${data.allow_deposits ?? true},
-      ${data.nav_ath}, ${data.drawdown_pct}, ${data.max_drawdown},
-      ${data.composite_score ?? null}, ${data.dd_score ?? null}, ${data.tvl_score ?? null},
-      ${data.momentum_score ?? null}, ${data.vol_score ?? null}, ${data.apr_score ?? null},
-      ${data.funding_rate ?? null}, ${data.open_interest ?? null}, ${data.volume_24h ?? null},
-      ${data.funding_score ?? null}, ${data.oi_score ?? null}
-    )
-    ON CONFLICT (date_trunc('hour', collected_at AT TIME ZONE 'UTC')) DO NOTHING
-    RETURNING id, collected_at
+  if (!instances.has(url)) instances.set(url, createStorage(url));
+  return instances.get(url);
+}
+
+// ── Vault registry ──────────────────────────────────────────
+export async function getVaults(db) {
+  return await db.sql`
+    SELECT * FROM vaults WHERE active ORDER BY created_at ASC
   `;
-  return result[0] || null;
 }
 
-export async function getLatestSnapshot(sql) {
-  const rows = await sql`
-    SELECT * FROM snapshots ORDER BY collected_at DESC LIMIT 1
+export async function getVault(db, address) {
+  const rows = await db.sql`
+    SELECT * FROM vaults WHERE address = ${address.toLowerCase()}
   `;
   return rows[0] || null;
 }
 
-export async function getSnapshots(sql, range = 'all', resolution = 'auto') {
-  // Determine time cutoff
-  const now = new Date();
-  let cutoff = null;
+export async function upsertVault(db, { address, name = null, active = true }) {
+  const rows = await db.sql`
+    INSERT INTO vaults (address, name, active)
+    VALUES (${address.toLowerCase()}, ${name}, ${active})
+    ON CONFLICT (address) DO UPDATE
+      SET name = COALESCE(EXCLUDED.name, vaults.name), active = EXCLUDED.active
+    RETURNING *
+  `;
+  return rows[0];
+}
+
+// ── Snapshots ───────────────────────────────────────────────
+// Dialect-specific SQL lives in the storage backends; these wrappers
+// normalize arguments so every backend sees the same inputs.
+export async function insertSnapshot(db, data) {
+  return await db.insertSnapshot({
+    ...data,
+    vault_address: (data.vault_address || HLP_VAULT).toLowerCase(),
+    collected_at: data.collected_at || new Date().toISOString(),
+    pnl: data.pnl ?? null,
+    apr: data.apr ?? null,
+    vlm: data.vlm || null,
+    allow_deposits: data.allow_deposits ?? true,
+    composite_score: data.composite_score ?? null,
+    dd_score: data.dd_score ?? null,
+    tvl_score: data.tvl_score ?? null,
+    momentum_score: data.momentum_score ?? null,
+    vol_score: data.vol_score ?? null,
+    apr_score: data.apr_score ?? null,
+    funding_rate: data.funding_rate ?? null,
+    open_interest: data.open_interest ?? null,
+    volume_24h: data.volume_24h ?? null,
+    funding_score: data.funding_score ?? null,
+    oi_score: data.oi_score ?? null,
+    unscored_signals: data.unscored_signals ?? null,
+    oi_top5_share: data.oi_top5_share ?? null,
+    funding_dispersion: data.funding_dispersion ?? null,
+    net_flow: data.net_flow ?? null,
+    regime: data.regime ?? null
+  });
+}
+
+export async function getLatestSnapshot(db, vaultAddress = HLP_VAULT) {
+  return await db.getLatestSnapshot(vaultAddress.toLowerCase());
+}
+
+// Newest snapshot time across active vaults, or null before the first run
+export async function getLastCollectedAt(db) {
+  const rows = await db.sql`
+    SELECT MAX(s.collected_at) AS collected_at
+    FROM snapshots s JOIN vaults v ON v.address = s.vault_address
+    WHERE v.active
+  `;
+  return rows[0]?.collected_at ? new Date(rows[0].collected_at) : null;
+}
+
+// Start of a named range as a Date, or null for all history
+export function rangeCutoff(range, now = new Date()) {
   switch (range) {
-    case '24h': cutoff = new Date(now - 24 * 60 * 60 * 1000); break;
-    case '7d':  cutoff = new Date(now - 7 * 24 * 60 * 60 * 1000); break;
-    case '30d': cutoff = new Date(now - 30 * 24 * 60 * 60 * 1000); break;
-    case '90d': cutoff = new Date(now - 90 * 24 * 60 * 60 * 1000); break;
-    case '1y':  cutoff = new Date(now - 365 * 24 * 60 * 60 * 1000); break;
-    case 'all': cutoff = null; break;
-    default: cutoff = null;
+    case '24h': return new Date(now - 24 * 60 * 60 * 1000);
+    case '7d':  return new Date(now - 7 * 24 * 60 * 60 * 1000);
+    case '30d': return new Date(now - 30 * 24 * 60 * 60 * 1000);
+    case '90d': return new Date(now - 90 * 24 * 60 * 60 * 1000);
+    case '1y':  return new Date(now - 365 * 24 * 60 * 60 * 1000);
+    default: return null;
   }
+}
 
-  // Auto-select resolution: raw hourly for <=7d, daily for longer
-  if (resolution === 'auto') {
-    resolution = (range === '24h' || range === '7d') ? 'hourly' : 'daily';
-  }
+// Resolve a named range and/or explicit from/to into a [from, to) window.
+// from is null for all history.
+export function resolveWindow({ range = 'all', from, to } = {}, now = new Date()) {
+  return {
+    from: from ? new Date(from) : rangeCutoff(range, now),
+    to: to ? new Date(to) : now
+  };
+}
+
+// Snapshots for a window at a resolution (see lib/timeseries.js): 'raw'
+// returns stored rows, 1h/4h/1d/1w return OHLC NAV buckets, 'auto' picks
+// 1h for windows up to 7 days and 1d beyond.
+export async function getSnapshots(db, { vault = HLP_VAULT, range = 'all', from, to, resolution = 'auto' } = {}) {
+  const window = resolveWindow({ range, from, to });
+  const rows = await db.getSnapshots({
+    vault: vault.toLowerCase(),
+    since: (window.from || new Date(0)).toISOString(),
+    until: window.to.toISOString()
+  });
 
-  if (resolution === 'daily' && cutoff) {
-    // Aggregate to daily resolution
-    return await sql`
-      SELECT
-        date_trunc('day', collected_at) AS collected_at,
-        AVG(nav)::numeric AS nav,
-        AVG(pnl)::numeric AS pnl,
-        AVG(apr)::numeric AS apr,
-        AVG(vlm)::numeric AS vlm,
-        bool_and(allow_deposits) AS allow_deposits,
-        MAX(nav_ath)::numeric AS nav_ath,
-        AVG(drawdown_pct)::numeric AS drawdown_pct,
-        MIN(max_drawdown)::numeric AS max_drawdown,
-        AVG(composite_score)::integer AS composite_score,
-        AVG(dd_score)::integer AS dd_score,
-        AVG(tvl_score)::integer AS tvl_score,
-        AVG(momentum_score)::integer AS momentum_score,
-        AVG(vol_score)::integer AS vol_score,
-        AVG(apr_score)::integer AS apr_score,
-        AVG(funding_rate)::numeric AS funding_rate,
-        AVG(open_interest)::numeric AS open_interest,
-        AVG(volume_24h)::numeric AS volume_24h,
-        AVG(funding_score)::integer AS funding_score,
-        AVG(oi_score)::integer AS oi_score
-      FROM snapshots
-      WHERE collected_at >= ${cutoff.toISOString()}
-      GROUP BY date_trunc('day', collected_at)
-      ORDER BY collected_at ASC
+  const first = window.from || (rows[0] ? new Date(rows[0].collected_at) : window.to);
+  return resampleSnapshots(rows, resolveResolution(resolution, window.to - first));
+}
+
+// One page of stored rows in [from, to), ascending, after a
+// { at, id } cursor (the last row of the previous page). Used by /api/v1,
+// which asks for one row more than it returns to tell whether more follow.
+export async function getSnapshotPage(db, { vault = HLP_VAULT, from = null, to = new Date(), after = null, limit = 100 } = {}) {
+  const since = (from || new Date(0)).toISOString();
+  const until = to.toISOString();
+  if (!after) {
+    return await db.sql`
+      SELECT * FROM snapshots
+      WHERE vault_address = ${vault.toLowerCase()} AND collected_at >= ${since} AND collected_at < ${until}
+      ORDER BY collected_at ASC, id ASC LIMIT ${limit}
     `;
-  } else if (resolution === 'daily' && !cutoff) {
-    // All time, daily
-    return await sql`
-      SELECT
-        date_trunc('day', collected_at) AS collected_at,
-        AVG(nav)::numeric AS nav,
-        AVG(pnl)::numeric AS pnl,
-        AVG(apr)::numeric AS apr,
-        AVG(vlm)::numeric AS vlm,
-        bool_and(allow_deposits) AS allow_deposits,
-        MAX(nav_ath)::numeric AS nav_ath,
-        AVG(drawdown_pct)::numeric AS drawdown_pct,
-        MIN(max_drawdown)::numeric AS max_drawdown,
-        AVG(composite_score)::integer AS composite_score,
-        AVG(dd_score)::integer AS dd_score,
-        AVG(tvl_score)::integer AS tvl_score,
-        AVG(momentum_score)::integer AS momentum_score,
-        AVG(vol_score)::integer AS vol_score,
-        AVG(apr_score)::integer AS apr_score,
-        AVG(funding_rate)::numeric AS funding_rate,
-        AVG(open_interest)::numeric AS open_interest,
-        AVG(volume_24h)::numeric AS volume_24h,
-        AVG(funding_score)::integer AS funding_score,
-        AVG(oi_score)::integer AS oi_score
-      FROM snapshots
-      GROUP BY date_trunc('day', collected_at)
-      ORDER BY collected_at ASC
+  }
+  return await db.sql`
+    SELECT * FROM snapshots
+    WHERE vault_address = ${vault.toLowerCase()} AND collected_at >= ${since} AND collected_at < ${until}
+      AND (collected_at > ${after.at} OR (collected_at = ${after.at} AND id > ${after.id}))
+    ORDER BY collected_at ASC, id ASC LIMIT ${limit}
+  `;
+}
+
+// Rewrite the columns derived from NAV history (flow, ATH, drawdown, scores,
+// regime) for one row. Used by backfill after inserting missing hours.
+export async function updateSnapshotDerived(db, id, d) {
+  await db.sql`
+    UPDATE snapshots
+    SET net_flow = ${d.net_flow},
+        nav_ath = ${d.nav_ath},
+        drawdown_pct = ${d.drawdown_pct},
+        max_drawdown = ${d.max_drawdown},
+        composite_score = ${d.composite_score},
+        dd_score = ${d.dd_score},
+        tvl_score = ${d.tvl_score},
+        momentum_score = ${d.momentum_score},
+        vol_score = ${d.vol_score},
+        apr_score = ${d.apr_score},
+        funding_score = ${d.funding_score},
+        oi_score = ${d.oi_score},
+        unscored_signals = ${d.unscored_signals},
+        regime = ${d.regime}
+    WHERE id = ${id}
+  `;
+}
+
+export async function updateSnapshotRegime(db, id, regime) {
+  await db.sql`UPDATE snapshots SET regime = ${regime} WHERE id = ${id}`;
+}
+
+// Hourly rows in [from, to), fetched in keyset-paginated batches so a full
+// history export never holds more than one batch in memory. collected_at is
+// unique per vault (one row per hour), so it is a safe cursor.
+export async function* iterateSnapshots(db, { vault = HLP_VAULT, from, to, batchSize = 1000 }) {
+  const address = vault.toLowerCase();
+  let cursor = null;
+  while (true) {
+    const rows = cursor == null
+      ? await db.sql`
+          SELECT * FROM snapshots
+          WHERE vault_address = ${address} AND collected_at >= ${from} AND collected_at < ${to}
+          ORDER BY collected_at ASC LIMIT ${batchSize}
+        `
+      : await db.sql`
+          SELECT * FROM snapshots
+          WHERE vault_address = ${address} AND collected_at > ${cursor} AND collected_at < ${to}
+          ORDER BY collected_at ASC LIMIT ${batchSize}
+        `;
+    yield* rows;
+    if (rows.length < batchSize) return;
+    cursor = new Date(rows[rows.length - 1].collected_at).toISOString();
+  }
+}
+
+// ── Market snapshots ────────────────────────────────────────
+// One row per asset per hour; a collection run writes the whole
+// cross-section with a single collected_at. Returns rows inserted.
+export async function insertMarketSnapshots(db, assets, collectedAt = new Date().toISOString()) {
+  if (assets.length === 0) return 0;
+  return await db.insertMarketSnapshots(collectedAt, assets.map(a => ({
+    coin: a.coin,
+    funding: a.funding,
+    open_interest: a.open_interest,
+    mark_px: a.mark_px ?? null,
+    oracle_px: a.oracle_px ?? null,
+    premium: a.premium ?? null,
+    volume_24h: a.volume_24h
+  })));
+}
+
+// Every asset from the most recent collection run
+export async function getLatestMarketSnapshots(db) {
+  return await db.sql`
+    SELECT * FROM market_snapshots
+    WHERE collected_at = (SELECT MAX(collected_at) FROM market_snapshots)
+    ORDER BY coin ASC
+  `;
+}
+
+// Every asset's rows in [from, to), for replaying detectors over history
+export async function getMarketSnapshotsBetween(db, from, to) {
+  return await db.sql`
+    SELECT * FROM market_snapshots
+    WHERE collected_at >= ${from.toISOString()} AND collected_at < ${to.toISOString()}
+    ORDER BY collected_at ASC, coin ASC
+  `;
+}
+
+export async function getMarketSnapshots(db, coin, since) {
+  return await db.sql`
+    SELECT * FROM market_snapshots
+    WHERE coin = ${coin} AND collected_at >= ${since}
+    ORDER BY collected_at ASC
+  `;
+}
+
+// ── Child vaults (return drivers) ──────────────────────────
+export async function insertChildVaultSnapshots(db, children, collectedAt = new Date().toISOString()) {
+  if (children.length === 0) return 0;
+  return await db.insertChildVaultSnapshots(collectedAt, children.map(c => ({
+    parent_address: c.parent_address.toLowerCase(),
+    child_address: c.child_address.toLowerCase(),
+    name: c.name ?? null,
+    account_value: c.account_value,
+    pnl: c.pnl ?? null,
+    position_count: c.position_count
+  })));
+}
+
+export async function insertChildPositions(db, positions, collectedAt = new Date().toISOString()) {
+  if (positions.length === 0) return 0;
+  return await db.insertChildPositions(collectedAt, positions.map(p => ({
+    parent_address: p.parent_address.toLowerCase(),
+    child_address: p.child_address.toLowerCase(),
+    coin: p.coin,
+    szi: p.szi,
+    notional: p.notional,
+    unrealized_pnl: p.unrealized_pnl,
+    cum_funding: p.cum_funding ?? null
+  })));
+}
+
+export async function getChildVaultSnapshots(db, parentAddress, since) {
+  return await db.sql`
+    SELECT * FROM child_vault_snapshots
+    WHERE parent_address = ${parentAddress.toLowerCase()} AND collected_at >= ${since}
+    ORDER BY collected_at ASC, child_address ASC
+  `;
+}
+
+// Open positions from the parent's most recent collection run. Keyed off
+// child_vault_snapshots so a run where everything was flat returns [].
+export async function getLatestChildPositions(db, parentAddress) {
+  const parent = parentAddress.toLowerCase();
+  return await db.sql`
+    SELECT * FROM child_positions
+    WHERE parent_address = ${parent}
+      AND collected_at = (SELECT MAX(collected_at) FROM child_vault_snapshots WHERE parent_address = ${parent})
+    ORDER BY child_address ASC, coin ASC
+  `;
+}
+
+// ── Replayed signal scores ──────────────────────────────────
+// Rows are { snapshot_id, vault_address, collected_at, <score columns>,
+// unscored_signals }. Written in batches so a full-history replay never
+// becomes one oversized statement. Returns rows written.
+export async function upsertSignalScores(db, configVersion, scores, batchSize = 1000) {
+  let written = 0;
+  for (let i = 0; i < scores.length; i += batchSize) {
+    written += await db.upsertSignalScores(configVersion, scores.slice(i, i + batchSize).map(s => ({
+      ...s,
+      vault_address: s.vault_address.toLowerCase(),
+      unscored_signals: s.unscored_signals ?? null
+    })));
+  }
+  return written;
+}
+
+export async function getSignalScores(db, configVersion, { vault = HLP_VAULT, from, to }) {
+  return await db.sql`
+    SELECT * FROM signal_scores
+    WHERE config_version = ${configVersion} AND vault_address = ${vault.toLowerCase()}
+      AND collected_at >= ${from} AND collected_at < ${to}
+    ORDER BY collected_at ASC
+  `;
+}
+
+// Which config versions have stored results for a vault, and over what span
+export async function getSignalScoreVersions(db, vault = HLP_VAULT) {
+  return await db.sql`
+    SELECT config_version, COUNT(*) AS count,
+           MIN(collected_at) AS oldest, MAX(collected_at) AS newest, MAX(computed_at) AS computed_at
+    FROM signal_scores
+    WHERE vault_address = ${vault.toLowerCase()}
+    GROUP BY config_version
+    ORDER BY config_version ASC
+  `;
+}
+
+// ── Scoring profiles ────────────────────────────────────────
+// weights and thresholds are stored as JSON text on both backends
+function toProfile(row) {
+  return {
+    name: row.name,
+    weights: JSON.parse(row.weights),
+    thresholds: JSON.parse(row.thresholds),
+    auto_calibrate: Boolean(row.auto_calibrate),
+    created_at: row.created_at,
+    updated_at: row.updated_at
+  };
+}
+
+export async function getProfiles(db, owner) {
+  const rows = await db.sql`
+    SELECT * FROM scoring_profiles WHERE owner = ${owner} ORDER BY name ASC
+  `;
+  return rows.map(toProfile);
+}
+
+export async function upsertProfile(db, owner, { name, weights = {}, thresholds = {}, auto_calibrate = false }) {
+  const rows = await db.sql`
+    INSERT INTO scoring_profiles (owner, name, weights, thresholds, auto_calibrate, updated_at)
+    VALUES (${owner}, ${name}, ${JSON.stringify(weights)}, ${JSON.stringify(thresholds)}, ${auto_calibrate}, ${new Date().toISOString()})
+    ON CONFLICT (owner, name) DO UPDATE
+      SET weights = EXCLUDED.weights, thresholds = EXCLUDED.thresholds,
+          auto_calibrate = EXCLUDED.auto_calibrate, updated_at = EXCLUDED.updated_at
+    RETURNING *
+  `;
+  return toProfile(rows[0]);
+}
+
+export async function deleteProfile(db, owner, name) {
+  const rows = await db.sql`
+    DELETE FROM scoring_profiles WHERE owner = ${owner} AND name = ${name} RETURNING name
+  `;
+  return rows.length > 0;
+}
+
+// ── Position flows ──────────────────────────────────────────
+// Flows are scoped to an owner id (see migrations/017); ledger imports skip
+// transactions the owner already stored for the account.
+// Returns the rows actually inserted.
+export async function insertPositionFlows(db, owner, account, vaultAddress, flows) {
+  const inserted = [];
+  for (const f of flows) {
+    const rows = await db.sql`
+      INSERT INTO position_flows (owner, account, vault_address, kind, amount, fee, occurred_at, source, tx_hash, note)
+      VALUES (
+        ${owner}, ${account}, ${vaultAddress.toLowerCase()}, ${f.kind}, ${f.amount}, ${f.fee ?? 0},
+        ${new Date(f.occurred_at).toISOString()}, ${f.source ?? 'manual'}, ${f.tx_hash ?? null}, ${f.note ?? null}
+      )
+      ON CONFLICT (owner, account, tx_hash) DO NOTHING
+      RETURNING *
     `;
-  } else if (cutoff) {
-    // Raw hourly with time filter
-    return await sql`
-      SELECT * FROM snapshots
-      WHERE collected_at >= ${cutoff.toISOString()}
-      ORDER BY collected_at ASC
+    inserted.push(...rows);
+  }
+  return inserted;
+}
+
+export async function getPositionFlows(db, owner, account, vaultAddress = HLP_VAULT) {
+  return await db.sql`
+    SELECT * FROM position_flows
+    WHERE owner = ${owner} AND account = ${account} AND vault_address = ${vaultAddress.toLowerCase()}
+    ORDER BY occurred_at ASC, id ASC
+  `;
+}
+
+export async function deletePositionFlow(db, owner, account, id) {
+  const rows = await db.sql`
+    DELETE FROM position_flows WHERE owner = ${owner} AND account = ${account} AND id = ${id} RETURNING id
+  `;
+  return rows.length > 0;
+}
+
+// ── Events ──────────────────────────────────────────────────
+// assets are stored as JSON text on both backends
+function toEvent(row) {
+  return { ...row, magnitude: parseFloat(row.magnitude), assets: JSON.parse(row.assets) };
+}
+
+// Re-detected events are skipped. Returns the rows actually inserted.
+export async function insertEvents(db, events) {
+  const inserted = [];
+  for (const e of events) {
+    const rows = await db.sql`
+      INSERT INTO events (occurred_at, type, scope, severity, magnitude, assets)
+      VALUES (
+        ${new Date(e.occurred_at).toISOString()}, ${e.type}, ${e.scope}, ${e.severity},
+        ${e.magnitude}, ${JSON.stringify(e.assets ?? [])}
+      )
+      ON CONFLICT (type, scope, occurred_at) DO NOTHING
+      RETURNING *
     `;
-  } else {
-    // All raw
-    return await sql`
-      SELECT * FROM snapshots ORDER BY collected_at ASC
+    inserted.push(...rows.map(toEvent));
+  }
+  return inserted;
+}
+
+// Market-wide events plus the vault's own in [from, to), ascending
+export async function getEvents(db, { vault = HLP_VAULT, from = null, to = new Date() } = {}) {
+  const rows = await db.sql`
+    SELECT * FROM events
+    WHERE (scope = 'market' OR scope = ${vault.toLowerCase()})
+      AND occurred_at >= ${(from || new Date(0)).toISOString()} AND occurred_at < ${to.toISOString()}
+    ORDER BY occurred_at ASC, id ASC
+  `;
+  return rows.map(toEvent);
+}
+
+// ── Locks ───────────────────────────────────────────────────
+// Leases on named jobs (see migrations/014_locks.js). Taking a lease
+// succeeds when it is free, expired or already ours.
+export async function acquireLock(db, name, holder, ttlMs) {
+  const now = new Date();
+  const rows = await db.sql`
+    INSERT INTO locks (name, holder, acquired_at, expires_at)
+    VALUES (${name}, ${holder}, ${now.toISOString()}, ${new Date(now.getTime() + ttlMs).toISOString()})
+    ON CONFLICT (name) DO UPDATE
+      SET holder = EXCLUDED.holder, acquired_at = EXCLUDED.acquired_at, expires_at = EXCLUDED.expires_at
+      WHERE locks.expires_at < ${now.toISOString()} OR locks.holder = ${holder}
+    RETURNING name
+  `;
+  return rows.length > 0;
+}
+
+export async function releaseLock(db, name, holder) {
+  await db.sql`DELETE FROM locks WHERE name = ${name} AND holder = ${holder}`;
+}
+
+// ── Collection runs ─────────────────────────────────────────
+// latencies, errors and fallbacks are stored as JSON text on both backends
+function toRun(row) {
+  return {
+    ...row,
+    latencies: JSON.parse(row.latencies),
+    errors: JSON.parse(row.errors),
+    fallbacks: JSON.parse(row.fallbacks)
+  };
+}
+
+export async function startCollectionRun(db, { triggered_by, started_at = new Date() }) {
+  const rows = await db.sql`
+    INSERT INTO collection_runs (triggered_by, started_at)
+    VALUES (${triggered_by}, ${new Date(started_at).toISOString()})
+    RETURNING *
+  `;
+  return toRun(rows[0]);
+}
+
+export async function finishCollectionRun(db, id, run) {
+  const rows = await db.sql`
+    UPDATE collection_runs
+    SET status = ${run.status}, finished_at = ${new Date(run.finished_at).toISOString()}, duration_ms = ${run.duration_ms},
+        vaults = ${run.vaults ?? 0}, inserted = ${run.inserted ?? 0}, skipped = ${run.skipped ?? 0},
+        gap_filled = ${run.gap_filled ?? 0}, market_rows = ${run.market_rows ?? 0}, events = ${run.events ?? 0},
+        latencies = ${JSON.stringify(run.latencies ?? {})}, errors = ${JSON.stringify(run.errors ?? [])},
+        fallbacks = ${JSON.stringify(run.fallbacks ?? [])}
+    WHERE id = ${id}
+    RETURNING *
+  `;
+  return rows[0] ? toRun(rows[0]) : null;
+}
+
+// Newest first
+export async function getCollectionRuns(db, { limit = 50, from = null } = {}) {
+  const rows = from
+    ? await db.sql`
+        SELECT * FROM collection_runs WHERE started_at >= ${from.toISOString()}
+        ORDER BY started_at DESC, id DESC LIMIT ${limit}
+      `
+    : await db.sql`
+        SELECT * FROM collection_runs ORDER BY started_at DESC, id DESC LIMIT ${limit}
+      `;
+  return rows.map(toRun);
+}
+
+// ── Alerts ──────────────────────────────────────────────────
+// Rules with a NULL vault_address apply to every vault
+export async function getAlertRules(db, vaultAddress = null) {
+  if (vaultAddress) {
+    return await db.sql`
+      SELECT * FROM alert_rules
+      WHERE enabled AND (vault_address IS NULL OR vault_address = ${vaultAddress.toLowerCase()})
+      ORDER BY id ASC
     `;
   }
+  return await db.sql`SELECT * FROM alert_rules ORDER BY id ASC`;
+}
+
+export async function insertAlertRule(db, rule) {
+  const rows = await db.sql`
+    INSERT INTO alert_rules (name, expression, vault_address, sink, target, cooldown_minutes)
+    VALUES (
+      ${rule.name ?? null}, ${rule.expression}, ${rule.vault_address?.toLowerCase() ?? null},
+      ${rule.sink}, ${rule.target}, ${rule.cooldown_minutes ?? 360}
+    )
+    RETURNING *
+  `;
+  return rows[0];
+}
+
+export async function deleteAlertRule(db, id) {
+  const rows = await db.sql`DELETE FROM alert_rules WHERE id = ${id} RETURNING id`;
+  return rows.length > 0;
+}
+
+export async function getAlertState(db, ruleId, vaultAddress) {
+  const rows = await db.sql`
+    SELECT * FROM alert_state WHERE rule_id = ${ruleId} AND vault_address = ${vaultAddress.toLowerCase()}
+  `;
+  return rows[0] || null;
+}
+
+export async function upsertAlertState(db, { rule_id, vault_address, active, last_fired_at }) {
+  await db.sql`
+    INSERT INTO alert_state (rule_id, vault_address, active, last_fired_at, evaluated_at)
+    VALUES (${rule_id}, ${vault_address.toLowerCase()}, ${active}, ${last_fired_at}, ${new Date().toISOString()})
+    ON CONFLICT (rule_id, vault_address) DO UPDATE
+      SET active = EXCLUDED.active, last_fired_at = EXCLUDED.last_fired_at, evaluated_at = EXCLUDED.evaluated_at
+  `;
+}
+
+export async function insertAlertEvent(db, { rule_id, vault_address, message, delivered, error }) {
+  await db.sql`
+    INSERT INTO alert_events (rule_id, vault_address, message, delivered, error)
+    VALUES (${rule_id}, ${vault_address.toLowerCase()}, ${message}, ${delivered}, ${error ?? null})
+  `;
+}
+
+// ── API keys ────────────────────────────────────────────────
+// Keys are looked up by hash (see lib/api-keys.js); listings never include it
+export async function insertApiKey(db, { name, key_prefix, key_hash, rate_limit }) {
+  const rows = await db.sql`
+    INSERT INTO api_keys (name, key_prefix, key_hash, rate_limit)
+    VALUES (${name}, ${key_prefix}, ${key_hash}, ${rate_limit})
+    RETURNING id, name, key_prefix, rate_limit, request_count, created_at, last_used_at, revoked_at
+  `;
+  return rows[0];
+}
+
+export async function getApiKeyByHash(db, keyHash) {
+  const rows = await db.sql`
+    SELECT id, name, key_prefix, rate_limit, request_count, created_at, last_used_at, revoked_at
+    FROM api_keys WHERE key_hash = ${keyHash}
+  `;
+  return rows[0] || null;
+}
+
+export async function getApiKeys(db) {
+  return await db.sql`
+    SELECT id, name, key_prefix, rate_limit, request_count, created_at, last_used_at, revoked_at
+    FROM api_keys ORDER BY id ASC
+  `;
+}
+
+// Revoking is permanent but keeps the key's usage history
+export async function revokeApiKey(db, id) {
+  const rows = await db.sql`
+    UPDATE api_keys SET revoked_at = ${new Date().toISOString()}
+    WHERE id = ${id} AND revoked_at IS NULL
+    RETURNING id
+  `;
+  return rows.length > 0;
+}
+
+// Counts one request in the key's window starting at windowStart and
+// returns the window's total so far
+export async function recordApiKeyUsage(db, keyId, windowStart, now = new Date()) {
+  const rows = await db.sql`
+    INSERT INTO api_key_usage (key_id, window_start, requests)
+    VALUES (${keyId}, ${windowStart.toISOString()}, 1)
+    ON CONFLICT (key_id, window_start) DO UPDATE SET requests = api_key_usage.requests + 1
+    RETURNING requests
+  `;
+  await db.sql`
+    UPDATE api_keys SET request_count = request_count + 1, last_used_at = ${now.toISOString()}
+    WHERE id = ${keyId}
+  `;
+  return Number(rows[0].requests);
+}
+
+// Per-minute request counts since `from`, oldest first
+export async function getApiKeyUsage(db, keyId, { from = new Date(0) } = {}) {
+  return await db.sql`
+    SELECT window_start, requests FROM api_key_usage
+    WHERE key_id = ${keyId} AND window_start >= ${from.toISOString()}
+    ORDER BY window_start ASC
+  `;
 }
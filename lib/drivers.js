@@ -0,0 +1,130 @@
+import { fetchVaultDetails, fetchClearinghouseState, getChildAddresses } from './hyperliquid.js';
+import { insertChildVaultSnapshots, insertChildPositions } from './db.js';
+
+// Shape one child vault's vaultDetails + clearinghouseState into rows.
+// pnl is the child's cumulative all-time PnL; notional is signed (short < 0).
+export function parseChildVault(address, details, state) {
+  const allTime = Object.fromEntries(details.portfolio).allTime;
+  const lastPnl = allTime?.pnlHistory[allTime.pnlHistory.length - 1];
+
+  const positions = state.assetPositions.map(({ position: p }) => {
+    const szi = parseFloat(p.szi);
+    return {
+      child_address: address,
+      coin: p.coin,
+      szi,
+      notional: Math.sign(szi) * Math.abs(parseFloat(p.positionValue)),
+      unrealized_pnl: parseFloat(p.unrealizedPnl),
+      cum_funding: p.cumFunding?.sinceOpen != null ? parseFloat(p.cumFunding.sinceOpen) : null
+    };
+  });
+
+  return {
+    child: {
+      child_address: address,
+      name: details.name || null,
+      account_value: parseFloat(state.marginSummary.accountValue),
+      pnl: lastPnl ? parseFloat(lastPnl[1]) : null,
+      position_count: positions.length
+    },
+    positions
+  };
+}
+
+// Fetch and store every child of a parent vault for this collection run.
+// A child that fails to fetch is skipped (and reported) rather than failing
+// the parent's snapshot. Returns null for vaults without children.
+export async function collectDrivers(db, parentAddress, parentDetails, collectedAt = new Date().toISOString()) {
+  const children = getChildAddresses(parentDetails);
+  if (children.length === 0) return null;
+
+  const results = await Promise.all(children.map(async address => {
+    try {
+      const [details, state] = await Promise.all([
+        fetchVaultDetails(address),
+        fetchClearinghouseState(address)
+      ]);
+      return parseChildVault(address, details, state);
+    } catch (err) {
+      console.warn(`Child vault ${address} unavailable:`, err.message);
+      return null;
+    }
+  }));
+
+  const parsed = results.filter(Boolean);
+  const childRows = parsed.map(r => ({ parent_address: parentAddress, ...r.child }));
+  const positionRows = parsed.flatMap(r => r.positions.map(p => ({ parent_address: parentAddress, ...p })));
+
+  return {
+    children: children.length,
+    unavailable: children.length - parsed.length,
+    inserted: {
+      children: await insertChildVaultSnapshots(db, childRows, collectedAt),
+      positions: await insertChildPositions(db, positionRows, collectedAt)
+    }
+  };
+}
+
+// ── Attribution ─────────────────────────────────────────────
+
+// Keep the last row per child per UTC day (rows ascending by collected_at)
+export function downsampleDaily(rows) {
+  const last = new Map();
+  for (const row of rows) {
+    const day = new Date(row.collected_at).toISOString().slice(0, 10);
+    last.set(`${row.child_address}|${day}`, row);
+  }
+  return [...last.values()].sort((a, b) => new Date(a.collected_at) - new Date(b.collected_at));
+}
+
+// PnL earned by each strategy between its first and last row in range, and
+// its share of the parent's total. Rows ascending by collected_at.
+export function computeAttribution(rows) {
+  const byChild = new Map();
+  for (const row of rows) {
+    if (!byChild.has(row.child_address)) byChild.set(row.child_address, []);
+    byChild.get(row.child_address).push(row);
+  }
+
+  const strategies = [...byChild.entries()].map(([address, series]) => {
+    const withPnl = series.filter(r => r.pnl != null);
+    const first = withPnl[0];
+    const last = series[series.length - 1];
+    const lastWithPnl = withPnl[withPnl.length - 1];
+    return {
+      address,
+      name: last.name || null,
+      account_value: parseFloat(last.account_value),
+      position_count: Number(last.position_count),
+      pnl_start: first ? parseFloat(first.pnl) : null,
+      pnl_end: lastWithPnl ? parseFloat(lastWithPnl.pnl) : null,
+      pnl_change: first ? parseFloat(lastWithPnl.pnl) - parseFloat(first.pnl) : null
+    };
+  });
+
+  const totalChange = strategies.reduce((s, v) => s + (v.pnl_change ?? 0), 0);
+  for (const s of strategies) {
+    s.share = s.pnl_change != null && totalChange !== 0 ? s.pnl_change / totalChange : null;
+  }
+  strategies.sort((a, b) => Math.abs(b.pnl_change ?? 0) - Math.abs(a.pnl_change ?? 0));
+
+  return { strategies, total_pnl_change: totalChange };
+}
+
+// Net exposure per coin across all child vaults
+export function netExposure(positions) {
+  const byCoin = new Map();
+  for (const p of positions) {
+    if (!byCoin.has(p.coin)) {
+      byCoin.set(p.coin, { coin: p.coin, net_size: 0, net_notional: 0, gross_notional: 0, net_unrealized_pnl: 0, net_funding: 0 });
+    }
+    const entry = byCoin.get(p.coin);
+    const notional = parseFloat(p.notional);
+    entry.net_size += parseFloat(p.szi);
+    entry.net_notional += notional;
+    entry.gross_notional += Math.abs(notional);
+    entry.net_unrealized_pnl += parseFloat(p.unrealized_pnl);
+    entry.net_funding += p.cum_funding != null ? parseFloat(p.cum_funding) : 0;
+  }
+  return [...byCoin.values()].sort((a, b) => b.gross_notional - a.gross_notional);
+}
@@ -0,0 +1,149 @@
+import { netFlow } from './signals.js';
+
+// Market-stress events from consecutive hourly observations: per-asset OI
+// collapses (and a price-neutral market-wide one), funding crossing into
+// extreme territory, large mark-price moves, and sharp drops in a vault's
+// flow-adjusted NAV. Severity is how many times over its threshold the
+// event's magnitude went.
+
+const HOUR_MS = 3600 * 1000;
+
+// Observations further apart than this are not compared; a multi-hour
+// change is not an hourly event
+export const MAX_GAP_MS = 2 * HOUR_MS;
+const MAX_ASSETS = 10;
+
+export const EVENT_THRESHOLDS = {
+  minNotional: 10e6,     // assets with less OI than $10M are ignored
+  oiDropAsset: -0.15,    // one asset's OI (in coins) down 15% in an hour
+  oiDropMarket: -0.03,   // market OI down 3% at constant prices
+  fundingSpike: 0.0005,  // |hourly funding| crossing 0.05% (~440% APR)
+  markMove: 0.05,        // |mark price change| of 5% in an hour
+  navDrop: -0.005        // vault flow-adjusted return of -0.5% in an hour
+};
+
+export const EVENT_TYPES = {
+  oi_collapse: 'OI collapse',
+  funding_spike: 'Funding spike',
+  mark_move: 'Large mark move',
+  nav_drop: 'Sharp NAV drop'
+};
+
+export const SEVERITIES = ['low', 'medium', 'high'];
+
+export function severityOf(magnitude, threshold) {
+  const multiple = magnitude / threshold;
+  return multiple >= 4 ? 'high' : multiple >= 2 ? 'medium' : 'low';
+}
+
+const num = v => v == null ? null : parseFloat(v);
+const timeOf = v => new Date(v).getTime();
+
+// Largest |value| first, capped
+const topAssets = assets => assets
+  .sort((a, b) => Math.abs(b.value) - Math.abs(a.value))
+  .slice(0, MAX_ASSETS);
+
+// Events between two market cross-sections (market_snapshots rows or
+// parsed asset contexts: coin, funding, open_interest, mark_px)
+export function detectMarketEvents(prev, curr, occurredAt, t = EVENT_THRESHOLDS) {
+  const before = new Map(prev.map(a => [a.coin, a]));
+  const oiDrops = [];
+  const fundingSpikes = [];
+  const moves = [];
+  let notionalBefore = 0;
+  let notionalAfter = 0;
+
+  for (const a of curr) {
+    const p = before.get(a.coin);
+    if (!p) continue;
+    const prevPx = num(p.mark_px);
+    const px = num(a.mark_px);
+    const prevOi = num(p.open_interest);
+    const oi = num(a.open_interest);
+    if (!(prevPx > 0) || !(prevOi > 0) || !(prevOi * prevPx >= t.minNotional)) continue;
+
+    // Both sides priced at the previous mark, so only positions count
+    notionalBefore += prevOi * prevPx;
+    notionalAfter += oi * prevPx;
+
+    const oiChange = oi / prevOi - 1;
+    if (oiChange <= t.oiDropAsset) oiDrops.push({ coin: a.coin, value: oiChange });
+
+    const funding = num(a.funding);
+    if (Math.abs(funding) >= t.fundingSpike && Math.abs(num(p.funding)) < t.fundingSpike) {
+      fundingSpikes.push({ coin: a.coin, value: funding });
+    }
+
+    if (px > 0 && Math.abs(px / prevPx - 1) >= t.markMove) moves.push({ coin: a.coin, value: px / prevPx - 1 });
+  }
+
+  const events = [];
+  const event = (type, magnitude, threshold, assets) => events.push({
+    type,
+    scope: 'market',
+    occurred_at: new Date(occurredAt).toISOString(),
+    severity: severityOf(magnitude, threshold),
+    magnitude,
+    assets: topAssets(assets)
+  });
+
+  // The market-wide drop sets severity when it qualifies; otherwise the
+  // worst single asset does
+  const marketChange = notionalBefore > 0 ? notionalAfter / notionalBefore - 1 : 0;
+  if (marketChange <= t.oiDropMarket) {
+    event('oi_collapse', marketChange, t.oiDropMarket, oiDrops);
+  } else if (oiDrops.length > 0) {
+    event('oi_collapse', Math.min(...oiDrops.map(a => a.value)), t.oiDropAsset, oiDrops);
+  }
+  if (fundingSpikes.length > 0) {
+    const worst = fundingSpikes.reduce((a, b) => Math.abs(b.value) > Math.abs(a.value) ? b : a);
+    event('funding_spike', Math.abs(worst.value), t.fundingSpike, fundingSpikes);
+  }
+  if (moves.length > 0) {
+    const worst = moves.reduce((a, b) => Math.abs(b.value) > Math.abs(a.value) ? b : a);
+    event('mark_move', Math.abs(worst.value), t.markMove, moves);
+  }
+  return events;
+}
+
+// A sharp drop in one vault's flow-adjusted NAV between consecutive
+// snapshot rows, or null
+export function detectNavDrop(prev, row, vault, t = EVENT_THRESHOLDS) {
+  if (timeOf(row.collected_at) - timeOf(prev.collected_at) > MAX_GAP_MS) return null;
+  const prevNav = num(prev.nav);
+  if (!(prevNav > 0)) return null;
+  const ret = (num(row.nav) - (netFlow(prev, row) ?? 0)) / prevNav - 1;
+  if (ret > t.navDrop) return null;
+  return {
+    type: 'nav_drop',
+    scope: vault.toLowerCase(),
+    occurred_at: new Date(row.collected_at).toISOString(),
+    severity: severityOf(ret, t.navDrop),
+    magnitude: ret,
+    assets: []
+  };
+}
+
+// Events over stored history: market_snapshots rows (any order) and one
+// vault's snapshot rows (ascending)
+export function detectHistory(marketRows, snapshotRows, vault) {
+  const sections = new Map();
+  for (const row of marketRows) {
+    const time = timeOf(row.collected_at);
+    if (!sections.has(time)) sections.set(time, []);
+    sections.get(time).push(row);
+  }
+  const times = [...sections.keys()].sort((a, b) => a - b);
+
+  const events = [];
+  for (let i = 1; i < times.length; i++) {
+    if (times[i] - times[i - 1] > MAX_GAP_MS) continue;
+    events.push(...detectMarketEvents(sections.get(times[i - 1]), sections.get(times[i]), times[i]));
+  }
+  for (let i = 1; i < snapshotRows.length; i++) {
+    const drop = detectNavDrop(snapshotRows[i - 1], snapshotRows[i], vault);
+    if (drop) events.push(drop);
+  }
+  return events.sort((a, b) => timeOf(a.occurred_at) - timeOf(b.occurred_at));
+}
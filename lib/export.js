@@ -0,0 +1,67 @@
+// Row serialization for /api/export. Numeric columns are emitted as numbers
+// (Postgres NUMERIC arrives as strings) and timestamps as ISO-8601 UTC, so
+// every format keeps stable types for pandas, DuckDB or Parquet converters.
+
+export const EXPORT_COLUMNS = [
+  'collected_at', 'vault_address', 'nav', 'pnl', 'apr', 'vlm', 'allow_deposits',
+  'nav_ath', 'drawdown_pct', 'max_drawdown',
+  'composite_score', 'dd_score', 'tvl_score', 'momentum_score', 'vol_score', 'apr_score',
+  'funding_rate', 'open_interest', 'volume_24h', 'funding_score', 'oi_score',
+  'oi_top5_share', 'funding_dispersion', 'unscored_signals', 'net_flow', 'regime'
+];
+
+const TEXT_COLUMNS = new Set(['vault_address', 'unscored_signals', 'regime']);
+
+export const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' }
+};
+
+function normalizeValue(column, value) {
+  if (value == null) return null;
+  if (column === 'collected_at') return new Date(value).toISOString();
+  if (column === 'allow_deposits') return Boolean(value);
+  if (TEXT_COLUMNS.has(column)) return String(value);
+  return Number(value);
+}
+
+export function normalizeRow(row, columns = EXPORT_COLUMNS) {
+  const out = {};
+  for (const column of columns) out[column] = normalizeValue(column, row[column]);
+  return out;
+}
+
+// RFC 4180: quote fields containing a comma, quote or line break
+function csvField(value) {
+  if (value == null) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Returns { header, row, footer } producing the text chunks for one export.
+// row(normalized, index) is called once per row in order.
+export function createSerializer(format, columns = EXPORT_COLUMNS) {
+  switch (format) {
+    case 'csv':
+      return {
+        header: () => columns.map(csvField).join(',') + '\n',
+        row: r => columns.map(c => csvField(r[c])).join(',') + '\n',
+        footer: () => ''
+      };
+    case 'ndjson':
+      return {
+        header: () => '',
+        row: r => JSON.stringify(r) + '\n',
+        footer: () => ''
+      };
+    case 'json':
+      return {
+        header: () => '[',
+        row: (r, i) => (i > 0 ? ',\n' : '\n') + JSON.stringify(r),
+        footer: () => '\n]\n'
+      };
+    default:
+      throw new Error(`Unknown export format: ${format}`);
+  }
+}
@@ -0,0 +1,49 @@
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+// Recorded Hyperliquid /info responses for offline runs. Each request body
+// maps to one JSON file named after its type and parameters, e.g.
+// vaultDetails-0xdfc2….json, holding { request, response, recorded_at }.
+//
+//   HYPERLIQUID_FIXTURES=record   call the API and save every response
+//   HYPERLIQUID_FIXTURES=replay   answer from the files; never call the API
+//   HYPERLIQUID_FIXTURE_DIR       where the files live (default below)
+
+export const DEFAULT_FIXTURE_DIR = fileURLToPath(new URL('../test/fixtures/hyperliquid/', import.meta.url));
+export const FIXTURE_MODES = ['record', 'replay'];
+
+export function fixtureMode() {
+  const mode = process.env.HYPERLIQUID_FIXTURES || null;
+  if (mode && !FIXTURE_MODES.includes(mode)) {
+    throw new Error(`Invalid HYPERLIQUID_FIXTURES=${mode}. Use: ${FIXTURE_MODES.join(', ')}`);
+  }
+  return { mode, dir: process.env.HYPERLIQUID_FIXTURE_DIR || DEFAULT_FIXTURE_DIR };
+}
+
+// Type first, then the other parameters' values in key order
+export function fixtureName(body) {
+  const params = Object.keys(body).filter(k => k !== 'type').sort().map(k => String(body[k]));
+  return [body.type, ...params].join('-').replace(/[^A-Za-z0-9._-]/g, '_') + '.json';
+}
+
+export async function readFixture(dir, body) {
+  const file = join(dir, fixtureName(body));
+  let text;
+  try {
+    text = await readFile(file, 'utf8');
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+    const missing = new Error(`No Hyperliquid fixture for ${body.type} (${file}). Record one with HYPERLIQUID_FIXTURES=record.`);
+    missing.status = 404;
+    throw missing;
+  }
+  return JSON.parse(text).response;
+}
+
+export async function writeFixture(dir, body, response) {
+  await mkdir(dir, { recursive: true });
+  const file = join(dir, fixtureName(body));
+  await writeFile(file, JSON.stringify({ request: body, response, recorded_at: new Date().toISOString() }, null, 2) + '\n');
+  return file;
+}
@@ -0,0 +1,92 @@
+import WebSocket from 'ws';
+
+// ── WebSocket client ────────────────────────────────────────
+// One connection to wss://api.hyperliquid.xyz/ws carrying a fixed set of
+// subscriptions. The server closes connections idle for 60s, so a ping is
+// sent every PING_INTERVAL_MS; dropped connections reconnect with jittered
+// exponential backoff and resubscribe. HYPERLIQUID_WS_URL points it
+// elsewhere (e.g. the mock from `npm run fixtures -- serve`).
+const WS_URL = 'wss://api.hyperliquid.xyz/ws';
+const PING_INTERVAL_MS = 50000;
+const DEFAULT_BASE_DELAY_MS = 1000;
+const MAX_DELAY_MS = 30000;
+
+function reconnectDelay(attempt, baseDelayMs) {
+  const full = Math.min(baseDelayMs * 2 ** attempt, MAX_DELAY_MS);
+  return full / 2 + Math.random() * (full / 2);
+}
+
+// onMessage(msg) gets every data message ({ channel, data }); subscription
+// acks and pongs are swallowed. onStatus(status) gets connection changes:
+//   { state: 'open' }
+//   { state: 'reconnecting', attempt, delay_ms }
+//   { state: 'error', error }   socket errors and the server's error channel
+export function connectHyperliquidWs({
+  subscriptions,
+  onMessage,
+  onStatus = () => {},
+  url = process.env.HYPERLIQUID_WS_URL || WS_URL,
+  pingIntervalMs = PING_INTERVAL_MS,
+  baseDelayMs = DEFAULT_BASE_DELAY_MS
+}) {
+  let socket = null;
+  let pingTimer = null;
+  let reconnectTimer = null;
+  let attempt = 0;
+  let closed = false;
+
+  const send = payload => {
+    if (socket?.readyState === WebSocket.OPEN) socket.send(JSON.stringify(payload));
+  };
+
+  const open = () => {
+    socket = new WebSocket(url);
+
+    socket.on('open', () => {
+      attempt = 0;
+      for (const subscription of subscriptions) send({ method: 'subscribe', subscription });
+      pingTimer = setInterval(() => send({ method: 'ping' }), pingIntervalMs);
+      onStatus({ state: 'open' });
+    });
+
+    socket.on('message', raw => {
+      let msg;
+      try {
+        msg = JSON.parse(raw.toString('utf8'));
+      } catch {
+        return onStatus({ state: 'error', error: 'Unparseable WebSocket message' });
+      }
+      if (msg.channel === 'pong' || msg.channel === 'subscriptionResponse') return;
+      if (msg.channel === 'error') return onStatus({ state: 'error', error: String(msg.data) });
+      onMessage(msg);
+    });
+
+    // 'close' always follows, and reconnects
+    socket.on('error', err => {
+      if (!closed) onStatus({ state: 'error', error: err.message });
+    });
+
+    socket.on('close', () => {
+      clearInterval(pingTimer);
+      if (closed) return;
+      const delay = reconnectDelay(attempt++, baseDelayMs);
+      onStatus({ state: 'reconnecting', attempt, delay_ms: Math.round(delay) });
+      reconnectTimer = setTimeout(open, delay);
+    });
+  };
+
+  open();
+
+  return {
+    // Resolves once the socket has closed; no reconnect follows
+    async close() {
+      closed = true;
+      clearTimeout(reconnectTimer);
+      clearInterval(pingTimer);
+      if (!socket || socket.readyState === WebSocket.CLOSED) return;
+      const done = new Promise(resolve => socket.once('close', resolve));
+      socket.terminate();
+      await done;
+    }
+  };
+}
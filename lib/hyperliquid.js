@@ -1,46 +1,313 @@
-const HLP_VAULT = '0xdfc24b077bc1425ad1dea75bcb6f8158e10df303';
+import { fixtureMode, readFixture, writeFixture } from './fixtures.js';
+
+export const HLP_VAULT = '0xdfc24b077bc1425ad1dea75bcb6f8158e10df303';
 const API_URL = 'https://api.hyperliquid.xyz/info';
 
-export async function fetchMarketContext() {
-  const resp = await fetch(API_URL, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ type: 'metaAndAssetCtxs' })
+// ── Info API client ─────────────────────────────────────────
+// Every /info request goes through postInfo(): each attempt is bounded by a
+// timeout, and 429s, 5xx responses, timeouts and network errors are retried
+// with exponential backoff (honouring Retry-After). Other 4xx fail at once.
+// HYPERLIQUID_API_URL points it elsewhere (e.g. `npm run fixtures -- serve`),
+// and HYPERLIQUID_FIXTURES records or replays responses (see lib/fixtures.js).
+const DEFAULT_TIMEOUT_MS = 8000;
+const DEFAULT_RETRIES = 3;
+const DEFAULT_BASE_DELAY_MS = 500;
+const MAX_DELAY_MS = 10000;
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function isRetryableStatus(status) {
+  return status === 429 || status >= 500;
+}
+
+// Full backoff is base * 2^attempt, jittered down to half so concurrent
+// collectors don't retry in lockstep
+function backoffDelay(attempt, baseDelayMs, retryAfter) {
+  const retryAfterSeconds = Number(retryAfter);
+  if (retryAfter != null && Number.isFinite(retryAfterSeconds)) {
+    return Math.min(retryAfterSeconds * 1000, MAX_DELAY_MS);
+  }
+  const full = Math.min(baseDelayMs * 2 ** attempt, MAX_DELAY_MS);
+  return full / 2 + Math.random() * (full / 2);
+}
+
+export async function postInfo(body, options) {
+  const fixtures = fixtureMode();
+  if (fixtures.mode === 'replay') return readFixture(fixtures.dir, body);
+
+  const data = await requestInfo(body, options);
+  if (fixtures.mode === 'record') await writeFixture(fixtures.dir, body, data);
+  return data;
+}
+
+async function requestInfo(body, {
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+  retries = DEFAULT_RETRIES,
+  baseDelayMs = DEFAULT_BASE_DELAY_MS
+} = {}) {
+  for (let attempt = 0; ; attempt++) {
+    let resp;
+    try {
+      resp = await fetch(process.env.HYPERLIQUID_API_URL || API_URL, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+    } catch (err) {
+      const reason = err.name === 'TimeoutError' ? `timed out after ${timeoutMs}ms` : err.message;
+      if (attempt >= retries) {
+        throw new Error(`Hyperliquid ${body.type} request failed after ${attempt + 1} attempt(s): ${reason}`);
+      }
+      await sleep(backoffDelay(attempt, baseDelayMs));
+      continue;
+    }
+
+    if (resp.ok) return resp.json();
+
+    if (!isRetryableStatus(resp.status) || attempt >= retries) {
+      const err = new Error(`Hyperliquid ${body.type} API error: ${resp.status}`);
+      err.status = resp.status;
+      throw err;
+    }
+    await sleep(backoffDelay(attempt, baseDelayMs, resp.headers.get('retry-after')));
+  }
+}
+
+// ── Response validation ─────────────────────────────────────
+// Reject malformed payloads before they reach scoring or the DB.
+function invalidResponse(type, detail) {
+  return new Error(`Invalid Hyperliquid ${type} response: ${detail}`);
+}
+
+function isNumeric(v) {
+  return (typeof v === 'number' || typeof v === 'string') && v !== '' && Number.isFinite(Number(v));
+}
+
+function isHistoryPoint(point) {
+  return Array.isArray(point) && point.length === 2 && Number.isFinite(point[0]) && isNumeric(point[1]);
+}
+
+export function validateVaultDetails(data) {
+  if (!data || typeof data !== 'object') throw invalidResponse('vaultDetails', 'expected an object');
+  if (!Array.isArray(data.portfolio)) throw invalidResponse('vaultDetails', 'portfolio is not an array');
+
+  for (const entry of data.portfolio) {
+    if (!Array.isArray(entry) || entry.length !== 2 || typeof entry[0] !== 'string') {
+      throw invalidResponse('vaultDetails', 'portfolio entries must be [timeframe, history] pairs');
+    }
+    const [timeframe, history] = entry;
+    for (const key of ['accountValueHistory', 'pnlHistory']) {
+      if (!Array.isArray(history?.[key])) {
+        throw invalidResponse('vaultDetails', `portfolio.${timeframe}.${key} is not an array`);
+      }
+      if (!history[key].every(isHistoryPoint)) {
+        throw invalidResponse('vaultDetails', `portfolio.${timeframe}.${key} has malformed [time, value] points`);
+      }
+    }
+  }
+  return data;
+}
+
+export function validateAssetContexts(data) {
+  if (!Array.isArray(data) || data.length !== 2) {
+    throw invalidResponse('metaAndAssetCtxs', 'expected a [meta, assetCtxs] pair');
+  }
+  const [meta, assetCtxs] = data;
+  if (!Array.isArray(meta?.universe)) throw invalidResponse('metaAndAssetCtxs', 'meta.universe is not an array');
+  if (!Array.isArray(assetCtxs)) throw invalidResponse('metaAndAssetCtxs', 'assetCtxs is not an array');
+  if (assetCtxs.length !== meta.universe.length) {
+    throw invalidResponse('metaAndAssetCtxs', `${assetCtxs.length} asset contexts for ${meta.universe.length} assets`);
+  }
+
+  meta.universe.forEach((asset, i) => {
+    if (typeof asset?.name !== 'string') throw invalidResponse('metaAndAssetCtxs', `universe[${i}].name is not a string`);
+  });
+  assetCtxs.forEach((ctx, i) => {
+    for (const key of ['funding', 'openInterest', 'dayNtlVlm']) {
+      if (!isNumeric(ctx?.[key])) {
+        throw invalidResponse('metaAndAssetCtxs', `assetCtxs[${i}].${key} is not numeric`);
+      }
+    }
+    // Prices and premium are null for some illiquid or delisted assets
+    for (const key of ['markPx', 'oraclePx', 'premium']) {
+      if (ctx[key] != null && !isNumeric(ctx[key])) {
+        throw invalidResponse('metaAndAssetCtxs', `assetCtxs[${i}].${key} is not numeric`);
+      }
+    }
+  });
+  return data;
+}
+
+export function validateClearinghouseState(data) {
+  if (!data || typeof data !== 'object') throw invalidResponse('clearinghouseState', 'expected an object');
+  if (!isNumeric(data.marginSummary?.accountValue)) {
+    throw invalidResponse('clearinghouseState', 'marginSummary.accountValue is not numeric');
+  }
+  if (!Array.isArray(data.assetPositions)) throw invalidResponse('clearinghouseState', 'assetPositions is not an array');
+
+  data.assetPositions.forEach((ap, i) => {
+    const p = ap?.position;
+    if (typeof p?.coin !== 'string') throw invalidResponse('clearinghouseState', `assetPositions[${i}].position.coin is not a string`);
+    for (const key of ['szi', 'positionValue', 'unrealizedPnl']) {
+      if (!isNumeric(p[key])) throw invalidResponse('clearinghouseState', `assetPositions[${i}].position.${key} is not numeric`);
+    }
+  });
+  return data;
+}
+
+export function validateUserVaultEquities(data) {
+  if (!Array.isArray(data)) throw invalidResponse('userVaultEquities', 'expected an array');
+  data.forEach((e, i) => {
+    if (typeof e?.vaultAddress !== 'string') throw invalidResponse('userVaultEquities', `[${i}].vaultAddress is not a string`);
+    if (!isNumeric(e.equity)) throw invalidResponse('userVaultEquities', `[${i}].equity is not numeric`);
+  });
+  return data;
+}
+
+export function validateLedgerUpdates(data) {
+  if (!Array.isArray(data)) throw invalidResponse('userNonFundingLedgerUpdates', 'expected an array');
+  data.forEach((u, i) => {
+    if (!Number.isFinite(u?.time)) throw invalidResponse('userNonFundingLedgerUpdates', `[${i}].time is not a number`);
+    if (typeof u.hash !== 'string') throw invalidResponse('userNonFundingLedgerUpdates', `[${i}].hash is not a string`);
+    if (typeof u.delta?.type !== 'string') throw invalidResponse('userNonFundingLedgerUpdates', `[${i}].delta.type is not a string`);
   });
-  if (!resp.ok) throw new Error(`Hyperliquid market context API error: ${resp.status}`);
-  const [meta, assetCtxs] = await resp.json();
+  return data;
+}
+
+// ── Market context ──────────────────────────────────────────
+function numOrNull(v) {
+  return v == null ? null : parseFloat(v);
+}
+
+// One row per asset, shaped like a market_snapshots row
+export function parseAssetContexts([meta, assetCtxs]) {
+  return assetCtxs.map((ctx, i) => ({
+    coin: meta.universe[i].name,
+    funding: parseFloat(ctx.funding),
+    open_interest: parseFloat(ctx.openInterest),
+    mark_px: numOrNull(ctx.markPx),
+    oracle_px: numOrNull(ctx.oraclePx),
+    premium: numOrNull(ctx.premium),
+    volume_24h: parseFloat(ctx.dayNtlVlm)
+  }));
+}
+
+// Concentration of exchange positioning across assets. Open interest is
+// reported in coin units, so assets are compared by notional (OI × mark).
+//   oiTop5Share        share of notional OI held by the five largest assets
+//   fundingDispersion  notional-weighted standard deviation of funding rates
+// Accepts parsed assets or market_snapshots rows (numeric strings).
+export function computeMarketConcentration(assets) {
+  const weighted = assets
+    .map(a => {
+      const price = numOrNull(a.mark_px) ?? numOrNull(a.oracle_px) ?? 0;
+      return { notional: parseFloat(a.open_interest) * price, funding: parseFloat(a.funding) };
+    })
+    .filter(a => a.notional > 0 && Number.isFinite(a.funding));
+
+  const totalNotional = weighted.reduce((s, a) => s + a.notional, 0);
+  if (totalNotional <= 0) return { oiTop5Share: null, fundingDispersion: null };
+
+  const top5 = weighted
+    .map(a => a.notional)
+    .sort((a, b) => b - a)
+    .slice(0, 5)
+    .reduce((s, v) => s + v, 0);
+
+  const meanFunding = weighted.reduce((s, a) => s + a.funding * a.notional, 0) / totalNotional;
+  const variance = weighted.reduce((s, a) => s + a.notional * (a.funding - meanFunding) ** 2, 0) / totalNotional;
+
+  return { oiTop5Share: top5 / totalNotional, fundingDispersion: Math.sqrt(variance) };
+}
 
+// Exchange-wide aggregates over parsed asset contexts: total OI and volume,
+// OI-weighted funding and the concentration measures. Shared by the hourly
+// collector and the WebSocket stream (lib/stream.js).
+export function summarizeAssetContexts(assets) {
   let totalOI = 0;
   let totalVolume = 0;
   let weightedFunding = 0;
   let totalOIForWeighting = 0;
 
-  for (const ctx of assetCtxs) {
-    const oi = parseFloat(ctx.openInterest || 0);
-    const vol = parseFloat(ctx.dayNtlVlm || 0);
-    const funding = parseFloat(ctx.funding || 0);
+  for (const asset of assets) {
+    const oi = asset.open_interest;
 
     totalOI += oi;
-    totalVolume += vol;
+    totalVolume += asset.volume_24h;
     if (oi > 0) {
-      weightedFunding += funding * oi;
+      weightedFunding += asset.funding * oi;
       totalOIForWeighting += oi;
     }
   }
 
   const fundingRate = totalOIForWeighting > 0 ? weightedFunding / totalOIForWeighting : 0;
 
-  return { fundingRate, openInterest: totalOI, volume24h: totalVolume };
+  return {
+    fundingRate,
+    openInterest: totalOI,
+    volume24h: totalVolume,
+    ...computeMarketConcentration(assets)
+  };
 }
 
-export async function fetchVaultDetails() {
-  const resp = await fetch(API_URL, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ type: 'vaultDetails', vaultAddress: HLP_VAULT })
-  });
-  if (!resp.ok) throw new Error(`Hyperliquid API error: ${resp.status}`);
-  return resp.json();
+export async function fetchMarketContext(options) {
+  const assets = parseAssetContexts(validateAssetContexts(await postInfo({ type: 'metaAndAssetCtxs' }, options)));
+  return { available: true, ...summarizeAssetContexts(assets), assets };
+}
+
+// Stand-in when market context could not be fetched: values are stored as
+// NULL and the dependent signals are left unscored, never filled with zeros
+export function unavailableMarketContext(err) {
+  return {
+    available: false,
+    error: err?.message || 'Market context unavailable',
+    fundingRate: null,
+    openInterest: null,
+    volume24h: null,
+    oiTop5Share: null,
+    fundingDispersion: null,
+    assets: []
+  };
+}
+
+export function isVaultAddress(address) {
+  return typeof address === 'string' && /^0x[0-9a-fA-F]{40}$/.test(address);
+}
+
+export async function fetchVaultDetails(vaultAddress = HLP_VAULT, options) {
+  return validateVaultDetails(await postInfo({ type: 'vaultDetails', vaultAddress }, options));
+}
+
+export async function fetchClearinghouseState(user, options) {
+  return validateClearinghouseState(await postInfo({ type: 'clearinghouseState', user }, options));
+}
+
+// A wallet's equity in every vault it holds, with its withdrawal lockup
+export async function fetchUserVaultEquities(user, options) {
+  return validateUserVaultEquities(await postInfo({ type: 'userVaultEquities', user }, options));
+}
+
+// Deposits, withdrawals, transfers, … since startTime (ms), oldest first.
+// The endpoint caps each response, so page forward from the last update.
+const LEDGER_PAGE_LIMIT = 500;
+
+export async function fetchLedgerUpdates(user, startTime = 0, options) {
+  const updates = [];
+  for (;;) {
+    const page = validateLedgerUpdates(await postInfo({ type: 'userNonFundingLedgerUpdates', user, startTime }, options));
+    updates.push(...page);
+    if (page.length < LEDGER_PAGE_LIMIT) return updates;
+    startTime = page[page.length - 1].time + 1;
+  }
+}
+
+// Child strategy vaults (HLP's A/B market makers, liquidator, …); empty for
+// vaults without children
+export function getChildAddresses(data) {
+  return (data?.relationship?.data?.childAddresses || []).map(a => a.toLowerCase());
 }
 
 export function parseVaultData(data) {
@@ -93,68 +360,6 @@ export function parseVaultData(data) {
   };
 }
 
-// Compute signal scores from analytics data (same logic as dashboard)
-export function computeSignalScores(analytics) {
-  const { currentDrawdown, currentNav, ath } = analytics;
-
-  // 1. Drawdown from ATH (25%)
-  const ddPct = Math.abs(currentDrawdown) * 100;
-  let ddScore;
-  if (ddPct < 0.1) ddScore = 5;
-  else if (ddPct < 0.5) ddScore = 15;
-  else if (ddPct < 1) ddScore = 25;
-  else if (ddPct < 2) ddScore = 40;
-  else if (ddPct < 3) ddScore = 55;
-  else if (ddPct < 5) ddScore = 70;
-  else if (ddPct < 7) ddScore = 85;
-  else if (ddPct < 9) ddScore = 92;
-  else ddScore = 98;
-
-  // 2. TVL Momentum (15%) — requires trailing data
-  const tvlScore = analytics.tvlScore ?? 50;
-
-  // 3. Return Momentum (15%) — requires trailing data
-  const momentumScore = analytics.momentumScore ?? 50;
-
-  // 4. Volatility Regime (15%) — requires trailing data
-  const volScore = analytics.volScore ?? 50;
-
-  // 5. APR Relative Value (5%)
-  const aprPct = (analytics.apr || 0) * 100;
-  let aprScore;
-  if (aprPct > 40) aprScore = 15;
-  else if (aprPct > 25) aprScore = 30;
-  else if (aprPct > 15) aprScore = 50;
-  else if (aprPct > 8) aprScore = 65;
-  else if (aprPct > 3) aprScore = 75;
-  else aprScore = 90;
-
-  // 6. Funding Rate (15%)
-  const fundingBps = (analytics.fundingRate || 0) * 10000; // basis points per 8h
-  let fundingScore;
-  if (fundingBps > 5) fundingScore = 90;
-  else if (fundingBps > 2) fundingScore = 75;
-  else if (fundingBps > 0.5) fundingScore = 60;
-  else if (fundingBps > -0.5) fundingScore = 45;
-  else if (fundingBps > -2) fundingScore = 25;
-  else fundingScore = 15;
-
-  // 7. Open Interest Trend (10%)
-  const oiScore = analytics.oiScore ?? 50;
-
-  const composite = Math.round(
-    ddScore * 0.25 +
-    tvlScore * 0.15 +
-    momentumScore * 0.15 +
-    volScore * 0.15 +
-    aprScore * 0.05 +
-    fundingScore * 0.15 +
-    oiScore * 0.10
-  );
-
-  return { composite, ddScore, tvlScore, momentumScore, volScore, aprScore, fundingScore, oiScore };
-}
-
 // Fetch DeFiLlama daily TVL for HLP
 export async function fetchDeFiLlamaTVL() {
   const resp = await fetch('https://api.llama.fi/protocol/hyperliquid-hlp');
@@ -190,92 +395,3 @@ export function parseAllTimeframes(data) {
 
   return result;
 }
-
-// Compute trailing signals from DB snapshot history
-export function computeTrailingSignals(snapshots, currentNav) {
-  if (!snapshots || snapshots.length < 2) {
-    return { tvlScore: 50, momentumScore: 50, volScore: 50 };
-  }
-
-  // TVL/NAV momentum — compare current to 7 days ago
-  const now = Date.now();
-  const snap7d = snapshots.filter(s => new Date(s.collected_at).getTime() >= now - 7 * 24 * 3600 * 1000);
-  const snap30d = snapshots;
-
-  const nav7dAgo = snap7d.length > 0 ? parseFloat(snap7d[0].nav) : currentNav;
-  const tvl7 = nav7dAgo > 0 ? ((currentNav - nav7dAgo) / nav7dAgo) * 100 : 0;
-
-  let tvlScore;
-  if (tvl7 > 3) tvlScore = 10;
-  else if (tvl7 > 1) tvlScore = 25;
-  else if (tvl7 > 0) tvlScore = 40;
-  else if (tvl7 > -1) tvlScore = 55;
-  else if (tvl7 > -3) tvlScore = 70;
-  else if (tvl7 > -5) tvlScore = 85;
-  else tvlScore = 95;
-
-  // Return momentum — compute daily returns from snapshots
-  const recent = snapshots.slice(-30);
-  const returns = [];
-  for (let i = 1; i < recent.length; i++) {
-    const prev = parseFloat(recent[i - 1].nav);
-    const curr = parseFloat(recent[i].nav);
-    if (prev > 0) returns.push((curr - prev) / prev);
-  }
-
-  const recent7Returns = returns.slice(-7);
-  const recent7Avg = recent7Returns.length > 0
-    ? recent7Returns.reduce((s, v) => s + v, 0) / recent7Returns.length : 0;
-
-  let momentumScore;
-  if (recent7Avg > 0.003) momentumScore = 10;
-  else if (recent7Avg > 0.001) momentumScore = 25;
-  else if (recent7Avg > 0) momentumScore = 40;
-  else if (recent7Avg > -0.001) momentumScore = 55;
-  else if (recent7Avg > -0.003) momentumScore = 70;
-  else if (recent7Avg > -0.01) momentumScore = 85;
-  else momentumScore = 95;
-
-  // Volatility regime
-  const avgReturn = returns.length > 0
-    ? returns.reduce((s, v) => s + v, 0) / returns.length : 0;
-  const variance = returns.length > 1
-    ? returns.reduce((s, v) => s + Math.pow(v - avgReturn, 2), 0) / (returns.length - 1) : 0;
-  const currentVol = Math.sqrt(variance);
-
-  const firstHalf = returns.slice(0, Math.floor(returns.length / 2));
-  const firstAvg = firstHalf.length > 0 ? firstHalf.reduce((s, v) => s + v, 0) / firstHalf.length : 0;
-  const firstVar = firstHalf.length > 1
-    ? firstHalf.reduce((s, v) => s + Math.pow(v - firstAvg, 2), 0) / (firstHalf.length - 1) : 0;
-  const priorVol = Math.sqrt(firstVar);
-
-  const volTrend = priorVol > 0 ? (currentVol - priorVol) / priorVol : 0;
-  const vol7dAnnualized = currentVol * Math.sqrt(365) * 100;
-
-  let volScore;
-  if (volTrend < -0.3 && vol7dAnnualized > 10) volScore = 90;
-  else if (volTrend < -0.1) volScore = 70;
-  else if (Math.abs(volTrend) < 0.1) volScore = 50;
-  else if (volTrend < 0.3) volScore = 35;
-  else volScore = 15;
-
-  // OI trend — compare latest OI to 7-day-ago snapshot OI
-  let oiScore = 50; // default neutral
-  const snapsWithOI = snapshots.filter(s => s.open_interest != null && parseFloat(s.open_interest) > 0);
-  if (snapsWithOI.length >= 2) {
-    const latestOI = parseFloat(snapsWithOI[snapsWithOI.length - 1].open_interest);
-    const sevenDaysAgoTime = now - 7 * 24 * 3600 * 1000;
-    const snap7dOI = snapsWithOI.filter(s => new Date(s.collected_at).getTime() >= sevenDaysAgoTime);
-    const oiAgo = snap7dOI.length > 0 ? parseFloat(snap7dOI[0].open_interest) : latestOI;
-    if (oiAgo > 0) {
-      const oiChange = (latestOI - oiAgo) / oiAgo;
-      if (oiChange > 0.10) oiScore = 90;       // surging flow
-      else if (oiChange > 0.03) oiScore = 70;
-      else if (oiChange > -0.03) oiScore = 50;  // stable
-      else if (oiChange > -0.05) oiScore = 30;
-      else oiScore = 15;                         // collapsing flow
-    }
-  }
-
-  return { tvlScore, momentumScore, volScore, oiScore };
-}
@@ -0,0 +1,68 @@
+import { readdir } from 'node:fs/promises';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { join } from 'node:path';
+
+// Migrations live in migrations/NNN_description.js and export `up(sql)` for
+// Postgres and `sqlite(sql)` for the embedded backend. The HTTP driver cannot
+// wrap a function in a transaction, so every Postgres migration must be safe
+// to re-run (IF NOT EXISTS / IF EXISTS) in case it fails halfway.
+export const MIGRATIONS_DIR = fileURLToPath(new URL('../migrations/', import.meta.url));
+
+const FILENAME = /^(\d+)_([\w-]+)\.js$/;
+
+export async function listMigrations(dir = MIGRATIONS_DIR) {
+  const files = await readdir(dir);
+  const migrations = files
+    .map(file => {
+      const m = file.match(FILENAME);
+      return m ? { version: parseInt(m[1], 10), name: m[2], file: join(dir, file) } : null;
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.version - b.version);
+
+  for (let i = 1; i < migrations.length; i++) {
+    if (migrations[i].version === migrations[i - 1].version) {
+      throw new Error(`Duplicate migration version ${migrations[i].version}`);
+    }
+  }
+  return migrations;
+}
+
+async function ensureMigrationsTable(db) {
+  await db.sql`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version     INTEGER PRIMARY KEY,
+      name        TEXT NOT NULL,
+      applied_at  TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+    )
+  `;
+}
+
+export async function migrationStatus(db, dir = MIGRATIONS_DIR) {
+  await ensureMigrationsTable(db);
+  const applied = await db.sql`SELECT version, applied_at FROM schema_migrations`;
+  const appliedAt = new Map(applied.map(r => [Number(r.version), r.applied_at]));
+
+  return (await listMigrations(dir)).map(m => ({
+    ...m,
+    applied: appliedAt.has(m.version),
+    applied_at: appliedAt.get(m.version) || null
+  }));
+}
+
+// Apply pending migrations in version order. Returns the ones applied.
+export async function migrateUp(db, { dir = MIGRATIONS_DIR, log = () => {} } = {}) {
+  const pending = (await migrationStatus(db, dir)).filter(m => !m.applied);
+  const entry = db.dialect === 'sqlite' ? 'sqlite' : 'up';
+
+  for (const m of pending) {
+    log(`Applying ${String(m.version).padStart(3, '0')}_${m.name}...`);
+    const migration = await import(pathToFileURL(m.file).href);
+    if (typeof migration[entry] !== 'function') {
+      throw new Error(`Migration ${m.file} does not export ${entry}(sql)`);
+    }
+    await migration[entry](db.sql);
+    await db.sql`INSERT INTO schema_migrations (version, name) VALUES (${m.version}, ${m.name})`;
+  }
+  return pending;
+}
@@ -0,0 +1,115 @@
+import { createServer } from 'node:http';
+import { once } from 'node:events';
+import { WebSocketServer } from 'ws';
+import { DEFAULT_FIXTURE_DIR, readFixture } from './fixtures.js';
+
+// Local stand-in for api.hyperliquid.xyz/info. POST /info answers from the
+// recorded fixtures (see lib/fixtures.js); respond(type, fn) overrides a
+// request type, where fn(body) returns { status, body, headers } or
+// undefined to fall back to the fixture. Unrecorded requests get a 404.
+//
+// /ws stands in for the WebSocket API: subscriptions and pings are
+// acknowledged, and a webData2 subscription is answered with the user's
+// clearinghouseState and metaAndAssetCtxs fixtures when both are recorded.
+// publish(channel, data) sends a message to every connected client and
+// disconnectAll() drops them, to exercise reconnects.
+export async function startMockHyperliquid({ dir = DEFAULT_FIXTURE_DIR, port = 0, host = '127.0.0.1' } = {}) {
+  const responders = new Map();
+  const requests = [];
+  const subscriptions = [];
+
+  const server = createServer(async (req, res) => {
+    const send = (status, payload, headers = {}) => {
+      res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+      res.end(JSON.stringify(payload ?? null));
+    };
+
+    if (req.url !== '/info') return send(404, { error: `Not found: ${req.url}` });
+    if (req.method !== 'POST') return send(405, { error: 'Use POST' });
+
+    let body;
+    try {
+      const chunks = [];
+      for await (const chunk of req) chunks.push(chunk);
+      body = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+    } catch {
+      return send(400, { error: 'Invalid JSON body' });
+    }
+    requests.push(body);
+
+    try {
+      const override = responders.get(body.type)?.(body);
+      if (override) return send(override.status ?? 200, override.body, override.headers);
+      return send(200, await readFixture(dir, body));
+    } catch (err) {
+      return send(err.status || 500, { error: err.message });
+    }
+  });
+
+  const wss = new WebSocketServer({ server, path: '/ws' });
+  wss.on('connection', socket => {
+    const reply = payload => socket.send(JSON.stringify(payload));
+    socket.on('message', async raw => {
+      let msg;
+      try {
+        msg = JSON.parse(raw.toString('utf8'));
+      } catch {
+        return reply({ channel: 'error', data: 'Invalid JSON message' });
+      }
+      if (msg.method === 'ping') return reply({ channel: 'pong' });
+      if (msg.method !== 'subscribe') return reply({ channel: 'error', data: `Unsupported method: ${msg.method}` });
+
+      subscriptions.push(msg.subscription);
+      reply({ channel: 'subscriptionResponse', data: msg });
+      if (msg.subscription?.type === 'webData2') {
+        const data = await webData2(dir, msg.subscription.user);
+        if (data && socket.readyState === socket.OPEN) reply({ channel: 'webData2', data });
+      }
+    });
+  });
+
+  server.listen(port, host);
+  await once(server, 'listening');
+  const address = server.address();
+
+  return {
+    url: `http://${host}:${address.port}/info`,
+    wsUrl: `ws://${host}:${address.port}/ws`,
+    requests,
+    subscriptions,
+    // Open WebSocket clients
+    get connections() {
+      return wss.clients.size;
+    },
+    publish(channel, data) {
+      for (const client of wss.clients) client.send(JSON.stringify({ channel, data }));
+    },
+    disconnectAll() {
+      for (const client of wss.clients) client.terminate();
+    },
+    respond(type, fn) {
+      if (fn) responders.set(type, fn);
+      else responders.delete(type);
+    },
+    async close() {
+      for (const client of wss.clients) client.terminate();
+      wss.close();
+      server.closeAllConnections();
+      server.close();
+      await once(server, 'close');
+    }
+  };
+}
+
+// The parts of webData2 the stream reads, or null without fixtures
+async function webData2(dir, user) {
+  try {
+    const [clearinghouseState, [meta, assetCtxs]] = await Promise.all([
+      readFixture(dir, { type: 'clearinghouseState', user }),
+      readFixture(dir, { type: 'metaAndAssetCtxs' })
+    ]);
+    return { user, clearinghouseState, meta, assetCtxs, serverTime: Date.now() };
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,451 @@
+import {
+  API_KEY_FIELDS, DEFAULT_PAGE_SIZE, ERROR_CODES, EVENT_FIELDS, MAX_PAGE_SIZE, SNAPSHOT_FIELDS, VAULT_FIELDS
+} from './api-v1.js';
+import { HLP_VAULT } from './hyperliquid.js';
+import { DEFAULT_RATE_LIMIT, RATE_WINDOW_MS } from './api-keys.js';
+import { EVENT_TYPES, SEVERITIES } from './events.js';
+import { EXPORT_FORMATS } from './export.js';
+
+// OpenAPI 3.1 description of /api/v1, built from the same field tables the
+// handlers serialize with (lib/api-v1.js), plus the dashboard's own
+// same-origin routes: /api/snapshots and /api/latest as deprecated, the
+// rest marked x-internal. `npm run openapi` writes it to
+// public/openapi.json; GET /api/v1/openapi serves it without a key.
+
+export const API_VERSION = '1.0.0';
+
+// A field table entry as JSON Schema; nullable becomes a ['type', 'null'] union
+function fieldSchema({ nullable, type, ...rest }) {
+  return { type: nullable ? [type, 'null'] : type, ...rest };
+}
+
+function objectSchema(fields, description) {
+  return {
+    type: 'object',
+    description,
+    required: Object.keys(fields),
+    properties: Object.fromEntries(Object.entries(fields).map(([name, field]) => [name, fieldSchema(field)]))
+  };
+}
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const param = name => ({ $ref: `#/components/parameters/${name}` });
+
+const listOf = schema => ({
+  type: 'object',
+  required: ['data', 'pagination'],
+  properties: { data: { type: 'array', items: ref(schema) }, pagination: ref('Pagination') }
+});
+
+const dataOf = schema => ({ type: 'object', required: ['data'], properties: { data: schema } });
+
+const RATE_HEADERS = {
+  'X-RateLimit-Limit': { $ref: '#/components/headers/X-RateLimit-Limit' },
+  'X-RateLimit-Remaining': { $ref: '#/components/headers/X-RateLimit-Remaining' },
+  'X-RateLimit-Reset': { $ref: '#/components/headers/X-RateLimit-Reset' }
+};
+
+function ok(description, schema, { keyed = true } = {}) {
+  return {
+    description,
+    ...(keyed ? { headers: RATE_HEADERS } : {}),
+    content: { 'application/json': { schema } }
+  };
+}
+
+const errors = statuses => Object.fromEntries(statuses.map(s => [String(s), { $ref: `#/components/responses/${ERROR_CODES[s]}` }]));
+const KEYED_ERRORS = [401, 429, 500];
+
+const legacyErrors = statuses => Object.fromEntries(statuses.map(s => [String(s), {
+  description: `${s} error`,
+  content: { 'application/json': { schema: ref('LegacyError') } }
+}]));
+
+const PATHS = {
+  '/v1/vaults': {
+    get: {
+      operationId: 'listVaults',
+      summary: 'Vaults with collected data',
+      description: 'A short list, returned in one response.',
+      responses: { 200: ok('Registered vaults', dataOf({ type: 'array', items: ref('Vault') })), ...errors(KEYED_ERRORS) }
+    }
+  },
+  '/v1/snapshots': {
+    get: {
+      operationId: 'listSnapshots',
+      summary: 'Hourly snapshots of a vault, oldest first',
+      parameters: [param('vault'), param('from'), param('to'), param('limit'), param('cursor')],
+      responses: {
+        200: ok('A page of snapshots', listOf('Snapshot')),
+        ...errors([400, 404, ...KEYED_ERRORS])
+      }
+    }
+  },
+  '/v1/latest': {
+    get: {
+      operationId: 'getLatestSnapshot',
+      summary: "A vault's newest snapshot",
+      description: 'Served from stored data, so at most about an hour old; never calls Hyperliquid.',
+      parameters: [param('vault')],
+      responses: { 200: ok('The newest snapshot', dataOf(ref('Snapshot'))), ...errors([400, 404, ...KEYED_ERRORS]) }
+    }
+  },
+  '/v1/events': {
+    get: {
+      operationId: 'listEvents',
+      summary: "Market-wide stress events and a vault's NAV drops, oldest first",
+      parameters: [
+        param('vault'), param('from'), param('to'),
+        {
+          name: 'type',
+          in: 'query',
+          description: `Comma-separated event types (default all): ${Object.keys(EVENT_TYPES).join(', ')}`,
+          schema: { type: 'string' }
+        },
+        {
+          name: 'severity',
+          in: 'query',
+          description: 'Minimum severity',
+          schema: { type: 'string', enum: SEVERITIES, default: 'low' }
+        },
+        param('limit'), param('cursor')
+      ],
+      responses: { 200: ok('A page of events', listOf('Event')), ...errors([400, 404, ...KEYED_ERRORS]) }
+    }
+  },
+  '/v1/usage': {
+    get: {
+      operationId: 'getUsage',
+      summary: "The calling key's limits and request counts",
+      parameters: [{
+        name: 'days',
+        in: 'query',
+        description: 'UTC days of history, including today',
+        schema: { type: 'integer', minimum: 1, maximum: 90, default: 30 }
+      }],
+      responses: { 200: ok('Usage of the calling key', dataOf(ref('Usage'))), ...errors([400, ...KEYED_ERRORS]) }
+    }
+  },
+  '/v1/openapi': {
+    get: {
+      operationId: 'getOpenApi',
+      summary: 'This document',
+      security: [],
+      responses: { 200: ok('OpenAPI 3.1 document', { type: 'object' }, { keyed: false }), ...errors([500]) }
+    }
+  },
+
+  // The dashboard's own routes: no key, but same-origin only, and errors
+  // are a bare { error: message }
+  '/snapshots': {
+    get: {
+      operationId: 'legacyListSnapshots',
+      summary: 'Dashboard history of a vault',
+      description: 'Deprecated for API use: not callable cross-origin. Use /v1/snapshots.',
+      deprecated: true,
+      tags: ['dashboard'],
+      security: [],
+      parameters: [
+        param('vault'),
+        { name: 'range', in: 'query', schema: { type: 'string', enum: ['24h', '7d', '30d', '90d', '1y', 'all'], default: 'all' } },
+        { name: 'resolution', in: 'query', schema: { type: 'string', enum: ['auto', 'raw', '1h', '4h', '1d', '1w'], default: 'auto' } },
+        param('from'), param('to')
+      ],
+      responses: {
+        200: ok('Snapshots (resampled), gaps and metadata', {
+          type: 'object',
+          required: ['snapshots', 'gaps', 'meta'],
+          properties: { snapshots: { type: 'array', items: { type: 'object' } }, gaps: { type: 'object' }, meta: { type: 'object' } }
+        }, { keyed: false }),
+        ...legacyErrors([400, 404, 500])
+      }
+    }
+  },
+  '/latest': {
+    get: {
+      operationId: 'legacyGetLatest',
+      summary: "A vault's newest snapshot with live values",
+      description: 'Deprecated for API use: not callable cross-origin, and live values are cached for up to a minute. Use /v1/latest.',
+      deprecated: true,
+      tags: ['dashboard'],
+      security: [],
+      parameters: [param('vault')],
+      responses: {
+        200: ok('Newest snapshot and live values', {
+          type: 'object',
+          required: ['vault', 'snapshot', 'live', 'history_available'],
+          properties: {
+            vault: { type: 'string' },
+            snapshot: { type: ['object', 'null'] },
+            live: { type: 'object' },
+            history_available: { type: 'boolean' }
+          }
+        }, { keyed: false }),
+        ...legacyErrors([400, 404, 500])
+      }
+    }
+  }
+};
+
+// ── Dashboard routes ────────────────────────────────────────
+// Everything under /api outside /v1: same-origin, unversioned, and errors
+// are a bare { error: message }. Listed so the document names every
+// endpoint; operators' routes take the CRON_SECRET as a bearer token.
+const q = (name, description, schema = { type: 'string' }) => ({ name, in: 'query', description, schema });
+const RANGE = (values, fallback) => q('range', 'Window ending now; from/to override it', { type: 'string', enum: values, default: fallback });
+const OBJECT = { 'application/json': { schema: { type: 'object' } } };
+
+const DASHBOARD_ROUTES = {
+  vaults: { get: { summary: 'Registered vaults' } },
+  stats: {
+    get: {
+      summary: 'Risk/return statistics and a daily rolling series',
+      parameters: [
+        param('vault'), RANGE(['7d', '30d', '90d', '1y', 'all'], 'all'), param('from'), param('to'),
+        q('window', 'Rolling window', { type: 'string', enum: ['7d', '30d', '90d'], default: '30d' }),
+        q('interval', 'Return interval', { type: 'string', enum: ['1h', '1d'], default: '1d' }),
+        q('confidence', 'VaR/CVaR confidence', { type: 'number', default: 0.95 }),
+        q('rf', 'Annual risk-free rate as a fraction', { type: 'number', default: 0 })
+      ]
+    }
+  },
+  market: {
+    get: {
+      summary: 'Latest per-asset cross-section, or hourly history for some assets',
+      parameters: [q('coin', 'Comma-separated coins; omit for the latest cross-section'), q('range', 'History window', { type: 'string', default: '7d' })]
+    }
+  },
+  backtest: {
+    get: {
+      summary: 'Forward returns by entry-signal score',
+      parameters: [
+        param('vault'), q('range', 'History window', { type: 'string', default: 'all' }),
+        q('mode', 'static or walk-forward', { type: 'string', default: 'static' }),
+        q('horizons', 'Comma-separated horizons in days'), q('folds', 'Walk-forward folds', { type: 'integer', default: 5 }),
+        q('calibrate', 'Horizon to calibrate thresholds on', { type: 'integer' })
+      ]
+    }
+  },
+  events: {
+    get: {
+      summary: 'Stress events for the dashboard chart',
+      parameters: [param('vault'), q('range', 'History window', { type: 'string', default: '30d' }), param('from'), param('to'), q('type', 'Comma-separated event types'), q('severity', 'Minimum severity', { type: 'string', enum: SEVERITIES })]
+    }
+  },
+  regimes: {
+    get: {
+      summary: 'Market regime periods and the latest label',
+      parameters: [param('vault'), q('range', 'History window', { type: 'string', default: '90d' }), param('from'), param('to')]
+    }
+  },
+  drivers: {
+    get: { summary: 'PnL attribution across child vaults and net exposure', parameters: [param('vault'), q('range', 'History window', { type: 'string', default: '30d' })] }
+  },
+  export: {
+    get: {
+      summary: 'Raw hourly snapshots as a download',
+      parameters: [
+        param('vault'), q('format', 'File format', { type: 'string', enum: Object.keys(EXPORT_FORMATS), default: 'csv' }),
+        q('columns', 'Comma-separated columns (default all)'), param('from'), param('to')
+      ],
+      content: Object.fromEntries(Object.values(EXPORT_FORMATS).map(f => [f.contentType.split(';')[0], { schema: { type: 'string' } }]))
+    }
+  },
+  status: { get: { summary: 'Data freshness and recent collection runs', parameters: [q('limit', 'Runs to return', { type: 'integer', default: 24 })] } },
+  health: { get: { summary: 'Uptime check; 503 when the database is unreachable' } },
+  simulate: {
+    get: {
+      summary: 'Replay a deposit policy against lump-sum and DCA',
+      parameters: [
+        param('vault'), q('range', 'History window', { type: 'string', default: 'all' }),
+        ...['budget', 'amount', 'cadence', 'rules', 'pause', 'lockup_days', 'exit_below', 'exit_fraction'].map(name => q(name, 'Policy setting'))
+      ]
+    }
+  },
+  rescore: {
+    get: {
+      summary: 'Scores under other signal configurations next to the stored ones',
+      parameters: [param('vault'), q('config', 'Comma-separated configuration versions'), q('range', 'History window', { type: 'string', default: '30d' }), q('source', 'replay or stored', { type: 'string', default: 'replay' }), q('resolution', 'Bucket size', { type: 'string', default: 'auto' })]
+    }
+  },
+  profiles: {
+    get: { summary: "A browser's scoring profiles", parameters: [q('owner', 'Per-browser owner id')] },
+    post: { summary: 'Save a scoring profile', body: true },
+    delete: { summary: 'Delete a scoring profile', parameters: [q('owner', 'Per-browser owner id'), q('name', 'Profile name')] }
+  },
+  positions: {
+    get: { summary: 'Tracked deposits with PnL and a DCA comparison', parameters: [q('owner', 'Per-browser owner id'), q('account', 'Wallet address or label'), param('vault')] },
+    post: { summary: 'Record a deposit or withdrawal, or import a wallet ledger', parameters: [q('action', 'import to read the wallet ledger')], body: true },
+    delete: { summary: 'Delete a tracked flow', parameters: [q('owner', 'Per-browser owner id'), q('account', 'Wallet address or label'), q('id', 'Flow id', { type: 'integer' })] }
+  },
+  stream: {
+    get: {
+      summary: 'Live intraday view as server-sent events (long-lived servers only)',
+      parameters: [param('vault')],
+      content: { 'text/event-stream': { schema: { type: 'string' } } }
+    }
+  },
+  collect: {
+    get: { summary: 'Run a collection', secret: true },
+    post: { summary: 'Run a collection', secret: true }
+  },
+  backfill: {
+    post: {
+      summary: 'Fill missing hours and NULL-score rows',
+      secret: true,
+      parameters: [param('vault'), param('from'), param('to'), q('dry_run', 'Report without writing', { type: 'boolean' })]
+    }
+  }
+};
+
+function dashboardPaths() {
+  return Object.fromEntries(Object.entries(DASHBOARD_ROUTES).map(([name, methods]) => [`/${name}`, Object.fromEntries(
+    Object.entries(methods).map(([method, { summary, parameters = [], body = false, secret = false, content = OBJECT }]) => [method, {
+      operationId: `${method}${name[0].toUpperCase()}${name.slice(1)}Dashboard`,
+      summary,
+      tags: ['dashboard'],
+      'x-internal': true,
+      security: secret ? [{ cronSecret: [] }] : [],
+      ...(parameters.length > 0 ? { parameters } : {}),
+      ...(body ? { requestBody: { required: true, content: OBJECT } } : {}),
+      responses: { 200: { description: summary, content }, ...legacyErrors([400, 500]) }
+    }])
+  )]));
+}
+
+export function buildOpenApi() {
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'HLP Dashboard API',
+      version: API_VERSION,
+      description:
+        'Hourly snapshots, entry-signal scores and market-stress events for Hyperliquid vaults. ' +
+        'Every /v1 endpoint except /v1/openapi needs an API key, sent as `Authorization: Bearer <key>` ' +
+        'or `X-API-Key: <key>`. Each key has its own per-minute rate limit ' +
+        `(${DEFAULT_RATE_LIMIT} requests unless agreed otherwise); X-RateLimit-* headers report it ` +
+        'and a 429 carries Retry-After. Lists are paginated: pass `pagination.next_cursor` as ' +
+        '`cursor` until `has_more` is false. Errors are always `{ error: { status, code, message } }`. ' +
+        'The unversioned /snapshots and /latest serve the dashboard and are deprecated for other use; ' +
+        'the other unversioned routes (tag `dashboard`, `x-internal`) are internal and same-origin only.'
+    },
+    servers: [{ url: '/api' }],
+    security: [{ bearerKey: [] }, { headerKey: [] }],
+    tags: [
+      { name: 'dashboard', description: "The dashboard's and operators' own routes: same-origin only, no key, unversioned" }
+    ],
+    paths: { ...PATHS, ...dashboardPaths() },
+    components: {
+      securitySchemes: {
+        bearerKey: { type: 'http', scheme: 'bearer', description: 'API key as a bearer token' },
+        headerKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+        cronSecret: { type: 'http', scheme: 'bearer', description: 'CRON_SECRET, for operator routes' }
+      },
+      parameters: {
+        vault: {
+          name: 'vault',
+          in: 'query',
+          description: 'Vault address (default HLP)',
+          schema: { type: 'string', pattern: '^0x[0-9a-fA-F]{40}$', default: HLP_VAULT }
+        },
+        from: {
+          name: 'from',
+          in: 'query',
+          description: 'Start of the window, inclusive (default: all history)',
+          schema: { type: 'string', format: 'date-time' }
+        },
+        to: {
+          name: 'to',
+          in: 'query',
+          description: 'End of the window, exclusive (default: now)',
+          schema: { type: 'string', format: 'date-time' }
+        },
+        limit: {
+          name: 'limit',
+          in: 'query',
+          description: 'Page size',
+          schema: { type: 'integer', minimum: 1, maximum: MAX_PAGE_SIZE, default: DEFAULT_PAGE_SIZE }
+        },
+        cursor: {
+          name: 'cursor',
+          in: 'query',
+          description: '`pagination.next_cursor` from the previous page',
+          schema: { type: 'string' }
+        }
+      },
+      headers: {
+        'X-RateLimit-Limit': { description: 'Requests allowed per minute', schema: { type: 'integer' } },
+        'X-RateLimit-Remaining': { description: 'Requests left in the current minute', schema: { type: 'integer' } },
+        'X-RateLimit-Reset': { description: 'Unix time (seconds) the current window ends', schema: { type: 'integer' } }
+      },
+      responses: Object.fromEntries(Object.entries(ERROR_CODES).map(([status, code]) => [code, {
+        description: `${status} ${code}`,
+        ...(Number(status) === 429 ? {
+          headers: { ...RATE_HEADERS, 'Retry-After': { description: 'Seconds until the window resets', schema: { type: 'integer' } } }
+        } : {}),
+        content: { 'application/json': { schema: ref('Error') } }
+      }])),
+      schemas: {
+        Snapshot: objectSchema(SNAPSHOT_FIELDS, 'One hourly observation of a vault with its entry-signal scores'),
+        Event: objectSchema(EVENT_FIELDS, 'A market-stress event or a sharp drop in a vault\'s NAV'),
+        Vault: objectSchema(VAULT_FIELDS, 'A vault the collector follows'),
+        ApiKey: objectSchema(API_KEY_FIELDS, 'An API key; the key itself is only shown when issued'),
+        Usage: {
+          type: 'object',
+          required: ['key', 'rate_limit', 'daily'],
+          properties: {
+            key: ref('ApiKey'),
+            rate_limit: {
+              type: 'object',
+              description: `The current ${RATE_WINDOW_MS / 1000}s rate-limit window`,
+              required: ['limit', 'remaining', 'reset'],
+              properties: {
+                limit: { type: 'integer' },
+                remaining: { type: 'integer' },
+                reset: { type: 'string', format: 'date-time' }
+              }
+            },
+            daily: {
+              type: 'array',
+              description: 'Requests per UTC day, days without requests omitted',
+              items: {
+                type: 'object',
+                required: ['date', 'requests'],
+                properties: { date: { type: 'string', format: 'date' }, requests: { type: 'integer' } }
+              }
+            }
+          }
+        },
+        Pagination: {
+          type: 'object',
+          required: ['limit', 'has_more', 'next_cursor'],
+          properties: {
+            limit: { type: 'integer' },
+            has_more: { type: 'boolean' },
+            next_cursor: { type: ['string', 'null'], description: 'Pass as `cursor` for the next page; null on the last' }
+          }
+        },
+        LegacyError: {
+          type: 'object',
+          required: ['error'],
+          properties: { error: { type: 'string' } }
+        },
+        Error: {
+          type: 'object',
+          required: ['error'],
+          properties: {
+            error: {
+              type: 'object',
+              required: ['status', 'code', 'message'],
+              properties: {
+                status: { type: 'integer' },
+                code: { type: 'string', enum: Object.values(ERROR_CODES) },
+                message: { type: 'string' }
+              }
+            }
+          }
+        }
+      }
+    }
+  };
+}
@@ -0,0 +1,188 @@
+import { flowAdjustedNav } from './signals.js';
+import { xirr } from './stats.js';
+
+// Personal deposit tracking. Each deposit is a lot that buys units of the
+// vault's flow-adjusted NAV index (amount / index at entry), which is how a
+// depositor's share grows with the vault's PnL and not with other people's
+// flows. Withdrawals redeem units first-in first-out.
+
+const DAY_MS = 24 * 3600 * 1000;
+const WEEK_MS = 7 * DAY_MS;
+
+const timeOf = v => new Date(v).getTime();
+const num = v => v == null ? null : parseFloat(v);
+
+// Deposits and withdrawals into one vault from userNonFundingLedgerUpdates,
+// shaped like position_flows rows. Withdrawal amounts are the equity
+// redeemed; `fee` is what was kept back (profit share, closing costs).
+export function parseLedgerFlows(updates, vault) {
+  const flows = [];
+  for (const u of updates) {
+    const d = u.delta;
+    if (d.vault?.toLowerCase() !== vault.toLowerCase()) continue;
+    let flow;
+    if (d.type === 'vaultDeposit') {
+      flow = { kind: 'deposit', amount: parseFloat(d.usdc), fee: 0 };
+    } else if (d.type === 'vaultWithdraw') {
+      const net = parseFloat(d.netWithdrawnUsd);
+      const requested = d.requestedUsd != null ? parseFloat(d.requestedUsd) : net;
+      flow = { kind: 'withdrawal', amount: requested, fee: Math.max(0, requested - net) };
+    } else {
+      continue;
+    }
+    flows.push({ ...flow, occurred_at: new Date(u.time).toISOString(), source: 'ledger', tx_hash: u.hash });
+  }
+  return flows;
+}
+
+// Snapshot rows (ascending) as [{ time, index, composite, drawdown, allowDeposits }]
+export function pricePoints(rows) {
+  return flowAdjustedNav(rows)
+    .map(r => ({
+      time: timeOf(r.collected_at),
+      index: r.nav,
+      composite: r.composite_score != null ? Number(r.composite_score) : null,
+      drawdown: num(r.drawdown_pct),
+      allowDeposits: r.allow_deposits !== false
+    }))
+    .filter(p => p.index > 0);
+}
+
+// Last point at or before `time`; the first point for earlier times
+export function pointAt(points, time) {
+  let lo = 0;
+  let hi = points.length - 1;
+  if (hi < 0) return null;
+  if (time < points[0].time) return points[0];
+  while (lo < hi) {
+    const mid = Math.ceil((lo + hi) / 2);
+    if (points[mid].time <= time) lo = mid;
+    else hi = mid - 1;
+  }
+  return points[lo];
+}
+
+// Replay flows (any order) into lots. Flows more than a day from the nearest
+// earlier snapshot are priced approximately and flagged `estimated`.
+export function buildLots(flows, points) {
+  const lots = [];
+  let unmatchedUnits = 0;
+
+  const sorted = [...flows].sort((a, b) => timeOf(a.occurred_at) - timeOf(b.occurred_at));
+  for (const flow of sorted) {
+    const time = timeOf(flow.occurred_at);
+    const p = pointAt(points, time);
+    const amount = num(flow.amount);
+    const estimated = Math.abs(time - p.time) > DAY_MS;
+
+    if (flow.kind === 'deposit') {
+      lots.push({
+        id: flow.id ?? null,
+        occurred_at: new Date(time).toISOString(),
+        source: flow.source ?? 'manual',
+        amount,
+        entry_index: p.index,
+        units: amount / p.index,
+        units_left: amount / p.index,
+        withdrawn: 0,
+        entry_composite: p.composite,
+        entry_drawdown: p.drawdown,
+        estimated
+      });
+      continue;
+    }
+
+    // Proceeds are shared across the lots redeemed in proportion to units
+    const units = amount / p.index;
+    const proceeds = amount - (num(flow.fee) ?? 0);
+    let remaining = units;
+    for (const lot of lots) {
+      if (remaining <= 0) break;
+      const take = Math.min(lot.units_left, remaining);
+      if (take <= 0) continue;
+      lot.units_left -= take;
+      lot.withdrawn += proceeds * (take / units);
+      remaining -= take;
+    }
+    if (remaining > 1e-9) unmatchedUnits += remaining;
+  }
+
+  return { lots, unmatched_withdrawal: unmatchedUnits * (points[points.length - 1]?.index ?? 0) };
+}
+
+// Value, PnL and money-weighted return of a set of flows marked at the last
+// point. Amount-weighted composite at entry shows how well-timed deposits were.
+export function evaluateFlows(flows, points) {
+  const last = points[points.length - 1];
+  const { lots, unmatched_withdrawal } = buildLots(flows, points);
+
+  for (const lot of lots) {
+    lot.value = lot.units_left * last.index;
+    lot.pnl = lot.value + lot.withdrawn - lot.amount;
+    lot.return_pct = lot.amount > 0 ? lot.pnl / lot.amount : null;
+    lot.days_held = (last.time - timeOf(lot.occurred_at)) / DAY_MS;
+  }
+
+  const deposited = lots.reduce((s, l) => s + l.amount, 0);
+  const withdrawn = lots.reduce((s, l) => s + l.withdrawn, 0);
+  const value = lots.reduce((s, l) => s + l.value, 0);
+  const scored = lots.filter(l => l.entry_composite != null);
+  const scoredAmount = scored.reduce((s, l) => s + l.amount, 0);
+
+  const cashflows = flows.map(f => ({
+    time: timeOf(f.occurred_at),
+    amount: f.kind === 'deposit' ? -num(f.amount) : num(f.amount) - (num(f.fee) ?? 0)
+  }));
+  if (value > 0) cashflows.push({ time: last.time, amount: value });
+
+  return {
+    lots,
+    deposited,
+    withdrawn,
+    value,
+    pnl: value + withdrawn - deposited,
+    return_pct: deposited > 0 ? (value + withdrawn - deposited) / deposited : null,
+    money_weighted_return: xirr(cashflows),
+    entry_composite: scoredAmount > 0 ? scored.reduce((s, l) => s + l.entry_composite * l.amount, 0) / scoredAmount : null,
+    unmatched_withdrawal
+  };
+}
+
+// The same total deposited in equal weekly installments from the first to
+// the last actual deposit; withdrawals are kept as they happened
+export function dcaFlows(flows) {
+  const deposits = flows.filter(f => f.kind === 'deposit');
+  if (deposits.length === 0) return flows;
+  const times = deposits.map(f => timeOf(f.occurred_at));
+  const first = Math.min(...times);
+  const count = Math.floor((Math.max(...times) - first) / WEEK_MS) + 1;
+  const total = deposits.reduce((s, f) => s + num(f.amount), 0);
+
+  const schedule = Array.from({ length: count }, (_, i) => ({
+    kind: 'deposit',
+    amount: total / count,
+    occurred_at: new Date(first + i * WEEK_MS).toISOString(),
+    source: 'dca'
+  }));
+  return [...schedule, ...flows.filter(f => f.kind === 'withdrawal')];
+}
+
+// Actual position against the naive DCA schedule. `timing_edge` is the PnL
+// the actual entry dates added over DCA for the same money.
+export function summarizePosition(flows, rows) {
+  const points = pricePoints(rows);
+  if (flows.length === 0 || points.length === 0) return null;
+
+  const actual = evaluateFlows(flows, points);
+  const dca = evaluateFlows(dcaFlows(flows), points);
+  delete dca.lots;
+  const last = points[points.length - 1];
+
+  return {
+    ...actual,
+    as_of: new Date(last.time).toISOString(),
+    dca,
+    timing_edge: actual.pnl - dca.pnl,
+    composite_now: last.composite
+  };
+}
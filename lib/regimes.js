@@ -0,0 +1,196 @@
+import { netFlow } from './signals.js';
+
+// Market regime of the vault at each snapshot, from the 30 days before it:
+// drawdown, flow-adjusted returns, 24h and 7d realized volatility against
+// the rest of the window, funding against its 30-day range and the 24h OI
+// change. Rules are checked in order; the first match wins.
+
+const HOUR_MS = 3600 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const TRAILING_MS = 30 * DAY_MS;
+const SHORT_MS = 7 * DAY_MS;
+const YEAR_MS = 365 * DAY_MS;
+
+// Fewer returns than this in the last 7 days leaves the row unlabeled
+const MIN_SHORT_RETURNS = 24;
+
+export const REGIME_THRESHOLDS = {
+  stressVolRatio: 2,        // 24h vol at least 2× the 30d before it…
+  stressReturn24h: -0.005,  // …with a 0.5% daily loss,
+  stressOiChange24h: -0.1,  // a 10% OI collapse,
+  stressFundingZ: 3,        // or funding 3σ from its 30d mean
+  lossReturn7d: -0.01,      // 1% down over 7 days with drawdown deepening
+  recoveryDrawdown: -0.02,  // in a 2%+ drawdown, gaining, drawdown shrinking
+  choppyVolRatio: 1.5       // 7d vol vs the 30d before it
+};
+
+export const REGIMES = {
+  liquidation_event: { label: 'High-vol liquidation event', description: 'Volatility spiking with losses, an OI collapse or extreme funding' },
+  trending_loss: { label: 'Trending loss', description: 'Losing over the week with the drawdown deepening' },
+  recovery: { label: 'Recovery', description: 'Gaining back from a drawdown' },
+  choppy: { label: 'Choppy', description: 'Volatility elevated without a clear trend' },
+  calm_accumulation: { label: 'Calm accumulation', description: 'Normal volatility, no stress' }
+};
+
+export const REGIME_KEYS = Object.keys(REGIMES);
+
+const timeOf = row => new Date(row.collected_at).getTime();
+const num = v => v == null ? null : parseFloat(v);
+
+function mean(arr) {
+  return arr.reduce((s, v) => s + v, 0) / arr.length;
+}
+
+function stdev(arr) {
+  if (arr.length < 2) return 0;
+  const m = mean(arr);
+  return Math.sqrt(arr.reduce((s, v) => s + Math.pow(v - m, 2), 0) / (arr.length - 1));
+}
+
+const compound = rets => rets.reduce((g, r) => g * (1 + r), 1) - 1;
+
+// Per-row inputs parsed once: time, the flow-adjusted return into the row
+// (see flowAdjustedReturns), drawdown, funding and OI
+function prepare(rows, drawdowns) {
+  return {
+    times: rows.map(timeOf),
+    rets: rows.map((row, i) => {
+      const prevNav = i > 0 ? parseFloat(rows[i - 1].nav) : 0;
+      return prevNav > 0 ? (parseFloat(row.nav) - (netFlow(rows[i - 1], row) ?? 0)) / prevNav - 1 : null;
+    }),
+    drawdowns,
+    funding: rows.map(r => num(r.funding_rate)),
+    oi: rows.map(r => num(r.open_interest))
+  };
+}
+
+// Features of row i from rows [start, i)
+function featuresAt(p, start, i) {
+  const time = p.times[i];
+  if (start >= i || p.times[start] > time - SHORT_MS) return null;
+
+  const all = [];
+  const short = [];
+  const day = [];
+  const beforeWeek = [];
+  const beforeDay = [];
+  for (let k = start + 1; k <= i; k++) {
+    const r = p.rets[k];
+    if (r == null) continue;
+    all.push(r);
+    (p.times[k] > time - SHORT_MS ? short : beforeWeek).push(r);
+    (p.times[k] > time - DAY_MS ? day : beforeDay).push(r);
+  }
+  if (short.length < MIN_SHORT_RETURNS) return null;
+
+  // Recent vol against the returns before it, so a spike doesn't raise its
+  // own baseline
+  const shortVol = stdev(short);
+  const weekBaseline = stdev(beforeWeek);
+  const dayBaseline = stdev(beforeDay);
+  const periodMs = (time - p.times[start]) / all.length;
+
+  let weekAgo = start;
+  while (p.times[weekAgo] < time - SHORT_MS) weekAgo++;
+  const drawdown = p.drawdowns[i];
+
+  const features = {
+    drawdown,
+    drawdown_change_7d: drawdown != null && p.drawdowns[weekAgo] != null ? drawdown - p.drawdowns[weekAgo] : null,
+    return_24h: compound(day),
+    return_7d: compound(short),
+    vol_annualized: shortVol * Math.sqrt(YEAR_MS / periodMs),
+    vol_ratio_24h: dayBaseline > 0 ? stdev(day) / dayBaseline : null,
+    vol_ratio_7d: weekBaseline > 0 ? shortVol / weekBaseline : null,
+    funding_z: null,
+    oi_change_24h: null
+  };
+
+  if (p.funding[i] != null) {
+    const past = p.funding.slice(start, i).filter(v => v != null);
+    const sd = stdev(past);
+    if (past.length >= MIN_SHORT_RETURNS && sd > 0) features.funding_z = (p.funding[i] - mean(past)) / sd;
+  }
+
+  if (p.oi[i] != null) {
+    let k = start;
+    while (k < i && !(p.times[k] >= time - DAY_MS && p.oi[k] > 0)) k++;
+    if (k < i) features.oi_change_24h = p.oi[i] / p.oi[k] - 1;
+  }
+
+  return features;
+}
+
+// Features for `row` given the rows before it (ascending, ~30 days). `row`
+// needs nav, pnl, collected_at and drawdown_pct; funding and OI features are
+// null when not stored. Returns null without a week of history.
+export function regimeFeatures(history, row) {
+  const time = timeOf(row);
+  const rows = [...history.filter(r => timeOf(r) >= time - TRAILING_MS && timeOf(r) < time), row];
+  return featuresAt(prepare(rows, rows.map(r => num(r.drawdown_pct))), 0, rows.length - 1);
+}
+
+export function classifyRegime(f, t = REGIME_THRESHOLDS) {
+  if (!f) return null;
+  const stressed = f.return_24h <= t.stressReturn24h ||
+    (f.oi_change_24h != null && f.oi_change_24h <= t.stressOiChange24h) ||
+    (f.funding_z != null && Math.abs(f.funding_z) >= t.stressFundingZ);
+  if (f.vol_ratio_24h != null && f.vol_ratio_24h >= t.stressVolRatio && stressed) return 'liquidation_event';
+  if (f.return_7d <= t.lossReturn7d && f.drawdown_change_7d != null && f.drawdown_change_7d < 0) return 'trending_loss';
+  if (f.drawdown != null && f.drawdown <= t.recoveryDrawdown && f.return_7d > 0 && f.drawdown_change_7d > 0) return 'recovery';
+  if (f.vol_ratio_7d != null && f.vol_ratio_7d >= t.choppyVolRatio) return 'choppy';
+  return 'calm_accumulation';
+}
+
+// Label every row at or after fromTime against the 30 days before it.
+// Drawdown is rebuilt from NAV like the collector's, so pass all history
+// (ascending). Returns [{ row, regime, features }].
+export function labelRegimes(rows, { fromTime = -Infinity } = {}) {
+  let ath = 0;
+  const drawdowns = rows.map(row => {
+    const nav = parseFloat(row.nav);
+    if (nav > ath) ath = nav;
+    return ath > 0 ? (nav - ath) / ath : 0;
+  });
+  const p = prepare(rows, drawdowns);
+
+  const out = [];
+  let windowStart = 0;
+  for (let i = 0; i < rows.length; i++) {
+    const time = p.times[i];
+    if (time < fromTime) continue;
+    while (p.times[windowStart] < time - TRAILING_MS) windowStart++;
+    const features = featuresAt(p, windowStart, i);
+    out.push({ row: rows[i], regime: classifyRegime(features), features });
+  }
+
+  return out;
+}
+
+// Consecutive rows with the same label as [{ regime, from, to, snapshots }];
+// `to` is the start of the next period (or the last row)
+export function regimePeriods(rows) {
+  const periods = [];
+  for (const row of rows) {
+    const regime = row.regime ?? null;
+    const at = new Date(row.collected_at).toISOString();
+    const last = periods[periods.length - 1];
+    if (last && last.regime === regime) {
+      last.to = at;
+      last.snapshots++;
+      continue;
+    }
+    if (last) last.to = at;
+    periods.push({ regime, from: at, to: at, snapshots: 1 });
+  }
+  return periods;
+}
+
+// Share of labeled rows per regime
+export function regimeDistribution(rows) {
+  const labeled = rows.filter(r => r.regime != null);
+  return REGIME_KEYS.map(regime => {
+    const snapshots = labeled.filter(r => r.regime === regime).length;
+    return { regime, snapshots, share: labeled.length > 0 ? snapshots / labeled.length : null };
+  });
+}
@@ -0,0 +1,125 @@
+import { getSnapshots, upsertSignalScores } from './db.js';
+import { computeSpotMetrics, computeTrailingMetrics, netFlow, scoreSignals, toScoreColumns, SIGNAL_DEFINITIONS, UNAVAILABLE } from './signals.js';
+import { bucketStart } from './timeseries.js';
+
+// Replays the collector's scoring pipeline over stored snapshots, with any
+// signal table. Backfill uses it with the live table to repair rows; the
+// rescore command and /api/rescore use it with named configurations.
+
+const TRAILING_MS = 30 * 24 * 3600 * 1000;
+
+const timeOf = row => new Date(row.collected_at).getTime();
+const num = v => v == null ? null : parseFloat(v);
+
+// Score every row at or after fromTime against the 30 days before it, as the
+// collector would have. ATH and drawdown are rebuilt from the rows, so pass
+// all history (ascending). Market inputs that were never stored, or were
+// recorded as unavailable, leave their signals unscored rather than neutral.
+// Returns [{ row, net_flow, nav_ath, drawdown_pct, max_drawdown, result }].
+export function replayScores(rows, { definitions = SIGNAL_DEFINITIONS, fromTime = -Infinity, toTime = Infinity } = {}) {
+  const out = [];
+  let ath = 0;
+  let maxDD = 0;
+  let windowStart = 0;
+
+  for (let i = 0; i < rows.length; i++) {
+    const row = rows[i];
+    const time = timeOf(row);
+    if (time >= toTime) break;
+    const nav = parseFloat(row.nav);
+    if (nav > ath) ath = nav;
+    const dd = ath > 0 ? (nav - ath) / ath : 0;
+    if (dd < maxDD) maxDD = dd;
+    if (time < fromTime) continue;
+
+    while (timeOf(rows[windowStart]) < time - TRAILING_MS) windowStart++;
+    const unscored = new Set((row.unscored_signals || '').split(',').filter(Boolean));
+
+    const metrics = {
+      ...computeSpotMetrics({
+        currentDrawdown: dd,
+        apr: num(row.apr),
+        fundingRate: row.funding_rate == null || unscored.has('funding') ? UNAVAILABLE : num(row.funding_rate),
+        oiTop5Share: num(row.oi_top5_share),
+        fundingDispersion: num(row.funding_dispersion)
+      }),
+      ...computeTrailingMetrics(rows.slice(windowStart, i), { nav, pnl: num(row.pnl) }, time)
+    };
+    if (row.open_interest == null || unscored.has('oi')) metrics.oiChangePct = UNAVAILABLE;
+
+    out.push({
+      row,
+      net_flow: i > 0 ? netFlow(rows[i - 1], row) : null,
+      nav_ath: ath,
+      drawdown_pct: dd,
+      max_drawdown: maxDD,
+      result: scoreSignals(metrics, definitions)
+    });
+  }
+
+  return out;
+}
+
+// Replay output as signal_scores rows
+export function toSignalScoreRows(replayed, definitions = SIGNAL_DEFINITIONS) {
+  return replayed.map(({ row, result }) => ({
+    snapshot_id: row.id,
+    vault_address: row.vault_address,
+    collected_at: new Date(row.collected_at).toISOString(),
+    ...toScoreColumns(result, definitions),
+    unscored_signals: result.unavailable.length > 0 ? result.unavailable.join(',') : null
+  }));
+}
+
+// Last row per bucket, for previews longer than a few days
+export function lastPerBucket(rows, resolution) {
+  if (resolution === 'raw') return rows;
+  const buckets = new Map();
+  for (const row of rows) {
+    const start = bucketStart(new Date(row.collected_at).getTime(), resolution);
+    buckets.set(start, { ...row, collected_at: new Date(start).toISOString() });
+  }
+  return [...buckets.values()];
+}
+
+// Mean composite and how far it moved from another set of rows, matched by
+// collected_at (e.g. a replay against the scores stored in snapshots)
+export function summarizeScores(rows, baseline = null) {
+  const composites = rows.map(r => r.composite_score).filter(v => v != null).map(Number);
+  const summary = {
+    rows: rows.length,
+    unscored: rows.length - composites.length,
+    mean_composite: composites.length > 0 ? composites.reduce((s, v) => s + v, 0) / composites.length : null
+  };
+  if (baseline) {
+    const before = new Map(baseline.map(r => [new Date(r.collected_at).toISOString(), r.composite_score]));
+    const diffs = [];
+    for (const r of rows) {
+      const prev = before.get(new Date(r.collected_at).toISOString());
+      if (prev != null && r.composite_score != null) diffs.push(Number(r.composite_score) - Number(prev));
+    }
+    summary.compared = diffs.length;
+    summary.changed = diffs.filter(d => d !== 0).length;
+    summary.mean_abs_diff = diffs.length > 0 ? diffs.reduce((s, d) => s + Math.abs(d), 0) / diffs.length : null;
+  }
+  return summary;
+}
+
+// Replay one vault's history in [from, to) with a config and store the
+// results under its version. With dryRun nothing is written.
+export async function rescoreVault(db, vault, config, { from = null, to = new Date(), dryRun = false } = {}) {
+  const rows = await getSnapshots(db, { vault, resolution: 'raw', to });
+  const replayed = replayScores(rows, {
+    definitions: config.definitions,
+    fromTime: from != null ? new Date(from).getTime() : -Infinity,
+    toTime: new Date(to).getTime()
+  });
+  const scores = toSignalScoreRows(replayed, config.definitions);
+
+  return {
+    vault,
+    config_version: config.version,
+    ...summarizeScores(scores, replayed.map(r => r.row)),
+    written: dryRun ? 0 : await upsertSignalScores(db, config.version, scores)
+  };
+}
@@ -0,0 +1,115 @@
+// Hourly in-process scheduler for the self-hosted daemon (scripts/serve.js).
+// Runs start at the top of each hour plus random jitter so several
+// deployments don't hit the API in lockstep. A run that is due while the
+// previous one is still going is skipped rather than stacked, and the task
+// is told when whole hours were missed since the last success so it can
+// fill them in.
+
+const HOUR_MS = 3600 * 1000;
+export const DEFAULT_JITTER_MS = 5 * 60 * 1000;
+
+const hourOf = time => Math.floor(time / HOUR_MS);
+const iso = time => new Date(time).toISOString();
+
+export function nextRunTime(now, jitterMs = DEFAULT_JITTER_MS, random = Math.random) {
+  return (hourOf(now) + 1) * HOUR_MS + Math.floor(random() * jitterMs);
+}
+
+// The started scheduler in this process, for /api/health
+let active = null;
+
+export function getActiveScheduler() {
+  return active;
+}
+
+// task({ reason, missedSince }) resolves when the run succeeded, throws when
+// it failed, and may resolve to { skipped } when it did not run at all (e.g.
+// another process holds the lock). missedSince is the last success when at
+// least one whole hour has passed without one, else null.
+export function createScheduler(task, { jitterMs = DEFAULT_JITTER_MS, lastSuccessAt = null, now = Date.now, random = Math.random } = {}) {
+  const state = {
+    started_at: null,
+    running: false,
+    next_run_at: null,
+    last_run_at: null,
+    last_success_at: lastSuccessAt ? iso(lastSuccessAt) : null,
+    last_error: null,
+    consecutive_failures: 0,
+    runs: 0,
+    skipped: 0
+  };
+  let timer = null;
+  let current = null;
+
+  async function execute(reason, startedAt, missedSince) {
+    state.running = true;
+    state.last_run_at = iso(startedAt);
+    try {
+      const result = await task({ reason, missedSince });
+      if (result?.skipped) {
+        state.skipped++;
+      } else {
+        state.last_success_at = iso(startedAt);
+        state.last_error = null;
+        state.consecutive_failures = 0;
+      }
+      return result;
+    } catch (err) {
+      state.consecutive_failures++;
+      state.last_error = { at: iso(now()), message: err.message };
+      return { error: err.message };
+    } finally {
+      state.running = false;
+      state.runs++;
+    }
+  }
+
+  function run(reason = 'manual') {
+    if (current) {
+      state.skipped++;
+      return Promise.resolve({ skipped: 'overlap' });
+    }
+
+    const startedAt = now();
+    const last = state.last_success_at ? new Date(state.last_success_at).getTime() : null;
+    const missedSince = last != null && hourOf(startedAt) - hourOf(last) > 1 ? new Date(last) : null;
+    current = execute(reason, startedAt, missedSince).finally(() => { current = null; });
+    return current;
+  }
+
+  function schedule() {
+    const at = nextRunTime(now(), jitterMs, random);
+    state.next_run_at = iso(at);
+    timer = setTimeout(async () => {
+      timer = null;
+      await run('scheduled');
+      if (state.started_at) schedule();
+    }, Math.max(0, at - now()));
+  }
+
+  const scheduler = {
+    run,
+    state: () => ({ ...state }),
+
+    // Catches up at once when this hour has not been collected yet
+    start() {
+      if (state.started_at) return;
+      state.started_at = iso(now());
+      active = scheduler;
+      schedule();
+      const last = state.last_success_at ? new Date(state.last_success_at).getTime() : null;
+      if (last == null || hourOf(now()) > hourOf(last)) run('catch-up');
+    },
+
+    // Resolves once an in-flight run has finished
+    async stop() {
+      clearTimeout(timer);
+      timer = null;
+      state.started_at = null;
+      state.next_run_at = null;
+      if (active === scheduler) active = null;
+      await current;
+    }
+  };
+  return scheduler;
+}
@@ -0,0 +1,44 @@
+import { SIGNAL_DEFINITIONS } from './signals.js';
+
+// Named scoring configurations for replaying history (npm run rescore,
+// /api/rescore). Replayed results are stored per version in signal_scores,
+// so once a version has been published its table must not change; add a
+// new version instead. Scores written by the collector into snapshots
+// before versions existed are exposed as "stored".
+
+// Same buckets, different weights. Signals missing from `weights` keep
+// their own; a weight of 0 still scores the signal but drops it from the
+// composite.
+export function withWeights(definitions, weights) {
+  return Object.fromEntries(Object.entries(definitions).map(([key, def]) => [
+    key,
+    key in weights ? { ...def, weight: weights[key] } : def
+  ]));
+}
+
+export const SCORING_CONFIGS = {
+  v2: {
+    description: 'Collector scoring: net-flow signal and flow-adjusted returns',
+    definitions: SIGNAL_DEFINITIONS
+  },
+  'v2-equal': {
+    description: 'v2 buckets with every signal weighted equally',
+    definitions: withWeights(SIGNAL_DEFINITIONS, Object.fromEntries(Object.keys(SIGNAL_DEFINITIONS).map((k, _, all) => [k, 1 / all.length])))
+  },
+  'v2-vault-only': {
+    description: 'v2 without the exchange-wide funding and OI signals',
+    definitions: withWeights(SIGNAL_DEFINITIONS, { funding: 0, oi: 0 })
+  }
+};
+
+// The version /api/collect scores with
+export const COLLECTOR_CONFIG_VERSION = 'v2';
+
+export function getScoringConfig(version) {
+  return SCORING_CONFIGS[version] ? { version, ...SCORING_CONFIGS[version] } : null;
+}
+
+// Weight per signal, for listings
+export function configWeights(definitions) {
+  return Object.fromEntries(Object.entries(definitions).map(([key, def]) => [key, def.weight]));
+}
@@ -0,0 +1,136 @@
+import { createServer } from 'node:http';
+import { readFileSync } from 'node:fs';
+import { readFile, stat } from 'node:fs/promises';
+import { extname, join, normalize, sep } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { API_ROUTE, loadHandler } from './api-runner.js';
+
+// HTTP server for self-hosting without Vercel: /api/<name> runs
+// api/<name>.js with Vercel's req.query / req.body / res.status().json()
+// helpers, everything else is a static file from public/. Response headers
+// come from vercel.json so both deployments send the same ones.
+
+export const PUBLIC_DIR = fileURLToPath(new URL('../public/', import.meta.url));
+const VERCEL_CONFIG = new URL('../vercel.json', import.meta.url);
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.mjs': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.ico': 'image/x-icon',
+  '.txt': 'text/plain; charset=utf-8'
+};
+
+// vercel.json `headers` entries as [RegExp, { name: value }]
+function loadHeaderRules() {
+  const { headers = [] } = JSON.parse(readFileSync(VERCEL_CONFIG, 'utf8'));
+  return headers.map(({ source, headers: list }) => [
+    new RegExp(`^${source}$`),
+    Object.fromEntries(list.map(h => [h.key, h.value]))
+  ]);
+}
+
+// Vercel parses JSON and text bodies; others are left as a string
+async function readBody(req) {
+  const chunks = [];
+  for await (const chunk of req) chunks.push(chunk);
+  if (chunks.length === 0) return undefined;
+  const text = Buffer.concat(chunks).toString('utf8');
+  if (String(req.headers['content-type'] || '').includes('application/json')) {
+    return text ? JSON.parse(text) : undefined;
+  }
+  return text;
+}
+
+function addResponseHelpers(res) {
+  res.status = code => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = payload => {
+    if (!res.getHeader('Content-Type')) res.setHeader('Content-Type', 'application/json; charset=utf-8');
+    res.end(JSON.stringify(payload));
+    return res;
+  };
+  res.send = payload => {
+    if (payload !== null && typeof payload === 'object' && !Buffer.isBuffer(payload)) return res.json(payload);
+    res.end(payload);
+    return res;
+  };
+}
+
+function sendError(res, status, message) {
+  if (res.headersSent) return res.destroy();
+  res.statusCode = status;
+  res.setHeader('Content-Type', 'application/json; charset=utf-8');
+  res.end(JSON.stringify({ error: message }));
+}
+
+async function serveApi(req, res, name, url) {
+  const handler = await loadHandler(name);
+  if (!handler) return sendError(res, 404, `Not found: ${url.pathname}`);
+
+  try {
+    req.body = await readBody(req);
+  } catch {
+    return sendError(res, 400, 'Invalid JSON body');
+  }
+  req.query = Object.fromEntries(url.searchParams);
+  addResponseHelpers(res);
+  await handler(req, res);
+}
+
+async function serveStatic(req, res, url, publicDir) {
+  if (req.method !== 'GET' && req.method !== 'HEAD') return sendError(res, 405, 'Use GET');
+
+  // A malformed escape (e.g. %E0%A4%A) names no file
+  let pathname;
+  try {
+    pathname = decodeURIComponent(url.pathname);
+  } catch {
+    return sendError(res, 400, `Invalid path: ${url.pathname}`);
+  }
+  let file = normalize(join(publicDir, pathname));
+  if (!file.startsWith(publicDir)) {
+    return sendError(res, 404, `Not found: ${url.pathname}`);
+  }
+  try {
+    if ((await stat(file)).isDirectory()) file = join(file, 'index.html');
+    const content = await readFile(file);
+    res.writeHead(200, {
+      'Content-Type': CONTENT_TYPES[extname(file)] || 'application/octet-stream',
+      'Content-Length': content.length
+    });
+    res.end(req.method === 'HEAD' ? undefined : content);
+  } catch (err) {
+    if (err.code === 'ENOENT' || err.code === 'ENOTDIR') return sendError(res, 404, `Not found: ${url.pathname}`);
+    throw err;
+  }
+}
+
+export function createAppServer({ publicDir = PUBLIC_DIR } = {}) {
+  const root = publicDir.endsWith(sep) ? publicDir : publicDir + sep;
+  const headerRules = loadHeaderRules();
+
+  return createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    for (const [pattern, headers] of headerRules) {
+      if (pattern.test(url.pathname)) {
+        for (const [name, value] of Object.entries(headers)) res.setHeader(name, value);
+      }
+    }
+
+    try {
+      const match = url.pathname.match(API_ROUTE);
+      if (match) await serveApi(req, res, match[1], url);
+      else await serveStatic(req, res, url, root);
+    } catch (err) {
+      console.error(`Server error for ${req.method} ${url.pathname}:`, err);
+      sendError(res, 500, err.message);
+    }
+  });
+}
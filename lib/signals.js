@@ -0,0 +1,3 @@
+// Server-side entry point for the shared scoring engine. The implementation
+// lives in public/ so the dashboard can import the exact same module.
+export * from '../public/signals.js';
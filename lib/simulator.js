@@ -0,0 +1,174 @@
+import { pricePoints } from './positions.js';
+import { xirr, drawdownStats } from './stats.js';
+
+// Deposit strategy simulator. A policy (budget, cadence, score rules) is
+// replayed over stored snapshots: each scheduled deposit buys units of the
+// flow-adjusted NAV index at the first snapshot at or after its date, so no
+// decision sees a later price. Undeployed budget is held as cash at 0%.
+
+const DAY_MS = 24 * 3600 * 1000;
+
+export const CADENCES = {
+  daily: DAY_MS,
+  weekly: 7 * DAY_MS,
+  biweekly: 14 * DAY_MS,
+  monthly: 30 * DAY_MS
+};
+
+// HLP locks each deposit for four days; withdrawals wait until it expires
+export const HLP_LOCKUP_DAYS = 4;
+
+export const DEFAULT_POLICY = {
+  budget: 10000,
+  amount: 500,
+  cadence: 'weekly',
+  rules: [],
+  pauseWhenClosed: true,
+  lockupDays: HLP_LOCKUP_DAYS,
+  exit: null
+};
+
+// "0:0,70:2,85:3" → highest threshold first. A rule applies when the
+// composite is at or above `min`; scores below every rule deposit 1×.
+export function parseRules(text) {
+  if (!text) return [];
+  const rules = String(text).split(',').map(part => {
+    const [min, multiplier] = part.split(':').map(Number);
+    return { min, multiplier };
+  });
+  if (rules.some(r => !Number.isFinite(r.min) || r.min < 0 || r.min > 100 ||
+      !Number.isFinite(r.multiplier) || r.multiplier < 0 || r.multiplier > 10)) {
+    return null;
+  }
+  return rules.sort((a, b) => b.min - a.min);
+}
+
+export function multiplierFor(rules, composite) {
+  if (composite == null) return 1;
+  const rule = rules.find(r => composite >= r.min);
+  return rule ? rule.multiplier : 1;
+}
+
+// Scheduled dates from the first point through the last, one cadence apart
+export function scheduleTimes(points, cadenceMs) {
+  if (points.length === 0) return [];
+  const times = [];
+  for (let t = points[0].time; t <= points[points.length - 1].time; t += cadenceMs) times.push(t);
+  return times;
+}
+
+// Replay one strategy. `plan(point, cash)` is the deposit wanted on each
+// scheduled date; `exit` ({ below, fraction }) withdraws a fraction of the
+// position when the composite drops under `below` and no deposit is locked.
+export function replayStrategy(points, { budget, cadenceMs, plan, pauseWhenClosed = true, lockupDays = HLP_LOCKUP_DAYS, exit = null }) {
+  const lockupMs = lockupDays * DAY_MS;
+  const times = scheduleTimes(points, cadenceMs);
+  let cash = budget;
+  let units = 0;
+  let lockedUntil = -Infinity;
+  let deposited = 0;
+  let withdrawn = 0;
+  let deposits = 0;
+  let withdrawals = 0;
+  let paused = 0;
+  let blocked = 0;
+  const cashflows = [];
+  const curve = [];
+
+  let next = 0;
+  for (const p of points) {
+    if (next < times.length && p.time >= times[next]) {
+      while (next < times.length && times[next] <= p.time) next++;
+
+      if (exit && units > 0 && p.composite != null && p.composite < exit.below) {
+        if (p.time < lockedUntil) {
+          blocked++;
+        } else {
+          const amount = units * exit.fraction * p.index;
+          units -= units * exit.fraction;
+          cash += amount;
+          withdrawn += amount;
+          withdrawals++;
+          cashflows.push({ time: p.time, amount });
+        }
+      }
+
+      if (pauseWhenClosed && !p.allowDeposits) {
+        paused++;
+      } else {
+        const amount = Math.min(cash, plan(p, cash));
+        if (amount > 0) {
+          units += amount / p.index;
+          cash -= amount;
+          deposited += amount;
+          deposits++;
+          lockedUntil = p.time + lockupMs;
+          cashflows.push({ time: p.time, amount: -amount });
+        }
+      }
+    }
+    curve.push({ time: p.time, nav: cash + units * p.index, invested: units * p.index });
+  }
+
+  const last = points[points.length - 1];
+  const equity = units * last.index;
+  if (equity > 0) cashflows.push({ time: last.time, amount: equity });
+  const value = cash + equity;
+
+  return {
+    final_value: value,
+    equity,
+    cash,
+    deposited,
+    withdrawn,
+    pnl: value - budget,
+    return_pct: budget > 0 ? value / budget - 1 : null,
+    irr: xirr(cashflows),
+    max_drawdown: drawdownStats(curve).max_drawdown,
+    deposits,
+    withdrawals,
+    paused,
+    blocked_withdrawals: blocked,
+    locked_until: lockedUntil > last.time ? new Date(lockedUntil).toISOString() : null,
+    series: dailyCurve(curve)
+  };
+}
+
+// Last value per UTC day, enough for a chart
+function dailyCurve(curve) {
+  const byDay = new Map();
+  for (const c of curve) byDay.set(Math.floor(c.time / DAY_MS), c);
+  return [...byDay.values()].map(c => ({
+    time: new Date(c.time).toISOString(),
+    value: c.nav,
+    invested: c.invested
+  }));
+}
+
+// The policy against the whole budget on the first open date and against
+// the budget split evenly over every scheduled date, both without rules
+export function simulate(rows, policy = {}) {
+  const { budget, amount, cadence, rules, pauseWhenClosed, lockupDays, exit } = { ...DEFAULT_POLICY, ...policy };
+  const points = pricePoints(rows);
+  if (points.length === 0) return null;
+
+  const cadenceMs = CADENCES[cadence];
+  const common = { budget, cadenceMs, pauseWhenClosed, lockupDays };
+  const installment = budget / scheduleTimes(points, cadenceMs).length;
+
+  const strategy = replayStrategy(points, { ...common, exit, plan: p => amount * multiplierFor(rules, p.composite) });
+  const lumpSum = replayStrategy(points, { ...common, plan: (p, cash) => cash });
+  const dca = replayStrategy(points, { ...common, plan: () => installment });
+
+  return {
+    strategy,
+    lump_sum: lumpSum,
+    dca,
+    edge: {
+      vs_lump_sum: strategy.final_value - lumpSum.final_value,
+      vs_dca: strategy.final_value - dca.final_value
+    },
+    from: new Date(points[0].time).toISOString(),
+    to: new Date(points[points.length - 1].time).toISOString()
+  };
+}
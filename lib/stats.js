@@ -0,0 +1,218 @@
+import { RESOLUTIONS, resampleSnapshots } from './timeseries.js';
+import { flowAdjustedNav } from './signals.js';
+
+// Risk/return statistics over stored NAV, flow-adjusted so deposits and
+// withdrawals don't count as performance. Rows are resampled to a regular
+// interval (close NAV per bucket) and returns are taken only between adjacent
+// buckets, so a missing hour or day never becomes one oversized return.
+
+const DAY_MS = 24 * 3600 * 1000;
+const YEAR_MS = 365 * DAY_MS;
+
+export const STAT_INTERVALS = ['1h', '1d'];
+export const STAT_WINDOWS = { '7d': 7, '30d': 30, '90d': 90 };
+
+function mean(values) {
+  return values.reduce((s, v) => s + v, 0) / values.length;
+}
+
+// Sample standard deviation
+function stdev(values) {
+  if (values.length < 2) return null;
+  const m = mean(values);
+  return Math.sqrt(values.reduce((s, v) => s + (v - m) ** 2, 0) / (values.length - 1));
+}
+
+// Close of the flow-adjusted NAV index per interval bucket as
+// [{ time, nav }], ascending
+export function navSeries(rows, interval = '1d') {
+  return resampleSnapshots(flowAdjustedNav(rows), interval)
+    .map(b => ({ time: new Date(b.collected_at).getTime(), nav: b.nav_close }))
+    .filter(p => p.nav > 0);
+}
+
+// Simple returns between adjacent buckets
+export function periodReturns(series, interval = '1d') {
+  const size = RESOLUTIONS[interval];
+  const returns = [];
+  for (let i = 1; i < series.length; i++) {
+    if (series[i].time - series[i - 1].time !== size) continue;
+    returns.push({ time: series[i].time, ret: series[i].nav / series[i - 1].nav - 1 });
+  }
+  return returns;
+}
+
+// Deepest peak-to-trough decline, how long it lasted (peak to recovery, or
+// to the end of the series if still underwater) and trough-to-recovery time.
+export function drawdownStats(series) {
+  let peak = null;
+  let worst = { depth: 0, peakTime: null, troughTime: null, recoveryTime: null };
+  let current = null;
+  let longest = 0;
+
+  for (const p of series) {
+    if (!peak || p.nav >= peak.nav) {
+      if (current) {
+        if (current === worst) worst.recoveryTime = p.time;
+        longest = Math.max(longest, p.time - current.peakTime);
+        current = null;
+      }
+      peak = p;
+      continue;
+    }
+    const depth = p.nav / peak.nav - 1;
+    if (!current) current = { depth, peakTime: peak.time, troughTime: p.time, recoveryTime: null };
+    if (depth < current.depth) {
+      current.depth = depth;
+      current.troughTime = p.time;
+    }
+    if (current.depth < worst.depth) worst = current;
+  }
+
+  const end = series.length > 0 ? series[series.length - 1].time : null;
+  if (current) longest = Math.max(longest, end - current.peakTime);
+
+  return {
+    max_drawdown: worst.depth,
+    max_drawdown_peak: worst.peakTime != null ? new Date(worst.peakTime).toISOString() : null,
+    max_drawdown_trough: worst.troughTime != null ? new Date(worst.troughTime).toISOString() : null,
+    max_drawdown_duration_hours: longest / 3600000,
+    // null while the deepest drawdown has not recovered
+    time_to_recovery_hours: worst.recoveryTime != null ? (worst.recoveryTime - worst.troughTime) / 3600000 : null,
+    current_drawdown: peak ? series[series.length - 1].nav / peak.nav - 1 : 0
+  };
+}
+
+// Historical VaR/CVaR as positive loss fractions at `confidence`
+export function valueAtRisk(returns, confidence = 0.95) {
+  if (returns.length === 0) return { var: null, cvar: null };
+  const sorted = [...returns].sort((a, b) => a - b);
+  // Epsilon keeps e.g. (1 - 0.8) * 10 from flooring to 1
+  const cutoff = Math.max(0, Math.floor((1 - confidence) * sorted.length + 1e-9) - 1);
+  const tail = sorted.slice(0, cutoff + 1);
+  return { var: -sorted[cutoff], cvar: -mean(tail) };
+}
+
+// Skewness and excess kurtosis from population moments
+export function moments(returns) {
+  if (returns.length < 3) return { skew: null, kurtosis: null };
+  const m = mean(returns);
+  const m2 = mean(returns.map(r => (r - m) ** 2));
+  if (m2 === 0) return { skew: 0, kurtosis: 0 };
+  const m3 = mean(returns.map(r => (r - m) ** 3));
+  const m4 = mean(returns.map(r => (r - m) ** 4));
+  return { skew: m3 / m2 ** 1.5, kurtosis: m4 / m2 ** 2 - 3 };
+}
+
+// Full statistics for a NAV series. riskFree is an annual rate.
+export function computeStats(series, { interval = '1d', confidence = 0.95, riskFree = 0 } = {}) {
+  const periodsPerYear = YEAR_MS / RESOLUTIONS[interval];
+  const returns = periodReturns(series, interval).map(r => r.ret);
+  const first = series[0];
+  const last = series[series.length - 1];
+  const elapsed = series.length > 1 ? last.time - first.time : 0;
+
+  const annualizedReturn = elapsed > 0 ? (last.nav / first.nav) ** (YEAR_MS / elapsed) - 1 : null;
+  const sd = stdev(returns);
+  const volatility = sd != null ? sd * Math.sqrt(periodsPerYear) : null;
+  const excess = returns.length > 0 ? mean(returns) * periodsPerYear - riskFree : null;
+
+  // Downside deviation against the per-period risk-free rate
+  const floor = riskFree / periodsPerYear;
+  const downside = returns.length > 0
+    ? Math.sqrt(mean(returns.map(r => Math.min(r - floor, 0) ** 2)) * periodsPerYear)
+    : null;
+
+  const dd = drawdownStats(series);
+  const { var: varLoss, cvar } = valueAtRisk(returns, confidence);
+
+  return {
+    periods: returns.length,
+    total_return: series.length > 1 ? last.nav / first.nav - 1 : null,
+    annualized_return: annualizedReturn,
+    volatility,
+    sharpe: volatility > 0 ? excess / volatility : null,
+    sortino: downside > 0 ? excess / downside : null,
+    calmar: annualizedReturn != null && dd.max_drawdown < 0 ? annualizedReturn / Math.abs(dd.max_drawdown) : null,
+    ...dd,
+    var: varLoss,
+    cvar,
+    ...moments(returns)
+  };
+}
+
+// Trailing-window return, volatility, Sharpe and drawdown once a full window
+// of history is available, one point per day (its last bucket) so hourly
+// series stay small. Return sums slide with the window, so each bucket costs
+// O(1); only the emitted points scan their window for its drawdown.
+export function rollingStats(series, windowDays, { interval = '1d', riskFree = 0 } = {}) {
+  const windowMs = windowDays * DAY_MS;
+  const size = RESOLUTIONS[interval];
+  const periodsPerYear = YEAR_MS / size;
+  // Return into bucket j from the one before it; none across a gap
+  const returnAt = j => j > 0 && series[j].time - series[j - 1].time === size ? series[j].nav / series[j - 1].nav - 1 : null;
+
+  const out = [];
+  let start = 0;
+  let n = 0;
+  let sum = 0;
+  let sumSq = 0;
+  const slide = (ret, sign) => {
+    if (ret == null) return;
+    n += sign;
+    sum += sign * ret;
+    sumSq += sign * ret * ret;
+  };
+
+  for (let i = 0; i < series.length; i++) {
+    const time = series[i].time;
+    slide(returnAt(i), 1);
+    while (series[start].time < time - windowMs) slide(returnAt(++start), -1);
+
+    if (time - series[0].time < windowMs) continue;
+    const next = series[i + 1];
+    if (next && Math.floor(next.time / DAY_MS) === Math.floor(time / DAY_MS)) continue;
+
+    // Sample variance from the running sums, as stdev() computes it
+    const volatility = n > 1 ? Math.sqrt(Math.max(0, (sumSq - sum * sum / n) / (n - 1)) * periodsPerYear) : null;
+    const excess = n > 0 ? sum / n * periodsPerYear - riskFree : null;
+    out.push({
+      time: new Date(time).toISOString(),
+      return: series[i].nav / series[start].nav - 1,
+      volatility,
+      sharpe: volatility > 0 ? excess / volatility : null,
+      max_drawdown: drawdownStats(series.slice(start, i + 1)).max_drawdown
+    });
+  }
+  return out;
+}
+
+// Money-weighted (internal) rate of return, annualized, for dated cash flows
+// [{ time, amount }] with money in negative and money out (including the
+// closing value) positive. Bisection on the NPV, widening the upper bound
+// for short holding periods, whose annualized rates can be huge; null when
+// there is no root, e.g. flows that never change sign.
+export function xirr(cashflows, { tolerance = 1e-10, maxIterations = 400 } = {}) {
+  if (cashflows.length < 2) return null;
+  const t0 = Math.min(...cashflows.map(c => c.time));
+  const npv = rate => cashflows.reduce((s, c) => s + c.amount / (1 + rate) ** ((c.time - t0) / YEAR_MS), 0);
+
+  let low = -0.9999;
+  let high = 1;
+  let fLow = npv(low);
+  if (!Number.isFinite(fLow)) return null;
+  while (Math.sign(fLow) === Math.sign(npv(high)) && high < 1e12) high *= 10;
+  if (Math.sign(fLow) === Math.sign(npv(high))) return null;
+
+  for (let i = 0; i < maxIterations && high - low > tolerance; i++) {
+    const mid = (low + high) / 2;
+    const fMid = npv(mid);
+    if (Math.sign(fMid) === Math.sign(fLow)) {
+      low = mid;
+      fLow = fMid;
+    } else {
+      high = mid;
+    }
+  }
+  return (low + high) / 2;
+}
@@ -0,0 +1,52 @@
+import { neon } from '@neondatabase/serverless';
+import { createPostgresStorage } from './postgres.js';
+import { createSqliteStorage } from './sqlite.js';
+
+// Pick a storage backend from the connection URL:
+//   postgres://…@…neon.tech/…   Neon serverless driver (HTTP)
+//   postgres://… / postgresql://…  node-postgres pool (local or self-hosted)
+//   sqlite:./data/hlp.db, sqlite::memory:, file:./hlp.db  embedded SQLite
+export function createStorage(url) {
+  const scheme = url.slice(0, url.indexOf(':')).toLowerCase();
+
+  if (scheme === 'sqlite' || scheme === 'file') {
+    const filename = url.slice(scheme.length + 1).replace(/^\/\/(?=\/)/, '') || ':memory:';
+    return createSqliteStorage(filename);
+  }
+
+  if (scheme === 'postgres' || scheme === 'postgresql') {
+    const { hostname } = new URL(url);
+    if (hostname.endsWith('.neon.tech')) {
+      return createPostgresStorage(neon(url), { driver: 'neon' });
+    }
+    return createNodePostgresStorage(url);
+  }
+
+  throw new Error(`Unsupported DATABASE_URL scheme "${scheme}:" — use postgres://, postgresql://, sqlite: or file:`);
+}
+
+function createNodePostgresStorage(url) {
+  let poolPromise;
+
+  // Loaded lazily so Neon deployments never need the pg module
+  function getPool() {
+    poolPromise ||= import('pg').then(({ default: pg }) => new pg.Pool({ connectionString: url }));
+    return poolPromise;
+  }
+
+  async function sql(strings, ...values) {
+    const text = strings.reduce((acc, part, i) => `${acc}$${i}${part}`);
+    const pool = await getPool();
+    const { rows } = await pool.query(text, values);
+    return rows;
+  }
+
+  async function close() {
+    if (!poolPromise) return;
+    const pool = await poolPromise;
+    poolPromise = undefined;
+    await pool.end();
+  }
+
+  return createPostgresStorage(sql, { driver: 'pg', close });
+}
@@ -0,0 +1,134 @@
+// Postgres storage shared by the Neon (HTTP) and node-postgres drivers.
+// Both expose the same `sql` tagged template, so only the client differs.
+
+export function createPostgresStorage(sql, { driver, close = async () => {} } = {}) {
+  return {
+    dialect: 'postgres',
+    driver,
+    sql,
+    close,
+
+    async insertSnapshot(data) {
+      const result = await sql`
+        INSERT INTO snapshots (
+          vault_address, collected_at, nav, pnl, apr, vlm, allow_deposits,
+          nav_ath, drawdown_pct, max_drawdown,
+          composite_score, dd_score, tvl_score, momentum_score, vol_score, apr_score,
+          funding_rate, open_interest, volume_24h, funding_score, oi_score,
+          unscored_signals, oi_top5_share, funding_dispersion, net_flow, regime
+        ) VALUES (
+          ${data.vault_address}, ${data.collected_at},
+          ${data.nav}, ${data.pnl}, ${data.apr}, ${data.vlm}, ${data.allow_deposits},
+          ${data.nav_ath}, ${data.drawdown_pct}, ${data.max_drawdown},
+          ${data.composite_score}, ${data.dd_score}, ${data.tvl_score},
+          ${data.momentum_score}, ${data.vol_score}, ${data.apr_score},
+          ${data.funding_rate}, ${data.open_interest}, ${data.volume_24h},
+          ${data.funding_score}, ${data.oi_score},
+          ${data.unscored_signals}, ${data.oi_top5_share}, ${data.funding_dispersion}, ${data.net_flow},
+          ${data.regime}
+        )
+        ON CONFLICT (vault_address, date_trunc('hour', collected_at AT TIME ZONE 'UTC')) DO NOTHING
+        RETURNING id, collected_at
+      `;
+      return result[0] || null;
+    },
+
+    async getLatestSnapshot(vault) {
+      const rows = await sql`
+        SELECT * FROM snapshots
+        WHERE vault_address = ${vault}
+        ORDER BY collected_at DESC LIMIT 1
+      `;
+      return rows[0] || null;
+    },
+
+    // Raw rows in [since, until), ascending; bucketing happens in lib/timeseries.js
+    async getSnapshots({ vault, since, until }) {
+      return await sql`
+        SELECT * FROM snapshots
+        WHERE vault_address = ${vault} AND collected_at >= ${since} AND collected_at < ${until}
+        ORDER BY collected_at ASC
+      `;
+    },
+
+    // One batched statement so a full cross-section is a single round trip
+    async insertMarketSnapshots(collectedAt, assets) {
+      const rows = await sql`
+        INSERT INTO market_snapshots (
+          collected_at, coin, funding, open_interest, mark_px, oracle_px, premium, volume_24h
+        )
+        SELECT ${collectedAt}::timestamptz, a.coin, a.funding, a.open_interest,
+               a.mark_px, a.oracle_px, a.premium, a.volume_24h
+        FROM jsonb_to_recordset(${JSON.stringify(assets)}::jsonb) AS a(
+          coin TEXT, funding NUMERIC, open_interest NUMERIC, mark_px NUMERIC,
+          oracle_px NUMERIC, premium NUMERIC, volume_24h NUMERIC
+        )
+        ON CONFLICT DO NOTHING
+        RETURNING id
+      `;
+      return rows.length;
+    },
+
+    async insertChildVaultSnapshots(collectedAt, children) {
+      const rows = await sql`
+        INSERT INTO child_vault_snapshots (
+          collected_at, parent_address, child_address, name, account_value, pnl, position_count
+        )
+        SELECT ${collectedAt}::timestamptz, c.parent_address, c.child_address, c.name,
+               c.account_value, c.pnl, c.position_count
+        FROM jsonb_to_recordset(${JSON.stringify(children)}::jsonb) AS c(
+          parent_address TEXT, child_address TEXT, name TEXT, account_value NUMERIC,
+          pnl NUMERIC, position_count INTEGER
+        )
+        ON CONFLICT DO NOTHING
+        RETURNING id
+      `;
+      return rows.length;
+    },
+
+    async insertChildPositions(collectedAt, positions) {
+      const rows = await sql`
+        INSERT INTO child_positions (
+          collected_at, parent_address, child_address, coin, szi, notional, unrealized_pnl, cum_funding
+        )
+        SELECT ${collectedAt}::timestamptz, p.parent_address, p.child_address, p.coin,
+               p.szi, p.notional, p.unrealized_pnl, p.cum_funding
+        FROM jsonb_to_recordset(${JSON.stringify(positions)}::jsonb) AS p(
+          parent_address TEXT, child_address TEXT, coin TEXT, szi NUMERIC,
+          notional NUMERIC, unrealized_pnl NUMERIC, cum_funding NUMERIC
+        )
+        ON CONFLICT DO NOTHING
+        RETURNING id
+      `;
+      return rows.length;
+    },
+
+    // Replaying a config overwrites its earlier results for the same rows
+    async upsertSignalScores(configVersion, scores) {
+      const rows = await sql`
+        INSERT INTO signal_scores (
+          snapshot_id, config_version, vault_address, collected_at,
+          composite_score, dd_score, tvl_score, momentum_score, vol_score, apr_score,
+          funding_score, oi_score, unscored_signals
+        )
+        SELECT s.snapshot_id, ${configVersion}, s.vault_address, s.collected_at,
+               s.composite_score, s.dd_score, s.tvl_score, s.momentum_score, s.vol_score,
+               s.apr_score, s.funding_score, s.oi_score, s.unscored_signals
+        FROM jsonb_to_recordset(${JSON.stringify(scores)}::jsonb) AS s(
+          snapshot_id INTEGER, vault_address TEXT, collected_at TIMESTAMPTZ,
+          composite_score INTEGER, dd_score INTEGER, tvl_score INTEGER, momentum_score INTEGER,
+          vol_score INTEGER, apr_score INTEGER, funding_score INTEGER, oi_score INTEGER,
+          unscored_signals TEXT
+        )
+        ON CONFLICT (snapshot_id, config_version) DO UPDATE SET
+          composite_score = EXCLUDED.composite_score, dd_score = EXCLUDED.dd_score,
+          tvl_score = EXCLUDED.tvl_score, momentum_score = EXCLUDED.momentum_score,
+          vol_score = EXCLUDED.vol_score, apr_score = EXCLUDED.apr_score,
+          funding_score = EXCLUDED.funding_score, oi_score = EXCLUDED.oi_score,
+          unscored_signals = EXCLUDED.unscored_signals, computed_at = NOW()
+        RETURNING snapshot_id
+      `;
+      return rows.length;
+    }
+  };
+}
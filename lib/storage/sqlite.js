@@ -0,0 +1,185 @@
+// Embedded SQLite storage for local development and tests. Timestamps are
+// stored as UTC ISO-8601 text so string comparison orders them correctly and
+// substr(collected_at, 1, 13) is the hour bucket.
+
+const BOOLEAN_COLUMNS = ['allow_deposits', 'active', 'enabled', 'delivered', 'auto_calibrate'];
+
+function toSqliteValue(v) {
+  if (v === undefined) return null;
+  if (typeof v === 'boolean') return v ? 1 : 0;
+  if (v instanceof Date) return v.toISOString();
+  if (v !== null && typeof v === 'object') return JSON.stringify(v);
+  return v;
+}
+
+function fromSqliteRow(row) {
+  for (const col of BOOLEAN_COLUMNS) {
+    if (col in row && row[col] != null) row[col] = row[col] === 1;
+  }
+  return row;
+}
+
+export function createSqliteStorage(filename) {
+  let database;
+
+  // Loaded lazily so Postgres deployments never need the native module
+  async function open() {
+    if (!database) {
+      const { default: Database } = await import('better-sqlite3');
+      database = new Database(filename);
+      database.pragma('journal_mode = WAL');
+      database.pragma('foreign_keys = ON');
+    }
+    return database;
+  }
+
+  // Same calling convention as the Postgres clients: one statement per call,
+  // resolves to an array of rows
+  async function sql(strings, ...values) {
+    const db = await open();
+    const stmt = db.prepare(strings.join('?'));
+    const params = values.map(toSqliteValue);
+    if (!stmt.reader) {
+      stmt.run(...params);
+      return [];
+    }
+    return stmt.all(...params).map(fromSqliteRow);
+  }
+
+  return {
+    dialect: 'sqlite',
+    driver: 'better-sqlite3',
+    sql,
+
+    async close() {
+      database?.close();
+      database = undefined;
+    },
+
+    async insertSnapshot(data) {
+      const result = await sql`
+        INSERT INTO snapshots (
+          vault_address, collected_at, nav, pnl, apr, vlm, allow_deposits,
+          nav_ath, drawdown_pct, max_drawdown,
+          composite_score, dd_score, tvl_score, momentum_score, vol_score, apr_score,
+          funding_rate, open_interest, volume_24h, funding_score, oi_score,
+          unscored_signals, oi_top5_share, funding_dispersion, net_flow, regime
+        ) VALUES (
+          ${data.vault_address}, ${new Date(data.collected_at).toISOString()},
+          ${data.nav}, ${data.pnl}, ${data.apr}, ${data.vlm}, ${data.allow_deposits},
+          ${data.nav_ath}, ${data.drawdown_pct}, ${data.max_drawdown},
+          ${data.composite_score}, ${data.dd_score}, ${data.tvl_score},
+          ${data.momentum_score}, ${data.vol_score}, ${data.apr_score},
+          ${data.funding_rate}, ${data.open_interest}, ${data.volume_24h},
+          ${data.funding_score}, ${data.oi_score},
+          ${data.unscored_signals}, ${data.oi_top5_share}, ${data.funding_dispersion}, ${data.net_flow},
+          ${data.regime}
+        )
+        ON CONFLICT DO NOTHING
+        RETURNING id, collected_at
+      `;
+      return result[0] || null;
+    },
+
+    async getLatestSnapshot(vault) {
+      const rows = await sql`
+        SELECT * FROM snapshots
+        WHERE vault_address = ${vault}
+        ORDER BY collected_at DESC LIMIT 1
+      `;
+      return rows[0] || null;
+    },
+
+    // Raw rows in [since, until), ascending; bucketing happens in lib/timeseries.js
+    async getSnapshots({ vault, since, until }) {
+      return await sql`
+        SELECT * FROM snapshots
+        WHERE vault_address = ${vault} AND collected_at >= ${since} AND collected_at < ${until}
+        ORDER BY collected_at ASC
+      `;
+    },
+
+    // WHERE true disambiguates ON CONFLICT after INSERT … SELECT
+    async insertMarketSnapshots(collectedAt, assets) {
+      const rows = await sql`
+        INSERT INTO market_snapshots (
+          collected_at, coin, funding, open_interest, mark_px, oracle_px, premium, volume_24h
+        )
+        SELECT ${new Date(collectedAt).toISOString()},
+               json_extract(value, '$.coin'), json_extract(value, '$.funding'),
+               json_extract(value, '$.open_interest'), json_extract(value, '$.mark_px'),
+               json_extract(value, '$.oracle_px'), json_extract(value, '$.premium'),
+               json_extract(value, '$.volume_24h')
+        FROM json_each(${JSON.stringify(assets)})
+        WHERE true
+        ON CONFLICT DO NOTHING
+        RETURNING id
+      `;
+      return rows.length;
+    },
+
+    async insertChildVaultSnapshots(collectedAt, children) {
+      const rows = await sql`
+        INSERT INTO child_vault_snapshots (
+          collected_at, parent_address, child_address, name, account_value, pnl, position_count
+        )
+        SELECT ${new Date(collectedAt).toISOString()},
+               json_extract(value, '$.parent_address'), json_extract(value, '$.child_address'),
+               json_extract(value, '$.name'), json_extract(value, '$.account_value'),
+               json_extract(value, '$.pnl'), json_extract(value, '$.position_count')
+        FROM json_each(${JSON.stringify(children)})
+        WHERE true
+        ON CONFLICT DO NOTHING
+        RETURNING id
+      `;
+      return rows.length;
+    },
+
+    async insertChildPositions(collectedAt, positions) {
+      const rows = await sql`
+        INSERT INTO child_positions (
+          collected_at, parent_address, child_address, coin, szi, notional, unrealized_pnl, cum_funding
+        )
+        SELECT ${new Date(collectedAt).toISOString()},
+               json_extract(value, '$.parent_address'), json_extract(value, '$.child_address'),
+               json_extract(value, '$.coin'), json_extract(value, '$.szi'),
+               json_extract(value, '$.notional'), json_extract(value, '$.unrealized_pnl'),
+               json_extract(value, '$.cum_funding')
+        FROM json_each(${JSON.stringify(positions)})
+        WHERE true
+        ON CONFLICT DO NOTHING
+        RETURNING id
+      `;
+      return rows.length;
+    },
+
+    // Replaying a config overwrites its earlier results for the same rows
+    async upsertSignalScores(configVersion, scores) {
+      const rows = await sql`
+        INSERT INTO signal_scores (
+          snapshot_id, config_version, vault_address, collected_at,
+          composite_score, dd_score, tvl_score, momentum_score, vol_score, apr_score,
+          funding_score, oi_score, unscored_signals
+        )
+        SELECT json_extract(value, '$.snapshot_id'), ${configVersion},
+               json_extract(value, '$.vault_address'), json_extract(value, '$.collected_at'),
+               json_extract(value, '$.composite_score'), json_extract(value, '$.dd_score'),
+               json_extract(value, '$.tvl_score'), json_extract(value, '$.momentum_score'),
+               json_extract(value, '$.vol_score'), json_extract(value, '$.apr_score'),
+               json_extract(value, '$.funding_score'), json_extract(value, '$.oi_score'),
+               json_extract(value, '$.unscored_signals')
+        FROM json_each(${JSON.stringify(scores.map(s => ({ ...s, collected_at: new Date(s.collected_at).toISOString() })))})
+        WHERE true
+        ON CONFLICT (snapshot_id, config_version) DO UPDATE SET
+          composite_score = excluded.composite_score, dd_score = excluded.dd_score,
+          tvl_score = excluded.tvl_score, momentum_score = excluded.momentum_score,
+          vol_score = excluded.vol_score, apr_score = excluded.apr_score,
+          funding_score = excluded.funding_score, oi_score = excluded.oi_score,
+          unscored_signals = excluded.unscored_signals,
+          computed_at = strftime('%Y-%m-%dT%H:%M:%fZ', 'now')
+        RETURNING snapshot_id
+      `;
+      return rows.length;
+    }
+  };
+}
@@ -0,0 +1,304 @@
+import { EventEmitter } from 'node:events';
+import { getLatestSnapshot } from './db.js';
+import {
+  fetchVaultDetails, getChildAddresses, parseAssetContexts, parseVaultData,
+  summarizeAssetContexts, validateAssetContexts, validateClearinghouseState
+} from './hyperliquid.js';
+import { connectHyperliquidWs } from './hyperliquid-ws.js';
+
+// Intraday view of a vault between hourly snapshots, kept in memory from
+// Hyperliquid's WebSocket feeds:
+//   webData2    per account (the vault and its child vaults): the account's
+//               value, plus the asset context of every perp on the exchange
+//   userEvents  fills, funding payments and liquidations
+// NAV is estimated as the baseline NAV (from vaultDetails when the stream
+// starts, else the latest snapshot) moved by the change in the accounts'
+// summed value since then, so it stays on the dashboard's portfolio basis.
+// Drawdown is measured against the larger of the baseline ATH and the
+// highest live NAV.
+
+const MINUTE_MS = 60000;
+export const INTRADAY_WINDOW_MS = 24 * 3600 * 1000;
+const MAX_RECENT_EVENTS = 50;
+
+const iso = t => t == null ? null : new Date(t).toISOString();
+const num = v => v == null ? null : parseFloat(v);
+
+// ── Live view ───────────────────────────────────────────────
+// baseline: { nav, ath, at, source }. apply(msg) returns null for messages
+// that don't concern the view, else { events } with any new liquidations.
+// Malformed payloads throw the validators' errors.
+export function createLiveView({ vault, accounts = [vault], baseline = null }) {
+  const members = new Set(accounts.map(a => a.toLowerCase()));
+  const values = new Map(); // account → { first, current }
+  const intraday = [];      // one point per minute, oldest first
+  const recent = [];        // liquidations, newest first
+  let ath = baseline?.ath ?? 0;
+  let market = null;
+  let marketAt = null;
+  let updatedAt = null;
+
+  const nav = () => {
+    if (values.size === 0) return baseline?.nav ?? null;
+    let total = 0;
+    let delta = 0;
+    for (const v of values.values()) {
+      total += v.current;
+      delta += v.current - v.first;
+    }
+    return baseline?.nav != null ? baseline.nav + delta : total;
+  };
+
+  const current = () => {
+    const value = nav();
+    return {
+      vault,
+      nav: value,
+      ath: ath > 0 ? ath : null,
+      drawdown: value != null && ath > 0 ? (value - ath) / ath : null,
+      funding_rate: market?.fundingRate ?? null,
+      open_interest: market?.openInterest ?? null,
+      volume_24h: market?.volume24h ?? null,
+      oi_top5_share: market?.oiTop5Share ?? null,
+      funding_dispersion: market?.fundingDispersion ?? null,
+      market_at: iso(marketAt),
+      updated_at: iso(updatedAt)
+    };
+  };
+
+  // The minute's point, carrying the previous one's values forward
+  const pointAt = now => {
+    const time = Math.floor(now / MINUTE_MS) * MINUTE_MS;
+    const last = intraday[intraday.length - 1];
+    if (last && last.time >= time) return last;
+
+    const point = {
+      time,
+      nav: last?.nav ?? null,
+      drawdown: last?.drawdown ?? null,
+      funding_rate: last?.funding_rate ?? null,
+      open_interest: last?.open_interest ?? null,
+      fills: 0,
+      volume: 0,
+      closed_pnl: 0,
+      funding_paid: 0
+    };
+    intraday.push(point);
+    while (intraday[0].time <= now - INTRADAY_WINDOW_MS) intraday.shift();
+    return point;
+  };
+
+  const applyWebData = (data, now) => {
+    let changed = false;
+    const user = String(data?.user || '').toLowerCase();
+    if (members.has(user) && data.clearinghouseState) {
+      const value = parseFloat(validateClearinghouseState(data.clearinghouseState).marginSummary.accountValue);
+      const entry = values.get(user);
+      if (entry) entry.current = value;
+      else values.set(user, { first: value, current: value });
+      changed = true;
+    }
+    if (data?.meta && data?.assetCtxs) {
+      market = summarizeAssetContexts(parseAssetContexts(validateAssetContexts([data.meta, data.assetCtxs])));
+      marketAt = now;
+      changed = true;
+    }
+    return changed;
+  };
+
+  // The user channel doesn't say which account an event belongs to, so
+  // the vault's accounts are aggregated
+  const applyUserEvents = (data, point, now) => {
+    for (const fill of data.fills || []) {
+      point.fills += 1;
+      point.volume += Math.abs(parseFloat(fill.px) * parseFloat(fill.sz)) || 0;
+      point.closed_pnl += parseFloat(fill.closedPnl) || 0;
+    }
+    if (data.funding) point.funding_paid += parseFloat(data.funding.usdc) || 0;
+    if (!data.liquidation) return [];
+    return [{
+      type: 'liquidation',
+      time: iso(now),
+      liquidated_user: data.liquidation.liquidated_user ?? null,
+      notional: num(data.liquidation.liquidated_ntl_pos),
+      account_value: num(data.liquidation.liquidated_account_value)
+    }];
+  };
+
+  return {
+    apply(msg, now = Date.now()) {
+      let events = [];
+      if (msg?.channel === 'webData2') {
+        if (!applyWebData(msg.data, now)) return null;
+      } else if (msg?.channel === 'user' && msg.data) {
+        events = applyUserEvents(msg.data, pointAt(now), now);
+      } else {
+        return null;
+      }
+
+      const value = nav();
+      if (value != null && value > ath) ath = value;
+      const { drawdown } = current();
+      Object.assign(pointAt(now), {
+        nav: value,
+        drawdown,
+        funding_rate: market?.fundingRate ?? null,
+        open_interest: market?.openInterest ?? null
+      });
+      updatedAt = now;
+
+      recent.unshift(...[...events].reverse());
+      recent.length = Math.min(recent.length, MAX_RECENT_EVENTS);
+      return { events };
+    },
+
+    // Sent when a client connects
+    snapshot() {
+      return {
+        ...current(),
+        accounts: [...members],
+        baseline: baseline && { ...baseline, at: iso(baseline.at) },
+        intraday: intraday.map(p => ({ ...p, time: iso(p.time) })),
+        events: [...recent]
+      };
+    },
+
+    // Sent on each (throttled) change
+    update() {
+      const last = intraday[intraday.length - 1];
+      return { ...current(), point: last ? { ...last, time: iso(last.time) } : null };
+    }
+  };
+}
+
+// ── Shared streams ──────────────────────────────────────────
+// One WebSocket connection and view per vault, shared by every client
+// watching it and closed when the last one leaves. webData2 arrives about
+// once a second per account, so updates go out at most every
+// UPDATE_INTERVAL_MS.
+const UPDATE_INTERVAL_MS = 2000;
+const streams = new Map(); // vault → { listeners, stream: Promise }
+
+// Baseline and child vaults from vaultDetails; without it the stream
+// follows the vault's own account from its latest snapshot
+async function loadVault(db, vault) {
+  try {
+    const details = await fetchVaultDetails(vault);
+    const live = parseVaultData(details);
+    return {
+      accounts: [vault, ...getChildAddresses(details)],
+      baseline: { nav: live.currentNav, ath: live.ath, at: Date.now(), source: 'vault_details' },
+      error: null
+    };
+  } catch (err) {
+    const snapshot = await getLatestSnapshot(db, vault);
+    return {
+      accounts: [vault],
+      baseline: snapshot && {
+        nav: num(snapshot.nav), ath: num(snapshot.nav_ath), at: snapshot.collected_at, source: 'snapshot'
+      },
+      error: `Vault details unavailable, child vaults not followed: ${err.message}`
+    };
+  }
+}
+
+async function startStream(db, vault, { updateIntervalMs }) {
+  const { accounts, baseline, error } = await loadVault(db, vault);
+  const view = createLiveView({ vault, accounts, baseline });
+  const emitter = new EventEmitter();
+  let status = { state: 'connecting', error, at: iso(Date.now()) };
+  let timer = null;
+
+  const setStatus = next => {
+    status = next.state === 'error'
+      ? { ...status, error: next.error, at: iso(Date.now()) }
+      : { ...next, error: next.state === 'open' ? null : status.error, at: iso(Date.now()) };
+    emitter.emit('status', status);
+  };
+
+  const scheduleUpdate = () => {
+    if (timer) return;
+    timer = setTimeout(() => {
+      timer = null;
+      emitter.emit('update', view.update());
+    }, updateIntervalMs);
+  };
+
+  const socket = connectHyperliquidWs({
+    subscriptions: [
+      ...accounts.map(user => ({ type: 'webData2', user })),
+      ...accounts.map(user => ({ type: 'userEvents', user }))
+    ],
+    onMessage: msg => {
+      let result;
+      try {
+        result = view.apply(msg);
+      } catch (err) {
+        return setStatus({ state: 'error', error: err.message });
+      }
+      if (!result) return;
+      for (const event of result.events) emitter.emit('event', event);
+      scheduleUpdate();
+    },
+    onStatus: setStatus
+  });
+
+  return {
+    view,
+    emitter,
+    status: () => status,
+    async close() {
+      clearTimeout(timer);
+      await socket.close();
+    }
+  };
+}
+
+// listener(name, payload) gets 'update', 'event' and 'status' messages.
+// Resolves to { snapshot(), unsubscribe() }.
+export async function subscribeStream(db, vault, listener, { updateIntervalMs = UPDATE_INTERVAL_MS } = {}) {
+  vault = vault.toLowerCase();
+  let entry = streams.get(vault);
+  if (!entry) {
+    entry = { listeners: 0, stream: startStream(db, vault, { updateIntervalMs }) };
+    streams.set(vault, entry);
+    const started = entry;
+    entry.stream.catch(() => {
+      if (streams.get(vault) === started) streams.delete(vault);
+    });
+  }
+
+  entry.listeners += 1;
+  let stream;
+  try {
+    stream = await entry.stream;
+  } catch (err) {
+    entry.listeners -= 1;
+    throw err;
+  }
+
+  const handlers = ['update', 'event', 'status'].map(name => [name, payload => listener(name, payload)]);
+  for (const [name, fn] of handlers) stream.emitter.on(name, fn);
+
+  let subscribed = true;
+  return {
+    snapshot: () => ({ ...stream.view.snapshot(), status: stream.status() }),
+    async unsubscribe() {
+      if (!subscribed) return;
+      subscribed = false;
+      for (const [name, fn] of handlers) stream.emitter.off(name, fn);
+      entry.listeners -= 1;
+      if (entry.listeners === 0 && streams.get(vault) === entry) {
+        streams.delete(vault);
+        await stream.close();
+      }
+    }
+  };
+}
+
+// Closes every stream, for shutdown; clients are left to reconnect
+export async function closeStreams() {
+  const entries = [...streams.values()];
+  streams.clear();
+  await Promise.all(entries.map(entry => entry.stream.then(s => s.close(), () => {})));
+}
@@ -0,0 +1,138 @@
+// Bucketing and gap detection for hourly snapshot rows. Kept in JS rather
+// than SQL so every storage backend resamples identically.
+
+const HOUR_MS = 3600 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+export const RESOLUTIONS = {
+  '1h': HOUR_MS,
+  '4h': 4 * HOUR_MS,
+  '1d': DAY_MS,
+  '1w': 7 * DAY_MS
+};
+
+// Names accepted before 1h/1d existed
+const RESOLUTION_ALIASES = { hourly: '1h', daily: '1d' };
+
+// Resolve 'auto' and legacy names. 'raw' returns rows unbucketed.
+export function resolveResolution(resolution, spanMs) {
+  if (resolution === 'auto') return spanMs <= 7 * DAY_MS ? '1h' : '1d';
+  return RESOLUTION_ALIASES[resolution] || resolution;
+}
+
+export function isValidResolution(resolution) {
+  return resolution === 'auto' || resolution === 'raw' || resolution in RESOLUTIONS || resolution in RESOLUTION_ALIASES;
+}
+
+// UTC bucket start. Weeks start on Monday (the epoch was a Thursday).
+export function bucketStart(time, resolution) {
+  if (resolution === '1w') {
+    const monday = 4 * DAY_MS;
+    return Math.floor((time - monday) / RESOLUTIONS['1w']) * RESOLUTIONS['1w'] + monday;
+  }
+  const size = RESOLUTIONS[resolution];
+  return Math.floor(time / size) * size;
+}
+
+// Columns aggregated other than by last value
+const AGGREGATES = {
+  nav_ath: (a, b) => Math.max(a, b),
+  max_drawdown: (a, b) => Math.min(a, b),
+  net_flow: (a, b) => a + b
+};
+const SKIP = new Set(['id', 'collected_at', 'nav', 'allow_deposits']);
+
+function num(v) {
+  return v == null ? null : parseFloat(v);
+}
+
+// Resample rows (ascending by collected_at) into buckets:
+//   nav_open/high/low/close  OHLC of NAV; `nav` is the close
+//   nav_ath / max_drawdown   running extremes (max / min)
+//   net_flow                 summed over the bucket
+//   allow_deposits           false if deposits were closed at any point
+//   everything else          last non-null value in the bucket (scores, pnl, …)
+export function resampleSnapshots(rows, resolution) {
+  if (resolution === 'raw') return rows;
+
+  const buckets = [];
+  let current = null;
+
+  for (const row of rows) {
+    const start = bucketStart(new Date(row.collected_at).getTime(), resolution);
+    const nav = num(row.nav);
+
+    if (!current || current.start !== start) {
+      current = {
+        start,
+        out: {
+          collected_at: new Date(start).toISOString(),
+          nav_open: nav, nav_high: nav, nav_low: nav, nav_close: nav, nav,
+          allow_deposits: row.allow_deposits ?? null,
+          samples: 0
+        }
+      };
+      buckets.push(current);
+    }
+
+    const out = current.out;
+    out.samples++;
+    if (nav != null) {
+      if (out.nav_open == null) out.nav_open = nav;
+      out.nav_high = out.nav_high == null ? nav : Math.max(out.nav_high, nav);
+      out.nav_low = out.nav_low == null ? nav : Math.min(out.nav_low, nav);
+      out.nav_close = nav;
+      out.nav = nav;
+    }
+    if (row.allow_deposits != null) {
+      out.allow_deposits = out.allow_deposits == null ? row.allow_deposits : out.allow_deposits && row.allow_deposits;
+    }
+
+    for (const [column, value] of Object.entries(row)) {
+      if (SKIP.has(column) || value == null) continue;
+      const combine = AGGREGATES[column];
+      out[column] = combine && out[column] != null ? combine(num(out[column]), num(value)) : value;
+    }
+  }
+
+  return buckets.map(b => b.out);
+}
+
+// Runs of missing hourly rows within [from, to). Hours are UTC buckets; the
+// current (unfinished) hour is never reported. `from` defaults to the first
+// row so "all history" doesn't count the years before collection began.
+export function findGaps(rows, { from = null, to = Date.now(), maxRanges = 500 } = {}) {
+  const present = new Set(rows.map(r => bucketStart(new Date(r.collected_at).getTime(), '1h')));
+  const first = rows.length > 0 ? bucketStart(new Date(rows[0].collected_at).getTime(), '1h') : null;
+
+  const start = from != null ? Math.ceil(new Date(from).getTime() / HOUR_MS) * HOUR_MS : first;
+  const end = Math.min(bucketStart(new Date(to).getTime(), '1h'), bucketStart(Date.now(), '1h'));
+
+  const ranges = [];
+  let missingHours = 0;
+  let run = null;
+
+  if (start != null) {
+    for (let t = start; t < end; t += HOUR_MS) {
+      if (present.has(t)) {
+        run = null;
+        continue;
+      }
+      missingHours++;
+      if (run) {
+        run.hours++;
+        run.to = new Date(t + HOUR_MS).toISOString();
+      } else {
+        run = { from: new Date(t).toISOString(), to: new Date(t + HOUR_MS).toISOString(), hours: 1 };
+        ranges.push(run);
+      }
+    }
+  }
+
+  return {
+    missing_hours: missingHours,
+    count: ranges.length,
+    ranges: ranges.slice(0, maxRanges),
+    truncated: ranges.length > maxRanges
+  };
+}
@@ -0,0 +1,67 @@
+export async function up(sql) {
+  await sql`
+    CREATE TABLE IF NOT EXISTS snapshots (
+      id              SERIAL PRIMARY KEY,
+      collected_at    TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      nav             NUMERIC NOT NULL,
+      pnl             NUMERIC,
+      apr             NUMERIC,
+      vlm             NUMERIC,
+      allow_deposits  BOOLEAN DEFAULT TRUE,
+      nav_ath         NUMERIC NOT NULL,
+      drawdown_pct    NUMERIC NOT NULL,
+      max_drawdown    NUMERIC NOT NULL,
+      composite_score INTEGER,
+      dd_score        INTEGER,
+      tvl_score       INTEGER,
+      momentum_score  INTEGER,
+      vol_score       INTEGER,
+      apr_score       INTEGER
+    )
+  `;
+
+  // Databases created by the first schema had NOT NULL apr/pnl
+  await sql`ALTER TABLE snapshots ALTER COLUMN apr DROP NOT NULL`;
+  await sql`ALTER TABLE snapshots ALTER COLUMN pnl DROP NOT NULL`;
+
+  await sql`
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_snapshots_hourly
+    ON snapshots (date_trunc('hour', collected_at AT TIME ZONE 'UTC'))
+  `;
+  await sql`
+    CREATE INDEX IF NOT EXISTS idx_snapshots_time
+    ON snapshots (collected_at DESC)
+  `;
+}
+
+// Timestamps are UTC ISO-8601 text; the first 13 characters are the hour
+export async function sqlite(sql) {
+  await sql`
+    CREATE TABLE IF NOT EXISTS snapshots (
+      id              INTEGER PRIMARY KEY AUTOINCREMENT,
+      collected_at    TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+      nav             REAL NOT NULL,
+      pnl             REAL,
+      apr             REAL,
+      vlm             REAL,
+      allow_deposits  INTEGER DEFAULT 1,
+      nav_ath         REAL NOT NULL,
+      drawdown_pct    REAL NOT NULL,
+      max_drawdown    REAL NOT NULL,
+      composite_score INTEGER,
+      dd_score        INTEGER,
+      tvl_score       INTEGER,
+      momentum_score  INTEGER,
+      vol_score       INTEGER,
+      apr_score       INTEGER
+    )
+  `;
+  await sql`
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_snapshots_hourly
+    ON snapshots (substr(collected_at, 1, 13))
+  `;
+  await sql`
+    CREATE INDEX IF NOT EXISTS idx_snapshots_time
+    ON snapshots (collected_at DESC)
+  `;
+}
@@ -0,0 +1,15 @@
+export async function up(sql) {
+  await sql`ALTER TABLE snapshots ADD COLUMN IF NOT EXISTS funding_rate NUMERIC`;
+  await sql`ALTER TABLE snapshots ADD COLUMN IF NOT EXISTS open_interest NUMERIC`;
+  await sql`ALTER TABLE snapshots ADD COLUMN IF NOT EXISTS volume_24h NUMERIC`;
+  await sql`ALTER TABLE snapshots ADD COLUMN IF NOT EXISTS funding_score INTEGER`;
+  await sql`ALTER TABLE snapshots ADD COLUMN IF NOT EXISTS oi_score INTEGER`;
+}
+
+export async function sqlite(sql) {
+  await sql`ALTER TABLE snapshots ADD COLUMN funding_rate REAL`;
+  await sql`ALTER TABLE snapshots ADD COLUMN open_interest REAL`;
+  await sql`ALTER TABLE snapshots ADD COLUMN volume_24h REAL`;
+  await sql`ALTER TABLE snapshots ADD COLUMN funding_score INTEGER`;
+  await sql`ALTER TABLE snapshots ADD COLUMN oi_score INTEGER`;
+}
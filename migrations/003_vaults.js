@@ -0,0 +1,56 @@
+export async function up(sql) {
+  await sql`
+    CREATE TABLE IF NOT EXISTS vaults (
+      address     TEXT PRIMARY KEY,
+      name        TEXT,
+      active      BOOLEAN NOT NULL DEFAULT TRUE,
+      created_at  TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )
+  `;
+  await sql`
+    INSERT INTO vaults (address, name)
+    VALUES ('0xdfc24b077bc1425ad1dea75bcb6f8158e10df303', 'Hyperliquidity Provider (HLP)')
+    ON CONFLICT (address) DO NOTHING
+  `;
+
+  // Rows collected before multi-vault support all belong to HLP
+  await sql`ALTER TABLE snapshots ADD COLUMN IF NOT EXISTS vault_address TEXT NOT NULL DEFAULT '0xdfc24b077bc1425ad1dea75bcb6f8158e10df303'`;
+
+  await sql`DROP INDEX IF EXISTS idx_snapshots_hourly`;
+  await sql`
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_snapshots_vault_hourly
+    ON snapshots (vault_address, date_trunc('hour', collected_at AT TIME ZONE 'UTC'))
+  `;
+  await sql`
+    CREATE INDEX IF NOT EXISTS idx_snapshots_vault_time
+    ON snapshots (vault_address, collected_at DESC)
+  `;
+}
+
+export async function sqlite(sql) {
+  await sql`
+    CREATE TABLE IF NOT EXISTS vaults (
+      address     TEXT PRIMARY KEY,
+      name        TEXT,
+      active      INTEGER NOT NULL DEFAULT 1,
+      created_at  TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+    )
+  `;
+  await sql`
+    INSERT INTO vaults (address, name)
+    VALUES ('0xdfc24b077bc1425ad1dea75bcb6f8158e10df303', 'Hyperliquidity Provider (HLP)')
+    ON CONFLICT (address) DO NOTHING
+  `;
+
+  await sql`ALTER TABLE snapshots ADD COLUMN vault_address TEXT NOT NULL DEFAULT '0xdfc24b077bc1425ad1dea75bcb6f8158e10df303'`;
+
+  await sql`DROP INDEX IF EXISTS idx_snapshots_hourly`;
+  await sql`
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_snapshots_vault_hourly
+    ON snapshots (vault_address, substr(collected_at, 1, 13))
+  `;
+  await sql`
+    CREATE INDEX IF NOT EXISTS idx_snapshots_vault_time
+    ON snapshots (vault_address, collected_at DESC)
+  `;
+}
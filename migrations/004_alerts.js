@@ -0,0 +1,73 @@
+export async function up(sql) {
+  await sql`
+    CREATE TABLE IF NOT EXISTS alert_rules (
+      id                SERIAL PRIMARY KEY,
+      name              TEXT,
+      expression        TEXT NOT NULL,
+      vault_address     TEXT REFERENCES vaults(address) ON DELETE CASCADE,
+      sink              TEXT NOT NULL,
+      target            TEXT NOT NULL,
+      cooldown_minutes  INTEGER NOT NULL DEFAULT 360,
+      enabled           BOOLEAN NOT NULL DEFAULT TRUE,
+      created_at        TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )
+  `;
+  await sql`
+    CREATE TABLE IF NOT EXISTS alert_state (
+      rule_id        INTEGER NOT NULL REFERENCES alert_rules(id) ON DELETE CASCADE,
+      vault_address  TEXT NOT NULL,
+      active         BOOLEAN NOT NULL DEFAULT FALSE,
+      last_fired_at  TIMESTAMPTZ,
+      evaluated_at   TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      PRIMARY KEY (rule_id, vault_address)
+    )
+  `;
+  await sql`
+    CREATE TABLE IF NOT EXISTS alert_events (
+      id             SERIAL PRIMARY KEY,
+      rule_id        INTEGER NOT NULL REFERENCES alert_rules(id) ON DELETE CASCADE,
+      vault_address  TEXT NOT NULL,
+      fired_at       TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      message        TEXT NOT NULL,
+      delivered      BOOLEAN NOT NULL,
+      error          TEXT
+    )
+  `;
+}
+
+export async function sqlite(sql) {
+  await sql`
+    CREATE TABLE IF NOT EXISTS alert_rules (
+      id                INTEGER PRIMARY KEY AUTOINCREMENT,
+      name              TEXT,
+      expression        TEXT NOT NULL,
+      vault_address     TEXT REFERENCES vaults(address) ON DELETE CASCADE,
+      sink              TEXT NOT NULL,
+      target            TEXT NOT NULL,
+      cooldown_minutes  INTEGER NOT NULL DEFAULT 360,
+      enabled           INTEGER NOT NULL DEFAULT 1,
+      created_at        TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+    )
+  `;
+  await sql`
+    CREATE TABLE IF NOT EXISTS alert_state (
+      rule_id        INTEGER NOT NULL REFERENCES alert_rules(id) ON DELETE CASCADE,
+      vault_address  TEXT NOT NULL,
+      active         INTEGER NOT NULL DEFAULT 0,
+      last_fired_at  TEXT,
+      evaluated_at   TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+      PRIMARY KEY (rule_id, vault_address)
+    )
+  `;
+  await sql`
+    CREATE TABLE IF NOT EXISTS alert_events (
+      id             INTEGER PRIMARY KEY AUTOINCREMENT,
+      rule_id        INTEGER NOT NULL REFERENCES alert_rules(id) ON DELETE CASCADE,
+      vault_address  TEXT NOT NULL,
+      fired_at       TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+      message        TEXT NOT NULL,
+      delivered      INTEGER NOT NULL,
+      error          TEXT
+    )
+  `;
+}
@@ -0,0 +1,9 @@
+// Comma-separated signal keys left unscored because their input data was
+// unavailable at collection time (e.g. "funding,oi"); NULL when all scored
+export async function up(sql) {
+  await sql`ALTER TABLE snapshots ADD COLUMN IF NOT EXISTS unscored_signals TEXT`;
+}
+
+export async function sqlite(sql) {
+  await sql`ALTER TABLE snapshots ADD COLUMN unscored_signals TEXT`;
+}
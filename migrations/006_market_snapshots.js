@@ -0,0 +1,54 @@
+export async function up(sql) {
+  await sql`
+    CREATE TABLE IF NOT EXISTS market_snapshots (
+      id             SERIAL PRIMARY KEY,
+      collected_at   TIMESTAMPTZ NOT NULL,
+      coin           TEXT NOT NULL,
+      funding        NUMERIC NOT NULL,
+      open_interest  NUMERIC NOT NULL,
+      mark_px        NUMERIC,
+      oracle_px      NUMERIC,
+      premium        NUMERIC,
+      volume_24h     NUMERIC NOT NULL
+    )
+  `;
+  await sql`
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_market_snapshots_coin_hourly
+    ON market_snapshots (coin, date_trunc('hour', collected_at AT TIME ZONE 'UTC'))
+  `;
+  await sql`
+    CREATE INDEX IF NOT EXISTS idx_market_snapshots_time
+    ON market_snapshots (collected_at DESC)
+  `;
+
+  // Concentration measures derived from market_snapshots at collection time
+  await sql`ALTER TABLE snapshots ADD COLUMN IF NOT EXISTS oi_top5_share NUMERIC`;
+  await sql`ALTER TABLE snapshots ADD COLUMN IF NOT EXISTS funding_dispersion NUMERIC`;
+}
+
+export async function sqlite(sql) {
+  await sql`
+    CREATE TABLE IF NOT EXISTS market_snapshots (
+      id             INTEGER PRIMARY KEY AUTOINCREMENT,
+      collected_at   TEXT NOT NULL,
+      coin           TEXT NOT NULL,
+      funding        REAL NOT NULL,
+      open_interest  REAL NOT NULL,
+      mark_px        REAL,
+      oracle_px      REAL,
+      premium        REAL,
+      volume_24h     REAL NOT NULL
+    )
+  `;
+  await sql`
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_market_snapshots_coin_hourly
+    ON market_snapshots (coin, substr(collected_at, 1, 13))
+  `;
+  await sql`
+    CREATE INDEX IF NOT EXISTS idx_market_snapshots_time
+    ON market_snapshots (collected_at DESC)
+  `;
+
+  await sql`ALTER TABLE snapshots ADD COLUMN oi_top5_share REAL`;
+  await sql`ALTER TABLE snapshots ADD COLUMN funding_dispersion REAL`;
+}
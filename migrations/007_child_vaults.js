@@ -0,0 +1,91 @@
+// Hourly history of child strategy vaults (account value, cumulative PnL)
+// and their open positions, keyed by the parent vault they roll up into
+export async function up(sql) {
+  await sql`
+    CREATE TABLE IF NOT EXISTS child_vault_snapshots (
+      id              SERIAL PRIMARY KEY,
+      collected_at    TIMESTAMPTZ NOT NULL,
+      parent_address  TEXT NOT NULL,
+      child_address   TEXT NOT NULL,
+      name            TEXT,
+      account_value   NUMERIC NOT NULL,
+      pnl             NUMERIC,
+      position_count  INTEGER NOT NULL
+    )
+  `;
+  await sql`
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_child_vault_snapshots_hourly
+    ON child_vault_snapshots (child_address, date_trunc('hour', collected_at AT TIME ZONE 'UTC'))
+  `;
+  await sql`
+    CREATE INDEX IF NOT EXISTS idx_child_vault_snapshots_parent_time
+    ON child_vault_snapshots (parent_address, collected_at DESC)
+  `;
+
+  await sql`
+    CREATE TABLE IF NOT EXISTS child_positions (
+      id              SERIAL PRIMARY KEY,
+      collected_at    TIMESTAMPTZ NOT NULL,
+      parent_address  TEXT NOT NULL,
+      child_address   TEXT NOT NULL,
+      coin            TEXT NOT NULL,
+      szi             NUMERIC NOT NULL,
+      notional        NUMERIC NOT NULL,
+      unrealized_pnl  NUMERIC NOT NULL,
+      cum_funding     NUMERIC
+    )
+  `;
+  await sql`
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_child_positions_hourly
+    ON child_positions (child_address, coin, date_trunc('hour', collected_at AT TIME ZONE 'UTC'))
+  `;
+  await sql`
+    CREATE INDEX IF NOT EXISTS idx_child_positions_parent_time
+    ON child_positions (parent_address, collected_at DESC)
+  `;
+}
+
+export async function sqlite(sql) {
+  await sql`
+    CREATE TABLE IF NOT EXISTS child_vault_snapshots (
+      id              INTEGER PRIMARY KEY AUTOINCREMENT,
+      collected_at    TEXT NOT NULL,
+      parent_address  TEXT NOT NULL,
+      child_address   TEXT NOT NULL,
+      name            TEXT,
+      account_value   REAL NOT NULL,
+      pnl             REAL,
+      position_count  INTEGER NOT NULL
+    )
+  `;
+  await sql`
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_child_vault_snapshots_hourly
+    ON child_vault_snapshots (child_address, substr(collected_at, 1, 13))
+  `;
+  await sql`
+    CREATE INDEX IF NOT EXISTS idx_child_vault_snapshots_parent_time
+    ON child_vault_snapshots (parent_address, collected_at DESC)
+  `;
+
+  await sql`
+    CREATE TABLE IF NOT EXISTS child_positions (
+      id              INTEGER PRIMARY KEY AUTOINCREMENT,
+      collected_at    TEXT NOT NULL,
+      parent_address  TEXT NOT NULL,
+      child_address   TEXT NOT NULL,
+      coin            TEXT NOT NULL,
+      szi             REAL NOT NULL,
+      notional        REAL NOT NULL,
+      unrealized_pnl  REAL NOT NULL,
+      cum_funding     REAL
+    )
+  `;
+  await sql`
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_child_positions_hourly
+    ON child_positions (child_address, coin, substr(collected_at, 1, 13))
+  `;
+  await sql`
+    CREATE INDEX IF NOT EXISTS idx_child_positions_parent_time
+    ON child_positions (parent_address, collected_at DESC)
+  `;
+}
@@ -0,0 +1,9 @@
+// Deposits minus withdrawals since the vault's previous row (ΔNAV − ΔPnL);
+// NULL when either row lacks PnL
+export async function up(sql) {
+  await sql`ALTER TABLE snapshots ADD COLUMN IF NOT EXISTS net_flow NUMERIC`;
+}
+
+export async function sqlite(sql) {
+  await sql`ALTER TABLE snapshots ADD COLUMN net_flow REAL`;
+}
@@ -0,0 +1,54 @@
+// Scores replayed over stored snapshots with a named scoring configuration
+// (see lib/scoring-configs.js), one row per snapshot per config version so
+// configurations can be compared side by side
+export async function up(sql) {
+  await sql`
+    CREATE TABLE IF NOT EXISTS signal_scores (
+      snapshot_id      INTEGER NOT NULL REFERENCES snapshots(id) ON DELETE CASCADE,
+      config_version   TEXT NOT NULL,
+      vault_address    TEXT NOT NULL,
+      collected_at     TIMESTAMPTZ NOT NULL,
+      composite_score  INTEGER,
+      dd_score         INTEGER,
+      tvl_score        INTEGER,
+      momentum_score   INTEGER,
+      vol_score        INTEGER,
+      apr_score        INTEGER,
+      funding_score    INTEGER,
+      oi_score         INTEGER,
+      unscored_signals TEXT,
+      computed_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      PRIMARY KEY (snapshot_id, config_version)
+    )
+  `;
+  await sql`
+    CREATE INDEX IF NOT EXISTS idx_signal_scores_config_time
+    ON signal_scores (config_version, vault_address, collected_at)
+  `;
+}
+
+export async function sqlite(sql) {
+  await sql`
+    CREATE TABLE IF NOT EXISTS signal_scores (
+      snapshot_id      INTEGER NOT NULL REFERENCES snapshots(id) ON DELETE CASCADE,
+      config_version   TEXT NOT NULL,
+      vault_address    TEXT NOT NULL,
+      collected_at     TEXT NOT NULL,
+      composite_score  INTEGER,
+      dd_score         INTEGER,
+      tvl_score        INTEGER,
+      momentum_score   INTEGER,
+      vol_score        INTEGER,
+      apr_score        INTEGER,
+      funding_score    INTEGER,
+      oi_score         INTEGER,
+      unscored_signals TEXT,
+      computed_at      TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+      PRIMARY KEY (snapshot_id, config_version)
+    )
+  `;
+  await sql`
+    CREATE INDEX IF NOT EXISTS idx_signal_scores_config_time
+    ON signal_scores (config_version, vault_address, collected_at)
+  `;
+}
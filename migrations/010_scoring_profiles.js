@@ -0,0 +1,32 @@
+// Named dashboard profiles: signal weight and bucket threshold overrides
+// (see applyProfile in public/signals.js), stored as JSON text. `owner` is
+// the browser-generated id the dashboard sends; there are no accounts.
+export async function up(sql) {
+  await sql`
+    CREATE TABLE IF NOT EXISTS scoring_profiles (
+      owner           TEXT NOT NULL,
+      name            TEXT NOT NULL,
+      weights         TEXT NOT NULL,
+      thresholds      TEXT NOT NULL,
+      auto_calibrate  BOOLEAN NOT NULL DEFAULT FALSE,
+      created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      updated_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      PRIMARY KEY (owner, name)
+    )
+  `;
+}
+
+export async function sqlite(sql) {
+  await sql`
+    CREATE TABLE IF NOT EXISTS scoring_profiles (
+      owner           TEXT NOT NULL,
+      name            TEXT NOT NULL,
+      weights         TEXT NOT NULL,
+      thresholds      TEXT NOT NULL,
+      auto_calibrate  INTEGER NOT NULL DEFAULT 0,
+      created_at      TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+      updated_at      TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+      PRIMARY KEY (owner, name)
+    )
+  `;
+}
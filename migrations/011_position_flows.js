@@ -0,0 +1,54 @@
+// Personal deposits and withdrawals, entered by hand or imported from a
+// wallet's ledger. `account` is a wallet address for imports or any label
+// for manual entries; ledger rows are deduplicated by transaction hash.
+export async function up(sql) {
+  await sql`
+    CREATE TABLE IF NOT EXISTS position_flows (
+      id             SERIAL PRIMARY KEY,
+      account        TEXT NOT NULL,
+      vault_address  TEXT NOT NULL REFERENCES vaults(address) ON DELETE CASCADE,
+      kind           TEXT NOT NULL CHECK (kind IN ('deposit', 'withdrawal')),
+      amount         NUMERIC NOT NULL,
+      fee            NUMERIC NOT NULL DEFAULT 0,
+      occurred_at    TIMESTAMPTZ NOT NULL,
+      source         TEXT NOT NULL,
+      tx_hash        TEXT,
+      note           TEXT,
+      created_at     TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )
+  `;
+  await sql`
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_position_flows_tx
+    ON position_flows (account, tx_hash)
+  `;
+  await sql`
+    CREATE INDEX IF NOT EXISTS idx_position_flows_account
+    ON position_flows (account, vault_address, occurred_at)
+  `;
+}
+
+export async function sqlite(sql) {
+  await sql`
+    CREATE TABLE IF NOT EXISTS position_flows (
+      id             INTEGER PRIMARY KEY AUTOINCREMENT,
+      account        TEXT NOT NULL,
+      vault_address  TEXT NOT NULL REFERENCES vaults(address) ON DELETE CASCADE,
+      kind           TEXT NOT NULL CHECK (kind IN ('deposit', 'withdrawal')),
+      amount         REAL NOT NULL,
+      fee            REAL NOT NULL DEFAULT 0,
+      occurred_at    TEXT NOT NULL,
+      source         TEXT NOT NULL,
+      tx_hash        TEXT,
+      note           TEXT,
+      created_at     TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+    )
+  `;
+  await sql`
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_position_flows_tx
+    ON position_flows (account, tx_hash)
+  `;
+  await sql`
+    CREATE INDEX IF NOT EXISTS idx_position_flows_account
+    ON position_flows (account, vault_address, occurred_at)
+  `;
+}
@@ -0,0 +1,9 @@
+// Market regime label per snapshot (see lib/regimes.js); NULL until the
+// row has a week of history or `npm run regimes` has labeled it
+export async function up(sql) {
+  await sql`ALTER TABLE snapshots ADD COLUMN IF NOT EXISTS regime TEXT`;
+}
+
+export async function sqlite(sql) {
+  await sql`ALTER TABLE snapshots ADD COLUMN regime TEXT`;
+}
@@ -0,0 +1,48 @@
+// Market-stress events found by lib/events.js. `scope` is 'market' for
+// exchange-wide events or the vault address for NAV drops; `assets` is a
+// JSON array of { coin, value }, largest first.
+export async function up(sql) {
+  await sql`
+    CREATE TABLE IF NOT EXISTS events (
+      id             SERIAL PRIMARY KEY,
+      occurred_at    TIMESTAMPTZ NOT NULL,
+      type           TEXT NOT NULL CHECK (type IN ('oi_collapse', 'funding_spike', 'mark_move', 'nav_drop')),
+      scope          TEXT NOT NULL,
+      severity       TEXT NOT NULL CHECK (severity IN ('low', 'medium', 'high')),
+      magnitude      NUMERIC NOT NULL,
+      assets         TEXT NOT NULL DEFAULT '[]',
+      created_at     TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )
+  `;
+  await sql`
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_events_unique
+    ON events (type, scope, occurred_at)
+  `;
+  await sql`
+    CREATE INDEX IF NOT EXISTS idx_events_time
+    ON events (occurred_at)
+  `;
+}
+
+export async function sqlite(sql) {
+  await sql`
+    CREATE TABLE IF NOT EXISTS events (
+      id             INTEGER PRIMARY KEY AUTOINCREMENT,
+      occurred_at    TEXT NOT NULL,
+      type           TEXT NOT NULL CHECK (type IN ('oi_collapse', 'funding_spike', 'mark_move', 'nav_drop')),
+      scope          TEXT NOT NULL,
+      severity       TEXT NOT NULL CHECK (severity IN ('low', 'medium', 'high')),
+      magnitude      REAL NOT NULL,
+      assets         TEXT NOT NULL DEFAULT '[]',
+      created_at     TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+    )
+  `;
+  await sql`
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_events_unique
+    ON events (type, scope, occurred_at)
+  `;
+  await sql`
+    CREATE INDEX IF NOT EXISTS idx_events_time
+    ON events (occurred_at)
+  `;
+}
@@ -0,0 +1,24 @@
+// Named leases that keep two processes (the self-hosted daemon, a Vercel
+// cron, a manual POST) from running the same job at once. A lease past
+// expires_at is free to take, so a crashed holder never blocks for long.
+export async function up(sql) {
+  await sql`
+    CREATE TABLE IF NOT EXISTS locks (
+      name           TEXT PRIMARY KEY,
+      holder         TEXT NOT NULL,
+      acquired_at    TIMESTAMPTZ NOT NULL,
+      expires_at     TIMESTAMPTZ NOT NULL
+    )
+  `;
+}
+
+export async function sqlite(sql) {
+  await sql`
+    CREATE TABLE IF NOT EXISTS locks (
+      name           TEXT PRIMARY KEY,
+      holder         TEXT NOT NULL,
+      acquired_at    TEXT NOT NULL,
+      expires_at     TEXT NOT NULL
+    )
+  `;
+}
@@ -0,0 +1,57 @@
+// One row per collection run (/api/collect or the self-hosted scheduler),
+// written when the run starts and completed when it ends, so a run that
+// crashed stays visible as 'running'. latencies, errors and fallbacks are
+// JSON (see lib/collector.js).
+export async function up(sql) {
+  await sql`
+    CREATE TABLE IF NOT EXISTS collection_runs (
+      id             SERIAL PRIMARY KEY,
+      triggered_by   TEXT NOT NULL,
+      status         TEXT NOT NULL DEFAULT 'running'
+                     CHECK (status IN ('running', 'success', 'partial', 'failed', 'skipped')),
+      started_at     TIMESTAMPTZ NOT NULL,
+      finished_at    TIMESTAMPTZ,
+      duration_ms    INTEGER,
+      vaults         INTEGER NOT NULL DEFAULT 0,
+      inserted       INTEGER NOT NULL DEFAULT 0,
+      skipped        INTEGER NOT NULL DEFAULT 0,
+      gap_filled     INTEGER NOT NULL DEFAULT 0,
+      market_rows    INTEGER NOT NULL DEFAULT 0,
+      events         INTEGER NOT NULL DEFAULT 0,
+      latencies      TEXT NOT NULL DEFAULT '{}',
+      errors         TEXT NOT NULL DEFAULT '[]',
+      fallbacks      TEXT NOT NULL DEFAULT '[]'
+    )
+  `;
+  await sql`
+    CREATE INDEX IF NOT EXISTS idx_collection_runs_started
+    ON collection_runs (started_at DESC)
+  `;
+}
+
+export async function sqlite(sql) {
+  await sql`
+    CREATE TABLE IF NOT EXISTS collection_runs (
+      id             INTEGER PRIMARY KEY AUTOINCREMENT,
+      triggered_by   TEXT NOT NULL,
+      status         TEXT NOT NULL DEFAULT 'running'
+                     CHECK (status IN ('running', 'success', 'partial', 'failed', 'skipped')),
+      started_at     TEXT NOT NULL,
+      finished_at    TEXT,
+      duration_ms    INTEGER,
+      vaults         INTEGER NOT NULL DEFAULT 0,
+      inserted       INTEGER NOT NULL DEFAULT 0,
+      skipped        INTEGER NOT NULL DEFAULT 0,
+      gap_filled     INTEGER NOT NULL DEFAULT 0,
+      market_rows    INTEGER NOT NULL DEFAULT 0,
+      events         INTEGER NOT NULL DEFAULT 0,
+      latencies      TEXT NOT NULL DEFAULT '{}',
+      errors         TEXT NOT NULL DEFAULT '[]',
+      fallbacks      TEXT NOT NULL DEFAULT '[]'
+    )
+  `;
+  await sql`
+    CREATE INDEX IF NOT EXISTS idx_collection_runs_started
+    ON collection_runs (started_at DESC)
+  `;
+}
@@ -0,0 +1,51 @@
+// Keys for the public /api/v1 API (see lib/api-keys.js). Only a SHA-256
+// hash of each key is stored; key_prefix is kept so listings can tell keys
+// apart. api_key_usage counts requests per key per minute: the current
+// minute's row enforces rate_limit, older rows are the usage history.
+export async function up(sql) {
+  await sql`
+    CREATE TABLE IF NOT EXISTS api_keys (
+      id             SERIAL PRIMARY KEY,
+      name           TEXT NOT NULL,
+      key_prefix     TEXT NOT NULL,
+      key_hash       TEXT NOT NULL UNIQUE,
+      rate_limit     INTEGER NOT NULL CHECK (rate_limit > 0),
+      request_count  INTEGER NOT NULL DEFAULT 0,
+      created_at     TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      last_used_at   TIMESTAMPTZ,
+      revoked_at     TIMESTAMPTZ
+    )
+  `;
+  await sql`
+    CREATE TABLE IF NOT EXISTS api_key_usage (
+      key_id         INTEGER NOT NULL REFERENCES api_keys(id) ON DELETE CASCADE,
+      window_start   TIMESTAMPTZ NOT NULL,
+      requests       INTEGER NOT NULL DEFAULT 0,
+      PRIMARY KEY (key_id, window_start)
+    )
+  `;
+}
+
+export async function sqlite(sql) {
+  await sql`
+    CREATE TABLE IF NOT EXISTS api_keys (
+      id             INTEGER PRIMARY KEY AUTOINCREMENT,
+      name           TEXT NOT NULL,
+      key_prefix     TEXT NOT NULL,
+      key_hash       TEXT NOT NULL UNIQUE,
+      rate_limit     INTEGER NOT NULL CHECK (rate_limit > 0),
+      request_count  INTEGER NOT NULL DEFAULT 0,
+      created_at     TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+      last_used_at   TEXT,
+      revoked_at     TEXT
+    )
+  `;
+  await sql`
+    CREATE TABLE IF NOT EXISTS api_key_usage (
+      key_id         INTEGER NOT NULL REFERENCES api_keys(id) ON DELETE CASCADE,
+      window_start   TEXT NOT NULL,
+      requests       INTEGER NOT NULL DEFAULT 0,
+      PRIMARY KEY (key_id, window_start)
+    )
+  `;
+}
@@ -0,0 +1,33 @@
+// Position flows belong to the browser that wrote them (the same generated
+// owner id as scoring profiles), not to whoever knows the account: imports
+// are keyed by public wallet addresses. Flows stored before this have no
+// owner and are no longer served; wallet imports can simply be re-run.
+export async function up(sql) {
+  await sql`ALTER TABLE position_flows ADD COLUMN IF NOT EXISTS owner TEXT`;
+
+  await sql`DROP INDEX IF EXISTS idx_position_flows_tx`;
+  await sql`DROP INDEX IF EXISTS idx_position_flows_account`;
+  await sql`
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_position_flows_owner_tx
+    ON position_flows (owner, account, tx_hash)
+  `;
+  await sql`
+    CREATE INDEX IF NOT EXISTS idx_position_flows_owner_account
+    ON position_flows (owner, account, vault_address, occurred_at)
+  `;
+}
+
+export async function sqlite(sql) {
+  await sql`ALTER TABLE position_flows ADD COLUMN owner TEXT`;
+
+  await sql`DROP INDEX IF EXISTS idx_position_flows_tx`;
+  await sql`DROP INDEX IF EXISTS idx_position_flows_account`;
+  await sql`
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_position_flows_owner_tx
+    ON position_flows (owner, account, tx_hash)
+  `;
+  await sql`
+    CREATE INDEX IF NOT EXISTS idx_position_flows_owner_account
+    ON position_flows (owner, account, vault_address, occurred_at)
+  `;
+}
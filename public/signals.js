@@ -0,0 +1,394 @@
+// Shared signal-scoring engine. Pure ES module (no Node or DOM APIs) so the
+// collector, the seeder and the dashboard all score with the same table.
+//
+// Each signal reads one metric and walks its buckets top to bottom; the first
+// bucket whose bounds (`lt` / `gt`, plus optional `and` conditions on other
+// metrics) match wins. A bucket with no bounds is the catch-all. Missing
+// metrics score `fallback` (neutral) instead of being treated as zero; a
+// metric set to UNAVAILABLE (its source could not be fetched) leaves the
+// signal unscored (null) and out of the composite.
+
+export const SIGNAL_DEFINITIONS = {
+  drawdown: {
+    label: 'Drawdown from ATH',
+    column: 'dd_score',
+    weight: 0.25,
+    metric: 'ddPct', // |drawdown from ATH| in %
+    fallback: 50,
+    buckets: [
+      { lt: 0.1, score: 5 },
+      { lt: 0.5, score: 15 },
+      { lt: 1, score: 25 },
+      { lt: 2, score: 40 },
+      { lt: 3, score: 55 },
+      { lt: 5, score: 70 },
+      { lt: 7, score: 85 },
+      { lt: 9, score: 92 },
+      { score: 98 }
+    ]
+  },
+  // Key and column predate the flow metric; this used to score raw NAV
+  // change, which counts trading PnL as if it were deposits
+  tvl: {
+    label: 'Net Flows',
+    column: 'tvl_score',
+    weight: 0.15,
+    metric: 'netFlow7dPct', // 7-day deposits minus withdrawals, % of NAV
+    fallback: 50,
+    buckets: [
+      { gt: 3, score: 10 },
+      { gt: 1, score: 25 },
+      { gt: 0, score: 40 },
+      { gt: -1, score: 55 },
+      { gt: -3, score: 70 },
+      { gt: -5, score: 85 },
+      { score: 95 }
+    ]
+  },
+  momentum: {
+    label: 'Return Momentum',
+    column: 'momentum_score',
+    weight: 0.15,
+    metric: 'recent7Avg', // mean of the last 7 flow-adjusted period returns (fraction)
+    fallback: 50,
+    buckets: [
+      { gt: 0.003, score: 10 },
+      { gt: 0.001, score: 25 },
+      { gt: 0, score: 40 },
+      { gt: -0.001, score: 55 },
+      { gt: -0.003, score: 70 },
+      { gt: -0.01, score: 85 },
+      { score: 95 }
+    ]
+  },
+  volatility: {
+    label: 'Volatility Regime',
+    column: 'vol_score',
+    weight: 0.15,
+    metric: 'volTrend', // relative change of recent vs. prior volatility
+    fallback: 50,
+    buckets: [
+      { lt: -0.3, and: { volAnnualizedPct: { gt: 10 } }, score: 90 },
+      { lt: -0.1, score: 70 },
+      { gt: -0.1, lt: 0.1, score: 50 },
+      { lt: 0.3, score: 35 },
+      { score: 15 }
+    ]
+  },
+  apr: {
+    label: 'APR Relative Value',
+    column: 'apr_score',
+    weight: 0.05,
+    metric: 'aprPct', // headline APR in %
+    fallback: 50,
+    buckets: [
+      { gt: 40, score: 15 },
+      { gt: 25, score: 30 },
+      { gt: 15, score: 50 },
+      { gt: 8, score: 65 },
+      { gt: 3, score: 75 },
+      { score: 90 }
+    ]
+  },
+  funding: {
+    label: 'Funding Rate',
+    column: 'funding_score',
+    weight: 0.15,
+    metric: 'fundingBps', // OI-weighted funding in bps per 8h
+    fallback: 50,
+    buckets: [
+      // High funding driven by a few outlier assets is less reliable
+      { gt: 5, and: { fundingDispersionBps: { gt: 5 } }, score: 75 },
+      { gt: 5, score: 90 },
+      { gt: 2, score: 75 },
+      { gt: 0.5, score: 60 },
+      { gt: -0.5, score: 45 },
+      { gt: -2, score: 25 },
+      { score: 15 }
+    ]
+  },
+  oi: {
+    label: 'Open Interest Trend',
+    column: 'oi_score',
+    weight: 0.10,
+    metric: 'oiChangePct', // 7-day open interest change in %
+    fallback: 50,
+    buckets: [
+      // A surge concentrated in the top five assets brings less broad flow
+      { gt: 10, and: { oiTop5SharePct: { gt: 85 } }, score: 70 },
+      { gt: 10, score: 90 },
+      { gt: 3, score: 70 },
+      { gt: -3, score: 50 },
+      { gt: -5, score: 30 },
+      { score: 15 }
+    ]
+  }
+};
+
+export const SIGNAL_KEYS = Object.keys(SIGNAL_DEFINITIONS);
+
+export const UNAVAILABLE = Symbol('unavailable');
+
+function isMissing(v) {
+  return v == null || v === UNAVAILABLE || Number.isNaN(v);
+}
+
+function withinBounds(bounds, value) {
+  if (bounds.lt != null && !(value < bounds.lt)) return false;
+  if (bounds.gt != null && !(value > bounds.gt)) return false;
+  return true;
+}
+
+function bucketMatches(bucket, value, metrics) {
+  if (!withinBounds(bucket, value)) return false;
+  for (const [metric, bounds] of Object.entries(bucket.and || {})) {
+    const other = metrics[metric];
+    if (isMissing(other) || !withinBounds(bounds, other)) return false;
+  }
+  return true;
+}
+
+export function scoreSignal(definition, metrics) {
+  const value = metrics[definition.metric];
+  if (value === UNAVAILABLE) return null;
+  if (isMissing(value)) return definition.fallback;
+  for (const bucket of definition.buckets) {
+    if (bucketMatches(bucket, value, metrics)) return bucket.score;
+  }
+  return definition.fallback;
+}
+
+// Score every signal and the weighted composite. Unscored signals drop out
+// and the remaining weights are renormalized.
+// Returns { composite, scores: { drawdown, tvl, ... }, unavailable: [keys] }.
+export function scoreSignals(metrics, definitions = SIGNAL_DEFINITIONS) {
+  const scores = {};
+  const unavailable = [];
+  let weighted = 0;
+  let totalWeight = 0;
+  for (const [key, def] of Object.entries(definitions)) {
+    scores[key] = scoreSignal(def, metrics);
+    if (scores[key] == null) {
+      unavailable.push(key);
+      continue;
+    }
+    weighted += scores[key] * def.weight;
+    totalWeight += def.weight;
+  }
+  const composite = totalWeight > 0 ? Math.round(weighted / totalWeight) : null;
+  return { composite, scores, unavailable };
+}
+
+// Map scoreSignals() output onto the snapshots table's score columns.
+export function toScoreColumns(result, definitions = SIGNAL_DEFINITIONS) {
+  const row = { composite_score: result.composite };
+  for (const [key, def] of Object.entries(definitions)) {
+    row[def.column] = result.scores[key];
+  }
+  return row;
+}
+
+// ── Profiles ────────────────────────────────────────────────
+// A profile is { weights: { key: w }, thresholds: { key: [bound, ...] } },
+// both partial. Each bucket with a bound has one editable threshold: its
+// `lt`, or its `gt` when it has no `lt`. Scores, `and` conditions and the
+// catch-all bucket are fixed.
+
+const PRIMARY_BOUND = bucket => bucket.lt != null ? 'lt' : bucket.gt != null ? 'gt' : null;
+
+export function signalThresholds(definition) {
+  return definition.buckets.filter(PRIMARY_BOUND).map(b => b[PRIMARY_BOUND(b)]);
+}
+
+function withThresholds(definition, values) {
+  let i = 0;
+  let prevOld = null;
+  let prevNew = null;
+  const buckets = definition.buckets.map(bucket => {
+    const bound = PRIMARY_BOUND(bucket);
+    if (!bound) return bucket;
+    const next = { ...bucket, [bound]: values[i++] };
+    // A two-sided bucket's lower edge follows the previous bucket's edge
+    if (bound === 'lt' && bucket.gt != null && bucket.gt === prevOld) next.gt = prevNew;
+    prevOld = bucket[bound];
+    prevNew = next[bound];
+    return next;
+  });
+  return { ...definition, buckets };
+}
+
+// Definitions with a profile's overrides applied. Weights are relative and
+// renormalized to sum to 1, so the dashboard can show them as shares.
+export function applyProfile(definitions, { weights = {}, thresholds = {} } = {}) {
+  const out = {};
+  for (const [key, def] of Object.entries(definitions)) {
+    const weighted = key in weights ? { ...def, weight: weights[key] } : def;
+    out[key] = thresholds[key] ? withThresholds(weighted, thresholds[key]) : weighted;
+  }
+  const total = Object.values(out).reduce((s, d) => s + d.weight, 0);
+  if (total > 0) {
+    for (const key of Object.keys(out)) out[key] = { ...out[key], weight: out[key].weight / total };
+  }
+  return out;
+}
+
+// Problem with a profile's weights and thresholds, or null when it can be
+// applied. Thresholds must keep their bucket order: `lt` bounds ascending,
+// `gt` bounds descending.
+export function validateProfile({ weights = {}, thresholds = {} } = {}, definitions = SIGNAL_DEFINITIONS) {
+  const isObject = v => v != null && typeof v === 'object' && !Array.isArray(v);
+  if (!isObject(weights)) return 'weights must be an object of signal → weight';
+  if (!isObject(thresholds)) return 'thresholds must be an object of signal → array of bounds';
+
+  for (const [key, w] of Object.entries(weights)) {
+    if (!definitions[key]) return `Unknown signal "${key}" in weights`;
+    if (typeof w !== 'number' || !Number.isFinite(w) || w < 0) return `Weight for ${key} must be a number ≥ 0`;
+  }
+  const total = Object.entries(definitions).reduce((s, [key, def]) => s + (key in weights ? weights[key] : def.weight), 0);
+  if (!(total > 0)) return 'At least one weight must be above 0';
+
+  for (const [key, values] of Object.entries(thresholds)) {
+    const def = definitions[key];
+    if (!def) return `Unknown signal "${key}" in thresholds`;
+    const bounded = def.buckets.filter(PRIMARY_BOUND);
+    if (!Array.isArray(values) || values.length !== bounded.length) {
+      return `Thresholds for ${key} must be an array of ${bounded.length} numbers`;
+    }
+    if (values.some(v => typeof v !== 'number' || !Number.isFinite(v))) return `Thresholds for ${key} must be finite numbers`;
+    for (let i = 1; i < values.length; i++) {
+      const bound = PRIMARY_BOUND(bounded[i]);
+      if (bound !== PRIMARY_BOUND(bounded[i - 1])) continue;
+      if (bound === 'lt' ? values[i] < values[i - 1] : values[i] > values[i - 1]) {
+        return `Thresholds for ${key} must be ${bound === 'lt' ? 'ascending' : 'descending'}`;
+      }
+    }
+  }
+  return null;
+}
+
+// ── Metric derivation ───────────────────────────────────────
+
+// Point-in-time metrics from the latest vault state and market context.
+// UNAVAILABLE inputs pass through unchanged.
+export function computeSpotMetrics({ currentDrawdown, apr, fundingRate, oiTop5Share, fundingDispersion }) {
+  const scaled = (v, f) => v === UNAVAILABLE ? UNAVAILABLE : isMissing(v) ? null : f(v);
+  return {
+    ddPct: scaled(currentDrawdown, v => Math.abs(v) * 100),
+    aprPct: scaled(apr, v => v * 100),
+    fundingBps: scaled(fundingRate, v => v * 10000),
+    oiTop5SharePct: scaled(oiTop5Share, v => v * 100),
+    fundingDispersionBps: scaled(fundingDispersion, v => v * 10000)
+  };
+}
+
+// ── Flows ─────────────────────────────────────────────────
+
+// Deposits minus withdrawals between two rows: the part of the NAV change
+// not explained by PnL. null when either row lacks PnL.
+export function netFlow(prev, curr) {
+  if (prev.pnl == null || curr.pnl == null) return null;
+  return (parseFloat(curr.nav) - parseFloat(prev.nav)) - (parseFloat(curr.pnl) - parseFloat(prev.pnl));
+}
+
+// Time-weighted return of each period between consecutive rows, with flows
+// booked at the end of the period: (NAV - flow) / previous NAV - 1, i.e. PnL
+// over starting NAV. Periods without PnL fall back to the raw NAV change.
+// Rows ascending by collected_at.
+export function flowAdjustedReturns(rows) {
+  const returns = [];
+  for (let i = 1; i < rows.length; i++) {
+    const prevNav = parseFloat(rows[i - 1].nav);
+    if (!(prevNav > 0)) continue;
+    const flow = netFlow(rows[i - 1], rows[i]);
+    returns.push({
+      collected_at: rows[i].collected_at,
+      ret: (parseFloat(rows[i].nav) - (flow ?? 0)) / prevNav - 1,
+      flow
+    });
+  }
+  return returns;
+}
+
+// Rows with `nav` replaced by a flow-adjusted index that starts at the first
+// NAV and compounds flowAdjustedReturns, for code that measures returns and
+// drawdowns from a NAV column.
+export function flowAdjustedNav(rows) {
+  if (rows.length === 0) return [];
+  let index = parseFloat(rows[0].nav);
+  const out = [{ ...rows[0], nav: index }];
+  for (let i = 1; i < rows.length; i++) {
+    const prevNav = parseFloat(rows[i - 1].nav);
+    if (prevNav > 0) {
+      const flow = netFlow(rows[i - 1], rows[i]);
+      index = (index * (parseFloat(rows[i].nav) - (flow ?? 0))) / prevNav;
+    }
+    out.push({ ...rows[i], nav: index });
+  }
+  return out;
+}
+
+// Trailing metrics from stored snapshot rows (ascending by collected_at) and
+// the current { nav, pnl }, evaluated as of `asOf` so backfills never see
+// rows after the point scored.
+export function computeTrailingMetrics(snapshots, current, asOf = Date.now()) {
+  const metrics = {
+    netFlow7dPct: null,
+    recent7Avg: null,
+    volTrend: null,
+    volAnnualizedPct: null,
+    oiChangePct: null
+  };
+  if (!snapshots || snapshots.length < 2) return metrics;
+
+  const sevenDaysAgo = asOf - 7 * 24 * 3600 * 1000;
+  const timeOf = s => new Date(s.collected_at).getTime();
+
+  // Net flows — every period ending inside the last 7 days (including the
+  // one up to now) as a share of NAV before the first of them. Periods
+  // without PnL are skipped; with none known the signal stays neutral.
+  const series = [...snapshots, { collected_at: new Date(asOf).toISOString(), nav: current.nav, pnl: current.pnl ?? null }];
+  const first = Math.max(1, series.findIndex(s => timeOf(s) >= sevenDaysAgo));
+  let flowSum = 0;
+  let known = 0;
+  for (let i = first; i < series.length; i++) {
+    const flow = netFlow(series[i - 1], series[i]);
+    if (flow == null) continue;
+    flowSum += flow;
+    known++;
+  }
+  const baseNav = parseFloat(series[first - 1].nav);
+  if (known > 0 && baseNav > 0) metrics.netFlow7dPct = (flowSum / baseNav) * 100;
+
+  // Return momentum — flow-adjusted period returns over the last 30 snapshots
+  const returns = flowAdjustedReturns(snapshots.slice(-30)).map(r => r.ret);
+
+  const recent7Returns = returns.slice(-7);
+  metrics.recent7Avg = recent7Returns.length > 0 ? mean(recent7Returns) : 0;
+
+  // Volatility regime — whole window vs. its first half
+  const currentVol = stdev(returns);
+  const priorVol = stdev(returns.slice(0, Math.floor(returns.length / 2)));
+  metrics.volTrend = priorVol > 0 ? (currentVol - priorVol) / priorVol : 0;
+  metrics.volAnnualizedPct = currentVol * Math.sqrt(365) * 100;
+
+  // OI trend — latest OI vs. the oldest OI inside the 7-day window
+  const snapsWithOI = snapshots.filter(s => s.open_interest != null && parseFloat(s.open_interest) > 0);
+  if (snapsWithOI.length >= 2) {
+    const latestOI = parseFloat(snapsWithOI[snapsWithOI.length - 1].open_interest);
+    const snap7dOI = snapsWithOI.filter(s => timeOf(s) >= sevenDaysAgo);
+    const oiAgo = snap7dOI.length > 0 ? parseFloat(snap7dOI[0].open_interest) : latestOI;
+    if (oiAgo > 0) metrics.oiChangePct = ((latestOI - oiAgo) / oiAgo) * 100;
+  }
+
+  return metrics;
+}
+
+function mean(arr) {
+  return arr.length > 0 ? arr.reduce((s, v) => s + v, 0) / arr.length : 0;
+}
+
+function stdev(arr) {
+  if (arr.length < 2) return 0;
+  const m = mean(arr);
+  return Math.sqrt(arr.reduce((s, v) => s + Math.pow(v - m, 2), 0) / (arr.length - 1));
+}
@@ -0,0 +1,82 @@
+import { config } from 'dotenv';
+import { getDb, getAlertRules, insertAlertRule, deleteAlertRule } from '../lib/db.js';
+import { parseRule } from '../lib/alerts.js';
+import { SINKS } from '../lib/alert-sinks.js';
+import { isVaultAddress } from '../lib/hyperliquid.js';
+
+// Load .env.local for local execution
+config({ path: '.env.local' });
+
+const USAGE = `Usage:
+  npm run alerts -- list
+  npm run alerts -- add "<expression>" --sink <${Object.keys(SINKS).join('|')}> --target <url|path>
+                        [--name <name>] [--vault <0x...>] [--cooldown <minutes>]
+  npm run alerts -- remove <id>
+
+Expressions:
+  composite_score >= 70
+  drawdown_pct <= -5%
+  allow_deposits flipped to false
+  funding_score dropped by 30 in 24h`;
+
+function option(args, name) {
+  const idx = args.indexOf(`--${name}`);
+  return idx >= 0 ? args[idx + 1] : undefined;
+}
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+  const db = getDb();
+
+  switch (command) {
+    case 'list': {
+      const rules = await getAlertRules(db);
+      if (rules.length === 0) console.log('No alert rules.');
+      for (const r of rules) {
+        console.log(`#${r.id} ${r.enabled ? '' : '(disabled) '}${r.name ? `${r.name}: ` : ''}${r.expression}`);
+        console.log(`    → ${r.sink} ${r.target} | vault: ${r.vault_address || 'all'} | cooldown: ${r.cooldown_minutes}m`);
+      }
+      break;
+    }
+    case 'add': {
+      const expression = args[0];
+      const sink = option(args, 'sink');
+      const target = option(args, 'target');
+      const vault = option(args, 'vault');
+      const cooldown = option(args, 'cooldown');
+
+      if (!expression || !sink || !target) throw new Error(USAGE);
+      parseRule(expression); // throws with a helpful message if invalid
+      if (!SINKS[sink]) throw new Error(`Unknown sink "${sink}". Use: ${Object.keys(SINKS).join(', ')}`);
+      if (vault && !isVaultAddress(vault)) throw new Error(`Invalid vault address: ${vault}`);
+      if (cooldown !== undefined && !(Number(cooldown) >= 0)) throw new Error(`Invalid cooldown: ${cooldown}`);
+
+      const rule = await insertAlertRule(db, {
+        name: option(args, 'name'),
+        expression,
+        vault_address: vault,
+        sink,
+        target,
+        cooldown_minutes: cooldown !== undefined ? Number(cooldown) : undefined
+      });
+      console.log(`Added alert rule #${rule.id}`);
+      break;
+    }
+    case 'remove': {
+      const id = Number(args[0]);
+      if (!Number.isInteger(id)) throw new Error(USAGE);
+      console.log(await deleteAlertRule(db, id) ? `Removed alert rule #${id}` : `No alert rule #${id}`);
+      break;
+    }
+    default:
+      console.log(USAGE);
+      process.exit(command ? 1 : 0);
+  }
+
+  await db.close();
+}
+
+main().catch(err => {
+  console.error(err.message);
+  process.exit(1);
+});
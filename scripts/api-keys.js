@@ -0,0 +1,77 @@
+import { config } from 'dotenv';
+import { getApiKeys, getApiKeyUsage, getDb, revokeApiKey } from '../lib/db.js';
+import { DEFAULT_RATE_LIMIT, dailyUsage, issueApiKey } from '../lib/api-keys.js';
+
+// Load .env.local for local execution
+config({ path: '.env.local' });
+
+const USAGE = `Usage:
+  npm run api-keys -- list
+  npm run api-keys -- create <name> [--rate-limit <requests per minute>]
+  npm run api-keys -- revoke <id>
+  npm run api-keys -- usage <id> [--days <n>]
+
+Keys authenticate requests to /api/v1 (see public/openapi.json). A new key
+is printed once and only its hash is stored, so hand it over straight away.
+--rate-limit defaults to ${DEFAULT_RATE_LIMIT}.`;
+
+function option(args, name) {
+  const idx = args.indexOf(`--${name}`);
+  return idx >= 0 ? args[idx + 1] : undefined;
+}
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+  const db = getDb();
+
+  switch (command) {
+    case 'list': {
+      const keys = await getApiKeys(db);
+      if (keys.length === 0) console.log('No API keys.');
+      for (const k of keys) {
+        const used = k.last_used_at ? `last used ${new Date(k.last_used_at).toISOString()}` : 'never used';
+        console.log(`#${k.id} ${k.key_prefix}… ${k.name}${k.revoked_at ? ' (revoked)' : ''}`);
+        console.log(`    ${k.rate_limit}/min | ${k.request_count} request(s) | ${used}`);
+      }
+      break;
+    }
+    case 'create': {
+      const name = args[0];
+      const rateLimit = Number(option(args, 'rate-limit') ?? DEFAULT_RATE_LIMIT);
+      if (!name || name.startsWith('--')) throw new Error(USAGE);
+      if (!Number.isInteger(rateLimit) || rateLimit < 1) throw new Error(`Invalid rate limit: ${option(args, 'rate-limit')}`);
+
+      const { key, record } = await issueApiKey(db, { name, rate_limit: rateLimit });
+      console.log(`Created API key #${record.id} for ${name} (${rateLimit}/min):\n\n  ${key}\n`);
+      console.log('It is not stored and cannot be shown again.');
+      break;
+    }
+    case 'revoke': {
+      const id = Number(args[0]);
+      if (!Number.isInteger(id)) throw new Error(USAGE);
+      console.log(await revokeApiKey(db, id) ? `Revoked API key #${id}` : `No active API key #${id}`);
+      break;
+    }
+    case 'usage': {
+      const id = Number(args[0]);
+      const days = Number(option(args, 'days') ?? 30);
+      if (!Number.isInteger(id) || !Number.isInteger(days) || days < 1) throw new Error(USAGE);
+
+      const from = new Date(Date.now() - days * 86400000);
+      const daily = dailyUsage(await getApiKeyUsage(db, id, { from }));
+      if (daily.length === 0) console.log(`No requests by key #${id} in the last ${days} day(s).`);
+      for (const d of daily) console.log(`  ${d.date}  ${String(d.requests).padStart(8)}`);
+      break;
+    }
+    default:
+      console.log(USAGE);
+      process.exit(command && command !== '--help' ? 1 : 0);
+  }
+
+  await db.close();
+}
+
+main().catch(err => {
+  console.error(err.message);
+  process.exit(1);
+});
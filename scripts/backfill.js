@@ -0,0 +1,76 @@
+import { config } from 'dotenv';
+import { getDb, getVaults } from '../lib/db.js';
+import { isVaultAddress } from '../lib/hyperliquid.js';
+import { backfillVault } from '../lib/backfill.js';
+
+// Load .env.local for local execution
+config({ path: '.env.local' });
+
+const USAGE = `Usage:
+  npm run backfill -- [--vault <0x...>] [--from <ISO date>] [--to <ISO date>] [--dry-run]
+
+Fills missing hourly snapshots from Hyperliquid's day/week/month/allTime
+history (finest available first), scores rows whose scores are NULL, and
+recomputes ATH, drawdown and signal scores for every row after the earliest
+repaired one. Without --vault every active vault is checked; without
+--from/--to the whole history is.`;
+
+function option(args, name) {
+  const idx = args.indexOf(`--${name}`);
+  return idx >= 0 ? args[idx + 1] : undefined;
+}
+
+function parseDate(value, name) {
+  if (value === undefined) return undefined;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    console.error(`ERROR: invalid --${name}: ${value}`);
+    process.exit(1);
+  }
+  return date;
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  if (args.includes('--help')) {
+    console.log(USAGE);
+    return;
+  }
+
+  if (!process.env.DATABASE_URL) {
+    console.error('ERROR: DATABASE_URL not set. Add it to .env.local');
+    process.exit(1);
+  }
+
+  const vaultArg = option(args, 'vault')?.toLowerCase();
+  if (vaultArg !== undefined && !isVaultAddress(vaultArg)) {
+    console.error(`ERROR: invalid vault address: ${vaultArg}`);
+    process.exit(1);
+  }
+  const from = parseDate(option(args, 'from'), 'from') ?? null;
+  const to = parseDate(option(args, 'to'), 'to') ?? new Date();
+  const dryRun = args.includes('--dry-run');
+
+  const db = getDb();
+  const vaults = vaultArg ? [vaultArg] : (await getVaults(db)).map(v => v.address);
+
+  for (const vault of vaults) {
+    console.log(`\n${vault}${dryRun ? ' (dry run)' : ''}`);
+    const report = await backfillVault(db, vault, { from, to, dryRun });
+    console.log(`  Missing hours:       ${report.missing_hours} in ${report.gap_ranges} range(s)`);
+    console.log(`  NULL-score rows:     ${report.null_scores}`);
+    console.log(`  Fillable from HL:    ${report.fillable}`);
+    if (!dryRun) {
+      const sources = Object.entries(report.sources).map(([tf, n]) => `${tf} ${n}`).join(', ');
+      console.log(`  Inserted:            ${report.inserted}${sources ? ` (${sources})` : ''}`);
+      console.log(`  Rows recomputed:     ${report.recomputed}`);
+    }
+  }
+
+  await db.close();
+}
+
+main().catch(err => {
+  console.error('Backfill failed:', err);
+  process.exit(1);
+});
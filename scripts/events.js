@@ -0,0 +1,93 @@
+import { config } from 'dotenv';
+import { getDb, getVaults, getSnapshots, getMarketSnapshotsBetween, insertEvents } from '../lib/db.js';
+import { isVaultAddress } from '../lib/hyperliquid.js';
+import { EVENT_TYPES, detectHistory } from '../lib/events.js';
+
+// Load .env.local for local execution
+config({ path: '.env.local' });
+
+const USAGE = `Usage:
+  npm run events -- [--vault <0x...>] [--from <ISO date>] [--to <ISO date>] [--dry-run]
+
+Runs the event detector (see lib/events.js) over stored market snapshots and
+vault NAV history and stores events not already recorded. The collector
+detects new events as it goes; run this after migrating or to fill history.
+Without --vault NAV drops are checked for every active vault; without --from
+the whole history is scanned.`;
+
+const DAY_MS = 24 * 3600 * 1000;
+
+function option(args, name) {
+  const idx = args.indexOf(`--${name}`);
+  return idx >= 0 ? args[idx + 1] : undefined;
+}
+
+function parseDate(value, name) {
+  if (value === undefined) return undefined;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    console.error(`ERROR: invalid --${name}: ${value}`);
+    process.exit(1);
+  }
+  return date;
+}
+
+const summary = events => Object.keys(EVENT_TYPES)
+  .map(type => `${type} ${events.filter(e => e.type === type).length}`)
+  .join(', ');
+
+async function main() {
+  const args = process.argv.slice(2);
+  if (args.includes('--help')) {
+    console.log(USAGE);
+    return;
+  }
+
+  if (!process.env.DATABASE_URL) {
+    console.error('ERROR: DATABASE_URL not set. Add it to .env.local');
+    process.exit(1);
+  }
+
+  const vaultArg = option(args, 'vault')?.toLowerCase();
+  if (vaultArg !== undefined && !isVaultAddress(vaultArg)) {
+    console.error(`ERROR: invalid vault address: ${vaultArg}`);
+    process.exit(1);
+  }
+  const from = parseDate(option(args, 'from'), 'from') ?? null;
+  const to = parseDate(option(args, 'to'), 'to') ?? new Date();
+  const dryRun = args.includes('--dry-run');
+
+  const db = getDb();
+  const vaults = vaultArg ? [vaultArg] : (await getVaults(db)).map(v => v.address);
+
+  // Market snapshots a day at a time; each day starts one hour early so the
+  // first cross-section has something to compare with
+  const [first] = await db.sql`SELECT MIN(collected_at) AS oldest FROM market_snapshots`;
+  const marketEvents = [];
+  if (first?.oldest) {
+    for (let start = Math.max(new Date(first.oldest).getTime(), from?.getTime() ?? 0); start < to.getTime(); start += DAY_MS) {
+      const rows = await getMarketSnapshotsBetween(db, new Date(start - 3600 * 1000), new Date(Math.min(start + DAY_MS, to.getTime())));
+      marketEvents.push(...detectHistory(rows, [], null).filter(e => new Date(e.occurred_at).getTime() >= start));
+    }
+  }
+  const storedMarket = dryRun ? [] : await insertEvents(db, marketEvents);
+  console.log(`\nMarket${dryRun ? ' (dry run)' : ''}`);
+  console.log(`  Detected:            ${marketEvents.length} (${summary(marketEvents)})`);
+  if (!dryRun) console.log(`  New:                 ${storedMarket.length}`);
+
+  for (const vault of vaults) {
+    const rows = await getSnapshots(db, { vault, from, to, resolution: 'raw' });
+    const events = detectHistory([], rows, vault);
+    const stored = dryRun ? [] : await insertEvents(db, events);
+    console.log(`\n${vault}${dryRun ? ' (dry run)' : ''}`);
+    console.log(`  NAV drops:           ${events.length}`);
+    if (!dryRun) console.log(`  New:                 ${stored.length}`);
+  }
+
+  await db.close();
+}
+
+main().catch(err => {
+  console.error('Event detection failed:', err);
+  process.exit(1);
+});
@@ -0,0 +1,87 @@
+import { config } from 'dotenv';
+import { DEFAULT_FIXTURE_DIR } from '../lib/fixtures.js';
+import { startMockHyperliquid } from '../lib/mock-hyperliquid.js';
+import {
+  HLP_VAULT, fetchClearinghouseState, fetchMarketContext, fetchVaultDetails, getChildAddresses, isVaultAddress
+} from '../lib/hyperliquid.js';
+
+// Load .env.local for local execution
+config({ path: '.env.local' });
+
+const USAGE = `Usage:
+  npm run fixtures -- record [--vault <0x...>] [--dir <path>]
+  npm run fixtures -- serve [--port <n>] [--dir <path>]
+
+record  Calls the live API for everything the collector requests (market
+        contexts, the vault's details, each child vault's details and
+        clearinghouse state) and saves the responses as fixtures.
+serve   Runs a local stand-in for api.hyperliquid.xyz/info that answers
+        from the fixtures, and for its WebSocket API. Point the app at it
+        with HYPERLIQUID_API_URL and HYPERLIQUID_WS_URL=<printed urls>.
+
+--dir defaults to ${DEFAULT_FIXTURE_DIR}`;
+
+function option(args, name) {
+  const idx = args.indexOf(`--${name}`);
+  return idx >= 0 ? args[idx + 1] : undefined;
+}
+
+async function record(args, dir) {
+  const vault = (option(args, 'vault') || HLP_VAULT).toLowerCase();
+  if (!isVaultAddress(vault)) {
+    console.error(`ERROR: invalid vault address: ${vault}`);
+    process.exit(1);
+  }
+
+  process.env.HYPERLIQUID_FIXTURES = 'record';
+  process.env.HYPERLIQUID_FIXTURE_DIR = dir;
+
+  const market = await fetchMarketContext();
+  console.log(`  metaAndAssetCtxs      ${market.assets.length} assets`);
+  const details = await fetchVaultDetails(vault);
+  console.log(`  vaultDetails          ${vault}`);
+  for (const child of getChildAddresses(details)) {
+    await fetchVaultDetails(child);
+    await fetchClearinghouseState(child);
+    console.log(`  child                 ${child}`);
+  }
+  console.log(`\nFixtures written to ${dir}`);
+}
+
+async function serve(args, dir) {
+  const port = Number(option(args, 'port') ?? 8787);
+  if (!Number.isInteger(port) || port < 0) {
+    console.error(`ERROR: invalid --port: ${option(args, 'port')}`);
+    process.exit(1);
+  }
+
+  const mock = await startMockHyperliquid({ dir, port });
+  console.log(`Mock Hyperliquid API at ${mock.url} (fixtures: ${dir})`);
+  console.log(`  HYPERLIQUID_API_URL=${mock.url} HYPERLIQUID_WS_URL=${mock.wsUrl} npm start`);
+
+  process.once('SIGINT', async () => {
+    await mock.close();
+    console.log(`\n${mock.requests.length} request(s) served`);
+  });
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const command = args[0];
+  const dir = option(args, 'dir') || DEFAULT_FIXTURE_DIR;
+
+  switch (command) {
+    case 'record':
+      return record(args, dir);
+    case 'serve':
+      return serve(args, dir);
+    default:
+      console.log(USAGE);
+      process.exit(command && command !== '--help' ? 1 : 0);
+  }
+}
+
+main().catch(err => {
+  console.error('Fixtures failed:', err);
+  process.exit(1);
+});
@@ -0,0 +1,44 @@
+import { config } from 'dotenv';
+import { getDb } from '../lib/db.js';
+import { migrateUp, migrationStatus } from '../lib/migrate.js';
+
+// Load .env.local for local execution
+config({ path: '.env.local' });
+
+const USAGE = `Usage:
+  npm run migrate -- up       Apply all pending migrations
+  npm run migrate -- status   List migrations and whether each is applied`;
+
+async function main() {
+  const command = process.argv[2];
+  const db = getDb();
+
+  switch (command) {
+    case 'up': {
+      const applied = await migrateUp(db, { log: msg => console.log(msg) });
+      console.log(applied.length > 0 ? `Applied ${applied.length} migration(s).` : 'Schema is up to date.');
+      break;
+    }
+    case 'status': {
+      const status = await migrationStatus(db);
+      for (const m of status) {
+        const id = `${String(m.version).padStart(3, '0')}_${m.name}`;
+        console.log(`  ${m.applied ? '✓' : '·'} ${id.padEnd(36)} ${m.applied ? new Date(m.applied_at).toISOString() : 'pending'}`);
+      }
+      const pending = status.filter(m => !m.applied).length;
+      console.log(`\n${status.length - pending} applied, ${pending} pending`);
+      break;
+    }
+    default:
+      console.log(USAGE);
+      process.exit(command ? 1 : 0);
+  }
+
+  // pg pools keep the process alive until closed
+  await db.close();
+}
+
+main().catch(err => {
+  console.error('Migration failed:', err);
+  process.exit(1);
+});
@@ -0,0 +1,38 @@
+import { readFile, writeFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import { buildOpenApi } from '../lib/openapi.js';
+
+const OUTPUT = fileURLToPath(new URL('../public/openapi.json', import.meta.url));
+
+const USAGE = `Usage:
+  npm run openapi -- [--check]
+
+Writes the OpenAPI document for /api/v1 (lib/openapi.js) to
+public/openapi.json. --check only reports whether the file is up to date.`;
+
+async function main() {
+  const args = process.argv.slice(2);
+  if (args.includes('--help')) {
+    console.log(USAGE);
+    return;
+  }
+
+  const json = JSON.stringify(buildOpenApi(), null, 2) + '\n';
+  if (args.includes('--check')) {
+    const current = await readFile(OUTPUT, 'utf8').catch(() => null);
+    if (current !== json) {
+      console.error('public/openapi.json is out of date. Run: npm run openapi');
+      process.exit(1);
+    }
+    console.log('public/openapi.json is up to date.');
+    return;
+  }
+
+  await writeFile(OUTPUT, json);
+  console.log(`Wrote ${OUTPUT}`);
+}
+
+main().catch(err => {
+  console.error('OpenAPI failed:', err);
+  process.exit(1);
+});
@@ -0,0 +1,75 @@
+import { config } from 'dotenv';
+import { getDb, getVaults, getSnapshots, updateSnapshotRegime } from '../lib/db.js';
+import { isVaultAddress } from '../lib/hyperliquid.js';
+import { REGIME_KEYS, labelRegimes } from '../lib/regimes.js';
+
+// Load .env.local for local execution
+config({ path: '.env.local' });
+
+const USAGE = `Usage:
+  npm run regimes -- [--vault <0x...>] [--from <ISO date>] [--dry-run]
+
+Labels stored snapshots with their market regime (see lib/regimes.js) and
+writes the rows whose label changed. The collector labels new rows as it
+goes; run this after migrating or after changing the regime rules. Without
+--vault every active vault is labeled; without --from the whole history is.`;
+
+function option(args, name) {
+  const idx = args.indexOf(`--${name}`);
+  return idx >= 0 ? args[idx + 1] : undefined;
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  if (args.includes('--help')) {
+    console.log(USAGE);
+    return;
+  }
+
+  if (!process.env.DATABASE_URL) {
+    console.error('ERROR: DATABASE_URL not set. Add it to .env.local');
+    process.exit(1);
+  }
+
+  const vaultArg = option(args, 'vault')?.toLowerCase();
+  if (vaultArg !== undefined && !isVaultAddress(vaultArg)) {
+    console.error(`ERROR: invalid vault address: ${vaultArg}`);
+    process.exit(1);
+  }
+  const fromArg = option(args, 'from');
+  const fromTime = fromArg !== undefined ? new Date(fromArg).getTime() : -Infinity;
+  if (Number.isNaN(fromTime)) {
+    console.error(`ERROR: invalid --from: ${fromArg}`);
+    process.exit(1);
+  }
+  const dryRun = args.includes('--dry-run');
+
+  const db = getDb();
+  const vaults = vaultArg ? [vaultArg] : (await getVaults(db)).map(v => v.address);
+
+  for (const vault of vaults) {
+    // Labels need the 30 days before each row and drawdown from all history
+    const rows = await getSnapshots(db, { vault, resolution: 'raw' });
+    const labeled = labelRegimes(rows, { fromTime });
+    const changed = labeled.filter(l => (l.row.regime ?? null) !== l.regime);
+
+    if (!dryRun) {
+      for (const { row, regime } of changed) {
+        await updateSnapshotRegime(db, row.id, regime);
+      }
+    }
+
+    const counts = REGIME_KEYS.map(k => `${k} ${labeled.filter(l => l.regime === k).length}`).join(', ');
+    console.log(`\n${vault}${dryRun ? ' (dry run)' : ''}`);
+    console.log(`  Rows labeled:        ${labeled.length} (${labeled.filter(l => l.regime == null).length} without enough history)`);
+    console.log(`  Regimes:             ${counts}`);
+    console.log(`  Label changes:       ${changed.length}${dryRun ? ' (not written)' : ''}`);
+  }
+
+  await db.close();
+}
+
+main().catch(err => {
+  console.error('Regime labeling failed:', err);
+  process.exit(1);
+});
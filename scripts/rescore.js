@@ -0,0 +1,99 @@
+import { config } from 'dotenv';
+import { getDb, getVaults, getSignalScoreVersions } from '../lib/db.js';
+import { isVaultAddress } from '../lib/hyperliquid.js';
+import { SCORING_CONFIGS, getScoringConfig } from '../lib/scoring-configs.js';
+import { rescoreVault } from '../lib/rescore.js';
+
+// Load .env.local for local execution
+config({ path: '.env.local' });
+
+const USAGE = `Usage:
+  npm run rescore -- list
+  npm run rescore -- run <version> [--vault <0x...>] [--from <ISO date>] [--to <ISO date>] [--dry-run]
+
+Replays the full scoring pipeline over stored snapshots with a named
+configuration and stores the results in signal_scores under that version.
+Snapshot rows themselves are never modified.
+
+Versions:
+${Object.entries(SCORING_CONFIGS).map(([v, c]) => `  ${v.padEnd(16)}${c.description}`).join('\n')}`;
+
+function option(args, name) {
+  const idx = args.indexOf(`--${name}`);
+  return idx >= 0 ? args[idx + 1] : undefined;
+}
+
+function parseDate(value, name) {
+  if (value === undefined) return undefined;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    console.error(`ERROR: invalid --${name}: ${value}`);
+    process.exit(1);
+  }
+  return date;
+}
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+  if (!['list', 'run'].includes(command)) {
+    console.log(USAGE);
+    process.exit(command ? 1 : 0);
+  }
+
+  if (!process.env.DATABASE_URL) {
+    console.error('ERROR: DATABASE_URL not set. Add it to .env.local');
+    process.exit(1);
+  }
+
+  const vaultArg = option(args, 'vault')?.toLowerCase();
+  if (vaultArg !== undefined && !isVaultAddress(vaultArg)) {
+    console.error(`ERROR: invalid vault address: ${vaultArg}`);
+    process.exit(1);
+  }
+
+  const db = getDb();
+  const vaults = vaultArg ? [vaultArg] : (await getVaults(db)).map(v => v.address);
+
+  switch (command) {
+    case 'list': {
+      for (const vault of vaults) {
+        const versions = await getSignalScoreVersions(db, vault);
+        console.log(`\n${vault}`);
+        if (versions.length === 0) console.log('  No stored replays.');
+        for (const v of versions) {
+          const span = `${new Date(v.oldest).toISOString().slice(0, 10)} → ${new Date(v.newest).toISOString().slice(0, 10)}`;
+          console.log(`  ${v.config_version.padEnd(16)}${String(v.count).padStart(7)} rows  ${span}  (computed ${new Date(v.computed_at).toISOString()})`);
+        }
+      }
+      break;
+    }
+    case 'run': {
+      const scoring = getScoringConfig(args[0]);
+      if (!scoring) {
+        console.error(`ERROR: unknown version: ${args[0]}. Use: ${Object.keys(SCORING_CONFIGS).join(', ')}`);
+        process.exit(1);
+      }
+      const from = parseDate(option(args, 'from'), 'from') ?? null;
+      const to = parseDate(option(args, 'to'), 'to') ?? new Date();
+      const dryRun = args.includes('--dry-run');
+
+      for (const vault of vaults) {
+        const report = await rescoreVault(db, vault, scoring, { from, to, dryRun });
+        console.log(`\n${vault} @ ${scoring.version}${dryRun ? ' (dry run)' : ''}`);
+        console.log(`  Rows replayed:       ${report.rows} (${report.unscored} without a composite)`);
+        console.log(`  Mean composite:      ${report.mean_composite != null ? report.mean_composite.toFixed(1) : 'n/a'}`);
+        console.log(`  Changed vs stored:   ${report.changed} of ${report.compared}` +
+          (report.mean_abs_diff != null ? ` (mean |Δ| ${report.mean_abs_diff.toFixed(2)})` : ''));
+        if (!dryRun) console.log(`  Written:             ${report.written}`);
+      }
+      break;
+    }
+  }
+
+  await db.close();
+}
+
+main().catch(err => {
+  console.error('Rescore failed:', err);
+  process.exit(1);
+});
@@ -0,0 +1,247 @@
+import { config } from 'dotenv';
+import { getDb, getSnapshots, insertSnapshot } from '../lib/db.js';
+import { HLP_VAULT, fetchVaultDetails, isVaultAddress } from '../lib/hyperliquid.js';
+import { netFlow, toScoreColumns } from '../lib/signals.js';
+import { replayScores } from '../lib/rescore.js';
+
+// Load .env.local for local execution
+config({ path: '.env.local' });
+
+// Usage: node scripts/seed.js [--vault 0x...] [--reset]
+//   --vault  vault to seed (defaults to the HLP parent vault)
+//   --reset  delete that vault's existing snapshots first; without it the
+//            seed only adds hours that are missing and never removes rows
+function parseVaultArg(argv) {
+  const idx = argv.indexOf('--vault');
+  return (idx >= 0 && argv[idx + 1] ? argv[idx + 1] : HLP_VAULT).toLowerCase();
+}
+
+async function main() {
+  if (!process.env.DATABASE_URL) {
+    console.error('ERROR: DATABASE_URL not set. Add it to .env.local');
+    process.exit(1);
+  }
+
+  const args = process.argv.slice(2);
+  const vault = parseVaultArg(args);
+  const reset = args.includes('--reset');
+  if (!isVaultAddress(vault)) {
+    console.error(`ERROR: invalid vault address: ${vault}`);
+    process.exit(1);
+  }
+
+  const db = getDb();
+
+  // Schema is owned by migrations — refuse to run against an unmigrated DB
+  const migrated = await db.sql`SELECT 1 FROM vaults LIMIT 1`.then(() => true, () => false);
+  if (!migrated) {
+    console.error('ERROR: schema not found. Run `npm run migrate -- up` first.');
+    process.exit(1);
+  }
+
+  // ── 1. Optionally clear this vault's data for a clean re-seed ──
+  if (reset) {
+    console.log(`--reset: deleting existing snapshots for ${vault}...`);
+    await db.sql`DELETE FROM snapshots WHERE vault_address = ${vault}`;
+  }
+
+  // ── 2. Fetch Hyperliquid vaultDetails (all timeframes) ────────
+  console.log(`\nFetching Hyperliquid vaultDetails for ${vault}...`);
+  let hlData;
+  try {
+    hlData = await fetchVaultDetails(vault);
+  } catch (err) {
+    console.error(err.message);
+    process.exit(1);
+  }
+
+  await db.sql`
+    INSERT INTO vaults (address, name) VALUES (${vault}, ${hlData.name || null})
+    ON CONFLICT (address) DO UPDATE SET name = COALESCE(vaults.name, EXCLUDED.name), active = TRUE
+  `;
+  const portfolioMap = Object.fromEntries(hlData.portfolio);
+
+  const summary = { allTime: 0, month: 0, week: 0, day: 0 };
+
+  // ── Helper: insert a batch of points ──────────────────────────
+  async function insertPoints(points, source) {
+    let inserted = 0;
+    let skipped = 0;
+
+    for (const p of points) {
+      try {
+        const result = await insertSnapshot(db, {
+          vault_address: vault,
+          collected_at: new Date(p.time).toISOString(),
+          nav: p.nav,
+          pnl: p.pnl,
+          apr: p.apr,
+          nav_ath: p.ath,
+          drawdown_pct: p.dd,
+          max_drawdown: p.maxDD
+        });
+        if (result) {
+          inserted++;
+        } else {
+          skipped++;
+        }
+      } catch (err) {
+        skipped++;
+      }
+    }
+
+    console.log(`  ${source}: ${inserted} inserted, ${skipped} skipped (duplicate hour)`);
+    return inserted;
+  }
+
+  // ── Helper: compute ATH/drawdown/maxDD for a nav+pnl series ──
+  function computeWithATH(navHistory, pnlMap) {
+    let ath = 0;
+    let maxDD = 0;
+    return navHistory.map(point => {
+      if (point.value > ath) ath = point.value;
+      const dd = ath > 0 ? (point.value - ath) / ath : 0;
+      if (dd < maxDD) maxDD = dd;
+      return {
+        time: point.time,
+        nav: point.value,
+        pnl: pnlMap ? (pnlMap.get(point.time) ?? null) : null,
+        apr: null, // Historical APR unknown
+        ath,
+        dd,
+        maxDD
+      };
+    });
+  }
+
+  // ── 3a. Seed from allTime ─────────────────────────────────────
+  // NOTE: Only using HL timeframes that measure total account value.
+  // DeFiLlama TVL and perpAllTime measure different things (TVL ≠ account value,
+  // perpAllTime = perps-only subset) and cause ~36% zig-zag artifacts when mixed.
+  const allTime = portfolioMap['allTime'];
+  if (allTime) {
+    console.log('\n[Source 1/4] Hyperliquid allTime...');
+    const navHistory = allTime.accountValueHistory
+      .map(([ts, val]) => ({ time: ts, value: parseFloat(val) }))
+      .filter(d => d.value > 0);
+
+    const pnlMap = new Map();
+    for (const [ts, val] of allTime.pnlHistory) {
+      pnlMap.set(ts, parseFloat(val));
+    }
+
+    const points = computeWithATH(navHistory, pnlMap);
+    summary.allTime = await insertPoints(points, 'allTime');
+  }
+
+  // ── 3b-d. Seed from month, week, day ──────────────────────────
+  const hlTimeframes = [
+    { key: 'month', label: 'month', sourceNum: 2 },
+    { key: 'week', label: 'week', sourceNum: 3 },
+    { key: 'day', label: 'day', sourceNum: 4 },
+  ];
+
+  for (const { key, label, sourceNum } of hlTimeframes) {
+    const tfData = portfolioMap[key];
+    if (!tfData) {
+      console.log(`\n[Source ${sourceNum}/4] Hyperliquid ${label}: not available`);
+      continue;
+    }
+
+    console.log(`\n[Source ${sourceNum}/4] Hyperliquid ${label}...`);
+    const navHistory = tfData.accountValueHistory
+      .map(([ts, val]) => ({ time: ts, value: parseFloat(val) }))
+      .filter(d => d.value > 0);
+
+    // PnL here is relative to the timeframe's own start, not cumulative like
+    // allTime; storing it would turn every boundary into a phantom net flow
+    const points = computeWithATH(navHistory, null);
+    summary[key] = await insertPoints(points, label);
+  }
+
+  // ── 4. Recompute net flow/ATH/drawdown/maxDD globally across all rows ──
+  console.log('\n[Backfill 1/2] Recomputing net flow/ATH/drawdown/maxDD across all rows...');
+  const allRows = await db.sql`
+    SELECT id, nav, pnl, collected_at FROM snapshots
+    WHERE vault_address = ${vault}
+    ORDER BY collected_at ASC
+  `;
+
+  let globalAth = 0;
+  let globalMaxDD = 0;
+  let athUpdated = 0;
+
+  let prevRow = null;
+
+  for (const row of allRows) {
+    const nav = parseFloat(row.nav);
+    if (nav > globalAth) globalAth = nav;
+    const dd = globalAth > 0 ? (nav - globalAth) / globalAth : 0;
+    if (dd < globalMaxDD) globalMaxDD = dd;
+
+    await db.sql`
+      UPDATE snapshots
+      SET nav_ath = ${globalAth}, drawdown_pct = ${dd}, max_drawdown = ${globalMaxDD},
+          net_flow = ${prevRow ? netFlow(prevRow, row) : null}
+      WHERE id = ${row.id}
+    `;
+    prevRow = row;
+    athUpdated++;
+  }
+  console.log(`  Updated ATH/drawdown on ${athUpdated} rows`);
+
+  // ── 5. Backfill signal scores for rows with NULL composite_score
+  console.log('\n[Backfill 2/2] Computing signal scores for rows missing them...');
+  // Replay the collector's scoring over all history (lib/rescore.js), so
+  // rows without funding or OI data leave those signals unscored and
+  // flagged rather than scored neutral
+  const allSnaps = await getSnapshots(db, { vault, resolution: 'raw' });
+  const replayed = replayScores(allSnaps).filter(({ row }) => row.composite_score == null);
+
+  let scoresComputed = 0;
+
+  for (const { row, result } of replayed) {
+    const scores = toScoreColumns(result);
+    await db.sql`
+      UPDATE snapshots
+      SET composite_score = ${scores.composite_score},
+          dd_score = ${scores.dd_score},
+          tvl_score = ${scores.tvl_score},
+          momentum_score = ${scores.momentum_score},
+          vol_score = ${scores.vol_score},
+          apr_score = ${scores.apr_score},
+          funding_score = ${scores.funding_score},
+          oi_score = ${scores.oi_score},
+          unscored_signals = ${result.unavailable.length > 0 ? result.unavailable.join(',') : null}
+      WHERE id = ${row.id}
+    `;
+    scoresComputed++;
+  }
+  console.log(`  Computed signal scores for ${scoresComputed} rows`);
+
+  // ── 6. Print summary ──────────────────────────────────────────
+  const totalRows = await db.sql`SELECT COUNT(*) AS count FROM snapshots WHERE vault_address = ${vault}`;
+  const scoredRows = await db.sql`SELECT COUNT(*) AS count FROM snapshots WHERE vault_address = ${vault} AND composite_score IS NOT NULL`;
+  const dateRange = await db.sql`SELECT MIN(collected_at) AS first, MAX(collected_at) AS last FROM snapshots WHERE vault_address = ${vault}`;
+
+  console.log('\n════════════════════════════════════════════');
+  console.log('  SEED SUMMARY');
+  console.log('════════════════════════════════════════════');
+  console.log(`  Vault:               ${vault}`);
+  console.log(`  Total rows in DB:    ${totalRows[0].count}`);
+  console.log(`  Rows with scores:    ${scoredRows[0].count}`);
+  console.log(`  Date range:          ${new Date(dateRange[0].first).toISOString().slice(0, 10)} → ${new Date(dateRange[0].last).toISOString().slice(0, 10)}`);
+  console.log('  Inserted by source:');
+  console.log(`    allTime:           ${summary.allTime}`);
+  console.log(`    month:             ${summary.month}`);
+  console.log(`    week:              ${summary.week}`);
+  console.log(`    day:               ${summary.day}`);
+  console.log('════════════════════════════════════════════');
+
+  await db.close();
+}
+
+main().catch(err => {
+  console.error('Setup failed:', err);
+  process.exit(1);
+});
@@ -0,0 +1,114 @@
+import { config } from 'dotenv';
+import { once } from 'node:events';
+import { getDb, getLastCollectedAt } from '../lib/db.js';
+import { migrateUp } from '../lib/migrate.js';
+import { runCollection } from '../lib/collector.js';
+import { createScheduler, DEFAULT_JITTER_MS } from '../lib/scheduler.js';
+import { createAppServer } from '../lib/server.js';
+import { closeStreams } from '../lib/stream.js';
+
+// Load .env.local for local execution
+config({ path: '.env.local' });
+
+const USAGE = `Usage:
+  npm start -- [--port <n>] [--host <addr>] [--jitter-minutes <n>] [--no-scheduler]
+
+Serves the api/ handlers and the public/ dashboard, and collects every
+hour, at a random point in the first --jitter-minutes of the hour
+(default ${DEFAULT_JITTER_MS / 60000}). This is the only scheduled trigger;
+POST /api/collect runs a collection by hand.
+On start it applies pending migrations and, if this hour has not been
+collected yet, collects at once and fills the hours missed while it was down.
+A run is skipped while another (here or in another process) is in progress.
+GET /api/health reports the last successful run and consecutive failures.
+GET /api/stream pushes live NAV, drawdown and funding to the dashboard from
+Hyperliquid's WebSocket API while a browser is watching.
+--port defaults to $PORT or 3000.`;
+
+function option(args, name) {
+  const idx = args.indexOf(`--${name}`);
+  return idx >= 0 ? args[idx + 1] : undefined;
+}
+
+// A collect run for the scheduler: throws when every vault failed, so
+// consecutive failures are counted the way /api/collect reports a 500
+async function collect(db, { reason, missedSince }) {
+  const report = await runCollection(db, {
+    trigger: `daemon:${reason}`,
+    ...(missedSince ? { gapFillFrom: missedSince } : {})
+  });
+  if (!report) {
+    console.log(`[collect] ${reason}: skipped, another run holds the lock`);
+    return { skipped: 'locked' };
+  }
+
+  const failed = report.results.filter(r => !r.success);
+  const gapFilled = report.results.reduce((s, r) => s + (r.gapFilled || 0), 0);
+  console.log(
+    `[collect] ${reason}: ${report.results.length - failed.length}/${report.results.length} vault(s) collected` +
+    (gapFilled > 0 ? `, ${gapFilled} missed hour(s) filled` : '') +
+    (report.market.available ? '' : ', market context unavailable')
+  );
+  if (failed.length === report.results.length) {
+    throw new Error(failed.map(r => `${r.vault}: ${r.error}`).join('; '));
+  }
+  return report;
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  if (args.includes('--help')) {
+    console.log(USAGE);
+    return;
+  }
+
+  if (!process.env.DATABASE_URL) {
+    console.error('ERROR: DATABASE_URL not set. Add it to .env.local');
+    process.exit(1);
+  }
+
+  const port = Number(option(args, 'port') ?? process.env.PORT ?? 3000);
+  const host = option(args, 'host') ?? '0.0.0.0';
+  const jitterMinutes = Number(option(args, 'jitter-minutes') ?? DEFAULT_JITTER_MS / 60000);
+  if (!Number.isInteger(port) || port < 0 || !(jitterMinutes >= 0)) {
+    console.error('ERROR: --port must be a non-negative integer and --jitter-minutes a non-negative number');
+    process.exit(1);
+  }
+
+  const db = getDb();
+  const applied = await migrateUp(db, { log: msg => console.log(msg) });
+  if (applied.length > 0) console.log(`Applied ${applied.length} migration(s).`);
+
+  const server = createAppServer();
+  server.listen(port, host);
+  await once(server, 'listening');
+  console.log(`Serving dashboard and API on http://${host}:${server.address().port}`);
+
+  let scheduler = null;
+  if (!args.includes('--no-scheduler')) {
+    scheduler = createScheduler(ctx => collect(db, ctx), {
+      jitterMs: jitterMinutes * 60000,
+      lastSuccessAt: await getLastCollectedAt(db)
+    });
+    scheduler.start();
+    console.log(`Hourly collection scheduled; next run at ${scheduler.state().next_run_at}`);
+  }
+
+  // Let an in-flight run finish before closing the database
+  const shutdown = async signal => {
+    console.log(`${signal} received, shutting down`);
+    await scheduler?.stop();
+    await closeStreams();
+    server.closeAllConnections();
+    server.close();
+    await db.close();
+    process.exit(0);
+  };
+  process.once('SIGINT', shutdown);
+  process.once('SIGTERM', shutdown);
+}
+
+main().catch(err => {
+  console.error('Server failed:', err);
+  process.exit(1);
+});
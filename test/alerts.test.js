@@ -0,0 +1,96 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { once } from 'node:events';
+import { createServer } from 'node:http';
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { parseRule, evaluateRule, shouldFire } from '../lib/alerts.js';
+import { deliverAlert } from '../lib/alert-sinks.js';
+
+const HOUR = 3600 * 1000;
+const NOW = Date.UTC(2025, 5, 1, 12);
+const at = h => new Date(NOW + h * HOUR).toISOString();
+
+test('parseRule understands the four rule forms', () => {
+  assert.deepEqual(parseRule('composite_score >= 70'), { kind: 'threshold', field: 'composite_score', op: '>=', value: 70 });
+  assert.deepEqual(parseRule('drawdown_pct <= -5%'), { kind: 'threshold', field: 'drawdown_pct', op: '<=', value: -0.05 });
+  assert.deepEqual(parseRule('allow_deposits flipped to false'), { kind: 'flip', field: 'allow_deposits', value: false });
+  assert.deepEqual(parseRule('funding_score dropped by 30 in 24h'), {
+    kind: 'delta', field: 'funding_score', direction: 'dropped', value: 30, windowHours: 24
+  });
+});
+
+test('parseRule rejects unknown fields and syntax', () => {
+  assert.throws(() => parseRule('password >= 1'), /Unknown numeric field/);
+  assert.throws(() => parseRule('nav flipped to true'), /Unknown boolean field/);
+  assert.throws(() => parseRule('composite_score is high'), /Unrecognized/);
+  assert.throws(() => parseRule('nav rose by 5 in 9999h'), /Window/);
+});
+
+test('threshold rules compare the current snapshot', () => {
+  const rule = parseRule('drawdown_pct <= -5%');
+  assert.equal(evaluateRule(rule, { collected_at: at(0), drawdown_pct: '-0.06' }).triggered, true);
+  assert.equal(evaluateRule(rule, { collected_at: at(0), drawdown_pct: '-0.04' }).triggered, false);
+});
+
+test('flip rules need the previous snapshot on the other side', () => {
+  const rule = parseRule('allow_deposits flipped to false');
+  const history = [{ collected_at: at(-2), allow_deposits: true }, { collected_at: at(-1), allow_deposits: true }];
+  assert.equal(evaluateRule(rule, { collected_at: at(0), allow_deposits: false }, history).triggered, true);
+  assert.equal(evaluateRule(rule, { collected_at: at(0), allow_deposits: true }, history).triggered, false);
+  const alreadyClosed = [{ collected_at: at(-1), allow_deposits: false }];
+  assert.equal(evaluateRule(rule, { collected_at: at(0), allow_deposits: false }, alreadyClosed).triggered, false);
+});
+
+test('delta rules measure change from the oldest row inside the window', () => {
+  const rule = parseRule('funding_score dropped by 30 in 24h');
+  const history = [
+    { collected_at: at(-30), funding_score: 10 },
+    { collected_at: at(-20), funding_score: 75 },
+    { collected_at: at(-1), funding_score: 60 }
+  ];
+  const result = evaluateRule(rule, { collected_at: at(0), funding_score: 45 }, history);
+  assert.equal(result.triggered, true);
+  assert.equal(result.change, -30);
+  assert.equal(evaluateRule(rule, { collected_at: at(0), funding_score: 46 }, history).triggered, false);
+});
+
+test('shouldFire is edge-triggered and respects the cooldown', () => {
+  assert.equal(shouldFire(null, true, NOW), true);
+  assert.equal(shouldFire(null, false, NOW), false);
+  assert.equal(shouldFire({ active: true, last_fired_at: at(-100) }, true, NOW), false);
+  assert.equal(shouldFire({ active: false, last_fired_at: at(-1) }, true, NOW, 120), false);
+  assert.equal(shouldFire({ active: false, last_fired_at: at(-3) }, true, NOW, 120), true);
+});
+
+test('file sink appends one JSON line per alert', async () => {
+  const dir = await mkdtemp(join(tmpdir(), 'hlp-alerts-'));
+  try {
+    const path = join(dir, 'nested', 'alerts.ndjson');
+    await deliverAlert('file', path, { message: 'one' });
+    await deliverAlert('file', path, { message: 'two' });
+    const lines = (await readFile(path, 'utf8')).trim().split('\n').map(JSON.parse);
+    assert.deepEqual(lines.map(l => l.message), ['one', 'two']);
+    await assert.rejects(deliverAlert('pager', 'x', {}), /Unknown alert sink/);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('webhook sinks give up on an endpoint that never answers', async () => {
+  const server = createServer(() => {}); // accepts the request, never responds
+  server.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  const url = `http://127.0.0.1:${server.address().port}/hook`;
+  try {
+    await assert.rejects(deliverAlert('webhook', url, { message: 'x' }, { timeoutMs: 50 }), /Webhook timed out after 50ms/);
+    await assert.rejects(
+      deliverAlert('ntfy', url, { message: 'x', rule: { name: 'dd' } }, { timeoutMs: 50 }),
+      /ntfy timed out after 50ms/
+    );
+  } finally {
+    server.closeAllConnections();
+    server.close();
+  }
+});
@@ -0,0 +1,188 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile, readdir } from 'node:fs/promises';
+import { callApi } from '../lib/api-runner.js';
+import { getApiKeyByHash, getDb, insertEvents, insertSnapshot, revokeApiKey } from '../lib/db.js';
+import { migrateUp } from '../lib/migrate.js';
+import { dailyUsage, generateApiKey, hashApiKey, issueApiKey, rateWindow, readApiKey } from '../lib/api-keys.js';
+import { SNAPSHOT_FIELDS, encodeCursor } from '../lib/api-v1.js';
+import { buildOpenApi } from '../lib/openapi.js';
+import { HLP_VAULT } from '../lib/hyperliquid.js';
+
+// better-sqlite3 is an optional dependency
+const skip = await import('better-sqlite3').then(() => false, () => 'better-sqlite3 not installed');
+
+const HOUR = 3600 * 1000;
+const T0 = Date.UTC(2025, 0, 1);
+const at = h => new Date(T0 + h * HOUR).toISOString();
+
+const savedUrl = process.env.DATABASE_URL;
+let db;
+let key;
+
+before(async () => {
+  if (skip) return;
+  process.env.DATABASE_URL = 'sqlite::memory:';
+  db = getDb();
+  await migrateUp(db);
+  ({ key } = await issueApiKey(db, { name: 'research' }));
+
+  for (let h = 0; h < 5; h++) {
+    await insertSnapshot(db, {
+      collected_at: at(h), nav: String(1000 + h), pnl: 10 * h, nav_ath: 1004, drawdown_pct: (1000 + h - 1004) / 1004,
+      max_drawdown: -0.01, allow_deposits: true, composite_score: 40 + h,
+      unscored_signals: h === 0 ? 'funding,oi' : null
+    });
+  }
+  await insertEvents(db, [
+    { occurred_at: at(1), type: 'nav_drop', scope: HLP_VAULT, severity: 'low', magnitude: -0.006 },
+    { occurred_at: at(2), type: 'funding_spike', scope: 'market', severity: 'high', magnitude: 0.003, assets: [{ coin: 'BTC', value: 0.003 }] },
+    { occurred_at: at(3), type: 'oi_collapse', scope: 'market', severity: 'medium', magnitude: -0.2 },
+    { occurred_at: at(3), type: 'nav_drop', scope: '0x' + '9'.repeat(40), severity: 'high', magnitude: -0.05 }
+  ]);
+});
+
+after(() => {
+  if (savedUrl === undefined) delete process.env.DATABASE_URL;
+  else process.env.DATABASE_URL = savedUrl;
+});
+
+const get = (path, apiKey = key) => callApi(path, { headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {} });
+
+test('API keys are random, stored hashed and read from either header', async () => {
+  const [a, b] = [generateApiKey(), generateApiKey()];
+  assert.match(a, /^hlp_[\w-]{32}$/);
+  assert.notEqual(a, b);
+  assert.equal(hashApiKey('abc'), 'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad');
+  assert.equal(readApiKey({ authorization: 'Bearer hlp_1' }), 'hlp_1');
+  assert.equal(readApiKey({ 'x-api-key': 'hlp_2' }), 'hlp_2');
+  assert.equal(readApiKey({ authorization: 'Basic xyz' }), null);
+  assert.equal(rateWindow(new Date(T0 + 90500)).toISOString(), new Date(T0 + 60000).toISOString());
+  assert.deepEqual(
+    dailyUsage([{ window_start: at(0), requests: 2 }, { window_start: at(5), requests: '3' }, { window_start: at(30), requests: 1 }]),
+    [{ date: '2025-01-01', requests: 5 }, { date: '2025-01-02', requests: 1 }]
+  );
+});
+
+test('requests without a valid key get the shared error object', { skip }, async () => {
+  const missing = await get('/api/v1/snapshots', null);
+  assert.equal(missing.status, 401);
+  assert.deepEqual(Object.keys(missing.body.error), ['status', 'code', 'message']);
+  assert.equal(missing.body.error.code, 'unauthorized');
+
+  assert.equal((await get('/api/v1/snapshots', 'hlp_wrong')).status, 401);
+
+  const { key: revoked, record } = await issueApiKey(db, { name: 'departed' });
+  assert.equal((await get('/api/v1/vaults', revoked)).status, 200);
+  assert.equal(await revokeApiKey(db, record.id), true);
+  assert.equal((await get('/api/v1/vaults', revoked)).body.error.message, 'Invalid or revoked API key');
+
+  const post = await callApi('/api/v1/vaults', { method: 'POST', headers: { 'X-API-Key': key } });
+  assert.deepEqual(post.body, { error: { status: 405, code: 'method_not_allowed', message: 'Use GET' } });
+
+  const bad = await get('/api/v1/snapshots?vault=0x123');
+  assert.equal(bad.body.error.code, 'invalid_parameter');
+  assert.equal((await get(`/api/v1/latest?vault=0x${'2'.repeat(40)}`)).body.error.code, 'not_found');
+  assert.equal((await get('/api/v1/snapshots?limit=0')).status, 400);
+  assert.equal((await get('/api/v1/snapshots?cursor=nonsense')).status, 400);
+});
+
+test('each key has its own per-minute limit and usage counters', { skip }, async () => {
+  const { key: small, record } = await issueApiKey(db, { name: 'small', rate_limit: 2 });
+
+  const first = await get('/api/v1/vaults', small);
+  assert.equal(first.headers['x-ratelimit-limit'], '2');
+  assert.equal(first.headers['x-ratelimit-remaining'], '1');
+  assert.equal(first.headers['cache-control'], 'private, no-store');
+  assert.ok(Number(first.headers['x-ratelimit-reset']) * 1000 > Date.now());
+
+  const usage = await get('/api/v1/usage', small);
+  assert.equal(usage.status, 200);
+  assert.equal(usage.headers['x-ratelimit-remaining'], '0');
+  assert.equal(usage.body.data.key.request_count, 2);
+  assert.equal(usage.body.data.key.key_prefix, small.slice(0, 10));
+  assert.equal(usage.body.data.rate_limit.remaining, 0);
+  assert.deepEqual(usage.body.data.daily, [{ date: new Date().toISOString().slice(0, 10), requests: 2 }]);
+
+  // The window is the current minute, unless it rolled over mid-test
+  const limited = await get('/api/v1/vaults', small);
+  if (rateWindow().getTime() === rateWindow(new Date(Date.now() - 1000)).getTime()) {
+    assert.equal(limited.status, 429);
+    assert.equal(limited.body.error.code, 'rate_limited');
+    assert.ok(Number(limited.headers['retry-after']) >= 1);
+  }
+  assert.equal((await getApiKeyByHash(db, hashApiKey(small))).request_count, 3);
+  assert.equal(record.request_count, 0);
+
+  // Other keys are unaffected
+  assert.equal((await get('/api/v1/vaults')).status, 200);
+});
+
+test('snapshots page by cursor, typed per the documented schema', { skip }, async () => {
+  const seen = [];
+  let cursor = null;
+  let pages = 0;
+  do {
+    const resp = await get(`/api/v1/snapshots?limit=2${cursor ? `&cursor=${cursor}` : ''}`);
+    assert.equal(resp.status, 200);
+    seen.push(...resp.body.data);
+    ({ next_cursor: cursor } = resp.body.pagination);
+    assert.equal(resp.body.pagination.has_more, cursor != null);
+    pages++;
+  } while (cursor);
+
+  assert.equal(pages, 3);
+  assert.deepEqual(seen.map(s => s.collected_at), [0, 1, 2, 3, 4].map(at));
+  assert.deepEqual(Object.keys(seen[0]), Object.keys(SNAPSHOT_FIELDS));
+  assert.equal(seen[0].nav, 1000);
+  assert.equal(seen[0].allow_deposits, true);
+  assert.deepEqual(seen[0].unscored_signals, ['funding', 'oi']);
+  assert.equal(seen[1].unscored_signals, null);
+
+  const window = await get(`/api/v1/snapshots?from=${at(1)}&to=${at(3)}`);
+  assert.deepEqual(window.body.data.map(s => s.composite_score), [41, 42]);
+
+  const latest = await get('/api/v1/latest');
+  assert.equal(latest.body.data.collected_at, at(4));
+});
+
+test('events filter by type and severity and page by cursor', { skip }, async () => {
+  const all = await get('/api/v1/events');
+  assert.deepEqual(all.body.data.map(e => e.type), ['nav_drop', 'funding_spike', 'oi_collapse']);
+  assert.deepEqual(all.body.data[1].assets, [{ coin: 'BTC', value: 0.003 }]);
+
+  const page = await get('/api/v1/events?limit=1&severity=medium');
+  assert.deepEqual(page.body.data.map(e => e.type), ['funding_spike']);
+  const next = await get(`/api/v1/events?limit=1&severity=medium&cursor=${page.body.pagination.next_cursor}`);
+  assert.deepEqual(next.body.data.map(e => e.type), ['oi_collapse']);
+  assert.equal(next.body.pagination.has_more, false);
+
+  const after = await get(`/api/v1/events?cursor=${encodeCursor(at(3), 0)}`);
+  assert.deepEqual(after.body.data.map(e => e.type), ['oi_collapse']);
+  assert.equal((await get('/api/v1/events?type=nope')).status, 400);
+});
+
+test('the OpenAPI document covers every v1 endpoint and the stored snapshot columns', { skip }, async () => {
+  const doc = buildOpenApi();
+
+  const names = async dir => (await readdir(new URL(dir, import.meta.url))).filter(f => f.endsWith('.js')).map(f => f.replace(/\.js$/, ''));
+  const expected = [...(await names('../api/v1/')).map(n => `/v1/${n}`), ...(await names('../api/')).map(n => `/${n}`)];
+  assert.deepEqual(Object.keys(doc.paths).sort(), expected.sort());
+
+  // The dashboard's routes are listed, but as deprecated or internal
+  const unversioned = Object.entries(doc.paths).filter(([p]) => !p.startsWith('/v1/'));
+  for (const [path, item] of unversioned) {
+    for (const op of Object.values(item)) assert.ok(op.deprecated || op['x-internal'], path);
+  }
+  assert.deepEqual(unversioned.filter(([, item]) => item.get?.deprecated).map(([p]) => p).sort(), ['/latest', '/snapshots']);
+
+  const [row] = await db.sql`SELECT * FROM snapshots LIMIT 1`;
+  assert.deepEqual(Object.keys(doc.components.schemas.Snapshot.properties).sort(), Object.keys(row).sort());
+
+  const committed = JSON.parse(await readFile(new URL('../public/openapi.json', import.meta.url), 'utf8'));
+  assert.deepEqual(committed, doc, 'public/openapi.json is stale; run npm run openapi');
+
+  const served = await get('/api/v1/openapi', null);
+  assert.equal(served.status, 200);
+  assert.deepEqual(served.body, doc);
+});
@@ -0,0 +1,108 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createStorage } from '../lib/storage/index.js';
+import { migrateUp } from '../lib/migrate.js';
+import { insertSnapshot, getSnapshots } from '../lib/db.js';
+import { HLP_VAULT } from '../lib/hyperliquid.js';
+import { findDataIssues, pointsForGaps, recomputeRows, backfillVault } from '../lib/backfill.js';
+
+// better-sqlite3 is an optional dependency
+const skip = await import('better-sqlite3').then(() => false, () => 'better-sqlite3 not installed');
+
+const HOUR = 3600 * 1000;
+const START = Date.UTC(2025, 0, 1, 0);
+const at = (h, minutes = 5) => new Date(START + h * HOUR + minutes * 60 * 1000).toISOString();
+
+function details(timeframes) {
+  return {
+    portfolio: Object.entries(timeframes).map(([tf, points]) => [tf, {
+      accountValueHistory: points.map(([h, nav]) => [START + h * HOUR + 10 * 60 * 1000, String(nav)]),
+      pnlHistory: points.map(([h, , pnl]) => [START + h * HOUR + 10 * 60 * 1000, String(pnl ?? 0)])
+    }])
+  };
+}
+
+test('findDataIssues reports missing hours and NULL-score rows in the window', () => {
+  const rows = [
+    { collected_at: at(0), composite_score: 50 },
+    { collected_at: at(1), composite_score: null },
+    { collected_at: at(4), composite_score: 60 }
+  ];
+  const { gaps, nullScores } = findDataIssues(rows, { to: at(5, 0) });
+  assert.equal(gaps.missing_hours, 2);
+  assert.deepEqual(gaps.ranges[0], { from: at(2, 0), to: at(4, 0), hours: 2 });
+  assert.deepEqual(nullScores.map(r => r.collected_at), [at(1)]);
+
+  assert.equal(findDataIssues(rows, { from: at(2, 0), to: at(5, 0) }).nullScores.length, 0);
+});
+
+test('pointsForGaps takes the finest timeframe per hour and only allTime PnL', () => {
+  const data = details({
+    allTime: [[2, 90, 7], [3, 91, 8]],
+    month: [[2, 100, 1], [3, 101, 2]],
+    week: [[3, 102, 3]]
+  });
+  const points = pointsForGaps(data, [{ from: at(2, 0), to: at(5, 0) }]);
+  assert.deepEqual(points.map(p => [p.nav, p.pnl, p.source]), [
+    [100, null, 'month'],
+    [102, null, 'week']
+  ]);
+
+  const allTimeOnly = pointsForGaps(details({ allTime: [[2, 90, 7]] }), [{ from: at(2, 0), to: at(3, 0) }]);
+  assert.deepEqual(allTimeOnly.map(p => [p.nav, p.pnl]), [[90, 7]]);
+});
+
+test('recomputeRows carries ATH from earlier rows and skips unchanged rows', () => {
+  const rows = [
+    { id: 1, collected_at: at(0), nav: '120', pnl: '0', nav_ath: '120', drawdown_pct: '0', max_drawdown: '0' },
+    { id: 2, collected_at: at(1), nav: '100', pnl: '0', nav_ath: '100', drawdown_pct: '0', max_drawdown: '0' },
+    { id: 3, collected_at: at(2), nav: '110', pnl: '5', nav_ath: '110', drawdown_pct: '0', max_drawdown: '0', unscored_signals: 'funding,oi' }
+  ];
+  const updates = recomputeRows(rows, new Date(at(1)).getTime());
+  assert.deepEqual(updates.map(u => u.id), [2, 3]);
+  assert.deepEqual(updates.map(u => u.net_flow), [-20, 5]);
+  assert.equal(updates[0].nav_ath, 120);
+  assert.ok(Math.abs(updates[0].drawdown_pct - (-20 / 120)) < 1e-12);
+  assert.equal(updates[1].max_drawdown, updates[0].drawdown_pct);
+  assert.equal(updates[1].funding_score, null);
+  assert.equal(updates[1].oi_score, null);
+  assert.notEqual(updates[1].composite_score, null);
+  // Rows without stored funding/OI are flagged as unscored, not just nulled
+  assert.equal(updates[0].unscored_signals, 'funding,oi');
+  assert.equal(updates[1].unscored_signals, 'funding,oi');
+
+  const rescored = rows.map((r, i) => ({ ...r, ...(i > 0 ? updates[i - 1] : {}) }));
+  assert.deepEqual(recomputeRows(rescored, new Date(at(1)).getTime()), []);
+});
+
+test('backfillVault fills only missing hours and rescores what follows', { skip }, async () => {
+  const db = createStorage('sqlite::memory:');
+  await migrateUp(db);
+  for (const h of [0, 1, 4]) {
+    await insertSnapshot(db, { collected_at: at(h), nav: 100 + h, nav_ath: 100 + h, drawdown_pct: 0, max_drawdown: 0, composite_score: 50 });
+  }
+  const data = details({ week: [[0, 1], [2, 90], [3, 95]] });
+  const to = at(5, 0);
+
+  const preview = await backfillVault(db, HLP_VAULT, { to, details: data, dryRun: true });
+  assert.equal(preview.missing_hours, 2);
+  assert.equal(preview.fillable, 2);
+  assert.equal((await getSnapshots(db, { resolution: 'raw' })).length, 3);
+
+  const report = await backfillVault(db, HLP_VAULT, { to, details: data });
+  assert.equal(report.inserted, 2);
+  assert.deepEqual(report.sources, { week: 2 });
+
+  const rows = await getSnapshots(db, { resolution: 'raw' });
+  assert.deepEqual(rows.map(r => r.nav), [100, 101, 90, 95, 104]);
+  // Hour 0 keeps its stored NAV; the filled hours draw down from the hour-1 ATH
+  assert.equal(rows[2].nav_ath, 101);
+  assert.ok(rows[2].drawdown_pct < 0);
+  assert.ok(rows.every(r => r.composite_score != null));
+  // No funding/OI was ever stored, so the rescored rows say so
+  assert.deepEqual(rows.slice(2).map(r => r.unscored_signals), ['funding,oi', 'funding,oi', 'funding,oi']);
+
+  const again = await backfillVault(db, HLP_VAULT, { to, details: data });
+  assert.deepEqual([again.missing_hours, again.null_scores, again.inserted], [0, 0, 0]);
+  await db.close();
+});
@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeForwardOutcomes, runBacktest, summarize, toBacktestPoints } from '../lib/backtest.js';
+
+const HOUR = 3600 * 1000;
+const T0 = Date.UTC(2025, 0, 1);
+
+function row(hour, nav, score = 50) {
+  return {
+    collected_at: new Date(T0 + hour * HOUR).toISOString(),
+    nav: String(nav),
+    composite_score: score, dd_score: score, tvl_score: score, momentum_score: score,
+    vol_score: score, apr_score: score, funding_score: score, oi_score: score
+  };
+}
+
+test('forward outcomes use the first row at or after the horizon', () => {
+  const points = computeForwardOutcomes(toBacktestPoints([
+    row(0, 100), row(1, 95), row(3, 110), row(4, 120)
+  ]), [2]);
+
+  // Hour 0 → first row at >= hour 2 is hour 3; dips to 95 on the way
+  assert.ok(Math.abs(points[0].forward[2].ret - 0.10) < 1e-12);
+  assert.ok(Math.abs(points[0].forward[2].mae - -0.05) < 1e-12);
+  // Hour 3 has no row two hours later
+  assert.equal(points[2].forward[2], undefined);
+});
+
+test('summarize reports hit rate, median and worst excursion', () => {
+  const s = summarize([
+    { ret: 0.02, mae: -0.01 }, { ret: -0.01, mae: -0.03 }, { ret: 0.04, mae: 0 }
+  ], 24);
+  assert.equal(s.n, 3);
+  assert.ok(Math.abs(s.hitRate - 2 / 3) < 1e-12);
+  assert.equal(s.median, 0.02);
+  assert.equal(s.maxAdverseExcursion, -0.03);
+});
+
+test('static backtest buckets entries by stored score', () => {
+  const rows = [];
+  for (let h = 0; h < 48; h++) rows.push(row(h, 100 + h, h % 2 === 0 ? 80 : 20));
+  const bt = runBacktest(rows, { horizons: [1] });
+
+  const composite = bt.signals.composite;
+  assert.equal(composite.find(b => b.label === '70-84').entries, 24);
+  assert.equal(composite.find(b => b.label === '0-29').entries, 23);
+  assert.equal(composite.find(b => b.label === '70-84').stats[1].hitRate, 1);
+});
+
+test('walk-forward never trains on outcomes that end after the test window opens', () => {
+  const rows = [];
+  for (let h = 0; h < 600; h++) rows.push(row(h, 100 + Math.sin(h / 5) * 3, (h * 37) % 100));
+  const bt = runBacktest(rows, { horizons: [24], mode: 'walk-forward', folds: 4, minBucketSize: 1 });
+
+  const { folds } = bt.walkForward;
+  assert.equal(folds.length, 4);
+  for (const fold of folds) {
+    const cutoff = new Date(fold.testStart).getTime();
+    // Entries are hourly, so the newest usable entry is horizon hours before the cutoff
+    const maxTrain = Math.floor((cutoff - T0) / HOUR) - 24 + 1;
+    assert.ok(fold.trainPoints <= maxTrain, `fold ${fold.testStart} trained on ${fold.trainPoints} > ${maxTrain}`);
+  }
+});
@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseChildVault, computeAttribution, downsampleDaily, netExposure } from '../lib/drivers.js';
+
+const CHILD_A = '0x' + 'a'.repeat(40);
+const CHILD_B = '0x' + 'b'.repeat(40);
+const HOUR = 3600 * 1000;
+const START = Date.UTC(2025, 0, 1, 0);
+const at = h => new Date(START + h * HOUR).toISOString();
+
+test('parseChildVault signs notional and keeps cumulative funding', () => {
+  const details = {
+    name: 'HLP Strategy A',
+    portfolio: [['allTime', { accountValueHistory: [[1, '10']], pnlHistory: [[1, '5'], [2, '7.5']] }]]
+  };
+  const state = {
+    marginSummary: { accountValue: '1000.5' },
+    assetPositions: [
+      { position: { coin: 'BTC', szi: '-0.5', positionValue: '50000', unrealizedPnl: '-12', cumFunding: { sinceOpen: '3.2' } } },
+      { position: { coin: 'ETH', szi: '2', positionValue: '6000', unrealizedPnl: '4' } }
+    ]
+  };
+
+  const { child, positions } = parseChildVault(CHILD_A, details, state);
+  assert.deepEqual(child, { child_address: CHILD_A, name: 'HLP Strategy A', account_value: 1000.5, pnl: 7.5, position_count: 2 });
+  assert.equal(positions[0].notional, -50000);
+  assert.equal(positions[0].cum_funding, 3.2);
+  assert.equal(positions[1].notional, 6000);
+  assert.equal(positions[1].cum_funding, null);
+});
+
+test('computeAttribution splits range PnL by strategy', () => {
+  const rows = [
+    { collected_at: at(0), child_address: CHILD_A, name: 'A', account_value: '100', pnl: '10', position_count: 3 },
+    { collected_at: at(0), child_address: CHILD_B, name: 'B', account_value: '50', pnl: '5', position_count: 0 },
+    { collected_at: at(1), child_address: CHILD_A, name: 'A', account_value: '130', pnl: '40', position_count: 4 },
+    { collected_at: at(1), child_address: CHILD_B, name: 'B', account_value: '40', pnl: '-5', position_count: 0 }
+  ];
+  const { strategies, total_pnl_change } = computeAttribution(rows);
+  assert.equal(total_pnl_change, 20);
+  assert.deepEqual(strategies.map(s => [s.address, s.pnl_change, s.share]), [
+    [CHILD_A, 30, 1.5],
+    [CHILD_B, -10, -0.5]
+  ]);
+  assert.equal(strategies[0].account_value, 130);
+  assert.equal(strategies[0].position_count, 4);
+});
+
+test('downsampleDaily keeps the last row per child per day', () => {
+  const rows = [0, 5, 23, 24, 30].map(h => ({ collected_at: at(h), child_address: CHILD_A, pnl: h }));
+  assert.deepEqual(downsampleDaily(rows).map(r => r.pnl), [23, 30]);
+});
+
+test('netExposure nets positions across children by coin', () => {
+  const exposure = netExposure([
+    { coin: 'BTC', szi: '1', notional: '100', unrealized_pnl: '2', cum_funding: '1' },
+    { coin: 'BTC', szi: '-0.4', notional: '-40', unrealized_pnl: '-1', cum_funding: null },
+    { coin: 'ETH', szi: '-3', notional: '-30', unrealized_pnl: '0.5', cum_funding: '-0.2' }
+  ]);
+  assert.deepEqual(exposure.map(e => e.coin), ['BTC', 'ETH']);
+  assert.deepEqual(exposure[0], {
+    coin: 'BTC', net_size: 0.6, net_notional: 60, gross_notional: 140, net_unrealized_pnl: 1, net_funding: 1
+  });
+});
@@ -0,0 +1,102 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createStorage } from '../lib/storage/index.js';
+import { migrateUp } from '../lib/migrate.js';
+import { insertEvents, getEvents } from '../lib/db.js';
+import { HLP_VAULT } from '../lib/hyperliquid.js';
+import { detectMarketEvents, detectNavDrop, detectHistory, severityOf } from '../lib/events.js';
+import { runBacktest } from '../lib/backtest.js';
+
+// better-sqlite3 is an optional dependency
+const skip = await import('better-sqlite3').then(() => false, () => 'better-sqlite3 not installed');
+
+const HOUR = 3600 * 1000;
+const T0 = Date.UTC(2025, 0, 1);
+const at = h => new Date(T0 + h * HOUR).toISOString();
+
+const asset = (coin, open_interest, mark_px, funding = 0.00001) => ({ coin, open_interest, mark_px, funding });
+
+test('severityOf grades multiples of the threshold', () => {
+  assert.equal(severityOf(-0.006, -0.005), 'low');
+  assert.equal(severityOf(-0.01, -0.005), 'medium');
+  assert.equal(severityOf(0.2, 0.05), 'high');
+});
+
+test('detectMarketEvents flags OI collapses, funding crossings and mark moves', () => {
+  const prev = [asset('BTC', 1000, 100000), asset('ETH', 10000, 3000, 0.0001), asset('DOGE', 1e9, 0.1), asset('TINY', 1000, 1)];
+  const curr = [asset('BTC', 950, 94000), asset('ETH', 7000, 3000, 0.0012), asset('DOGE', 1e9, 0.1), asset('TINY', 10, 2)];
+  const events = detectMarketEvents(prev, curr, at(1));
+  const byType = Object.fromEntries(events.map(e => [e.type, e]));
+
+  assert.deepEqual(Object.keys(byType).sort(), ['funding_spike', 'mark_move', 'oi_collapse']);
+  // $100M BTC -5%, $30M ETH -30%, $100M DOGE flat at constant prices
+  assert.ok(Math.abs(byType.oi_collapse.magnitude - (-5e6 - 9e6) / 230e6) < 1e-12);
+  assert.deepEqual(byType.oi_collapse.assets.map(a => a.coin), ['ETH']);
+  assert.equal(byType.funding_spike.severity, 'medium');
+  assert.deepEqual(byType.mark_move.assets.map(a => a.coin), ['BTC']);
+  assert.ok(events.every(e => e.scope === 'market' && e.occurred_at === at(1)));
+  // TINY is below the notional floor
+  assert.ok(events.every(e => e.assets.every(a => a.coin !== 'TINY')));
+
+  // Funding already above the line is not a new spike
+  assert.deepEqual(detectMarketEvents(curr, curr, at(2)), []);
+});
+
+test('detectNavDrop uses flow-adjusted returns and skips gaps', () => {
+  const prev = { collected_at: at(0), nav: '1000', pnl: '0' };
+  // 30 withdrawn, 10 lost
+  assert.equal(detectNavDrop(prev, { collected_at: at(1), nav: '960', pnl: '-10' }, HLP_VAULT).severity, 'medium');
+  assert.equal(detectNavDrop(prev, { collected_at: at(1), nav: '970', pnl: '0' }, HLP_VAULT), null);
+  assert.equal(detectNavDrop(prev, { collected_at: at(3), nav: '900', pnl: '-100' }, HLP_VAULT), null);
+});
+
+test('detectHistory compares consecutive cross-sections only', () => {
+  const market = [
+    { collected_at: at(0), ...asset('BTC', 1000, 100000) },
+    { collected_at: at(1), ...asset('BTC', 500, 100000) },
+    { collected_at: at(5), ...asset('BTC', 100, 100000) }
+  ];
+  const snapshots = [{ collected_at: at(0), nav: '100', pnl: '0' }, { collected_at: at(1), nav: '98', pnl: '-2' }];
+  const events = detectHistory(market, snapshots, HLP_VAULT);
+  assert.deepEqual(events.map(e => [e.type, e.occurred_at, e.severity]), [
+    ['oi_collapse', at(1), 'high'],
+    ['nav_drop', at(1), 'high']
+  ]);
+  assert.equal(events[1].scope, HLP_VAULT);
+});
+
+test('backtest measures forward returns after each event type', () => {
+  const rows = Array.from({ length: 48 }, (_, h) => ({ collected_at: at(h), nav: String(100 + (h % 12 === 0 ? -1 : 0) + h * 0.1), composite_score: 50 }));
+  const events = [0, 12, 24].map(h => ({ type: 'nav_drop', severity: 'low', occurred_at: at(h) }))
+    .concat([{ type: 'nav_drop', severity: 'high', occurred_at: at(24) }, { type: 'mark_move', severity: 'low', occurred_at: at(100) }]);
+  const bt = runBacktest(rows, { horizons: [1], events });
+
+  assert.equal(bt.events.baseline.entries, 48);
+  assert.deepEqual(Object.keys(bt.events.byType), ['mark_move', 'nav_drop']);
+  assert.equal(bt.events.byType.nav_drop.events, 4);
+  assert.equal(bt.events.byType.nav_drop.entries, 3);
+  assert.equal(bt.events.byType.nav_drop.severities.high.entries, 1);
+  // Each drop is followed by the bounce back
+  assert.equal(bt.events.byType.nav_drop.stats[1].hitRate, 1);
+  assert.equal(bt.events.byType.mark_move.entries, 0);
+  assert.equal(runBacktest(rows, { horizons: [1] }).events, undefined);
+});
+
+test('events are stored once and read back with market-wide events', { skip }, async () => {
+  const db = createStorage('sqlite::memory:');
+  await migrateUp(db);
+  const other = '0x0000000000000000000000000000000000000001';
+  const events = [
+    { type: 'oi_collapse', scope: 'market', occurred_at: at(1), severity: 'high', magnitude: -0.2, assets: [{ coin: 'BTC', value: -0.5 }] },
+    { type: 'nav_drop', scope: HLP_VAULT, occurred_at: at(1), severity: 'low', magnitude: -0.006, assets: [] },
+    { type: 'nav_drop', scope: other, occurred_at: at(2), severity: 'low', magnitude: -0.006, assets: [] }
+  ];
+  assert.equal((await insertEvents(db, events)).length, 3);
+  assert.equal((await insertEvents(db, events)).length, 0);
+
+  const stored = await getEvents(db, { vault: HLP_VAULT, from: new Date(at(0)), to: new Date(at(10)) });
+  assert.deepEqual(stored.map(e => e.type), ['oi_collapse', 'nav_drop']);
+  assert.deepEqual(stored[0].assets, [{ coin: 'BTC', value: -0.5 }]);
+  assert.equal(stored[0].magnitude, -0.2);
+  await db.close();
+});
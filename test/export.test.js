@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'node:events';
+import { EXPORT_COLUMNS, createSerializer, normalizeRow } from '../lib/export.js';
+import { getDb, insertSnapshot } from '../lib/db.js';
+import { migrateUp } from '../lib/migrate.js';
+import { loadHandler } from '../lib/api-runner.js';
+
+// better-sqlite3 is an optional dependency
+const skip = await import('better-sqlite3').then(() => false, () => 'better-sqlite3 not installed');
+
+const ROW = {
+  id: 7,
+  collected_at: new Date(Date.UTC(2025, 0, 1, 3, 5)),
+  vault_address: '0xdfc24b077bc1425ad1dea75bcb6f8158e10df303',
+  nav: '1234.5',
+  pnl: null,
+  allow_deposits: 1,
+  composite_score: 61,
+  unscored_signals: 'funding,oi'
+};
+
+function render(format, rows, columns) {
+  const s = createSerializer(format, columns);
+  return s.header() + rows.map((r, i) => s.row(normalizeRow(r, columns), i)).join('') + s.footer();
+}
+
+test('normalizeRow emits typed values for the selected columns only', () => {
+  assert.deepEqual(normalizeRow(ROW, ['collected_at', 'nav', 'pnl', 'allow_deposits', 'unscored_signals']), {
+    collected_at: '2025-01-01T03:05:00.000Z',
+    nav: 1234.5,
+    pnl: null,
+    allow_deposits: true,
+    unscored_signals: 'funding,oi'
+  });
+  assert.ok(!('id' in normalizeRow(ROW)));
+  assert.deepEqual(Object.keys(normalizeRow(ROW)), EXPORT_COLUMNS);
+});
+
+test('csv quotes fields that need it and leaves nulls empty', () => {
+  const csv = render('csv', [ROW], ['collected_at', 'nav', 'pnl', 'unscored_signals']);
+  assert.equal(csv, 'collected_at,nav,pnl,unscored_signals\n2025-01-01T03:05:00.000Z,1234.5,,"funding,oi"\n');
+});
+
+test('ndjson writes one object per line', () => {
+  const lines = render('ndjson', [ROW, ROW], ['nav']).trim().split('\n');
+  assert.deepEqual(lines.map(l => JSON.parse(l)), [{ nav: 1234.5 }, { nav: 1234.5 }]);
+});
+
+test('json output is a valid array, including when empty', () => {
+  assert.deepEqual(JSON.parse(render('json', [ROW, ROW], ['composite_score'])), [{ composite_score: 61 }, { composite_score: 61 }]);
+  assert.deepEqual(JSON.parse(render('json', [], ['nav'])), []);
+});
+
+test('/api/export stops when the client disconnects while backpressured', { skip }, async () => {
+  const savedUrl = process.env.DATABASE_URL;
+  process.env.DATABASE_URL = 'sqlite::memory:';
+  try {
+    const db = getDb();
+    await migrateUp(db);
+    for (let h = 0; h < 5; h++) {
+      await insertSnapshot(db, { collected_at: new Date(Date.UTC(2025, 0, 1, h)).toISOString(), nav: 100 + h, nav_ath: 104, drawdown_pct: 0, max_drawdown: 0 });
+    }
+
+    // A client that stops reading after the first chunk, then hangs up
+    const written = [];
+    const res = Object.assign(new EventEmitter(), {
+      destroyed: false,
+      statusCode: 200,
+      setHeader() {},
+      write(chunk) {
+        written.push(chunk);
+        setImmediate(() => {
+          this.destroyed = true;
+          this.emit('close');
+        });
+        return false;
+      },
+      end() { throw new Error('Ended a closed response'); },
+      destroy() { throw new Error('Destroyed a closed response'); }
+    });
+
+    const handler = await loadHandler('export');
+    await handler({ method: 'GET', query: {}, headers: {} }, res);
+    assert.equal(written.length, 1);
+  } finally {
+    if (savedUrl === undefined) delete process.env.DATABASE_URL;
+    else process.env.DATABASE_URL = savedUrl;
+  }
+});
@@ -0,0 +1,159 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  postInfo, fetchMarketContext, fetchVaultDetails, unavailableMarketContext,
+  validateVaultDetails, validateAssetContexts, validateClearinghouseState, parseAssetContexts,
+  computeMarketConcentration, getChildAddresses
+} from '../lib/hyperliquid.js';
+
+const realFetch = globalThis.fetch;
+afterEach(() => { globalThis.fetch = realFetch; });
+
+// Replace fetch with a queue of canned responses; records each request body
+function stubFetch(responses) {
+  const calls = [];
+  globalThis.fetch = async (url, init) => {
+    calls.push(JSON.parse(init.body));
+    const next = responses.shift();
+    if (next instanceof Error) throw next;
+    if (typeof next === 'function') return next(init);
+    return new Response(JSON.stringify(next.body ?? null), { status: next.status ?? 200, headers: next.headers });
+  };
+  return calls;
+}
+
+const FAST = { baseDelayMs: 1 };
+
+const VAULT_DETAILS = {
+  name: 'Test Vault',
+  portfolio: [
+    ['allTime', { accountValueHistory: [[1700000000000, '100.0'], [1700003600000, '101.5']], pnlHistory: [[1700000000000, '0.0']] }]
+  ]
+};
+
+const MARKET = [
+  { universe: [{ name: 'BTC' }, { name: 'ETH' }] },
+  [
+    { funding: '0.0001', openInterest: '300', dayNtlVlm: '1000', markPx: '10', oraclePx: '10.1', premium: '0.0002' },
+    { funding: '0.0003', openInterest: '100', dayNtlVlm: '500', markPx: '10', oraclePx: '9.9', premium: null }
+  ]
+];
+
+test('postInfo retries 429 and 5xx with backoff, then succeeds', async () => {
+  const calls = stubFetch([
+    { status: 429, headers: { 'Retry-After': '0' } },
+    { status: 502 },
+    { body: { ok: true } }
+  ]);
+  assert.deepEqual(await postInfo({ type: 'test' }, FAST), { ok: true });
+  assert.equal(calls.length, 3);
+});
+
+test('postInfo does not retry other client errors', async () => {
+  const calls = stubFetch([{ status: 400 }, { body: {} }]);
+  await assert.rejects(postInfo({ type: 'test' }, FAST), err => err.status === 400 && /test API error: 400/.test(err.message));
+  assert.equal(calls.length, 1);
+});
+
+test('postInfo gives up after the retry budget', async () => {
+  const calls = stubFetch([{ status: 503 }, { status: 503 }, { status: 503 }]);
+  await assert.rejects(postInfo({ type: 'test' }, { ...FAST, retries: 2 }), /503/);
+  assert.equal(calls.length, 3);
+});
+
+test('postInfo times out hung requests and retries them', async () => {
+  // AbortSignal.timeout() timers are unref'd, so hold the event loop open
+  const hang = init => new Promise((_, reject) => {
+    const keepAlive = setTimeout(() => {}, 5000);
+    init.signal.addEventListener('abort', () => {
+      clearTimeout(keepAlive);
+      reject(init.signal.reason);
+    });
+  });
+  const calls = stubFetch([hang, { body: { ok: true } }]);
+  assert.deepEqual(await postInfo({ type: 'test' }, { ...FAST, timeoutMs: 20 }), { ok: true });
+  assert.equal(calls.length, 2);
+
+  stubFetch([hang]);
+  await assert.rejects(postInfo({ type: 'test' }, { ...FAST, timeoutMs: 20, retries: 0 }), /timed out after 20ms/);
+});
+
+test('validateVaultDetails rejects malformed portfolios', () => {
+  assert.equal(validateVaultDetails(VAULT_DETAILS), VAULT_DETAILS);
+  assert.throws(() => validateVaultDetails(null), /expected an object/);
+  assert.throws(() => validateVaultDetails({ portfolio: {} }), /portfolio is not an array/);
+  assert.throws(() => validateVaultDetails({ portfolio: [['day', { accountValueHistory: [] }]] }), /day\.pnlHistory is not an array/);
+  assert.throws(() => validateVaultDetails({
+    portfolio: [['day', { accountValueHistory: [[1, 'abc']], pnlHistory: [] }]]
+  }), /malformed/);
+});
+
+test('validateAssetContexts rejects mismatched or non-numeric contexts', () => {
+  assert.equal(validateAssetContexts(MARKET), MARKET);
+  assert.throws(() => validateAssetContexts({}), /\[meta, assetCtxs\] pair/);
+  assert.throws(() => validateAssetContexts([MARKET[0], MARKET[1].slice(1)]), /1 asset contexts for 2 assets/);
+  assert.throws(() => validateAssetContexts([MARKET[0], [MARKET[1][0], { ...MARKET[1][1], funding: null }]]), /assetCtxs\[1\]\.funding/);
+});
+
+test('validateClearinghouseState checks account value and positions', () => {
+  const state = {
+    marginSummary: { accountValue: '100' },
+    assetPositions: [{ position: { coin: 'BTC', szi: '1', positionValue: '10', unrealizedPnl: '0' } }]
+  };
+  assert.equal(validateClearinghouseState(state), state);
+  assert.throws(() => validateClearinghouseState({ assetPositions: [] }), /accountValue/);
+  assert.throws(() => validateClearinghouseState({
+    ...state, assetPositions: [{ position: { coin: 'BTC', szi: 'x', positionValue: '10', unrealizedPnl: '0' } }]
+  }), /position\.szi/);
+});
+
+test('getChildAddresses lowercases child vaults and tolerates none', () => {
+  assert.deepEqual(getChildAddresses({ relationship: { data: { childAddresses: ['0xABC'] } } }), ['0xabc']);
+  assert.deepEqual(getChildAddresses({ relationship: { type: 'normal' } }), []);
+});
+
+test('fetchMarketContext aggregates validated contexts', async () => {
+  stubFetch([{ body: MARKET }]);
+  const ctx = await fetchMarketContext(FAST);
+  assert.equal(ctx.available, true);
+  assert.equal(ctx.openInterest, 400);
+  assert.equal(ctx.volume24h, 1500);
+  assert.ok(Math.abs(ctx.fundingRate - 0.00015) < 1e-12);
+  assert.deepEqual(ctx.assets.map(a => a.coin), ['BTC', 'ETH']);
+  assert.equal(ctx.oiTop5Share, 1);
+});
+
+test('parseAssetContexts keeps per-asset prices and nullable premium', () => {
+  assert.deepEqual(parseAssetContexts(MARKET)[1], {
+    coin: 'ETH', funding: 0.0003, open_interest: 100, mark_px: 10, oracle_px: 9.9, premium: null, volume_24h: 500
+  });
+});
+
+test('computeMarketConcentration weights by notional open interest', () => {
+  // Six assets: one dominant, five equal; top five hold 90 of 100 notional
+  const assets = [
+    { coin: 'A', funding: '0.0010', open_interest: '50', mark_px: '1' },
+    ...['B', 'C', 'D', 'E', 'F'].map(coin => ({ coin, funding: '0', open_interest: '10', mark_px: '1' }))
+  ];
+  const { oiTop5Share, fundingDispersion } = computeMarketConcentration(assets);
+  assert.ok(Math.abs(oiTop5Share - 0.9) < 1e-12);
+  // mean 0.0005, half the weight at ±0.0005 from it
+  assert.ok(Math.abs(fundingDispersion - 0.0005) < 1e-12);
+
+  assert.deepEqual(computeMarketConcentration([{ funding: '0.1', open_interest: '5', mark_px: null }]), {
+    oiTop5Share: null, fundingDispersion: null
+  });
+});
+
+test('fetchVaultDetails surfaces schema errors instead of returning bad data', async () => {
+  const calls = stubFetch([{ body: { portfolio: 'nope' } }]);
+  await assert.rejects(fetchVaultDetails('0x' + '1'.repeat(40), FAST), /Invalid Hyperliquid vaultDetails response/);
+  assert.equal(calls[0].type, 'vaultDetails');
+});
+
+test('unavailableMarketContext carries NULLs, not zeros', () => {
+  assert.deepEqual(unavailableMarketContext(new Error('boom')), {
+    available: false, error: 'boom', fundingRate: null, openInterest: null, volume24h: null,
+    oiTop5Share: null, fundingDispersion: null, assets: []
+  });
+});
@@ -0,0 +1,199 @@
+import { test, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, readdir, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { DEFAULT_FIXTURE_DIR, fixtureName, readFixture } from '../lib/fixtures.js';
+import { startMockHyperliquid } from '../lib/mock-hyperliquid.js';
+import { callApi } from '../lib/api-runner.js';
+import { summarizeRuns } from '../lib/collector.js';
+import { getDb } from '../lib/db.js';
+import { migrateUp } from '../lib/migrate.js';
+import {
+  HLP_VAULT, fetchMarketContext, fetchVaultDetails, getChildAddresses, parseAllTimeframes, parseVaultData
+} from '../lib/hyperliquid.js';
+
+// better-sqlite3 is an optional dependency
+const skip = await import('better-sqlite3').then(() => false, () => 'better-sqlite3 not installed');
+
+// Collect → snapshots → latest against recorded fixtures served by the mock
+// /info server and an in-memory SQLite database; nothing leaves the machine.
+
+const ENV_KEYS = ['DATABASE_URL', 'HYPERLIQUID_API_URL', 'HYPERLIQUID_FIXTURES', 'HYPERLIQUID_FIXTURE_DIR', 'CRON_SECRET'];
+const savedEnv = Object.fromEntries(ENV_KEYS.map(k => [k, process.env[k]]));
+
+let mock;
+before(async () => {
+  mock = await startMockHyperliquid();
+  for (const key of ENV_KEYS) delete process.env[key];
+  process.env.HYPERLIQUID_API_URL = mock.url;
+});
+
+afterEach(() => {
+  mock.respond('metaAndAssetCtxs', null);
+  delete process.env.HYPERLIQUID_FIXTURES;
+  delete process.env.HYPERLIQUID_FIXTURE_DIR;
+  process.env.HYPERLIQUID_API_URL = mock.url;
+});
+
+after(async () => {
+  await mock.close();
+  for (const key of ENV_KEYS) {
+    if (savedEnv[key] === undefined) delete process.env[key];
+    else process.env[key] = savedEnv[key];
+  }
+});
+
+test('replay mode answers from fixtures without calling the API', async () => {
+  process.env.HYPERLIQUID_FIXTURES = 'replay';
+  process.env.HYPERLIQUID_API_URL = 'http://127.0.0.1:9/info';
+  const before = mock.requests.length;
+
+  const raw = await fetchVaultDetails(HLP_VAULT);
+  const parsed = parseVaultData(raw);
+  const nav = raw.portfolio.find(([tf]) => tf === 'allTime')[1].accountValueHistory;
+  assert.equal(parsed.currentNav, parseFloat(nav[nav.length - 1][1]));
+  assert.ok(parsed.maxDD < 0 && parsed.ath >= parsed.currentNav);
+  assert.deepEqual(Object.keys(parseAllTimeframes(raw)).sort(), ['allTime', 'day', 'month', 'perpAllTime', 'week']);
+  assert.equal(getChildAddresses(raw).length, 2);
+
+  // The delisted asset has null prices and no OI
+  const market = await fetchMarketContext();
+  assert.equal(market.assets.length, 6);
+  assert.ok(market.fundingRate > 0 && market.oiTop5Share > 0);
+  assert.equal(mock.requests.length, before);
+
+  await assert.rejects(fetchVaultDetails('0x0000000000000000000000000000000000000001'), /No Hyperliquid fixture for vaultDetails/);
+});
+
+test('record mode saves what the API returned', async () => {
+  const dir = await mkdtemp(join(tmpdir(), 'hl-fixtures-'));
+  try {
+    process.env.HYPERLIQUID_FIXTURES = 'record';
+    process.env.HYPERLIQUID_FIXTURE_DIR = dir;
+    await fetchMarketContext();
+
+    const body = { type: 'metaAndAssetCtxs' };
+    assert.deepEqual(await readdir(dir), [fixtureName(body)]);
+    const saved = JSON.parse(await readFile(join(dir, fixtureName(body)), 'utf8'));
+    assert.deepEqual(saved.request, body);
+    assert.deepEqual(saved.response, await readFixture(DEFAULT_FIXTURE_DIR, body));
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('mock server serves fixtures, overrides and 404s', async () => {
+  const post = body => fetch(mock.url, { method: 'POST', body: JSON.stringify(body) });
+
+  assert.equal((await post({ type: 'clearinghouseState', user: HLP_VAULT })).status, 404);
+  mock.respond('metaAndAssetCtxs', () => ({ status: 503, body: { error: 'down' } }));
+  assert.equal((await post({ type: 'metaAndAssetCtxs' })).status, 503);
+  mock.respond('metaAndAssetCtxs', null);
+  assert.equal((await (await post({ type: 'metaAndAssetCtxs' })).json()).length, 2);
+  assert.equal((await fetch(mock.url)).status, 405);
+});
+
+test('collect stores a snapshot that /api/snapshots and /api/latest return', { skip }, async () => {
+  process.env.DATABASE_URL = 'sqlite::memory:';
+  const db = getDb();
+  await migrateUp(db);
+
+  const collected = await callApi('/api/collect', { method: 'POST' });
+  assert.equal(collected.status, 200, JSON.stringify(collected.body));
+  assert.equal(collected.body.success, true);
+  assert.deepEqual(collected.body.market, { available: true, assets: 6, inserted: 6, events: 0 });
+
+  const [result] = collected.body.results;
+  assert.equal(result.vault, HLP_VAULT);
+  assert.equal(result.skipped, false);
+  assert.deepEqual(result.drivers, { children: 2, unavailable: 0, inserted: { children: 2, positions: 5 } });
+
+  const raw = parseVaultData(await readFixture(DEFAULT_FIXTURE_DIR, { type: 'vaultDetails', vaultAddress: HLP_VAULT }));
+  const { body: history } = await callApi('/api/snapshots?range=24h&resolution=raw');
+  assert.equal(history.snapshots.length, 1);
+  assert.equal(parseFloat(history.snapshots[0].nav), raw.currentNav);
+  assert.equal(parseFloat(history.snapshots[0].drawdown_pct), raw.currentDrawdown);
+  assert.equal(history.snapshots[0].unscored_signals, null);
+  assert.ok(parseFloat(history.snapshots[0].composite_score) > 0);
+
+  const latest = await callApi(`/api/latest?vault=${HLP_VAULT}`);
+  assert.equal(latest.status, 200);
+  assert.equal(latest.body.history_available, true);
+  assert.equal(latest.body.snapshot.id, history.snapshots[0].id);
+  assert.equal(latest.body.live.nav, raw.currentNav);
+
+  // Live details are cached, so repeat calls don't each reach Hyperliquid
+  const detailRequests = () => mock.requests.filter(r => r.type === 'vaultDetails').length;
+  const fetched = detailRequests();
+  assert.ok(fetched > 0);
+  assert.equal((await callApi(`/api/latest?vault=${HLP_VAULT}`)).body.live.nav, raw.currentNav);
+  assert.equal(detailRequests(), fetched);
+
+  const market = await callApi('/api/market');
+  assert.equal(market.status, 200);
+
+  // The run is logged with what it stored and how long each source took
+  assert.equal(result.snapshot.id, history.snapshots[0].id);
+  const status = await callApi('/api/status?limit=5');
+  assert.equal(status.status, 200);
+  const [run] = status.body.runs;
+  assert.equal(run.id, collected.body.run.id);
+  assert.equal(run.status, 'success');
+  assert.equal(run.triggered_by, 'api');
+  assert.deepEqual([run.vaults, run.inserted, run.skipped, run.market_rows], [1, 1, 0, 6]);
+  assert.ok(run.duration_ms >= 0 && run.finished_at);
+  assert.equal(typeof run.latencies.market_context, 'number');
+  assert.deepEqual(Object.keys(run.latencies.vault_details), [HLP_VAULT]);
+  assert.deepEqual(run.errors, []);
+  assert.deepEqual(run.fallbacks, []);
+  assert.equal(status.body.freshness.vaults[0].stale, false);
+  assert.equal(status.body.freshness.market.age_minutes, 0);
+  assert.equal(status.body.summary.consecutive_failures, 0);
+});
+
+test('collect records market context as unavailable when it fails', { skip }, async () => {
+  process.env.DATABASE_URL = 'sqlite::memory:';
+  mock.respond('metaAndAssetCtxs', () => ({ status: 400, body: { error: 'bad request' } }));
+
+  const collected = await callApi('/api/collect', { method: 'POST' });
+  assert.equal(collected.status, 200);
+  assert.equal(collected.body.market.available, false);
+  assert.match(collected.body.market.error, /metaAndAssetCtxs API error: 400/);
+  assert.equal(collected.body.results[0].success, true);
+
+  const { body: status } = await callApi('/api/status');
+  const run = status.runs[0];
+  assert.equal(run.status, 'success');
+  assert.deepEqual(run.fallbacks.map(f => f.input), ['market_context', 'signals']);
+  assert.match(run.fallbacks[1].detail, /funding/);
+  assert.equal((await callApi('/api/status?limit=0')).status, 400);
+});
+
+test('summarizeRuns counts failures since the last success', () => {
+  const now = new Date('2025-01-02T00:00:00Z');
+  const run = (id, status, hoursAgo, errors = []) => ({
+    id, status, errors, duration_ms: 1000 * id, gap_filled: 1,
+    started_at: new Date(now - hoursAgo * 3600e3).toISOString(),
+    finished_at: new Date(now - hoursAgo * 3600e3 + 1000).toISOString()
+  });
+  const runs = [
+    run(5, 'failed', 1, [{ stage: 'vault', vault: HLP_VAULT, message: 'boom' }]),
+    run(4, 'skipped', 2),
+    run(3, 'failed', 3, [{ stage: 'run', vault: null, message: 'down' }]),
+    run(2, 'partial', 4, [{ stage: 'alerts', vault: HLP_VAULT, message: 'webhook' }]),
+    run(1, 'success', 30)
+  ];
+  const summary = summarizeRuns(runs, now);
+  assert.equal(summary.consecutive_failures, 2);
+  assert.equal(summary.last_success_at, runs[3].finished_at);
+  assert.equal(summary.last_error.run_id, 5);
+  assert.equal(summary.last_error.message, 'boom');
+  assert.deepEqual(summary.last_24h, { runs: 3, success_rate: 1 / 3, avg_duration_ms: 3333, max_duration_ms: 5000, gap_filled: 3 });
+  assert.equal(summarizeRuns([]).consecutive_failures, 0);
+});
+
+test('callApi reports unknown routes', async () => {
+  await assert.rejects(callApi('/api/nope'), /No handler for \/api\/nope/);
+  await assert.rejects(callApi('/index.html'), /Not an API route/);
+});
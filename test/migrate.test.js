@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, writeFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { listMigrations, migrateUp, MIGRATIONS_DIR } from '../lib/migrate.js';
+
+// Minimal stand-in for a Postgres storage: records statements and keeps
+// schema_migrations rows in memory.
+function fakeDb() {
+  const applied = [];
+  const statements = [];
+  const sql = (strings, ...values) => {
+    const text = strings.join('?').replace(/\s+/g, ' ').trim();
+    statements.push(text);
+    if (text.startsWith('SELECT version, applied_at FROM schema_migrations')) return Promise.resolve([...applied]);
+    if (text.startsWith('INSERT INTO schema_migrations')) applied.push({ version: values[0], applied_at: new Date() });
+    return Promise.resolve([]);
+  };
+  return { dialect: 'postgres', sql, applied, statements };
+}
+
+test('repository migrations are numbered uniquely and in order', async () => {
+  const migrations = await listMigrations(MIGRATIONS_DIR);
+  assert.ok(migrations.length > 0);
+  migrations.forEach((m, i) => assert.equal(m.version, i + 1));
+});
+
+test('migrateUp applies only pending migrations, in version order', async () => {
+  const dir = await mkdtemp(join(tmpdir(), 'hlp-migrations-'));
+  try {
+    await writeFile(join(dir, '002_second.js'), 'export async function up(sql) { await sql`SECOND`; }');
+    await writeFile(join(dir, '001_first.js'), 'export async function up(sql) { await sql`FIRST`; }');
+    await writeFile(join(dir, 'README.md'), 'not a migration');
+
+    const db = fakeDb();
+    const first = await migrateUp(db, { dir });
+    assert.deepEqual(first.map(m => m.name), ['first', 'second']);
+    assert.ok(db.statements.indexOf('FIRST') < db.statements.indexOf('SECOND'));
+
+    const second = await migrateUp(db, { dir });
+    assert.equal(second.length, 0);
+    assert.deepEqual(db.applied.map(r => r.version), [1, 2]);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,121 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createStorage } from '../lib/storage/index.js';
+import { migrateUp } from '../lib/migrate.js';
+import { insertPositionFlows, getPositionFlows, deletePositionFlow } from '../lib/db.js';
+import { HLP_VAULT } from '../lib/hyperliquid.js';
+import { parseLedgerFlows, pointAt, evaluateFlows, dcaFlows, summarizePosition } from '../lib/positions.js';
+
+// better-sqlite3 is an optional dependency
+const skip = await import('better-sqlite3').then(() => false, () => 'better-sqlite3 not installed');
+
+const DAY = 24 * 3600 * 1000;
+const START = Date.UTC(2025, 0, 6);
+const at = d => new Date(START + d * DAY).toISOString();
+
+// Daily rows with no flows, so the index is the NAV itself
+function rows(navs, composites = []) {
+  return navs.map((nav, d) => ({ collected_at: at(d), nav: String(nav), pnl: String(nav - navs[0]), composite_score: composites[d] ?? null, drawdown_pct: 0 }));
+}
+
+const points = navs => navs.map((index, d) => ({ time: START + d * DAY, index, composite: null, drawdown: 0 }));
+
+test('parseLedgerFlows keeps deposits and withdrawals for one vault', () => {
+  const other = '0x0000000000000000000000000000000000000001';
+  const flows = parseLedgerFlows([
+    { time: START, hash: '0xa', delta: { type: 'vaultDeposit', vault: HLP_VAULT.toUpperCase().replace('0X', '0x'), usdc: '1000.0' } },
+    { time: START + DAY, hash: '0xb', delta: { type: 'vaultDeposit', vault: other, usdc: '5' } },
+    { time: START + 2 * DAY, hash: '0xc', delta: { type: 'deposit', usdc: '50' } },
+    { time: START + 3 * DAY, hash: '0xd', delta: { type: 'vaultWithdraw', vault: HLP_VAULT, requestedUsd: '400', netWithdrawnUsd: '390' } }
+  ], HLP_VAULT);
+  assert.deepEqual(flows, [
+    { kind: 'deposit', amount: 1000, fee: 0, occurred_at: at(0), source: 'ledger', tx_hash: '0xa' },
+    { kind: 'withdrawal', amount: 400, fee: 10, occurred_at: at(3), source: 'ledger', tx_hash: '0xd' }
+  ]);
+});
+
+test('pointAt picks the last point at or before a time', () => {
+  const p = points([1, 2, 3]);
+  assert.equal(pointAt(p, START - DAY).index, 1);
+  assert.equal(pointAt(p, START + 1.5 * DAY).index, 2);
+  assert.equal(pointAt(p, START + 10 * DAY).index, 3);
+  assert.equal(pointAt([], START), null);
+});
+
+test('evaluateFlows values lots and redeems withdrawals first-in first-out', () => {
+  const flows = [
+    { kind: 'deposit', amount: 100, occurred_at: at(0) },
+    { kind: 'deposit', amount: 100, occurred_at: at(1) },
+    // 110 of equity at index 1.1 = 100 units, all from the first lot
+    { kind: 'withdrawal', amount: 110, fee: 0, occurred_at: at(2) }
+  ];
+  const result = evaluateFlows(flows, points([1, 1.25, 1.1, 1.21]));
+  const [first, second] = result.lots;
+
+  assert.ok(Math.abs(first.units_left) < 1e-9);
+  assert.ok(Math.abs(first.withdrawn - 110) < 1e-9);
+  assert.ok(Math.abs(first.pnl - 10) < 1e-9);
+  assert.ok(Math.abs(second.value - 100 * 1.21 / 1.25) < 1e-9);
+  assert.ok(Math.abs(result.pnl - (110 + 96.8 - 200)) < 1e-9);
+  assert.equal(result.unmatched_withdrawal, 0);
+  assert.ok(result.money_weighted_return != null);
+});
+
+test('dcaFlows spreads the deposited total weekly and keeps withdrawals', () => {
+  const flows = dcaFlows([
+    { kind: 'deposit', amount: 300, occurred_at: at(0) },
+    { kind: 'deposit', amount: 100, occurred_at: at(15) },
+    { kind: 'withdrawal', amount: 50, occurred_at: at(20) }
+  ]);
+  assert.deepEqual(flows.map(f => [f.kind, f.amount, f.occurred_at]), [
+    ['deposit', 400 / 3, at(0)],
+    ['deposit', 400 / 3, at(7)],
+    ['deposit', 400 / 3, at(14)],
+    ['withdrawal', 50, at(20)]
+  ]);
+});
+
+test('summarizePosition credits well-timed entries over DCA', () => {
+  // NAV dips in week two and recovers; all money went in at the bottom
+  const navs = Array.from({ length: 22 }, (_, d) => d < 7 ? 100 : d < 14 ? 90 : 110);
+  const composites = navs.map(n => n === 90 ? 80 : 30);
+  const flows = [
+    { kind: 'deposit', amount: 100, occurred_at: at(0) },
+    { kind: 'deposit', amount: 900, occurred_at: at(8) },
+    { kind: 'deposit', amount: 1, occurred_at: at(14) }
+  ];
+  const p = summarizePosition(flows, rows(navs, composites));
+
+  assert.ok(p.timing_edge > 0);
+  assert.ok(p.entry_composite > p.dca.entry_composite);
+  assert.equal(p.dca.deposited, p.deposited);
+  assert.equal(p.composite_now, 30);
+  assert.equal(summarizePosition([], rows(navs)), null);
+});
+
+test('sqlite position flows dedupe ledger imports by transaction, per owner', { skip }, async () => {
+  const db = createStorage('sqlite::memory:');
+  await migrateUp(db);
+  try {
+    const [owner, other] = ['owner-aaaaaaaa', 'owner-bbbbbbbb'];
+    const wallet = '0x00000000000000000000000000000000000000aa';
+    const ledger = [{ kind: 'deposit', amount: 1000, occurred_at: at(0), source: 'ledger', tx_hash: '0xa' }];
+    assert.equal((await insertPositionFlows(db, owner, wallet, HLP_VAULT, ledger)).length, 1);
+    assert.equal((await insertPositionFlows(db, owner, wallet, HLP_VAULT, ledger)).length, 0);
+    const [manual] = await insertPositionFlows(db, owner, wallet, HLP_VAULT, [{ kind: 'withdrawal', amount: 10, occurred_at: at(1) }]);
+
+    const flows = await getPositionFlows(db, owner, wallet);
+    assert.deepEqual(flows.map(f => [f.kind, f.source]), [['deposit', 'ledger'], ['withdrawal', 'manual']]);
+
+    // Another browser tracking the same public wallet sees and touches only its own flows
+    assert.deepEqual(await getPositionFlows(db, other, wallet), []);
+    assert.equal((await insertPositionFlows(db, other, wallet, HLP_VAULT, ledger)).length, 1);
+    assert.equal(await deletePositionFlow(db, other, wallet, manual.id), false);
+
+    assert.equal(await deletePositionFlow(db, owner, wallet, manual.id), true);
+    assert.equal(await deletePositionFlow(db, owner, 'someone-else', flows[0].id), false);
+    assert.equal((await getPositionFlows(db, owner, wallet)).length, 1);
+  } finally {
+    await db.close();
+  }
+});
@@ -0,0 +1,95 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { classifyRegime, labelRegimes, regimeDistribution, regimeFeatures, regimePeriods } from '../lib/regimes.js';
+import { runBacktest } from '../lib/backtest.js';
+
+const HOUR = 3600 * 1000;
+const T0 = Date.UTC(2025, 0, 1);
+const at = h => new Date(T0 + h * HOUR).toISOString();
+
+// Hourly rows from per-hour returns, PnL tracking NAV so there are no flows
+function series(returns) {
+  let nav = 100;
+  return returns.map((r, h) => {
+    nav *= 1 + r;
+    return { id: h + 1, collected_at: at(h), nav: String(nav), pnl: String(nav - 100) };
+  });
+}
+
+const calm = hours => Array.from({ length: hours }, (_, h) => (h % 2 === 0 ? 0.0002 : -0.0001));
+
+const features = overrides => ({
+  drawdown: 0, drawdown_change_7d: 0, return_24h: 0, return_7d: 0.002,
+  vol_annualized: 0.05, vol_ratio_24h: 1, vol_ratio_7d: 1, funding_z: 0, oi_change_24h: 0, ...overrides
+});
+
+test('classifyRegime checks stress before trend, recovery and chop', () => {
+  assert.equal(classifyRegime(null), null);
+  assert.equal(classifyRegime(features()), 'calm_accumulation');
+  assert.equal(classifyRegime(features({ vol_ratio_7d: 1.6 })), 'choppy');
+  assert.equal(classifyRegime(features({ vol_ratio_24h: 2.5, return_24h: -0.01 })), 'liquidation_event');
+  assert.equal(classifyRegime(features({ vol_ratio_24h: 2.5, oi_change_24h: -0.2 })), 'liquidation_event');
+  // A vol spike alone is not an event
+  assert.equal(classifyRegime(features({ vol_ratio_24h: 2.5 })), 'calm_accumulation');
+  assert.equal(classifyRegime(features({ return_7d: -0.03, drawdown: -0.03, drawdown_change_7d: -0.03 })), 'trending_loss');
+  assert.equal(classifyRegime(features({ return_7d: 0.02, drawdown: -0.05, drawdown_change_7d: 0.02 })), 'recovery');
+  // Shallow drawdowns are not recoveries
+  assert.equal(classifyRegime(features({ return_7d: 0.02, drawdown: -0.01, drawdown_change_7d: 0.01 })), 'calm_accumulation');
+});
+
+test('regimeFeatures needs a week of history and reads funding and OI', () => {
+  const rows = series(calm(24 * 10)).map((r, h) => ({ ...r, drawdown_pct: 0, funding_rate: String(h % 2 === 0 ? 0.0001 : 0.00012), open_interest: '1000' }));
+  assert.equal(regimeFeatures(rows.slice(0, 100), rows[100]), null);
+
+  const last = { ...rows[rows.length - 1], funding_rate: '0.001', open_interest: '800' };
+  const f = regimeFeatures(rows.slice(0, -1), last);
+  assert.ok(f.funding_z > 3);
+  assert.ok(Math.abs(f.oi_change_24h - -0.2) < 1e-12);
+  assert.ok(f.return_7d > 0);
+  assert.ok(Math.abs(f.vol_ratio_7d - 1) < 0.1);
+  assert.ok(Math.abs(f.vol_ratio_24h - 1) < 0.1);
+});
+
+test('labelRegimes uses only earlier rows and flags a crash', () => {
+  const crash = Array.from({ length: 24 }, (_, h) => (h % 2 === 0 ? -0.01 : 0.004));
+  const rows = series([...calm(24 * 14), ...crash]);
+  const labels = labelRegimes(rows);
+
+  assert.equal(labels.length, rows.length);
+  assert.equal(labels[24].regime, null);
+  assert.equal(labels[24 * 10].regime, 'calm_accumulation');
+  assert.equal(labels[labels.length - 1].regime, 'liquidation_event');
+  assert.ok(labels[labels.length - 1].features.drawdown < 0);
+
+  // Labels before the crash don't change when it is cut off
+  const cut = labelRegimes(rows.slice(0, 24 * 14));
+  assert.deepEqual(cut.map(l => l.regime), labels.slice(0, 24 * 14).map(l => l.regime));
+  assert.equal(labelRegimes(rows, { fromTime: T0 + 24 * 14 * HOUR }).length, 24);
+});
+
+test('regimePeriods and regimeDistribution summarize stored labels', () => {
+  const rows = ['calm_accumulation', 'calm_accumulation', 'choppy', null, 'calm_accumulation']
+    .map((regime, h) => ({ collected_at: at(h), regime }));
+  assert.deepEqual(regimePeriods(rows), [
+    { regime: 'calm_accumulation', from: at(0), to: at(2), snapshots: 2 },
+    { regime: 'choppy', from: at(2), to: at(3), snapshots: 1 },
+    { regime: null, from: at(3), to: at(4), snapshots: 1 },
+    { regime: 'calm_accumulation', from: at(4), to: at(4), snapshots: 1 }
+  ]);
+  const dist = regimeDistribution(rows);
+  assert.equal(dist.find(d => d.regime === 'calm_accumulation').share, 0.75);
+  assert.equal(dist.find(d => d.regime === 'recovery').snapshots, 0);
+});
+
+test('backtest reports forward returns by regime at entry', () => {
+  const rows = series(Array(48).fill(0.001)).map((r, h) => ({
+    ...r, composite_score: 80, regime: h < 24 ? 'trending_loss' : 'recovery'
+  }));
+  const bt = runBacktest(rows, { horizons: [1] });
+
+  assert.deepEqual(Object.keys(bt.regimes), ['trending_loss', 'recovery']);
+  assert.equal(bt.regimes.trending_loss.entries, 24);
+  assert.equal(bt.regimes.recovery.stats[1].n, 23);
+  assert.ok(Math.abs(bt.regimes.recovery.stats[1].mean - 0.001) < 1e-9);
+  assert.equal(bt.regimes.trending_loss.composite.find(b => b.label === '70-84').entries, 24);
+});
@@ -0,0 +1,96 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createStorage } from '../lib/storage/index.js';
+import { migrateUp } from '../lib/migrate.js';
+import { insertSnapshot, getSnapshots, getSignalScores, getSignalScoreVersions } from '../lib/db.js';
+import { HLP_VAULT } from '../lib/hyperliquid.js';
+import { SIGNAL_DEFINITIONS } from '../lib/signals.js';
+import { SCORING_CONFIGS, getScoringConfig, withWeights } from '../lib/scoring-configs.js';
+import { replayScores, summarizeScores, lastPerBucket, rescoreVault } from '../lib/rescore.js';
+
+// better-sqlite3 is an optional dependency
+const skip = await import('better-sqlite3').then(() => false, () => 'better-sqlite3 not installed');
+
+const HOUR = 3600 * 1000;
+const START = Date.UTC(2025, 0, 1, 0);
+const at = h => new Date(START + h * HOUR + 5 * 60 * 1000).toISOString();
+
+test('withWeights overrides only the given signals', () => {
+  const defs = withWeights(SIGNAL_DEFINITIONS, { funding: 0 });
+  assert.equal(defs.funding.weight, 0);
+  assert.equal(defs.drawdown.weight, SIGNAL_DEFINITIONS.drawdown.weight);
+  assert.deepEqual(defs.funding.buckets, SIGNAL_DEFINITIONS.funding.buckets);
+
+  const equal = Object.values(SCORING_CONFIGS['v2-equal'].definitions).map(d => d.weight);
+  assert.ok(Math.abs(equal.reduce((s, w) => s + w, 0) - 1) < 1e-12);
+  assert.equal(getScoringConfig('v2').version, 'v2');
+  assert.equal(getScoringConfig('nope'), null);
+});
+
+test('replayScores leaves signals without stored market data unscored', () => {
+  const rows = [
+    { id: 1, collected_at: at(0), nav: '100' },
+    { id: 2, collected_at: at(1), nav: '98', funding_rate: '0.0006', open_interest: '1000' },
+    { id: 3, collected_at: at(2), nav: '97', funding_rate: '0.0006', open_interest: '1000', unscored_signals: 'funding' }
+  ];
+  const replayed = replayScores(rows);
+  assert.equal(replayed[0].result.scores.funding, null);
+  assert.equal(replayed[0].result.scores.oi, null);
+  assert.equal(replayed[1].result.scores.funding, 90);
+  assert.equal(replayed[1].result.scores.oi, 50);
+  assert.equal(replayed[2].result.scores.funding, null);
+  assert.ok(Math.abs(replayed[2].drawdown_pct - -0.03) < 1e-12);
+
+  // A zero weight keeps the signal scored but out of the composite
+  const vaultOnly = replayScores(rows, { definitions: SCORING_CONFIGS['v2-vault-only'].definitions, fromTime: new Date(at(1)).getTime() });
+  assert.equal(vaultOnly.length, 2);
+  assert.equal(vaultOnly[0].result.scores.funding, 90);
+  assert.notEqual(vaultOnly[0].result.composite, replayed[1].result.composite);
+});
+
+test('summarizeScores compares against a baseline by timestamp', () => {
+  const baseline = [
+    { collected_at: at(0), composite_score: 50 },
+    { collected_at: at(1), composite_score: 60 }
+  ];
+  const rows = [
+    { collected_at: at(0), composite_score: 50 },
+    { collected_at: at(1), composite_score: 64 },
+    { collected_at: at(2), composite_score: null }
+  ];
+  assert.deepEqual(summarizeScores(rows, baseline), {
+    rows: 3, unscored: 1, mean_composite: 57, compared: 2, changed: 1, mean_abs_diff: 2
+  });
+  assert.deepEqual(lastPerBucket(rows, '1d').map(r => r.composite_score), [null]);
+});
+
+test('rescoreVault stores one row per snapshot per version and overwrites on replay', { skip }, async () => {
+  const db = createStorage('sqlite::memory:');
+  await migrateUp(db);
+  for (let h = 0; h < 4; h++) {
+    await insertSnapshot(db, { collected_at: at(h), nav: 100 - h, nav_ath: 100, drawdown_pct: 0, max_drawdown: 0, composite_score: 50 });
+  }
+  const window = { from: new Date(0).toISOString(), to: at(10) };
+
+  const dry = await rescoreVault(db, HLP_VAULT, getScoringConfig('v2'), { dryRun: true });
+  assert.equal(dry.rows, 4);
+  assert.equal(dry.written, 0);
+  assert.equal((await getSignalScores(db, 'v2', window)).length, 0);
+
+  await rescoreVault(db, HLP_VAULT, getScoringConfig('v2'));
+  const again = await rescoreVault(db, HLP_VAULT, getScoringConfig('v2'));
+  await rescoreVault(db, HLP_VAULT, getScoringConfig('v2-equal'), { from: at(2) });
+  assert.equal(again.written, 4);
+
+  const stored = await getSignalScores(db, 'v2', window);
+  assert.equal(stored.length, 4);
+  const snapshots = await getSnapshots(db, { resolution: 'raw' });
+  assert.deepEqual(stored.map(r => r.snapshot_id), snapshots.map(r => r.id));
+  assert.equal(stored[0].unscored_signals, 'funding,oi');
+  // Snapshots keep the collector's scores
+  assert.ok(snapshots.every(r => r.composite_score === 50));
+
+  const versions = await getSignalScoreVersions(db);
+  assert.deepEqual(versions.map(v => [v.config_version, Number(v.count)]), [['v2', 4], ['v2-equal', 2]]);
+  await db.close();
+});
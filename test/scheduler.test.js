@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createScheduler, getActiveScheduler, nextRunTime } from '../lib/scheduler.js';
+
+const HOUR = 3600 * 1000;
+const T0 = Date.UTC(2025, 0, 1, 10, 20);
+
+test('nextRunTime is the next top of the hour plus jitter', () => {
+  assert.equal(nextRunTime(T0, 0), Date.UTC(2025, 0, 1, 11));
+  assert.equal(nextRunTime(T0, 10 * 60000, () => 0.5), Date.UTC(2025, 0, 1, 11, 5));
+  assert.equal(nextRunTime(Date.UTC(2025, 0, 1, 11), 0), Date.UTC(2025, 0, 1, 12));
+});
+
+test('overlapping runs are skipped, not stacked', async () => {
+  let release;
+  let calls = 0;
+  const scheduler = createScheduler(() => {
+    calls++;
+    return new Promise(resolve => { release = resolve; });
+  }, { now: () => T0 });
+
+  const first = scheduler.run();
+  assert.deepEqual(await scheduler.run(), { skipped: 'overlap' });
+  assert.equal(scheduler.state().running, true);
+  release({ success: true });
+  await first;
+
+  const state = scheduler.state();
+  assert.equal(calls, 1);
+  assert.equal(state.running, false);
+  assert.equal(state.skipped, 1);
+  assert.equal(state.last_success_at, new Date(T0).toISOString());
+});
+
+test('failures are counted until the next success', async () => {
+  let fail = true;
+  const scheduler = createScheduler(async () => {
+    if (fail) throw new Error('API down');
+  }, { now: () => T0 });
+
+  await scheduler.run();
+  await scheduler.run();
+  assert.equal(scheduler.state().consecutive_failures, 2);
+  assert.equal(scheduler.state().last_error.message, 'API down');
+  assert.equal(scheduler.state().last_success_at, null);
+
+  fail = false;
+  await scheduler.run();
+  assert.equal(scheduler.state().consecutive_failures, 0);
+  assert.equal(scheduler.state().last_error, null);
+
+  // A run that did not happen (lock held elsewhere) is neither
+  const locked = createScheduler(async () => ({ skipped: 'locked' }), { now: () => T0 });
+  await locked.run();
+  assert.equal(locked.state().last_success_at, null);
+  assert.equal(locked.state().skipped, 1);
+});
+
+test('start catches up missed hours and stop waits for the run', async () => {
+  const seen = [];
+  const scheduler = createScheduler(async ctx => { seen.push(ctx); }, {
+    now: () => T0,
+    lastSuccessAt: new Date(T0 - 5 * HOUR),
+    jitterMs: 0
+  });
+  scheduler.start();
+  assert.equal(getActiveScheduler(), scheduler);
+  assert.equal(scheduler.state().next_run_at, new Date(Date.UTC(2025, 0, 1, 11)).toISOString());
+  await scheduler.stop();
+
+  assert.equal(getActiveScheduler(), null);
+  assert.deepEqual(seen, [{ reason: 'catch-up', missedSince: new Date(T0 - 5 * HOUR) }]);
+  assert.equal(scheduler.state().next_run_at, null);
+
+  // Collected earlier this hour: nothing to catch up
+  const current = createScheduler(async ctx => { seen.push(ctx); }, { now: () => T0, lastSuccessAt: new Date(T0 - 10 * 60000) });
+  current.start();
+  await current.stop();
+  assert.equal(seen.length, 1);
+
+  // Previous hour only: a normal run, no missed hours
+  const recent = createScheduler(async ctx => { seen.push(ctx); }, { now: () => T0, lastSuccessAt: new Date(T0 - HOUR) });
+  recent.start();
+  await recent.stop();
+  assert.deepEqual(seen[1], { reason: 'catch-up', missedSince: null });
+});
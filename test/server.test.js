@@ -0,0 +1,122 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { once } from 'node:events';
+import { acquireLock, getDb, insertSnapshot, releaseLock } from '../lib/db.js';
+import { invokeHandler, loadHandler } from '../lib/api-runner.js';
+import { requireVault } from '../lib/api-v1.js';
+import { migrateUp } from '../lib/migrate.js';
+import { COLLECT_LOCK } from '../lib/collector.js';
+import { createAppServer } from '../lib/server.js';
+
+// better-sqlite3 is an optional dependency
+const skip = await import('better-sqlite3').then(() => false, () => 'better-sqlite3 not installed');
+
+const savedUrl = process.env.DATABASE_URL;
+const savedSecret = process.env.CRON_SECRET;
+let server;
+let base;
+
+before(async () => {
+  process.env.DATABASE_URL = 'sqlite::memory:';
+  delete process.env.CRON_SECRET;
+  server = createAppServer();
+  server.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  server.closeAllConnections();
+  server.close();
+  await once(server, 'close');
+  if (savedUrl === undefined) delete process.env.DATABASE_URL;
+  else process.env.DATABASE_URL = savedUrl;
+  if (savedSecret !== undefined) process.env.CRON_SECRET = savedSecret;
+});
+
+test('serves the dashboard and refuses paths outside public/', async () => {
+  const index = await fetch(`${base}/`);
+  assert.equal(index.status, 200);
+  assert.match(index.headers.get('content-type'), /text\/html/);
+  assert.match(await index.text(), /<html/i);
+
+  const module = await fetch(`${base}/signals.js`);
+  assert.match(module.headers.get('content-type'), /text\/javascript/);
+
+  assert.equal((await fetch(`${base}/..%2fpackage.json`)).status, 404);
+  assert.equal((await fetch(`${base}/missing.html`)).status, 404);
+  assert.equal((await fetch(`${base}/%E0%A4%A`)).status, 400);
+  assert.equal((await fetch(`${base}/`, { method: 'POST' })).status, 405);
+});
+
+test('routes /api/<name> to api/<name>.js with vercel.json headers', { skip }, async () => {
+  await migrateUp(getDb());
+
+  // The dashboard's routes are same-origin only; /api/v1 is the public API
+  const resp = await fetch(`${base}/api/vaults`);
+  assert.equal(resp.status, 200);
+  assert.equal(resp.headers.get('access-control-allow-origin'), null);
+  assert.ok(Array.isArray((await resp.json()).vaults));
+  for (const path of ['/api/snapshots', '/api/export', '/api/stats']) {
+    assert.equal((await fetch(`${base}${path}`)).headers.get('access-control-allow-origin'), null, path);
+  }
+  assert.equal((await fetch(`${base}/api/v1/openapi`)).headers.get('access-control-allow-origin'), '*');
+
+  const preflight = await fetch(`${base}/api/vaults`, { method: 'OPTIONS' });
+  assert.equal(preflight.status, 200);
+
+  assert.equal((await fetch(`${base}/api/nope`)).status, 404);
+  const badBody = await fetch(`${base}/api/profiles`, {
+    method: 'POST', headers: { 'Content-Type': 'application/json' }, body: '{'
+  });
+  assert.equal(badBody.status, 400);
+});
+
+test('a repeated ?vault= is a 400 rather than a crash', { skip }, async () => {
+  const db = getDb();
+  await migrateUp(db);
+
+  // Vercel passes repeated query parameters as an array
+  const vault = ['0x' + '1'.repeat(40), '0x' + '2'.repeat(40)];
+  const names = ['snapshots', 'latest', 'stats', 'backtest', 'drivers', 'events', 'export', 'regimes', 'rescore', 'simulate', 'stream'];
+  for (const name of names) {
+    const resp = await invokeHandler(await loadHandler(name), { url: `/api/${name}`, query: { vault } });
+    assert.equal(resp.status, 400, name);
+    assert.match(resp.body.error, /^Invalid vault/, name);
+  }
+  await assert.rejects(requireVault(db, { vault }), { status: 400 });
+});
+
+test('/api/health reports stalled collection', { skip }, async () => {
+  const db = getDb();
+  await migrateUp(db);
+
+  let health = await (await fetch(`${base}/api/health`)).json();
+  assert.equal(health.status, 'degraded');
+  assert.deepEqual(health.problems, ['No snapshots collected yet']);
+  assert.equal(health.scheduler, null);
+
+  const collectedAt = new Date().toISOString();
+  await insertSnapshot(db, { collected_at: collectedAt, nav: 100, pnl: 0, nav_ath: 100, drawdown_pct: 0, max_drawdown: 0 });
+  health = await (await fetch(`${base}/api/health`)).json();
+  assert.equal(health.status, 'ok');
+  assert.equal(health.last_collected_at, collectedAt);
+});
+
+test('collect lock keeps overlapping runs out', { skip }, async () => {
+  const db = getDb();
+  await migrateUp(db);
+
+  assert.equal(await acquireLock(db, COLLECT_LOCK, 'other', 60000), true);
+  assert.equal(await acquireLock(db, COLLECT_LOCK, 'mine', 60000), false);
+  assert.equal(await acquireLock(db, COLLECT_LOCK, 'other', 60000), true);
+
+  const resp = await fetch(`${base}/api/collect`, { method: 'POST' });
+  assert.equal(resp.status, 409);
+
+  await releaseLock(db, COLLECT_LOCK, 'other');
+  assert.equal(await acquireLock(db, COLLECT_LOCK, 'mine', -1), true);
+  // Expired leases can be taken over
+  assert.equal(await acquireLock(db, COLLECT_LOCK, 'other', 60000), true);
+  await releaseLock(db, COLLECT_LOCK, 'other');
+});
@@ -0,0 +1,225 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  SIGNAL_DEFINITIONS, UNAVAILABLE, scoreSignal, scoreSignals, toScoreColumns,
+  computeSpotMetrics, computeTrailingMetrics, netFlow, flowAdjustedReturns, flowAdjustedNav,
+  applyProfile, signalThresholds, validateProfile
+} from '../lib/signals.js';
+
+// Each case is [metric value, expected score]. Values sit exactly on and
+// just either side of every threshold so a moved boundary fails loudly.
+const BOUNDARIES = {
+  drawdown: [
+    [0, 5], [0.0999, 5], [0.1, 15], [0.4999, 15], [0.5, 25], [0.9999, 25],
+    [1, 40], [1.9999, 40], [2, 55], [2.9999, 55], [3, 70], [4.9999, 70],
+    [5, 85], [6.9999, 85], [7, 92], [8.9999, 92], [9, 98], [50, 98]
+  ],
+  tvl: [
+    [3.0001, 10], [3, 25], [1.0001, 25], [1, 40], [0.0001, 40], [0, 55],
+    [-0.9999, 55], [-1, 70], [-2.9999, 70], [-3, 85], [-4.9999, 85], [-5, 95], [-20, 95]
+  ],
+  momentum: [
+    [0.0031, 10], [0.003, 25], [0.0011, 25], [0.001, 40], [0.0001, 40], [0, 55],
+    [-0.0009, 55], [-0.001, 70], [-0.0029, 70], [-0.003, 85], [-0.0099, 85], [-0.01, 95]
+  ],
+  apr: [
+    [40.01, 15], [40, 30], [25.01, 30], [25, 50], [15.01, 50], [15, 65],
+    [8.01, 65], [8, 75], [3.01, 75], [3, 90], [0, 90]
+  ],
+  funding: [
+    [5.01, 90], [5, 75], [2.01, 75], [2, 60], [0.51, 60], [0.5, 45],
+    [-0.49, 45], [-0.5, 25], [-1.99, 25], [-2, 15], [-10, 15]
+  ],
+  oi: [
+    [10.01, 90], [10, 70], [3.01, 70], [3, 50], [-2.99, 50], [-3, 30],
+    [-4.99, 30], [-5, 15], [-50, 15]
+  ]
+};
+
+for (const [key, cases] of Object.entries(BOUNDARIES)) {
+  test(`${key} bucket boundaries`, () => {
+    const def = SIGNAL_DEFINITIONS[key];
+    for (const [value, expected] of cases) {
+      assert.equal(scoreSignal(def, { [def.metric]: value }), expected, `${def.metric}=${value}`);
+    }
+  });
+}
+
+test('volatility bucket boundaries', () => {
+  const def = SIGNAL_DEFINITIONS.volatility;
+  const cases = [
+    // [volTrend, volAnnualizedPct, expected]
+    [-0.31, 10.01, 90], [-0.31, 10, 70], [-0.3, 50, 70], [-0.11, 5, 70],
+    [-0.1, 5, 35], [-0.09, 5, 50], [0, 5, 50], [0.09, 5, 50],
+    [0.1, 5, 35], [0.29, 5, 35], [0.3, 5, 15], [2, 5, 15]
+  ];
+  for (const [volTrend, volAnnualizedPct, expected] of cases) {
+    assert.equal(scoreSignal(def, { volTrend, volAnnualizedPct }), expected, `volTrend=${volTrend} vol=${volAnnualizedPct}`);
+  }
+});
+
+test('concentration caps the top funding and OI buckets', () => {
+  const funding = SIGNAL_DEFINITIONS.funding;
+  assert.equal(scoreSignal(funding, { fundingBps: 6, fundingDispersionBps: 5.01 }), 75);
+  assert.equal(scoreSignal(funding, { fundingBps: 6, fundingDispersionBps: 5 }), 90);
+  assert.equal(scoreSignal(funding, { fundingBps: 4, fundingDispersionBps: 20 }), 75);
+
+  const oi = SIGNAL_DEFINITIONS.oi;
+  assert.equal(scoreSignal(oi, { oiChangePct: 12, oiTop5SharePct: 85.01 }), 70);
+  assert.equal(scoreSignal(oi, { oiChangePct: 12, oiTop5SharePct: 85 }), 90);
+  assert.equal(scoreSignal(oi, { oiChangePct: 12 }), 90);
+});
+
+test('weights match the published 25/15/15/15/5/15/10 split', () => {
+  const weights = Object.fromEntries(Object.entries(SIGNAL_DEFINITIONS).map(([k, d]) => [k, d.weight]));
+  assert.deepEqual(weights, {
+    drawdown: 0.25, tvl: 0.15, momentum: 0.15, volatility: 0.15, apr: 0.05, funding: 0.15, oi: 0.10
+  });
+});
+
+test('missing metrics score the neutral fallback', () => {
+  const { scores, composite } = scoreSignals({});
+  for (const score of Object.values(scores)) assert.equal(score, 50);
+  assert.equal(composite, 50);
+});
+
+test('composite is the rounded weighted sum', () => {
+  const { scores, composite } = scoreSignals({
+    ddPct: 6, netFlow7dPct: -2, recent7Avg: -0.002, volTrend: 0,
+    volAnnualizedPct: 5, aprPct: 10, fundingBps: 3, oiChangePct: 0
+  });
+  assert.deepEqual(scores, {
+    drawdown: 85, tvl: 70, momentum: 70, volatility: 50, apr: 65, funding: 75, oi: 50
+  });
+  // 85*.25 + 70*.15 + 70*.15 + 50*.15 + 65*.05 + 75*.15 + 50*.10 = 69.25
+  assert.equal(composite, 69);
+  assert.deepEqual(toScoreColumns({ scores, composite }), {
+    composite_score: 69, dd_score: 85, tvl_score: 70, momentum_score: 70,
+    vol_score: 50, apr_score: 65, funding_score: 75, oi_score: 50
+  });
+});
+
+test('unavailable metrics are unscored and dropped from the composite', () => {
+  const { scores, composite, unavailable } = scoreSignals({
+    ddPct: 6, netFlow7dPct: -2, recent7Avg: -0.002, volTrend: 0,
+    volAnnualizedPct: 5, aprPct: 10, fundingBps: UNAVAILABLE, oiChangePct: UNAVAILABLE
+  });
+  assert.equal(scores.funding, null);
+  assert.equal(scores.oi, null);
+  assert.deepEqual(unavailable, ['funding', 'oi']);
+  // (85*.25 + 70*.15 + 70*.15 + 50*.15 + 65*.05) / .75 = 70.67
+  assert.equal(composite, 71);
+  assert.equal(toScoreColumns({ scores, composite }).funding_score, null);
+});
+
+test('composite is null when every signal is unavailable', () => {
+  const metrics = Object.fromEntries(Object.values(SIGNAL_DEFINITIONS).map(d => [d.metric, UNAVAILABLE]));
+  assert.equal(scoreSignals(metrics).composite, null);
+});
+
+test('computeSpotMetrics converts units and preserves missing values', () => {
+  assert.deepEqual(computeSpotMetrics({ currentDrawdown: -0.05, apr: 0.12, fundingRate: 0.0001 }), {
+    ddPct: 5, aprPct: 12, fundingBps: 1, oiTop5SharePct: null, fundingDispersionBps: null
+  });
+  const concentration = computeSpotMetrics({ currentDrawdown: 0, oiTop5Share: 0.8, fundingDispersion: 0.0002 });
+  assert.ok(Math.abs(concentration.oiTop5SharePct - 80) < 1e-9);
+  assert.ok(Math.abs(concentration.fundingDispersionBps - 2) < 1e-9);
+  assert.deepEqual(computeSpotMetrics({ currentDrawdown: 0, apr: null, fundingRate: undefined }), {
+    ddPct: 0, aprPct: null, fundingBps: null, oiTop5SharePct: null, fundingDispersionBps: null
+  });
+  assert.equal(computeSpotMetrics({ currentDrawdown: 0, apr: 0, fundingRate: UNAVAILABLE }).fundingBps, UNAVAILABLE);
+});
+
+test('computeTrailingMetrics uses only rows inside the window as of asOf', () => {
+  const asOf = Date.UTC(2025, 0, 10);
+  const day = 24 * 3600 * 1000;
+  const rows = [
+    { collected_at: new Date(asOf - 9 * day).toISOString(), nav: '90', pnl: '0', open_interest: '1000' },
+    { collected_at: new Date(asOf - 6 * day).toISOString(), nav: '100', pnl: '5', open_interest: '1000' },
+    { collected_at: new Date(asOf - 1 * day).toISOString(), nav: '102', pnl: '6', open_interest: '1100' }
+  ];
+  // Flows ending in the window: (100-90)-(5-0)=5, (102-100)-(6-5)=1, (103-102)-(6.5-6)=0.5, over NAV 90
+  const m = computeTrailingMetrics(rows, { nav: 103, pnl: 6.5 }, asOf);
+  assert.ok(Math.abs(m.netFlow7dPct - (6.5 / 90) * 100) < 1e-9);
+  assert.ok(Math.abs(m.oiChangePct - 10) < 1e-9);
+  assert.equal(scoreSignals(m).scores.oi, 70);
+});
+
+test('computeTrailingMetrics returns nulls with fewer than two rows', () => {
+  const m = computeTrailingMetrics([{ collected_at: new Date().toISOString(), nav: '1' }], { nav: 1 });
+  assert.ok(Object.values(m).every(v => v === null));
+});
+
+test('computeTrailingMetrics leaves net flows unscored without PnL', () => {
+  const asOf = Date.UTC(2025, 0, 10);
+  const rows = [
+    { collected_at: new Date(asOf - 2 * 3600 * 1000).toISOString(), nav: '100' },
+    { collected_at: new Date(asOf - 3600 * 1000).toISOString(), nav: '150' }
+  ];
+  const m = computeTrailingMetrics(rows, { nav: 151 }, asOf);
+  assert.equal(m.netFlow7dPct, null);
+  assert.equal(scoreSignals(m).scores.tvl, SIGNAL_DEFINITIONS.tvl.fallback);
+});
+
+test('flow-adjusted returns strip deposits out of NAV changes', () => {
+  const rows = [
+    { collected_at: '2025-01-01T00:00:00.000Z', nav: '100', pnl: '0' },
+    // +50 deposit and +1 PnL
+    { collected_at: '2025-01-01T01:00:00.000Z', nav: '151', pnl: '1' },
+    // -1.51 PnL, no flow
+    { collected_at: '2025-01-01T02:00:00.000Z', nav: '149.49', pnl: '-0.51' },
+    // No PnL recorded: falls back to the NAV change
+    { collected_at: '2025-01-01T03:00:00.000Z', nav: '150', pnl: null }
+  ];
+  assert.equal(netFlow(rows[0], rows[1]), 50);
+  assert.equal(netFlow(rows[2], rows[3]), null);
+
+  const returns = flowAdjustedReturns(rows);
+  assert.deepEqual(returns.map(r => r.flow), [50, netFlow(rows[1], rows[2]), null]);
+  assert.ok(Math.abs(returns[0].ret - 0.01) < 1e-12);
+  assert.ok(Math.abs(returns[1].ret - -0.01) < 1e-12);
+  assert.ok(Math.abs(returns[2].ret - (150 / 149.49 - 1)) < 1e-12);
+
+  const index = flowAdjustedNav(rows).map(r => r.nav);
+  assert.equal(index[0], 100);
+  assert.ok(Math.abs(index[1] - 101) < 1e-9);
+  assert.ok(Math.abs(index[2] - 99.99) < 1e-9);
+});
+
+test('signalThresholds lists one editable bound per bounded bucket', () => {
+  assert.deepEqual(signalThresholds(SIGNAL_DEFINITIONS.drawdown), [0.1, 0.5, 1, 2, 3, 5, 7, 9]);
+  assert.deepEqual(signalThresholds(SIGNAL_DEFINITIONS.volatility), [-0.3, -0.1, 0.1, 0.3]);
+});
+
+test('applyProfile overrides weights and thresholds and renormalizes', () => {
+  const defs = applyProfile(SIGNAL_DEFINITIONS, {
+    weights: { funding: 0, oi: 0 },
+    thresholds: { drawdown: [0.2, 0.5, 1, 2, 3, 5, 7, 9], volatility: [-0.3, -0.2, 0.2, 0.3] }
+  });
+  const total = Object.values(defs).reduce((s, d) => s + d.weight, 0);
+  assert.ok(Math.abs(total - 1) < 1e-12);
+  assert.equal(defs.funding.weight, 0);
+  assert.ok(Math.abs(defs.drawdown.weight - 0.25 / 0.75) < 1e-12);
+
+  assert.equal(scoreSignal(defs.drawdown, { ddPct: 0.15 }), 5);
+  assert.equal(scoreSignal(SIGNAL_DEFINITIONS.drawdown, { ddPct: 0.15 }), 15);
+  // The two-sided bucket's lower edge follows the edited bound before it
+  assert.deepEqual(defs.volatility.buckets[2], { gt: -0.2, lt: 0.2, score: 50 });
+  assert.equal(scoreSignal(defs.volatility, { volTrend: -0.15 }), 50);
+  // `and` conditions survive
+  assert.deepEqual(defs.volatility.buckets[0].and, SIGNAL_DEFINITIONS.volatility.buckets[0].and);
+  // The shared table is untouched
+  assert.equal(SIGNAL_DEFINITIONS.drawdown.buckets[0].lt, 0.1);
+});
+
+test('validateProfile rejects unknown signals, bad weights and misordered thresholds', () => {
+  assert.equal(validateProfile({}), null);
+  assert.equal(validateProfile({ weights: { drawdown: 0.5 }, thresholds: { apr: [50, 25, 15, 8, 3] } }), null);
+  assert.match(validateProfile({ weights: { nope: 1 } }), /Unknown signal/);
+  assert.match(validateProfile({ weights: { drawdown: -1 } }), /≥ 0/);
+  assert.match(validateProfile({ weights: Object.fromEntries(Object.keys(SIGNAL_DEFINITIONS).map(k => [k, 0])) }), /above 0/);
+  assert.match(validateProfile({ thresholds: { drawdown: [1, 2] } }), /array of 8 numbers/);
+  assert.match(validateProfile({ thresholds: { drawdown: [0.1, 0.5, 1, 2, 3, 5, 9, 7] } }), /ascending/);
+  assert.match(validateProfile({ thresholds: { apr: [40, 25, 30, 8, 3] } }), /descending/);
+  assert.match(validateProfile({ thresholds: { apr: [40, 25, NaN, 8, 3] } }), /finite/);
+});
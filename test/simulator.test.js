@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseRules, multiplierFor, replayStrategy, simulate, CADENCES } from '../lib/simulator.js';
+
+const DAY = 24 * 3600 * 1000;
+const START = Date.UTC(2025, 0, 6);
+
+// Daily points with no flows, so the index is the NAV itself
+const points = (navs, composites = [], closed = []) => navs.map((index, d) => ({
+  time: START + d * DAY, index, composite: composites[d] ?? null, drawdown: 0, allowDeposits: !closed.includes(d)
+}));
+
+test('parseRules sorts thresholds and rejects malformed pairs', () => {
+  const rules = parseRules('70:2,85:3,0:0.5');
+  assert.deepEqual(rules, [{ min: 85, multiplier: 3 }, { min: 70, multiplier: 2 }, { min: 0, multiplier: 0.5 }]);
+  assert.equal(multiplierFor(rules, 90), 3);
+  assert.equal(multiplierFor(rules, 72), 2);
+  assert.equal(multiplierFor(rules, 10), 0.5);
+  assert.equal(multiplierFor(rules, null), 1);
+  assert.deepEqual(parseRules(''), []);
+  assert.equal(parseRules('70'), null);
+  assert.equal(parseRules('120:2'), null);
+});
+
+test('replayStrategy scales deposits by score and pauses while deposits are closed', () => {
+  const p = points([1, 1, 1, 2], [80, 50, 80, 50], [2]);
+  const result = replayStrategy(p, {
+    budget: 1000, cadenceMs: CADENCES.daily, plan: pt => 100 * multiplierFor([{ min: 70, multiplier: 2 }], pt.composite)
+  });
+
+  // 200 + 100 at index 1, day 2 closed, 100 at index 2
+  assert.equal(result.deposited, 400);
+  assert.equal(result.deposits, 3);
+  assert.equal(result.paused, 1);
+  assert.equal(result.equity, 300 * 2 + 100);
+  assert.equal(result.final_value, 600 + 700);
+  assert.equal(result.pnl, 300);
+  assert.equal(result.series.length, 4);
+});
+
+test('exits wait for the deposit lockup to expire', () => {
+  const p = points([1, 1, 1, 1, 1, 1.5, 1.5], [50, 10, 10, 10, 10, 10, 10]);
+  const result = replayStrategy(p, {
+    budget: 100, cadenceMs: CADENCES.daily, plan: (pt, cash) => pt.composite >= 20 ? cash : 0, lockupDays: 4, exit: { below: 20, fraction: 1 }
+  });
+
+  assert.equal(result.blocked_withdrawals, 3);
+  assert.equal(result.withdrawals, 1);
+  assert.equal(result.withdrawn, 100);
+  assert.equal(result.equity, 0);
+  // Out before the rally
+  assert.equal(result.final_value, 100);
+  assert.equal(result.locked_until, null);
+});
+
+test('simulate compares the policy with lump-sum and plain DCA', () => {
+  const at = d => new Date(START + d * DAY).toISOString();
+  const navs = [100, 90, 80, 90, 100, 110, 120, 130, 120, 140, 150, 160, 170, 180, 190];
+  const rows = navs.map((nav, d) => ({ collected_at: at(d * 7), nav: String(nav), pnl: String(nav - 100), composite_score: d < 4 ? 80 : 40, drawdown_pct: 0, allow_deposits: true }));
+
+  const result = simulate(rows, { budget: 1400, amount: 100, cadence: 'weekly', rules: parseRules('70:2') });
+
+  assert.equal(result.strategy.deposited, 4 * 200 + 6 * 100);
+  assert.equal(result.lump_sum.deposits, 1);
+  assert.ok(Math.abs(result.lump_sum.irr - (1.9 ** (365 / 98) - 1)) < 1e-3);
+  assert.ok(Math.abs(result.lump_sum.final_value - 1400 * 1.9) < 1e-6);
+  assert.equal(result.dca.deposits, 15);
+  assert.ok(Math.abs(result.dca.deposited - 1400) < 1e-6);
+  assert.ok(result.lump_sum.max_drawdown < -0.19);
+  assert.equal(result.edge.vs_dca, result.strategy.final_value - result.dca.final_value);
+  assert.equal(simulate([], {}), null);
+});
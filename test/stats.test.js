@@ -0,0 +1,112 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { navSeries, periodReturns, drawdownStats, valueAtRisk, moments, computeStats, rollingStats, xirr } from '../lib/stats.js';
+
+const HOUR = 3600 * 1000;
+const DAY = 24 * HOUR;
+const START = Date.UTC(2025, 0, 6);
+const daily = navs => navs.map((nav, i) => ({ time: START + i * DAY, nav }));
+
+test('navSeries takes the daily close and periodReturns skips gaps', () => {
+  const rows = [
+    { collected_at: new Date(START + HOUR).toISOString(), nav: '100' },
+    { collected_at: new Date(START + 20 * HOUR).toISOString(), nav: '110' },
+    { collected_at: new Date(START + DAY + HOUR).toISOString(), nav: '121' },
+    { collected_at: new Date(START + 3 * DAY).toISOString(), nav: '200' }
+  ];
+  const series = navSeries(rows, '1d');
+  assert.deepEqual(series.map(p => p.nav), [110, 121, 200]);
+
+  const returns = periodReturns(series, '1d');
+  assert.equal(returns.length, 1);
+  assert.ok(Math.abs(returns[0].ret - 0.1) < 1e-12);
+});
+
+test('drawdownStats measures depth, duration and recovery', () => {
+  const dd = drawdownStats(daily([100, 80, 90, 100, 95]));
+  assert.ok(Math.abs(dd.max_drawdown - -0.2) < 1e-12);
+  assert.equal(dd.max_drawdown_peak, new Date(START).toISOString());
+  assert.equal(dd.max_drawdown_trough, new Date(START + DAY).toISOString());
+  assert.equal(dd.max_drawdown_duration_hours, 72);
+  assert.equal(dd.time_to_recovery_hours, 48);
+  assert.ok(Math.abs(dd.current_drawdown - -0.05) < 1e-12);
+
+  const underwater = drawdownStats(daily([100, 90, 95]));
+  assert.equal(underwater.time_to_recovery_hours, null);
+  assert.equal(underwater.max_drawdown_duration_hours, 48);
+});
+
+test('valueAtRisk and moments on a known sample', () => {
+  const returns = [-0.05, -0.02, 0, 0.01, 0.01, 0.02, 0.02, 0.03, 0.03, 0.04];
+  const { var: v, cvar } = valueAtRisk(returns, 0.8);
+  assert.equal(v, 0.02);
+  assert.ok(Math.abs(cvar - 0.035) < 1e-12);
+
+  const symmetric = moments([-2, -1, 0, 1, 2]);
+  assert.equal(symmetric.skew, 0);
+  assert.ok(Math.abs(symmetric.kurtosis - (-1.3)) < 1e-12);
+  assert.ok(moments(returns).skew < 0);
+});
+
+test('computeStats annualizes and handles a flat series', () => {
+  // 1% a day, alternating with -0.5%
+  const navs = [100];
+  for (let i = 0; i < 60; i++) navs.push(navs[i] * (i % 2 === 0 ? 1.01 : 0.995));
+  const stats = computeStats(daily(navs), { interval: '1d' });
+  assert.equal(stats.periods, 60);
+  assert.ok(stats.annualized_return > 0);
+  assert.ok(stats.sharpe > 0 && stats.sortino > stats.sharpe);
+  assert.ok(Math.abs(stats.max_drawdown - -0.005) < 1e-12);
+  assert.ok(stats.calmar > 0);
+
+  const flat = computeStats(daily([100, 100, 100]));
+  assert.equal(flat.volatility, 0);
+  assert.equal(flat.sharpe, null);
+  assert.equal(flat.calmar, null);
+});
+
+test('rollingStats starts once a full window is available', () => {
+  const series = daily(Array.from({ length: 10 }, (_, i) => 100 + i));
+  const rolling = rollingStats(series, 7);
+  assert.equal(rolling.length, 3);
+  assert.equal(rolling[0].time, new Date(START + 7 * DAY).toISOString());
+  assert.ok(Math.abs(rolling[0].return - (107 / 100 - 1)) < 1e-12);
+  assert.equal(rolling[0].max_drawdown, 0);
+});
+
+test('rollingStats matches computeStats over each window, one point per day', () => {
+  // Hourly NAV with a gap, so some adjacent-bucket returns are skipped
+  const series = Array.from({ length: 24 * 20 }, (_, i) => ({
+    time: START + i * HOUR,
+    nav: 100 * (1 + 0.01 * Math.sin(i / 7) + 0.0004 * i)
+  })).filter((_, i) => i < 100 || i > 110);
+  const rolling = rollingStats(series, 7, { interval: '1h', riskFree: 0.04 });
+  assert.equal(rolling.length, 13);
+
+  for (const point of rolling) {
+    const time = new Date(point.time).getTime();
+    assert.equal((time - START) % DAY, 23 * HOUR);
+    const window = series.filter(p => p.time >= time - 7 * DAY && p.time <= time);
+    const stats = computeStats(window, { interval: '1h', riskFree: 0.04 });
+    assert.ok(Math.abs(point.return - stats.total_return) < 1e-12);
+    assert.ok(Math.abs(point.volatility - stats.volatility) < 1e-9 * stats.volatility);
+    assert.ok(Math.abs(point.sharpe - stats.sharpe) < 1e-9 * Math.abs(stats.sharpe));
+    assert.equal(point.max_drawdown, stats.max_drawdown);
+  }
+});
+
+test('xirr finds the annualized money-weighted return', () => {
+  const YEAR = 365 * DAY;
+  // 100 in, 110 out a year later
+  assert.ok(Math.abs(xirr([{ time: START, amount: -100 }, { time: START + YEAR, amount: 110 }]) - 0.1) < 1e-8);
+  // A second deposit halfway that earns nothing drags the rate down
+  const r = xirr([
+    { time: START, amount: -100 },
+    { time: START + YEAR / 2, amount: -100 },
+    { time: START + YEAR, amount: 210 }
+  ]);
+  assert.ok(r > 0.05 && r < 0.1);
+  // No sign change, no rate
+  assert.equal(xirr([{ time: START, amount: -100 }, { time: START + YEAR, amount: -5 }]), null);
+  assert.equal(xirr([{ time: START, amount: -100 }]), null);
+});
@@ -0,0 +1,193 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createStorage } from '../lib/storage/index.js';
+import { migrateUp } from '../lib/migrate.js';
+import {
+  getVaults, insertSnapshot, getLatestSnapshot, getSnapshots, upsertAlertState, getAlertState, insertAlertRule,
+  insertMarketSnapshots, getLatestMarketSnapshots, getMarketSnapshots,
+  insertChildVaultSnapshots, insertChildPositions, getChildVaultSnapshots, getLatestChildPositions,
+  iterateSnapshots, getProfiles, upsertProfile, deleteProfile
+} from '../lib/db.js';
+import { HLP_VAULT } from '../lib/hyperliquid.js';
+
+// better-sqlite3 is an optional dependency
+const skip = await import('better-sqlite3').then(() => false, () => 'better-sqlite3 not installed');
+
+const HOUR = 3600 * 1000;
+const START = Date.UTC(2025, 0, 1, 0);
+
+function row(h, nav, extra = {}) {
+  return {
+    collected_at: new Date(START + h * HOUR + 5 * 60 * 1000).toISOString(),
+    nav, nav_ath: nav, drawdown_pct: 0, max_drawdown: 0,
+    ...extra
+  };
+}
+
+async function migratedSqlite() {
+  const db = createStorage('sqlite::memory:');
+  await migrateUp(db);
+  return db;
+}
+
+test('createStorage picks a backend from the URL scheme', () => {
+  assert.equal(createStorage('sqlite::memory:').dialect, 'sqlite');
+  assert.equal(createStorage('file:./hlp.db').dialect, 'sqlite');
+  assert.equal(createStorage('postgres://u:p@ep-x.us-east-2.aws.neon.tech/db').driver, 'neon');
+  assert.equal(createStorage('postgresql://u:p@localhost:5432/db').driver, 'pg');
+  assert.throws(() => createStorage('mysql://localhost/db'), /Unsupported DATABASE_URL scheme/);
+});
+
+test('sqlite migrations create the schema and seed the HLP vault', { skip }, async () => {
+  const db = await migratedSqlite();
+  try {
+    const vaults = await getVaults(db);
+    assert.deepEqual(vaults.map(v => v.address), [HLP_VAULT]);
+    assert.equal(vaults[0].active, true);
+    assert.equal((await migrateUp(db)).length, 0);
+  } finally {
+    await db.close();
+  }
+});
+
+test('sqlite insertSnapshot keeps one row per vault and hour', { skip }, async () => {
+  const db = await migratedSqlite();
+  try {
+    assert.ok(await insertSnapshot(db, row(0, 100, { allow_deposits: false })));
+    assert.equal(await insertSnapshot(db, { ...row(0, 101), collected_at: new Date(START + 50 * 60 * 1000).toISOString() }), null);
+    assert.ok(await insertSnapshot(db, row(1, 102)));
+
+    const latest = await getLatestSnapshot(db);
+    assert.equal(latest.nav, 102);
+    assert.equal(latest.allow_deposits, true);
+    assert.equal(latest.vault_address, HLP_VAULT);
+  } finally {
+    await db.close();
+  }
+});
+
+test('sqlite getSnapshots returns raw rows or OHLC buckets for a window', { skip }, async () => {
+  const db = await migratedSqlite();
+  try {
+    await insertSnapshot(db, row(0, 100, { composite_score: 40 }));
+    await insertSnapshot(db, row(1, 110, { composite_score: 61, allow_deposits: false }));
+    await insertSnapshot(db, row(24, 120, { composite_score: 70 }));
+
+    const raw = await getSnapshots(db, { resolution: 'raw' });
+    assert.deepEqual(raw.map(s => s.nav), [100, 110, 120]);
+
+    const daily = await getSnapshots(db, { resolution: '1d' });
+    assert.equal(daily.length, 2);
+    assert.equal(daily[0].collected_at, '2025-01-01T00:00:00.000Z');
+    assert.equal(daily[0].nav_open, 100);
+    assert.equal(daily[0].nav, 110);
+    assert.equal(daily[0].composite_score, 61);
+    assert.equal(daily[0].allow_deposits, false);
+
+    const windowed = await getSnapshots(db, {
+      from: new Date(START + HOUR).toISOString(),
+      to: new Date(START + 24 * HOUR).toISOString(),
+      resolution: 'raw'
+    });
+    assert.deepEqual(windowed.map(s => s.nav), [110]);
+  } finally {
+    await db.close();
+  }
+});
+
+test('sqlite alert state upserts in place', { skip }, async () => {
+  const db = await migratedSqlite();
+  try {
+    const rule = await insertAlertRule(db, { expression: 'nav >= 1', sink: 'log', target: '-' });
+    await upsertAlertState(db, { rule_id: rule.id, vault_address: HLP_VAULT, active: true, last_fired_at: null });
+    await upsertAlertState(db, { rule_id: rule.id, vault_address: HLP_VAULT, active: false, last_fired_at: null });
+    const state = await getAlertState(db, rule.id, HLP_VAULT);
+    assert.equal(state.active, false);
+  } finally {
+    await db.close();
+  }
+});
+
+test('sqlite scoring profiles upsert per owner and name', { skip }, async () => {
+  const db = await migratedSqlite();
+  try {
+    await upsertProfile(db, 'owner-a-123', { name: 'calm', weights: { drawdown: 0.5 }, thresholds: {} });
+    const updated = await upsertProfile(db, 'owner-a-123', {
+      name: 'calm', weights: { drawdown: 0.4 }, thresholds: { apr: [50, 25, 15, 8, 3] }, auto_calibrate: true
+    });
+    await upsertProfile(db, 'owner-b-456', { name: 'calm' });
+
+    assert.deepEqual(updated.weights, { drawdown: 0.4 });
+    assert.equal(updated.auto_calibrate, true);
+    const mine = await getProfiles(db, 'owner-a-123');
+    assert.equal(mine.length, 1);
+    assert.deepEqual(mine[0].thresholds, { apr: [50, 25, 15, 8, 3] });
+
+    assert.equal(await deleteProfile(db, 'owner-a-123', 'calm'), true);
+    assert.equal(await deleteProfile(db, 'owner-a-123', 'calm'), false);
+    assert.equal((await getProfiles(db, 'owner-b-456')).length, 1);
+  } finally {
+    await db.close();
+  }
+});
+
+test('sqlite market snapshots store one cross-section per hour', { skip }, async () => {
+  const db = await migratedSqlite();
+  try {
+    const assets = [
+      { coin: 'BTC', funding: 0.0001, open_interest: 300, mark_px: 10, oracle_px: 10.1, premium: 0.0002, volume_24h: 1000 },
+      { coin: 'ETH', funding: 0.0003, open_interest: 100, mark_px: 10, oracle_px: 9.9, premium: null, volume_24h: 500 }
+    ];
+    assert.equal(await insertMarketSnapshots(db, assets, new Date(START).toISOString()), 2);
+    assert.equal(await insertMarketSnapshots(db, assets, new Date(START + 30 * 60 * 1000).toISOString()), 0);
+    assert.equal(await insertMarketSnapshots(db, assets.slice(0, 1), new Date(START + HOUR).toISOString()), 1);
+
+    const latest = await getLatestMarketSnapshots(db);
+    assert.deepEqual(latest.map(r => r.coin), ['BTC']);
+
+    const eth = await getMarketSnapshots(db, 'ETH', new Date(0).toISOString());
+    assert.equal(eth.length, 1);
+    assert.equal(eth[0].premium, null);
+    assert.equal(eth[0].oracle_px, 9.9);
+  } finally {
+    await db.close();
+  }
+});
+
+test('sqlite child vault history is hourly and latest positions follow the last run', { skip }, async () => {
+  const db = await migratedSqlite();
+  try {
+    const child = '0x' + 'c'.repeat(40);
+    const base = { parent_address: HLP_VAULT, child_address: child, name: 'Strategy', account_value: 100, pnl: 5 };
+    const position = { parent_address: HLP_VAULT, child_address: child, coin: 'BTC', szi: 1, notional: 100, unrealized_pnl: 2 };
+
+    assert.equal(await insertChildVaultSnapshots(db, [{ ...base, position_count: 1 }], new Date(START).toISOString()), 1);
+    assert.equal(await insertChildPositions(db, [position], new Date(START).toISOString()), 1);
+    assert.equal(await insertChildVaultSnapshots(db, [{ ...base, position_count: 1 }], new Date(START + 60 * 1000).toISOString()), 0);
+    assert.equal((await getLatestChildPositions(db, HLP_VAULT)).length, 1);
+
+    // Next hour everything is flat: no position rows, so nothing is "latest"
+    await insertChildVaultSnapshots(db, [{ ...base, pnl: 6, position_count: 0 }], new Date(START + HOUR).toISOString());
+    assert.deepEqual(await getLatestChildPositions(db, HLP_VAULT), []);
+
+    const rows = await getChildVaultSnapshots(db, HLP_VAULT, new Date(0).toISOString());
+    assert.deepEqual(rows.map(r => r.pnl), [5, 6]);
+  } finally {
+    await db.close();
+  }
+});
+
+test('sqlite iterateSnapshots pages through [from, to) in order', { skip }, async () => {
+  const db = await migratedSqlite();
+  try {
+    for (let h = 0; h < 7; h++) await insertSnapshot(db, row(h, 100 + h));
+
+    const navs = [];
+    const from = new Date(START + HOUR).toISOString();
+    const to = new Date(START + 6 * HOUR).toISOString();
+    for await (const r of iterateSnapshots(db, { from, to, batchSize: 2 })) navs.push(r.nav);
+    assert.deepEqual(navs, [101, 102, 103, 104, 105]);
+  } finally {
+    await db.close();
+  }
+});
@@ -0,0 +1,254 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter, once } from 'node:events';
+import { setTimeout as delay } from 'node:timers/promises';
+import { readFixture, DEFAULT_FIXTURE_DIR } from '../lib/fixtures.js';
+import { startMockHyperliquid } from '../lib/mock-hyperliquid.js';
+import { connectHyperliquidWs } from '../lib/hyperliquid-ws.js';
+import { closeStreams, createLiveView, INTRADAY_WINDOW_MS } from '../lib/stream.js';
+import { getDb } from '../lib/db.js';
+import { migrateUp } from '../lib/migrate.js';
+import { createAppServer } from '../lib/server.js';
+import { loadHandler } from '../lib/api-runner.js';
+import {
+  HLP_VAULT, fetchVaultDetails, parseAssetContexts, parseVaultData, summarizeAssetContexts
+} from '../lib/hyperliquid.js';
+
+// better-sqlite3 is an optional dependency
+const skip = await import('better-sqlite3').then(() => false, () => 'better-sqlite3 not installed');
+
+const CHILD = '0x010461c14e146ac35fe42271bdc1134ee31c703a';
+const ENV_KEYS = ['DATABASE_URL', 'HYPERLIQUID_API_URL', 'HYPERLIQUID_WS_URL', 'HYPERLIQUID_FIXTURES'];
+const savedEnv = Object.fromEntries(ENV_KEYS.map(k => [k, process.env[k]]));
+
+let mock;
+before(async () => {
+  mock = await startMockHyperliquid();
+  for (const key of ENV_KEYS) delete process.env[key];
+  process.env.HYPERLIQUID_API_URL = mock.url;
+  process.env.HYPERLIQUID_WS_URL = mock.wsUrl;
+});
+
+after(async () => {
+  await closeStreams();
+  await mock.close();
+  for (const key of ENV_KEYS) {
+    if (savedEnv[key] === undefined) delete process.env[key];
+    else process.env[key] = savedEnv[key];
+  }
+});
+
+const webData2 = (user, accountValue, extra = {}) => ({
+  channel: 'webData2',
+  data: { user, clearinghouseState: { marginSummary: { accountValue: String(accountValue) }, assetPositions: [] }, ...extra }
+});
+
+// Resolves with the first message matching predicate
+function nextMessage(received, predicate, timeoutMs = 5000) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error('Timed out waiting for a message')), timeoutMs);
+    const check = () => {
+      const msg = received.find(predicate);
+      if (!msg) return setTimeout(check, 10);
+      clearTimeout(timer);
+      resolve(msg);
+    };
+    check();
+  });
+}
+
+test('live view moves the baseline NAV by account value changes', () => {
+  const view = createLiveView({
+    vault: HLP_VAULT,
+    accounts: [HLP_VAULT, CHILD],
+    baseline: { nav: 1000, ath: 1100, at: 0, source: 'snapshot' }
+  });
+  const t0 = Date.UTC(2026, 0, 1, 12, 0, 10);
+
+  assert.equal(view.apply({ channel: 'pong' }, t0), null);
+  assert.equal(view.apply(webData2('0x' + '1'.repeat(40), 5), t0), null);
+
+  view.apply(webData2(HLP_VAULT, 500), t0);
+  view.apply(webData2(CHILD, 200), t0);
+  assert.equal(view.update().nav, 1000);
+
+  view.apply(webData2(CHILD, 230), t0 + 1000);
+  let update = view.update();
+  assert.equal(update.nav, 1030);
+  assert.ok(Math.abs(update.drawdown - (1030 - 1100) / 1100) < 1e-12);
+
+  // A new high becomes the ATH
+  view.apply(webData2(HLP_VAULT, 600), t0 + 2000);
+  update = view.update();
+  assert.equal(update.nav, 1130);
+  assert.equal(update.ath, 1130);
+  assert.equal(update.drawdown, 0);
+  assert.equal(update.point.time, new Date(Date.UTC(2026, 0, 1, 12, 0)).toISOString());
+});
+
+test('live view aggregates market contexts and user events per minute', async () => {
+  const [meta, assetCtxs] = await readFixture(DEFAULT_FIXTURE_DIR, { type: 'metaAndAssetCtxs' });
+  const expected = summarizeAssetContexts(parseAssetContexts([meta, assetCtxs]));
+  const view = createLiveView({ vault: HLP_VAULT });
+  const t0 = Date.UTC(2026, 0, 1, 12, 0, 0);
+
+  view.apply({ channel: 'webData2', data: { user: CHILD, meta, assetCtxs } }, t0);
+  let update = view.update();
+  assert.equal(update.nav, null);
+  assert.equal(update.funding_rate, expected.fundingRate);
+  assert.equal(update.oi_top5_share, expected.oiTop5Share);
+  assert.equal(update.market_at, new Date(t0).toISOString());
+
+  view.apply({ channel: 'user', data: { fills: [
+    { coin: 'BTC', px: '100000', sz: '0.5', closedPnl: '120.5' },
+    { coin: 'ETH', px: '2500', sz: '2', closedPnl: '-20.5' }
+  ] } }, t0 + 5000);
+  const { events } = view.apply({ channel: 'user', data: {
+    liquidation: { lid: 1, liquidator: CHILD, liquidated_user: '0xabc', liquidated_ntl_pos: '250000.0', liquidated_account_value: '1200.0' }
+  } }, t0 + 6000);
+  assert.deepEqual(events.map(e => [e.type, e.notional]), [['liquidation', 250000]]);
+
+  // The next minute carries the market values forward with fresh counters
+  view.apply({ channel: 'user', data: { funding: { coin: 'BTC', usdc: '-15.0' } } }, t0 + 60000);
+
+  const snapshot = view.snapshot();
+  assert.equal(snapshot.intraday.length, 2);
+  assert.deepEqual(
+    snapshot.intraday.map(p => [p.fills, p.volume, p.closed_pnl, p.funding_paid, p.funding_rate]),
+    [[2, 55000, 100, 0, expected.fundingRate], [0, 0, 0, -15, expected.fundingRate]]
+  );
+  assert.equal(snapshot.events.length, 1);
+
+  // Points older than the window are dropped
+  view.apply({ channel: 'user', data: { fills: [] } }, t0 + INTRADAY_WINDOW_MS + 60000);
+  assert.deepEqual(view.snapshot().intraday.map(p => p.time), [new Date(t0 + INTRADAY_WINDOW_MS + 60000).toISOString()]);
+
+  assert.throws(
+    () => view.apply({ channel: 'webData2', data: { meta, assetCtxs: assetCtxs.slice(1) } }),
+    /asset contexts for/
+  );
+});
+
+test('WebSocket client subscribes, skips acks and resubscribes after a drop', async () => {
+  const received = [];
+  const states = [];
+  const subscriptions = [{ type: 'webData2', user: CHILD }, { type: 'userEvents', user: CHILD }];
+  const start = mock.subscriptions.length;
+
+  const socket = connectHyperliquidWs({
+    subscriptions,
+    onMessage: msg => received.push(msg),
+    onStatus: status => states.push(status.state),
+    pingIntervalMs: 20,
+    baseDelayMs: 10
+  });
+  try {
+    // The mock answers a webData2 subscription from the fixtures
+    const first = await nextMessage(received, m => m.channel === 'webData2');
+    assert.equal(first.data.user, CHILD);
+    assert.ok(first.data.clearinghouseState.marginSummary.accountValue);
+    assert.ok(received.every(m => m.channel !== 'subscriptionResponse' && m.channel !== 'pong'));
+    assert.deepEqual(mock.subscriptions.slice(start), subscriptions);
+
+    mock.disconnectAll();
+    await nextMessage(states, s => s === 'reconnecting');
+    await nextMessage(received, m => m !== first && m.channel === 'webData2');
+    assert.deepEqual(mock.subscriptions.slice(start + 2), subscriptions);
+    assert.equal(states.filter(s => s === 'open').length, 2);
+
+    mock.publish('user', { fills: [] });
+    await nextMessage(received, m => m.channel === 'user');
+  } finally {
+    await socket.close();
+  }
+});
+
+// Reads server-sent events into `events` until the response ends
+async function readEvents(resp, events) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  for await (const chunk of resp.body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    let end;
+    while ((end = buffer.indexOf('\n\n')) >= 0) {
+      const block = buffer.slice(0, end);
+      buffer = buffer.slice(end + 2);
+      const name = block.match(/^event: (.*)$/m)?.[1];
+      const data = block.match(/^data: (.*)$/m)?.[1];
+      if (name) events.push({ name, data: JSON.parse(data) });
+    }
+  }
+}
+
+test('/api/stream sends a snapshot, then updates as account values move', { skip }, async () => {
+  process.env.DATABASE_URL = 'sqlite::memory:';
+  await migrateUp(getDb());
+  const server = createAppServer();
+  server.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const controller = new AbortController();
+
+  try {
+    assert.equal((await fetch(`${base}/api/stream?vault=0x123`)).status, 400);
+    assert.equal((await fetch(`${base}/api/stream?vault=0x${'2'.repeat(40)}`)).status, 404);
+
+    const resp = await fetch(`${base}/api/stream`, { signal: controller.signal });
+    assert.equal(resp.status, 200);
+    assert.match(resp.headers.get('content-type'), /text\/event-stream/);
+    assert.equal(resp.headers.get('cache-control'), 'no-cache, no-transform');
+
+    const events = [];
+    const reading = readEvents(resp, events).catch(() => {});
+
+    const snapshot = (await nextMessage(events, e => e.name === 'snapshot')).data;
+    const baseline = parseVaultData(await fetchVaultDetails(HLP_VAULT));
+    assert.equal(snapshot.baseline.source, 'vault_details');
+    assert.equal(snapshot.baseline.nav, baseline.currentNav);
+    assert.equal(snapshot.accounts.length, 3);
+
+    // The mock's fixture webData2 sets each child's starting value
+    const first = (await nextMessage(events, e => e.name === 'update')).data;
+    assert.equal(first.nav, baseline.currentNav);
+    assert.ok(first.funding_rate != null);
+
+    const { marginSummary } = await readFixture(DEFAULT_FIXTURE_DIR, { type: 'clearinghouseState', user: CHILD });
+    mock.publish('webData2', webData2(CHILD, parseFloat(marginSummary.accountValue) + 5000).data);
+    const moved = (await nextMessage(events, e => e.name === 'update' && e.data.nav !== first.nav)).data;
+    assert.ok(Math.abs(moved.nav - (baseline.currentNav + 5000)) < 1e-6);
+    assert.ok(Math.abs(moved.drawdown - (moved.nav - moved.ath) / moved.ath) < 1e-12);
+
+    controller.abort();
+    await reading;
+  } finally {
+    await closeStreams();
+    server.closeAllConnections();
+    server.close();
+    await once(server, 'close');
+  }
+});
+
+test('/api/stream releases the upstream stream when the client leaves while it starts', { skip }, async () => {
+  process.env.DATABASE_URL = 'sqlite::memory:';
+  await migrateUp(getDb());
+  const handler = await loadHandler('stream');
+
+  const res = Object.assign(new EventEmitter(), {
+    destroyed: false,
+    writableEnded: false,
+    headersSent: false,
+    status() { return this; },
+    json() { throw new Error('Unexpected JSON response'); },
+    writeHead() { this.headersSent = true; },
+    write() { throw new Error('Wrote to a closed stream'); }
+  });
+  const handling = handler({ method: 'GET', query: {}, headers: {}, socket: {} }, res);
+  res.destroyed = true;
+  res.emit('close');
+  await handling;
+  assert.equal(res.headersSent, false);
+
+  // Its only listener gone, the shared stream never keeps a WebSocket open
+  await delay(300);
+  assert.equal(mock.connections, 0);
+});
@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { bucketStart, resampleSnapshots, findGaps, resolveResolution, isValidResolution } from '../lib/timeseries.js';
+
+const HOUR = 3600 * 1000;
+const START = Date.UTC(2025, 0, 6, 0); // a Monday
+const at = (h, m = 5) => new Date(START + h * HOUR + m * 60 * 1000).toISOString();
+
+test('bucketStart aligns 4h, daily and Monday-based weekly buckets in UTC', () => {
+  const t = START + 2 * 24 * HOUR + 13.5 * HOUR; // Wednesday 13:30
+  assert.equal(new Date(bucketStart(t, '1h')).toISOString(), '2025-01-08T13:00:00.000Z');
+  assert.equal(new Date(bucketStart(t, '4h')).toISOString(), '2025-01-08T12:00:00.000Z');
+  assert.equal(new Date(bucketStart(t, '1d')).toISOString(), '2025-01-08T00:00:00.000Z');
+  assert.equal(new Date(bucketStart(t, '1w')).toISOString(), '2025-01-06T00:00:00.000Z');
+  assert.equal(new Date(bucketStart(START - 1, '1w')).toISOString(), '2024-12-30T00:00:00.000Z');
+});
+
+test('resolveResolution maps auto and legacy names', () => {
+  assert.equal(resolveResolution('auto', 7 * 24 * HOUR), '1h');
+  assert.equal(resolveResolution('auto', 8 * 24 * HOUR), '1d');
+  assert.equal(resolveResolution('hourly', 0), '1h');
+  assert.equal(resolveResolution('daily', 0), '1d');
+  assert.equal(resolveResolution('4h', 0), '4h');
+  assert.ok(isValidResolution('1w') && isValidResolution('raw') && !isValidResolution('2h'));
+});
+
+test('resampleSnapshots builds OHLC NAV with last-value scores', () => {
+  const rows = [
+    { id: 1, collected_at: at(0), nav: '100', nav_ath: '100', max_drawdown: '-0.01', composite_score: 40, allow_deposits: true },
+    { id: 2, collected_at: at(1), nav: '95', nav_ath: '105', max_drawdown: '-0.05', composite_score: 55, allow_deposits: false },
+    { id: 3, collected_at: at(2), nav: '102', nav_ath: '105', max_drawdown: '-0.02', composite_score: null, allow_deposits: true },
+    { id: 4, collected_at: at(4), nav: '110', nav_ath: '110', max_drawdown: '-0.02', composite_score: 70, allow_deposits: true }
+  ];
+  const buckets = resampleSnapshots(rows, '4h');
+  assert.equal(buckets.length, 2);
+  assert.deepEqual(buckets[0], {
+    collected_at: new Date(START).toISOString(),
+    nav_open: 100, nav_high: 102, nav_low: 95, nav_close: 102, nav: 102,
+    allow_deposits: false,
+    samples: 3,
+    nav_ath: 105,
+    max_drawdown: -0.05,
+    composite_score: 55
+  });
+  assert.equal(buckets[1].nav_open, 110);
+  assert.equal(buckets[1].samples, 1);
+  assert.equal(resampleSnapshots(rows, 'raw'), rows);
+});
+
+test('resampleSnapshots sums net_flow over the bucket', () => {
+  const rows = [0, 1, 2, 3, 5].map((h, i) => ({ collected_at: at(h), nav: '100', net_flow: ['10.5', null, -4, '2', 1][i] }));
+  const [day] = resampleSnapshots(rows, '1d');
+  assert.equal(day.samples, 5);
+  assert.equal(day.net_flow, 10.5 - 4 + 2 + 1);
+  assert.equal(resampleSnapshots(rows, '4h')[0].net_flow, 8.5);
+});
+
+test('findGaps reports runs of missing hours within the window', () => {
+  const rows = [0, 1, 4, 5, 9].map(h => ({ collected_at: at(h) }));
+  const gaps = findGaps(rows, { from: new Date(START).toISOString(), to: new Date(START + 11 * HOUR).toISOString() });
+  assert.equal(gaps.missing_hours, 6);
+  assert.deepEqual(gaps.ranges, [
+    { from: new Date(START + 2 * HOUR).toISOString(), to: new Date(START + 4 * HOUR).toISOString(), hours: 2 },
+    { from: new Date(START + 6 * HOUR).toISOString(), to: new Date(START + 9 * HOUR).toISOString(), hours: 3 },
+    { from: new Date(START + 10 * HOUR).toISOString(), to: new Date(START + 11 * HOUR).toISOString(), hours: 1 }
+  ]);
+
+  // Without from, history starts at the first row
+  assert.equal(findGaps(rows, { to: new Date(START + 10 * HOUR).toISOString() }).missing_hours, 5);
+  assert.equal(findGaps(rows, { to: new Date(START + 11 * HOUR).toISOString(), maxRanges: 1 }).truncated, true);
+});